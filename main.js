@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
 const fs = require("fs");
 
@@ -6,6 +6,15 @@ const fs = require("fs");
 const AccountManager = require("./src/account-manager");
 const AutoMessaging = require("./src/auto-messaging");
 const ErrorHandler = require("./src/error-handler");
+const HealthMonitor = require("./src/health-monitor");
+const MessageArchive = require("./src/message-archive");
+const MediaManager = require("./src/media-manager");
+const CampaignManager = require("./src/campaign-manager");
+const AutoReplyEngine = require("./src/auto-reply");
+const AwayResponder = require("./src/away-responder");
+const SendGovernor = require("./src/send-governor");
+const ContactBook = require("./src/contact-book");
+const GroupManager = require("./src/group-manager");
 
 class WhatsAppMultiApp {
   constructor() {
@@ -13,6 +22,8 @@ class WhatsAppMultiApp {
     this.accountManager = null;
     this.autoMessaging = null;
     this.errorHandler = null;
+    this.messageArchive = null;
+    this.mediaManager = null;
     this.isDev = process.argv.includes("--dev");
 
     // Initialize app
@@ -25,8 +36,30 @@ class WhatsAppMultiApp {
 
     // Initialize core components
     this.errorHandler = new ErrorHandler();
-    this.accountManager = new AccountManager(this.errorHandler);
+    this.messageArchive = new MessageArchive();
+    this.mediaManager = new MediaManager();
+    this.sendGovernor = new SendGovernor();
+    this.contactBook = new ContactBook();
+    this.accountManager = new AccountManager(
+      this.errorHandler,
+      this.messageArchive,
+      this.mediaManager,
+      this.sendGovernor,
+      this.contactBook
+    );
+    this.healthMonitor = new HealthMonitor(this.accountManager);
+    this.healthMonitor.start();
     this.autoMessaging = new AutoMessaging(this.accountManager);
+    this.campaignManager = new CampaignManager(
+      this.accountManager,
+      this.autoMessaging
+    );
+    this.autoReply = new AutoReplyEngine(
+      this.accountManager,
+      this.autoMessaging
+    );
+    this.awayResponder = new AwayResponder(this.accountManager, this.autoReply);
+    this.groupManager = new GroupManager(this.accountManager, this.contactBook);
 
     // Set up Electron event handlers
     this.setupElectronEvents();
@@ -39,16 +72,26 @@ class WhatsAppMultiApp {
       "./data/accounts",
       "./data/templates",
       "./data/schedules",
+      "./data/campaigns",
       "./data/chrome_profiles",
       "./data/logs",
     ];
 
     dataDirs.forEach((dir) => {
       if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
         console.log(`Created directory: ${dir}`);
       }
     });
+
+    // Session and message data is private to the current user
+    try {
+      fs.chmodSync("./data", 0o700);
+    } catch (error) {
+      console.warn(
+        `Could not restrict data folder permissions: ${error.message}`
+      );
+    }
   }
 
   setupElectronEvents() {
@@ -56,6 +99,9 @@ class WhatsAppMultiApp {
     app.whenReady().then(() => {
       this.createMainWindow();
 
+      // Bring back previously linked accounts from their saved sessions
+      this.accountManager.restoreAccounts();
+
       // macOS - recreate window when dock icon clicked
       app.on("activate", () => {
         if (BrowserWindow.getAllWindows().length === 0) {
@@ -147,6 +193,9 @@ class WhatsAppMultiApp {
     ipcMain.handle("account:list", async () => {
       try {
         const accounts = await this.accountManager.getAccounts();
+        for (const account of accounts) {
+          account.away = this.awayResponder.getStatus(account.accountId);
+        }
         return { success: true, data: accounts };
       } catch (error) {
         this.errorHandler.handleError("account:list", error);
@@ -164,6 +213,69 @@ class WhatsAppMultiApp {
       }
     });
 
+    ipcMain.handle("account:rename", async (event, accountId, displayName) => {
+      try {
+        const result = await this.accountManager.renameAccount(
+          accountId,
+          displayName
+        );
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("account:rename", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("account:reorder", async (event, accountIds) => {
+      try {
+        const result = await this.accountManager.reorderAccounts(accountIds);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("account:reorder", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("account:reconnect", async (event, accountId) => {
+      try {
+        const result = await this.accountManager.reconnectNow(accountId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("account:reconnect", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("account:disconnect", async (event, accountId) => {
+      try {
+        const result = await this.accountManager.disconnectAccount(accountId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("account:disconnect", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("account:logout", async (event, accountId) => {
+      try {
+        const result = await this.accountManager.logoutAccount(accountId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("account:logout", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("account:remove", async (event, accountId) => {
+      try {
+        const result = await this.accountManager.removeAccount(accountId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("account:remove", error);
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle("account:getQR", async (event, accountId) => {
       try {
         console.log(`QR request for account: ${accountId}`);
@@ -202,10 +314,12 @@ class WhatsAppMultiApp {
       "message:send",
       async (event, accountId, phoneNumber, message) => {
         try {
+          // Typed by hand - no simulated typing delay
           const result = await this.accountManager.sendMessage(
             accountId,
             phoneNumber,
-            message
+            message,
+            { typing: false }
           );
           return { success: true, data: result };
         } catch (error) {
@@ -215,6 +329,53 @@ class WhatsAppMultiApp {
       }
     );
 
+    ipcMain.handle(
+      "message:sendMedia",
+      async (event, accountId, chatId, mediaData) => {
+        try {
+          const result = await this.accountManager.sendMedia(
+            accountId,
+            chatId,
+            mediaData
+          );
+          return { success: true, data: result };
+        } catch (error) {
+          this.errorHandler.handleError("message:sendMedia", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle(
+      "message:getHistory",
+      async (event, accountId, chatId, options) => {
+        try {
+          const history = await this.accountManager.getMessageHistory(
+            accountId,
+            chatId,
+            options
+          );
+          return { success: true, data: history };
+        } catch (error) {
+          this.errorHandler.handleError("message:getHistory", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle("message:markRead", async (event, accountId, chatId) => {
+      try {
+        const result = await this.accountManager.markChatRead(
+          accountId,
+          chatId
+        );
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("message:markRead", error);
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle("message:getChats", async (event, accountId) => {
       try {
         const chats = await this.accountManager.getChats(accountId);
@@ -225,6 +386,154 @@ class WhatsAppMultiApp {
       }
     });
 
+    ipcMain.handle("message:getAllChats", async () => {
+      try {
+        const chats = await this.accountManager.getAllChats();
+        return { success: true, data: chats };
+      } catch (error) {
+        this.errorHandler.handleError("message:getAllChats", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("search:global", async (event, query, options) => {
+      try {
+        const results = await this.accountManager.searchAllAccounts(
+          query,
+          options
+        );
+        return { success: true, data: results };
+      } catch (error) {
+        this.errorHandler.handleError("search:global", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Media IPC handlers
+    ipcMain.handle("media:get", async (event, accountId, messageId) => {
+      try {
+        const media = await this.accountManager.getMessageMedia(
+          accountId,
+          messageId
+        );
+        return { success: true, data: media };
+      } catch (error) {
+        this.errorHandler.handleError("media:get", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("media:listChat", async (event, accountId, chatId) => {
+      try {
+        const media = this.mediaManager.getChatMedia(accountId, chatId);
+        return { success: true, data: media };
+      } catch (error) {
+        this.errorHandler.handleError("media:listChat", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("media:getSettings", async (event, accountId) => {
+      try {
+        return {
+          success: true,
+          data: {
+            settings: this.mediaManager.getSettings(accountId),
+            usage: this.mediaManager.getUsage(accountId),
+          },
+        };
+      } catch (error) {
+        this.errorHandler.handleError("media:getSettings", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "media:updateSettings",
+      async (event, accountId, settings) => {
+        try {
+          return {
+            success: true,
+            data: {
+              settings: this.mediaManager.updateSettings(accountId, settings),
+              usage: this.mediaManager.getUsage(accountId),
+            },
+          };
+        } catch (error) {
+          this.errorHandler.handleError("media:updateSettings", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    // Send limit IPC handlers
+    ipcMain.handle("governor:getStatus", async (event, accountId) => {
+      try {
+        return {
+          success: true,
+          data: this.sendGovernor.getStatus(accountId),
+        };
+      } catch (error) {
+        this.errorHandler.handleError("governor:getStatus", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "governor:updateSettings",
+      async (event, accountId, settings) => {
+        try {
+          this.sendGovernor.updateSettings(accountId, settings);
+          return {
+            success: true,
+            data: this.sendGovernor.getStatus(accountId),
+          };
+        } catch (error) {
+          this.errorHandler.handleError("governor:updateSettings", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    // Message archive IPC handlers
+    ipcMain.handle("archive:getStatus", async () => {
+      try {
+        return { success: true, data: this.messageArchive.getStatus() };
+      } catch (error) {
+        this.errorHandler.handleError("archive:getStatus", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("archive:unlock", async (event, passphrase) => {
+      try {
+        const status = await this.messageArchive.unlock(passphrase);
+        return { success: true, data: status };
+      } catch (error) {
+        this.errorHandler.handleError("archive:unlock", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("archive:lock", async () => {
+      try {
+        return { success: true, data: this.messageArchive.lock() };
+      } catch (error) {
+        this.errorHandler.handleError("archive:lock", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("archive:search", async (event, query, options) => {
+      try {
+        const results = this.messageArchive.search(query, options);
+        return { success: true, data: results };
+      } catch (error) {
+        this.errorHandler.handleError("archive:search", error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // Auto-messaging IPC handlers
     ipcMain.handle("autoMessage:schedule", async (event, scheduleData) => {
       try {
@@ -246,6 +555,99 @@ class WhatsAppMultiApp {
       }
     });
 
+    ipcMain.handle("autoMessage:deadLetters", async () => {
+      try {
+        const deadLetters = await this.autoMessaging.getDeadLetters();
+        return { success: true, data: deadLetters };
+      } catch (error) {
+        this.errorHandler.handleError("autoMessage:deadLetters", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoMessage:resendDeadLetter", async (event, letterId) => {
+      try {
+        const result = await this.autoMessaging.resendDeadLetter(letterId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("autoMessage:resendDeadLetter", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoMessage:dismissDeadLetter", async (event, letterId) => {
+      try {
+        const result = await this.autoMessaging.dismissDeadLetter(letterId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("autoMessage:dismissDeadLetter", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoMessage:get", async (event, scheduleId) => {
+      try {
+        const schedule = await this.autoMessaging.getScheduledMessage(
+          scheduleId
+        );
+        return { success: true, data: schedule };
+      } catch (error) {
+        this.errorHandler.handleError("autoMessage:get", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoMessage:update", async (event, scheduleId, updates) => {
+      try {
+        const schedule = await this.autoMessaging.updateScheduledMessage(
+          scheduleId,
+          updates
+        );
+        return { success: true, data: schedule };
+      } catch (error) {
+        this.errorHandler.handleError("autoMessage:update", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    const scheduleActions = {
+      pause: "pauseScheduledMessage",
+      resume: "resumeScheduledMessage",
+      duplicate: "duplicateScheduledMessage",
+      runNow: "runScheduledMessageNow",
+      cancel: "cancelScheduledMessage",
+    };
+
+    for (const [action, method] of Object.entries(scheduleActions)) {
+      const channel = `autoMessage:${action}`;
+
+      ipcMain.handle(channel, async (event, scheduleId) => {
+        try {
+          const result = await this.autoMessaging[method](scheduleId);
+          return { success: true, data: result };
+        } catch (error) {
+          this.errorHandler.handleError(channel, error);
+          return { success: false, error: error.message };
+        }
+      });
+    }
+
+    ipcMain.handle(
+      "autoMessage:previewRule",
+      async (event, recurrence, count) => {
+        try {
+          const preview = this.autoMessaging.previewRecurrence(
+            recurrence,
+            count
+          );
+          return { success: true, data: preview };
+        } catch (error) {
+          // Invalid rules are expected while the user is still typing
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
     ipcMain.handle("template:save", async (event, templateData) => {
       try {
         const result = await this.autoMessaging.saveTemplate(templateData);
@@ -256,6 +658,140 @@ class WhatsAppMultiApp {
       }
     });
 
+    ipcMain.handle("template:update", async (event, templateId, updates) => {
+      try {
+        const result = await this.autoMessaging.updateTemplate(
+          templateId,
+          updates
+        );
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("template:update", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("template:delete", async (event, templateId) => {
+      try {
+        const result = await this.autoMessaging.deleteTemplate(templateId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("template:delete", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("template:versions", async (event, templateId) => {
+      try {
+        const versions = await this.autoMessaging.getTemplateVersions(
+          templateId
+        );
+        return { success: true, data: versions };
+      } catch (error) {
+        this.errorHandler.handleError("template:versions", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("template:restore", async (event, templateId, version) => {
+      try {
+        const result = await this.autoMessaging.restoreTemplateVersion(
+          templateId,
+          version
+        );
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("template:restore", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("template:categories", async () => {
+      try {
+        const categories = await this.autoMessaging.getTemplateCategories();
+        return { success: true, data: categories };
+      } catch (error) {
+        this.errorHandler.handleError("template:categories", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("template:export", async (event, templateIds) => {
+      try {
+        const data = this.autoMessaging.exportTemplates(templateIds);
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+          title: "Export templates",
+          defaultPath: "templates.json",
+          filters: [{ name: "JSON", extensions: ["json"] }],
+        });
+        if (result.canceled || !result.filePath) {
+          return { success: true, data: null };
+        }
+
+        fs.writeFileSync(result.filePath, JSON.stringify(data, null, 2));
+        return {
+          success: true,
+          data: { filePath: result.filePath, count: data.templates.length },
+        };
+      } catch (error) {
+        this.errorHandler.handleError("template:export", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("template:import", async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: "Import templates",
+          properties: ["openFile"],
+          filters: [{ name: "JSON", extensions: ["json"] }],
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+          return { success: true, data: null };
+        }
+
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(result.filePaths[0], "utf8"));
+        } catch (error) {
+          throw new Error("Template file is not valid JSON");
+        }
+
+        const summary = await this.autoMessaging.importTemplates(data);
+        return { success: true, data: summary };
+      } catch (error) {
+        this.errorHandler.handleError("template:import", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "template:render",
+      async (event, templateContent, variables, options) => {
+        try {
+          const text = this.autoMessaging.processTemplate(
+            templateContent,
+            variables,
+            options
+          );
+          return { success: true, data: { text } };
+        } catch (error) {
+          // Half-typed templates fail to parse; the preview shows why
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle("template:validate", async (event, templateContent) => {
+      try {
+        const result = this.autoMessaging.validateTemplate(templateContent);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("template:validate", error);
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle("template:list", async () => {
       try {
         const templates = await this.autoMessaging.getTemplates();
@@ -266,6 +802,374 @@ class WhatsAppMultiApp {
       }
     });
 
+    // Auto-reply rules IPC handlers
+    ipcMain.handle("autoReply:list", async (event, accountId) => {
+      try {
+        const rules = this.autoReply.getRules(accountId);
+        return { success: true, data: rules };
+      } catch (error) {
+        this.errorHandler.handleError("autoReply:list", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoReply:create", async (event, accountId, ruleData) => {
+      try {
+        const rule = await this.autoReply.createRule(accountId, ruleData);
+        return { success: true, data: rule };
+      } catch (error) {
+        this.errorHandler.handleError("autoReply:create", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "autoReply:update",
+      async (event, accountId, ruleId, updates) => {
+        try {
+          const rule = await this.autoReply.updateRule(
+            accountId,
+            ruleId,
+            updates
+          );
+          return { success: true, data: rule };
+        } catch (error) {
+          this.errorHandler.handleError("autoReply:update", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle("autoReply:delete", async (event, accountId, ruleId) => {
+      try {
+        const result = await this.autoReply.deleteRule(accountId, ruleId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("autoReply:delete", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoReply:reorder", async (event, accountId, ruleIds) => {
+      try {
+        const rules = await this.autoReply.reorderRules(accountId, ruleIds);
+        return { success: true, data: rules };
+      } catch (error) {
+        this.errorHandler.handleError("autoReply:reorder", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("autoReply:test", async (event, accountId, sample) => {
+      try {
+        const result = this.autoReply.testMessage(accountId, sample);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("autoReply:test", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Contact book IPC handlers
+    ipcMain.handle("contacts:list", async (event, accountId, options) => {
+      try {
+        const contacts = this.contactBook.listContacts(accountId, options);
+        return { success: true, data: contacts };
+      } catch (error) {
+        this.errorHandler.handleError("contacts:list", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("contacts:get", async (event, accountId, contactId) => {
+      try {
+        const contact = this.contactBook.getContact(accountId, contactId);
+        return { success: true, data: contact };
+      } catch (error) {
+        this.errorHandler.handleError("contacts:get", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "contacts:update",
+      async (event, accountId, contactId, updates) => {
+        try {
+          const contact = this.contactBook.updateContact(
+            accountId,
+            contactId,
+            updates
+          );
+          return { success: true, data: contact };
+        } catch (error) {
+          this.errorHandler.handleError("contacts:update", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle("contacts:sync", async (event, accountId) => {
+      try {
+        const result = await this.accountManager.syncContacts(accountId);
+        return { success: true, data: result };
+      } catch (error) {
+        this.errorHandler.handleError("contacts:sync", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("contacts:labels", async (event, accountId) => {
+      try {
+        const labels = this.contactBook.getLabels(accountId);
+        return { success: true, data: labels };
+      } catch (error) {
+        this.errorHandler.handleError("contacts:labels", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // The variables a template gets for this recipient at send time
+    ipcMain.handle(
+      "contacts:templateFields",
+      async (event, accountId, target) => {
+        try {
+          const fields = await this.accountManager.getContactFields(
+            accountId,
+            target
+          );
+          return { success: true, data: fields };
+        } catch (error) {
+          this.errorHandler.handleError("contacts:templateFields", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    // Group management IPC handlers
+    ipcMain.handle("group:get", async (event, accountId, groupId) => {
+      try {
+        const group = await this.groupManager.getGroupInfo(accountId, groupId);
+        return { success: true, data: group };
+      } catch (error) {
+        this.errorHandler.handleError("group:get", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "group:create",
+      async (event, accountId, subject, participants) => {
+        try {
+          const result = await this.groupManager.createGroup(
+            accountId,
+            subject,
+            participants
+          );
+          return { success: true, data: result };
+        } catch (error) {
+          this.errorHandler.handleError("group:create", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle(
+      "group:participants",
+      async (event, accountId, groupId, action, participants) => {
+        try {
+          const result = await this.groupManager.updateParticipants(
+            accountId,
+            groupId,
+            action,
+            participants
+          );
+          return { success: true, data: result };
+        } catch (error) {
+          this.errorHandler.handleError("group:participants", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle(
+      "group:update",
+      async (event, accountId, groupId, updates) => {
+        try {
+          const group = await this.groupManager.updateGroup(
+            accountId,
+            groupId,
+            updates
+          );
+          return { success: true, data: group };
+        } catch (error) {
+          this.errorHandler.handleError("group:update", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle("group:inviteLink", async (event, accountId, groupId) => {
+      try {
+        const invite = await this.groupManager.getInviteLink(
+          accountId,
+          groupId
+        );
+        return { success: true, data: invite };
+      } catch (error) {
+        this.errorHandler.handleError("group:inviteLink", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("group:revokeInvite", async (event, accountId, groupId) => {
+      try {
+        const invite = await this.groupManager.revokeInviteLink(
+          accountId,
+          groupId
+        );
+        return { success: true, data: invite };
+      } catch (error) {
+        this.errorHandler.handleError("group:revokeInvite", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Away responder IPC handlers
+    ipcMain.handle("away:get", async (event, accountId) => {
+      try {
+        const away = this.awayResponder.getSettings(accountId);
+        return { success: true, data: away };
+      } catch (error) {
+        this.errorHandler.handleError("away:get", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("away:update", async (event, accountId, updates) => {
+      try {
+        const away = this.awayResponder.updateSettings(accountId, updates);
+        return { success: true, data: away };
+      } catch (error) {
+        this.errorHandler.handleError("away:update", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("away:set", async (event, accountId, until) => {
+      try {
+        const status = this.awayResponder.setAway(accountId, until);
+        return { success: true, data: status };
+      } catch (error) {
+        this.errorHandler.handleError("away:set", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Campaign IPC handlers
+    ipcMain.handle("campaign:chooseContacts", async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: "Choose contact list",
+          properties: ["openFile"],
+          filters: [{ name: "Contact lists", extensions: ["csv", "xlsx"] }],
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+          return { success: true, data: null };
+        }
+
+        const preview = this.campaignManager.previewContacts(
+          result.filePaths[0]
+        );
+        return { success: true, data: preview };
+      } catch (error) {
+        this.errorHandler.handleError("campaign:chooseContacts", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle(
+      "campaign:previewContacts",
+      async (event, filePath, phoneColumn) => {
+        try {
+          const preview = this.campaignManager.previewContacts(
+            filePath,
+            phoneColumn
+          );
+          return { success: true, data: preview };
+        } catch (error) {
+          this.errorHandler.handleError("campaign:previewContacts", error);
+          return { success: false, error: error.message };
+        }
+      }
+    );
+
+    ipcMain.handle("campaign:create", async (event, campaignData) => {
+      try {
+        const campaign = await this.campaignManager.createCampaign(
+          campaignData
+        );
+        return { success: true, data: campaign };
+      } catch (error) {
+        this.errorHandler.handleError("campaign:create", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("campaign:list", async () => {
+      try {
+        const campaigns = await this.campaignManager.getCampaigns();
+        return { success: true, data: campaigns };
+      } catch (error) {
+        this.errorHandler.handleError("campaign:list", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle("campaign:getReport", async (event, campaignId) => {
+      try {
+        const report = this.campaignManager.getReport(campaignId);
+        return { success: true, data: report };
+      } catch (error) {
+        this.errorHandler.handleError("campaign:getReport", error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    for (const action of ["start", "pause", "resume", "cancel", "delete"]) {
+      const channel = `campaign:${action}`;
+      const method = `${action}Campaign`;
+
+      ipcMain.handle(channel, async (event, campaignId) => {
+        try {
+          const result = await this.campaignManager[method](campaignId);
+          return { success: true, data: result };
+        } catch (error) {
+          this.errorHandler.handleError(channel, error);
+          return { success: false, error: error.message };
+        }
+      });
+    }
+
+    ipcMain.handle("campaign:exportReport", async (event, campaignId) => {
+      try {
+        const csv = this.campaignManager.exportReport(campaignId);
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+          title: "Export campaign report",
+          defaultPath: `${campaignId}-report.csv`,
+          filters: [{ name: "CSV", extensions: ["csv"] }],
+        });
+        if (result.canceled || !result.filePath) {
+          return { success: true, data: null };
+        }
+
+        fs.writeFileSync(result.filePath, csv);
+        return { success: true, data: { filePath: result.filePath } };
+      } catch (error) {
+        this.errorHandler.handleError("campaign:exportReport", error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // System IPC handlers
     ipcMain.handle("system:getStatus", async () => {
       try {
@@ -292,6 +1196,15 @@ class WhatsAppMultiApp {
   cleanup() {
     console.log("Cleaning up application...");
 
+    // Stop the watchdog before the clients it watches
+    if (this.healthMonitor) {
+      this.healthMonitor.stop();
+    }
+
+    if (this.awayResponder) {
+      this.awayResponder.stop();
+    }
+
     // Stop all WhatsApp clients
     if (this.accountManager) {
       this.accountManager.cleanup();
@@ -302,6 +1215,11 @@ class WhatsAppMultiApp {
       this.autoMessaging.cleanup();
     }
 
+    // Pause running campaigns
+    if (this.campaignManager) {
+      this.campaignManager.cleanup();
+    }
+
     console.log("Cleanup completed");
   }
 }
@@ -8,6 +8,15 @@ contextBridge.exposeInMainWorld("electronAPI", {
     create: (accountData) => ipcRenderer.invoke("account:create", accountData),
     list: () => ipcRenderer.invoke("account:list"),
     switch: (accountId) => ipcRenderer.invoke("account:switch", accountId),
+    rename: (accountId, displayName) =>
+      ipcRenderer.invoke("account:rename", accountId, displayName),
+    reorder: (accountIds) => ipcRenderer.invoke("account:reorder", accountIds),
+    reconnect: (accountId) =>
+      ipcRenderer.invoke("account:reconnect", accountId),
+    disconnect: (accountId) =>
+      ipcRenderer.invoke("account:disconnect", accountId),
+    logout: (accountId) => ipcRenderer.invoke("account:logout", accountId),
+    remove: (accountId) => ipcRenderer.invoke("account:remove", accountId),
     getQR: (accountId) => ipcRenderer.invoke("account:getQR", accountId),
     fallbackQR: (accountId) =>
       ipcRenderer.invoke("account:fallbackQR", accountId), // Add this line
@@ -17,7 +26,49 @@ contextBridge.exposeInMainWorld("electronAPI", {
   message: {
     send: (accountId, phoneNumber, message) =>
       ipcRenderer.invoke("message:send", accountId, phoneNumber, message),
+    sendMedia: (accountId, chatId, mediaData) =>
+      ipcRenderer.invoke("message:sendMedia", accountId, chatId, mediaData),
     getChats: (accountId) => ipcRenderer.invoke("message:getChats", accountId),
+    getAllChats: () => ipcRenderer.invoke("message:getAllChats"),
+    getHistory: (accountId, chatId, options) =>
+      ipcRenderer.invoke("message:getHistory", accountId, chatId, options),
+    markRead: (accountId, chatId) =>
+      ipcRenderer.invoke("message:markRead", accountId, chatId),
+  },
+
+  // Downloaded media APIs
+  media: {
+    get: (accountId, messageId) =>
+      ipcRenderer.invoke("media:get", accountId, messageId),
+    listChat: (accountId, chatId) =>
+      ipcRenderer.invoke("media:listChat", accountId, chatId),
+    getSettings: (accountId) =>
+      ipcRenderer.invoke("media:getSettings", accountId),
+    updateSettings: (accountId, settings) =>
+      ipcRenderer.invoke("media:updateSettings", accountId, settings),
+  },
+
+  // Per-account send limits
+  governor: {
+    getStatus: (accountId) =>
+      ipcRenderer.invoke("governor:getStatus", accountId),
+    updateSettings: (accountId, settings) =>
+      ipcRenderer.invoke("governor:updateSettings", accountId, settings),
+  },
+
+  // Cross-account search APIs
+  search: {
+    global: (query, options) =>
+      ipcRenderer.invoke("search:global", query, options),
+  },
+
+  // Encrypted message archive APIs
+  archive: {
+    getStatus: () => ipcRenderer.invoke("archive:getStatus"),
+    unlock: (passphrase) => ipcRenderer.invoke("archive:unlock", passphrase),
+    lock: () => ipcRenderer.invoke("archive:lock"),
+    search: (query, options) =>
+      ipcRenderer.invoke("archive:search", query, options),
   },
 
   // Auto-messaging APIs
@@ -25,12 +76,128 @@ contextBridge.exposeInMainWorld("electronAPI", {
     schedule: (scheduleData) =>
       ipcRenderer.invoke("autoMessage:schedule", scheduleData),
     getScheduled: () => ipcRenderer.invoke("autoMessage:getScheduled"),
+    get: (scheduleId) => ipcRenderer.invoke("autoMessage:get", scheduleId),
+    update: (scheduleId, updates) =>
+      ipcRenderer.invoke("autoMessage:update", scheduleId, updates),
+    pause: (scheduleId) => ipcRenderer.invoke("autoMessage:pause", scheduleId),
+    resume: (scheduleId) =>
+      ipcRenderer.invoke("autoMessage:resume", scheduleId),
+    duplicate: (scheduleId) =>
+      ipcRenderer.invoke("autoMessage:duplicate", scheduleId),
+    runNow: (scheduleId) =>
+      ipcRenderer.invoke("autoMessage:runNow", scheduleId),
+    cancel: (scheduleId) =>
+      ipcRenderer.invoke("autoMessage:cancel", scheduleId),
+    previewRule: (recurrence, count) =>
+      ipcRenderer.invoke("autoMessage:previewRule", recurrence, count),
+    deadLetters: () => ipcRenderer.invoke("autoMessage:deadLetters"),
+    resendDeadLetter: (letterId) =>
+      ipcRenderer.invoke("autoMessage:resendDeadLetter", letterId),
+    dismissDeadLetter: (letterId) =>
+      ipcRenderer.invoke("autoMessage:dismissDeadLetter", letterId),
   },
 
   // Template APIs
   template: {
     save: (templateData) => ipcRenderer.invoke("template:save", templateData),
     list: () => ipcRenderer.invoke("template:list"),
+    update: (templateId, updates) =>
+      ipcRenderer.invoke("template:update", templateId, updates),
+    delete: (templateId) => ipcRenderer.invoke("template:delete", templateId),
+    versions: (templateId) =>
+      ipcRenderer.invoke("template:versions", templateId),
+    restore: (templateId, version) =>
+      ipcRenderer.invoke("template:restore", templateId, version),
+    categories: () => ipcRenderer.invoke("template:categories"),
+    export: (templateIds) => ipcRenderer.invoke("template:export", templateIds),
+    import: () => ipcRenderer.invoke("template:import"),
+    render: (templateContent, variables, options) =>
+      ipcRenderer.invoke(
+        "template:render",
+        templateContent,
+        variables,
+        options
+      ),
+    validate: (templateContent) =>
+      ipcRenderer.invoke("template:validate", templateContent),
+  },
+
+  // Campaign APIs
+  campaign: {
+    chooseContacts: () => ipcRenderer.invoke("campaign:chooseContacts"),
+    previewContacts: (filePath, phoneColumn) =>
+      ipcRenderer.invoke("campaign:previewContacts", filePath, phoneColumn),
+    create: (campaignData) =>
+      ipcRenderer.invoke("campaign:create", campaignData),
+    list: () => ipcRenderer.invoke("campaign:list"),
+    start: (campaignId) => ipcRenderer.invoke("campaign:start", campaignId),
+    pause: (campaignId) => ipcRenderer.invoke("campaign:pause", campaignId),
+    resume: (campaignId) => ipcRenderer.invoke("campaign:resume", campaignId),
+    cancel: (campaignId) => ipcRenderer.invoke("campaign:cancel", campaignId),
+    delete: (campaignId) => ipcRenderer.invoke("campaign:delete", campaignId),
+    getReport: (campaignId) =>
+      ipcRenderer.invoke("campaign:getReport", campaignId),
+    exportReport: (campaignId) =>
+      ipcRenderer.invoke("campaign:exportReport", campaignId),
+  },
+
+  // Inbound auto-reply rules, per account
+  autoReply: {
+    list: (accountId) => ipcRenderer.invoke("autoReply:list", accountId),
+    create: (accountId, ruleData) =>
+      ipcRenderer.invoke("autoReply:create", accountId, ruleData),
+    update: (accountId, ruleId, updates) =>
+      ipcRenderer.invoke("autoReply:update", accountId, ruleId, updates),
+    delete: (accountId, ruleId) =>
+      ipcRenderer.invoke("autoReply:delete", accountId, ruleId),
+    reorder: (accountId, ruleIds) =>
+      ipcRenderer.invoke("autoReply:reorder", accountId, ruleIds),
+    test: (accountId, sample) =>
+      ipcRenderer.invoke("autoReply:test", accountId, sample),
+  },
+
+  // Contact book: labels, notes and custom fields, per account
+  contacts: {
+    list: (accountId, options) =>
+      ipcRenderer.invoke("contacts:list", accountId, options),
+    get: (accountId, contactId) =>
+      ipcRenderer.invoke("contacts:get", accountId, contactId),
+    update: (accountId, contactId, updates) =>
+      ipcRenderer.invoke("contacts:update", accountId, contactId, updates),
+    sync: (accountId) => ipcRenderer.invoke("contacts:sync", accountId),
+    labels: (accountId) => ipcRenderer.invoke("contacts:labels", accountId),
+    templateFields: (accountId, target) =>
+      ipcRenderer.invoke("contacts:templateFields", accountId, target),
+  },
+
+  // Group administration - changes need the account to be a group admin
+  group: {
+    get: (accountId, groupId) =>
+      ipcRenderer.invoke("group:get", accountId, groupId),
+    create: (accountId, subject, participants) =>
+      ipcRenderer.invoke("group:create", accountId, subject, participants),
+    participants: (accountId, groupId, action, participants) =>
+      ipcRenderer.invoke(
+        "group:participants",
+        accountId,
+        groupId,
+        action,
+        participants
+      ),
+    update: (accountId, groupId, updates) =>
+      ipcRenderer.invoke("group:update", accountId, groupId, updates),
+    inviteLink: (accountId, groupId) =>
+      ipcRenderer.invoke("group:inviteLink", accountId, groupId),
+    revokeInvite: (accountId, groupId) =>
+      ipcRenderer.invoke("group:revokeInvite", accountId, groupId),
+  },
+
+  // Business hours and away mode, per account
+  away: {
+    get: (accountId) => ipcRenderer.invoke("away:get", accountId),
+    update: (accountId, updates) =>
+      ipcRenderer.invoke("away:update", accountId, updates),
+    set: (accountId, until) => ipcRenderer.invoke("away:set", accountId, until),
   },
 
   // System APIs
@@ -47,6 +214,38 @@ contextBridge.exposeInMainWorld("electronAPI", {
     ipcRenderer.on("message:received", (event, data) => callback(data));
   },
 
+  onMessageAck: (callback) => {
+    ipcRenderer.on("message:ack", (event, data) => callback(data));
+  },
+
+  onScheduleExecuted: (callback) => {
+    ipcRenderer.on("schedule:executed", (event, data) => callback(data));
+  },
+
+  onScheduleDelivery: (callback) => {
+    ipcRenderer.on("schedule:delivery", (event, data) => callback(data));
+  },
+
+  onCampaignProgress: (callback) => {
+    ipcRenderer.on("campaign:progress", (event, data) => callback(data));
+  },
+
+  onAccountThrottled: (callback) => {
+    ipcRenderer.on("account:throttled", (event, data) => callback(data));
+  },
+
+  onAccountAway: (callback) => {
+    ipcRenderer.on("account:away", (event, data) => callback(data));
+  },
+
+  onMediaDownloaded: (callback) => {
+    ipcRenderer.on("message:media", (event, data) => callback(data));
+  },
+
+  onMediaProgress: (callback) => {
+    ipcRenderer.on("message:media-progress", (event, data) => callback(data));
+  },
+
   onQRUpdate: (callback) => {
     ipcRenderer.on("qr:update", (event, data) => callback(data));
   },
@@ -121,6 +320,14 @@ contextBridge.exposeInMainWorld("electronAPI", {
     ipcRenderer.on("account:auth-failed", (event, data) => callback(data));
   },
 
+  onAccountRetry: (callback) => {
+    ipcRenderer.on("account:retry", (event, data) => callback(data));
+  },
+
+  onAccountHeartbeat: (callback) => {
+    ipcRenderer.on("account:heartbeat", (event, data) => callback(data));
+  },
+
   // Remove event listeners
   removeAllListeners: (channel) => {
     ipcRenderer.removeAllListeners(channel);
@@ -153,19 +360,18 @@ contextBridge.exposeInMainWorld("utils", {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   },
 
-  // Template variable processing (client-side for preview)
-  processTemplate: (template, variables = {}) => {
-    let processed = template;
-    processed = processed.replace(/{name}/g, variables.name || "[Name]");
-    processed = processed.replace(
-      /{date}/g,
-      variables.date || new Date().toLocaleDateString()
-    );
-    processed = processed.replace(
-      /{time}/g,
-      variables.time || new Date().toLocaleTimeString()
+  // Template variable processing - rendered by the main process engine
+  // so previews match what is actually sent
+  processTemplate: async (template, variables = {}) => {
+    const result = await ipcRenderer.invoke(
+      "template:render",
+      template,
+      variables
     );
-    return processed;
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data.text;
   },
 });
 
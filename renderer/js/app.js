@@ -11,6 +11,11 @@ class WhatsAppMultiApp {
     // App state
     this.currentAccount = null;
     this.currentChat = null;
+    this.unifiedInbox = false; // "All Accounts" tab is showing
+    this.history = null; // paging state for the open chat
+    this.globalSearchTimer = null;
+    this.messageStatuses = new Map(); // messageId -> latest delivery status
+    this.globalSearchQuery = null;
     this.accounts = new Map();
     this.isInitialized = false;
 
@@ -46,6 +51,9 @@ class WhatsAppMultiApp {
       // Load existing accounts
       await this.loadAccounts();
 
+      // Remind the user if messages can't be archived yet
+      await this.checkArchiveStatus();
+
       this.isInitialized = true;
       console.log("App initialized successfully");
     } catch (error) {
@@ -67,8 +75,10 @@ class WhatsAppMultiApp {
       // Account tabs
       accountTabs: document.getElementById("accountTabs"),
       addAccountBtn: document.getElementById("addAccountBtn"),
+      allAccountsTab: document.getElementById("allAccountsTab"),
 
       // Top controls
+      globalSearchBtn: document.getElementById("globalSearchBtn"),
       autoMessageBtn: document.getElementById("autoMessageBtn"),
       settingsBtn: document.getElementById("settingsBtn"),
       statusIndicator: document.getElementById("statusIndicator"),
@@ -97,6 +107,18 @@ class WhatsAppMultiApp {
       closeAutoMessageBtn: document.getElementById("closeAutoMessageBtn"),
       closeSettingsBtn: document.getElementById("closeSettingsBtn"),
 
+      // Global search
+      globalSearchModal: document.getElementById("globalSearchModal"),
+      closeGlobalSearchBtn: document.getElementById("closeGlobalSearchBtn"),
+      globalSearchInput: document.getElementById("globalSearchInput"),
+      globalSearchResults: document.getElementById("globalSearchResults"),
+
+      // Message archive settings
+      archiveStatus: document.getElementById("archiveStatus"),
+      archivePassphrase: document.getElementById("archivePassphrase"),
+      archiveUnlockBtn: document.getElementById("archiveUnlockBtn"),
+      archiveLockBtn: document.getElementById("archiveLockBtn"),
+
       // Notifications
       notificationContainer: document.getElementById("notificationContainer"),
       loadingOverlay: document.getElementById("loadingOverlay"),
@@ -121,6 +143,12 @@ class WhatsAppMultiApp {
     this.elements.getStartedBtn?.addEventListener("click", () =>
       this.showAccountSetup()
     );
+    this.elements.allAccountsTab?.addEventListener("click", () =>
+      this.showUnifiedInbox()
+    );
+    this.elements.globalSearchBtn?.addEventListener("click", () =>
+      this.showGlobalSearch()
+    );
     this.elements.autoMessageBtn?.addEventListener("click", () =>
       this.showAutoMessageModal()
     );
@@ -146,6 +174,37 @@ class WhatsAppMultiApp {
     this.elements.closeSettingsBtn?.addEventListener("click", () =>
       this.hideSettingsModal()
     );
+    this.elements.closeGlobalSearchBtn?.addEventListener("click", () =>
+      this.hideGlobalSearch()
+    );
+
+    // Global search - debounce so each keystroke doesn't hit every account
+    this.elements.globalSearchInput?.addEventListener("input", (e) => {
+      clearTimeout(this.globalSearchTimer);
+      this.globalSearchTimer = setTimeout(
+        () => this.runGlobalSearch(e.target.value),
+        250
+      );
+    });
+    this.elements.globalSearchResults?.addEventListener("click", (e) => {
+      const result = e.target.closest(".search-result");
+      if (result) {
+        this.openSearchResult(result.dataset);
+      }
+    });
+
+    // Message archive
+    this.elements.archiveUnlockBtn?.addEventListener("click", () =>
+      this.unlockArchive()
+    );
+    this.elements.archiveLockBtn?.addEventListener("click", () =>
+      this.lockArchive()
+    );
+    this.elements.archivePassphrase?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.unlockArchive();
+      }
+    });
 
     // Chat interface
     this.elements.chatSearch?.addEventListener("input", (e) =>
@@ -156,6 +215,13 @@ class WhatsAppMultiApp {
     );
     this.elements.sendBtn?.addEventListener("click", () => this.sendMessage());
 
+    // Infinite scroll - load older history near the top
+    this.elements.messagesContainer?.addEventListener("scroll", () => {
+      if (this.elements.messagesContainer.scrollTop < 100) {
+        this.loadOlderMessages();
+      }
+    });
+
     // Modal overlay clicks (close on outside click)
     this.elements.autoMessageModal?.addEventListener("click", (e) => {
       if (e.target === this.elements.autoMessageModal) {
@@ -169,6 +235,12 @@ class WhatsAppMultiApp {
       }
     });
 
+    this.elements.globalSearchModal?.addEventListener("click", (e) => {
+      if (e.target === this.elements.globalSearchModal) {
+        this.hideGlobalSearch();
+      }
+    });
+
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) =>
       this.handleKeyboardShortcuts(e)
@@ -198,6 +270,11 @@ class WhatsAppMultiApp {
       this.handleMessageReceived(data);
     });
 
+    // Delivery/read receipts
+    window.electronAPI.onMessageAck?.((data) => {
+      this.handleMessageAck(data);
+    });
+
     // QR code updates
     window.electronAPI.onQRUpdate((data) => {
       console.log("QR update received:", data);
@@ -321,6 +398,19 @@ class WhatsAppMultiApp {
       // Update tab status
       this.updateTabStatus(data.accountId, "connected");
 
+      // Accounts restored from a saved session skip the setup screen
+      if (this.elements.accountSetup?.classList.contains("hidden")) {
+        if (this.unifiedInbox) {
+          this.loadUnifiedInbox();
+        } else if (!this.currentAccount) {
+          this.switchToAccount(data.accountId);
+        } else if (this.currentAccount === data.accountId) {
+          this.updateCurrentAccountInfo(account);
+          this.loadChatsForAccount(data.accountId);
+        }
+        return;
+      }
+
       // Show success and auto-switch
       this.elements.qrContainer.innerHTML = `
     <div class="qr-success">
@@ -481,6 +571,52 @@ class WhatsAppMultiApp {
       this.showNotification(`Authentication failed: ${data.error}`, "error");
     });
 
+    window.electronAPI.onAccountRetry?.((data) => {
+      console.log("Account reconnecting:", data);
+      this.updateTabStatus(data.accountId, "reconnecting");
+    });
+
+    window.electronAPI.onAccountHeartbeat?.((data) => {
+      const account = this.accounts.get(data.accountId);
+      if (!account) return;
+
+      account.health = data.health;
+      const status = document.querySelector(
+        `#accountsOverview .account-overview-status[data-account-id="${data.accountId}"]`
+      );
+      if (status) {
+        status.innerHTML = this.describeAccountHealth(account);
+      }
+    });
+
+    window.electronAPI.onAccountThrottled?.((data) => {
+      console.log("Account throttled:", data);
+      if (data.throttled) {
+        const account = this.accounts.get(data.accountId);
+        this.showNotification(
+          `${
+            account?.displayName || data.accountId
+          } is holding messages back - ${data.message} (next send ${new Date(
+            data.retryAt
+          ).toLocaleTimeString()})`,
+          "warning",
+          8000
+        );
+      }
+
+      if (!this.elements.settingsModal?.classList.contains("hidden")) {
+        this.loadGovernorSettings();
+      }
+    });
+
+    window.electronAPI.onAccountAway?.((data) => {
+      const account = this.accounts.get(data.accountId);
+      if (account) {
+        account.away = data.status;
+      }
+      this.updateAwayBadge(data.accountId, data.status);
+    });
+
     console.log("IPC listeners set up");
   }
 
@@ -524,21 +660,26 @@ class WhatsAppMultiApp {
         // Clear existing accounts
         this.accounts.clear();
 
-        // Add accounts to UI
+        // Add accounts to UI (already sorted by saved tab order)
         for (const account of accounts) {
           this.addAccountTab(account);
           this.accounts.set(account.accountId, account);
+          this.updateTabStatus(
+            account.accountId,
+            this.getTabStatusForAccount(account.onlineStatus)
+          );
+          this.updateAwayBadge(account.accountId, account.away);
         }
 
         // Show appropriate screen
         if (accounts.length > 0) {
           this.showChatInterface();
-          // Switch to first authenticated account
-          const authenticatedAccount = accounts.find(
-            (acc) => acc.isAuthenticated
-          );
-          if (authenticatedAccount) {
-            await this.switchToAccount(authenticatedAccount.accountId);
+          // Switch to first authenticated account, or the first restoring one
+          const initialAccount =
+            accounts.find((acc) => acc.isAuthenticated) ||
+            accounts.find((acc) => acc.onlineStatus === "restoring");
+          if (initialAccount) {
+            await this.switchToAccount(initialAccount.accountId);
           }
         } else {
           this.showWelcomeScreen();
@@ -569,7 +710,15 @@ class WhatsAppMultiApp {
     if (!tab) return;
 
     // Remove all status classes
-    tab.classList.remove("connecting", "connected", "syncing", "ready");
+    tab.classList.remove(
+      "connecting",
+      "connected",
+      "syncing",
+      "ready",
+      "disconnected",
+      "reconnecting",
+      "needs-qr"
+    );
 
     // Add new status
     tab.classList.add(status);
@@ -587,12 +736,58 @@ class WhatsAppMultiApp {
       syncing: "📱",
       connected: "✅",
       ready: "🟢",
+      disconnected: "🔌",
+      reconnecting: "🔁",
+      "needs-qr": "⚠️",
     };
 
     indicator.textContent = statusMap[status] || "❓";
     indicator.title = status.charAt(0).toUpperCase() + status.slice(1);
   }
 
+  /**
+   * Mark tabs that were set away by hand - business hours change too
+   * often to keep a badge current
+   */
+  updateAwayBadge(accountId, away) {
+    const tab = this.elements.accountTabs?.querySelector(
+      `[data-account-id="${accountId}"]`
+    );
+    if (!tab) return;
+
+    let badge = tab.querySelector(".tab-away");
+    if (away?.reason !== "manual") {
+      badge?.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement("span");
+      badge.className = "tab-away";
+      badge.textContent = "🌙";
+      tab.querySelector(".tab-name")?.after(badge);
+    }
+    badge.title = `Away until ${new Date(away.until).toLocaleString()}`;
+  }
+
+  /**
+   * Map a backend account status to a tab status
+   */
+  getTabStatusForAccount(onlineStatus) {
+    const statusMap = {
+      restoring: "connecting",
+      authenticated: "syncing",
+      online: "connected",
+      disconnected: "disconnected",
+      reconnecting: "reconnecting",
+      disabled: "disconnected",
+      error: "disconnected",
+      "needs-qr": "needs-qr",
+    };
+
+    return statusMap[onlineStatus] || "connecting";
+  }
+
   /**
    * Screen management
    */
@@ -1096,6 +1291,7 @@ class WhatsAppMultiApp {
 
     // Insert before add button
     tabsContainer.insertBefore(tab, addButton);
+    this.updateInboxTab();
 
     console.log(`Added tab for account: ${accountData.accountId}`);
   }
@@ -1104,7 +1300,13 @@ class WhatsAppMultiApp {
    * Switch to a specific account
    */
   async switchToAccount(accountId) {
-    if (this.currentAccount === accountId) return;
+    if (this.currentAccount === accountId && !this.unifiedInbox) return;
+
+    // Saved session is gone - send the user back through the QR flow
+    if (this.accounts.get(accountId)?.onlineStatus === "needs-qr") {
+      await this.relinkAccount(accountId);
+      return;
+    }
 
     try {
       this.showLoading("Switching account...");
@@ -1116,6 +1318,8 @@ class WhatsAppMultiApp {
 
         // Update current account
         this.currentAccount = accountId;
+        this.unifiedInbox = false;
+        window.ContactsUI?.hide();
         this.accounts.set(accountId, {
           ...this.accounts.get(accountId),
           ...accountData,
@@ -1145,6 +1349,132 @@ class WhatsAppMultiApp {
     }
   }
 
+  /**
+   * The "All Accounts" tab only earns its place with two or more accounts
+   */
+  updateInboxTab() {
+    const count =
+      this.elements.accountTabs?.querySelectorAll(".tab-btn[data-account-id]")
+        .length || 0;
+    this.elements.allAccountsTab?.classList.toggle(
+      "hidden",
+      count < 2 && !this.unifiedInbox
+    );
+  }
+
+  /**
+   * Unified inbox: chats from every ready account in one list. Opening
+   * a chat makes its account current without leaving the inbox, so
+   * history, read receipts and replies all go through that account
+   */
+  async showUnifiedInbox() {
+    this.unifiedInbox = true;
+    this.currentAccount = null;
+    this.currentChat = null;
+    this.history = null;
+    window.ContactsUI?.hide();
+
+    this.updateActiveTab(null);
+    this.elements.allAccountsTab?.classList.add("active");
+
+    const accountInfo = this.elements.currentAccountInfo;
+    const avatar = accountInfo?.querySelector(".account-avatar .avatar-text");
+    const name = accountInfo?.querySelector(".account-name");
+    if (avatar) avatar.textContent = "📥";
+    if (name) name.textContent = "All Accounts";
+
+    const header = this.elements.chatHeader;
+    header.querySelector(".contact-avatar .avatar-text").textContent = "?";
+    header.querySelector(".contact-name").textContent = "Select a chat";
+    header.querySelector(".contact-status").textContent =
+      "replies go out through the chat's own account";
+
+    this.elements.messagesContainer.innerHTML = `
+      <div class="no-chat-selected">
+        <div class="no-chat-content">
+          <h3>All Accounts</h3>
+          <p>Chats from every ready account, most recent first</p>
+        </div>
+      </div>
+    `;
+    this.elements.messageInput.disabled = true;
+    this.elements.sendBtn.disabled = true;
+
+    this.showChatInterface();
+    await this.loadUnifiedInbox();
+  }
+
+  async loadUnifiedInbox() {
+    if (!window.electronAPI) return;
+
+    try {
+      const response = await window.electronAPI.message.getAllChats();
+
+      // The user may have picked an account tab while this was loading
+      if (!this.unifiedInbox) return;
+
+      if (!response.success) {
+        console.error("Failed to load chats:", response.error);
+        this.displayChats([]);
+        return;
+      }
+
+      const chats = response.data;
+      this.displayChats(chats);
+      if (this.currentChat) {
+        this.updateActiveChatItem(this.currentChat);
+      }
+
+      // Tab badges reflect each account's real unread total
+      const unread = new Map();
+      for (const chat of chats) {
+        unread.set(
+          chat.accountId,
+          (unread.get(chat.accountId) || 0) + (chat.unreadCount || 0)
+        );
+      }
+      for (const [accountId, count] of unread) {
+        const account = this.accounts.get(accountId);
+        if (account) {
+          account.unreadCount = count;
+        }
+        this.updateTabUnreadCount(accountId, count);
+      }
+
+      const status =
+        this.elements.currentAccountInfo?.querySelector(".account-status");
+      if (status) {
+        status.textContent = `${unread.size} of ${this.accounts.size} accounts ready`;
+      }
+
+      console.log(`Loaded ${chats.length} chats from ${unread.size} accounts`);
+    } catch (error) {
+      console.error("Error loading unified inbox:", error);
+      this.displayChats([]);
+    }
+  }
+
+  /**
+   * Re-link an existing account whose saved session is no longer valid
+   */
+  async relinkAccount(accountId) {
+    const account = this.accounts.get(accountId);
+
+    this.hideAllScreens();
+    this.elements.accountSetup?.classList.remove("hidden");
+    this.elements.accountName.value = account?.displayName || accountId;
+    this.elements.confirmSetupBtn.disabled = true;
+
+    this.showNotification(
+      `Session for "${
+        account?.displayName || accountId
+      }" expired. Scan the QR code to link it again.`,
+      "warning"
+    );
+
+    await this.retryQRGeneration(accountId);
+  }
+
   /**
    * Update active tab styling
    */
@@ -1205,6 +1535,17 @@ class WhatsAppMultiApp {
       if (response.success) {
         const chats = response.data;
         this.displayChats(chats);
+
+        // Tab badge reflects the real unread total for this account
+        const account = this.accounts.get(accountId);
+        if (account) {
+          account.unreadCount = chats.reduce(
+            (total, chat) => total + (chat.unreadCount || 0),
+            0
+          );
+          this.updateTabUnreadCount(accountId, account.unreadCount);
+        }
+
         console.log(`Loaded ${chats.length} chats for account ${accountId}`);
       } else {
         console.error("Failed to load chats:", response.error);
@@ -1241,8 +1582,7 @@ class WhatsAppMultiApp {
     // Add click handlers
     chatList.querySelectorAll(".chat-item").forEach((item) => {
       item.addEventListener("click", () => {
-        const chatId = item.dataset.chatId;
-        this.selectChat(chatId);
+        this.selectChat(item.dataset.chatId, item.dataset.accountId);
       });
     });
   }
@@ -1254,19 +1594,33 @@ class WhatsAppMultiApp {
     const lastMessage = chat.lastMessage;
     const timeStr = lastMessage ? utils.formatTime(lastMessage.timestamp) : "";
     const messagePreview = lastMessage
-      ? lastMessage.body.length > 50
-        ? lastMessage.body.substring(0, 50) + "..."
-        : lastMessage.body
+      ? this.getMessagePreview(lastMessage.body)
       : "No messages yet";
+    const escape = (text) => this.escapeHtml(text);
+
+    // In the unified inbox every row says which account it belongs to
+    const account = this.unifiedInbox
+      ? this.accounts.get(chat.accountId)
+      : null;
+    const accountBadge = this.unifiedInbox
+      ? `<span class="chat-account-badge">${escape(
+          account?.displayName || chat.accountId
+        )}</span>`
+      : "";
 
     return `
-      <div class="chat-item" data-chat-id="${chat.id}">
+      <div class="chat-item" data-chat-id="${escape(
+        chat.id
+      )}" data-account-id="${escape(chat.accountId)}">
         <div class="contact-avatar">
-          <span class="avatar-text">${this.getContactInitial(chat.name)}</span>
+          <span class="avatar-text">${escape(
+            this.getContactInitial(chat.name)
+          )}</span>
         </div>
         <div class="chat-details">
-          <span class="contact-name">${chat.name || chat.id}</span>
-          <span class="last-message">${messagePreview}</span>
+          <span class="contact-name">${escape(chat.name || chat.id)}</span>
+          ${accountBadge}
+          <span class="last-message">${escape(messagePreview)}</span>
         </div>
         <div class="chat-meta">
           ${timeStr ? `<span class="message-time">${timeStr}</span>` : ""}
@@ -1280,6 +1634,14 @@ class WhatsAppMultiApp {
     `;
   }
 
+  /**
+   * Shorten a message body for the chat list
+   */
+  getMessagePreview(body) {
+    if (!body) return "📎 Media";
+    return body.length > 50 ? body.substring(0, 50) + "..." : body;
+  }
+
   /**
    * Get contact initial for avatar
    */
@@ -1290,19 +1652,54 @@ class WhatsAppMultiApp {
 
   /**
    * Select a chat
+   * In the unified inbox the chat's account becomes the current one
    */
-  selectChat(chatId) {
+  selectChat(chatId, accountId = this.currentAccount) {
+    if (this.unifiedInbox) {
+      this.currentAccount = accountId;
+    }
+
     // Update UI
     this.updateActiveChatItem(chatId);
     this.updateChatHeader(chatId);
-    this.loadMessagesForChat(chatId);
+    const loading = this.loadMessagesForChat(chatId);
 
     // Enable message input
     this.elements.messageInput.disabled = false;
     this.elements.sendBtn.disabled = false;
 
     this.currentChat = chatId;
+    this.markChatRead(this.currentAccount, chatId);
+    window.ContactsUI?.handleChatSelected(this.currentAccount, chatId);
     console.log(`Selected chat: ${chatId}`);
+
+    return loading;
+  }
+
+  /**
+   * Clear a chat's unread badge and tell WhatsApp it was seen
+   */
+  async markChatRead(accountId, chatId) {
+    if (!window.electronAPI || !accountId) return;
+
+    this.updateChatListItem(accountId, chatId, { unreadCount: 0 });
+
+    try {
+      const response = await window.electronAPI.message.markRead(
+        accountId,
+        chatId
+      );
+
+      if (response.success) {
+        const account = this.accounts.get(accountId);
+        if (account) {
+          account.unreadCount = response.data.unreadCount;
+        }
+        this.updateTabUnreadCount(accountId, response.data.unreadCount);
+      }
+    } catch (error) {
+      console.error("Error marking chat as read:", error);
+    }
   }
 
   /**
@@ -1312,12 +1709,25 @@ class WhatsAppMultiApp {
     const chatItems = this.elements.chatList?.querySelectorAll(".chat-item");
     chatItems?.forEach((item) => {
       item.classList.remove("active");
-      if (item.dataset.chatId === chatId) {
+      if (
+        item.dataset.chatId === chatId &&
+        item.dataset.accountId === this.currentAccount
+      ) {
         item.classList.add("active");
       }
     });
   }
 
+  /**
+   * A chat row - the same chat can be listed under two accounts in the
+   * unified inbox, so rows are found by account too
+   */
+  getChatItem(accountId, chatId) {
+    return this.elements.chatList?.querySelector(
+      `.chat-item[data-account-id="${accountId}"][data-chat-id="${chatId}"]`
+    );
+  }
+
   /**
    * Update chat header with selected contact info
    */
@@ -1326,9 +1736,7 @@ class WhatsAppMultiApp {
     if (!chatHeader) return;
 
     // Find chat data
-    const chatItem = this.elements.chatList?.querySelector(
-      `[data-chat-id="${chatId}"]`
-    );
+    const chatItem = this.getChatItem(this.currentAccount, chatId);
     if (!chatItem) return;
 
     const contactName =
@@ -1346,33 +1754,125 @@ class WhatsAppMultiApp {
     }
 
     if (status) {
-      status.textContent = "Click to view contact info";
+      const account = this.accounts.get(this.currentAccount);
+      status.textContent = this.unifiedInbox
+        ? `Replying as ${account?.displayName || this.currentAccount}`
+        : chatId.endsWith("@g.us")
+        ? "Click to view group info"
+        : "Click to view contact info";
     }
   }
 
   /**
    * Load messages for selected chat
    */
-  loadMessagesForChat(chatId) {
-    // For now, show placeholder - would integrate with backend message loading
+  async loadMessagesForChat(chatId) {
     const messagesContainer = this.elements.messagesContainer;
     if (!messagesContainer) return;
 
     messagesContainer.innerHTML = `
-      <div class="chat-messages" id="chatMessages">
-        <div class="message received">
-          <div class="message-bubble">
-            <div class="message-content">Welcome to WhatsApp Multi! Start typing to send your first message.</div>
-            <div class="message-time">${utils.formatTime(Date.now())}</div>
-          </div>
-        </div>
-      </div>
+      <div class="chat-messages" id="chatMessages"></div>
     `;
 
+    this.history = {
+      accountId: this.currentAccount,
+      chatId: chatId,
+      oldestId: null,
+      hasMore: true,
+      loading: false,
+    };
+
+    await this.loadOlderMessages();
+
     // Scroll to bottom
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
+  /**
+   * Load the next page of older messages and prepend it
+   */
+  async loadOlderMessages() {
+    const history = this.history;
+    if (!history || history.loading || !history.hasMore) return;
+    if (history.limitReached || !window.electronAPI) return;
+
+    const chatMessages = document.getElementById("chatMessages");
+    const messagesContainer = this.elements.messagesContainer;
+    if (!chatMessages) return;
+
+    history.loading = true;
+
+    const loader = document.createElement("div");
+    loader.className = "history-loader";
+    loader.innerHTML = '<div class="loading-spinner"></div>';
+    chatMessages.prepend(loader);
+
+    try {
+      const response = await window.electronAPI.message.getHistory(
+        history.accountId,
+        history.chatId,
+        { before: history.oldestId, limit: 50 }
+      );
+
+      // The user may have switched chats while this page was loading
+      if (this.history !== history) return;
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const { messages, hasMore, limitReached } = response.data;
+      history.hasMore = hasMore;
+      history.limitReached = Boolean(limitReached);
+
+      if (messages.length > 0) {
+        history.oldestId = messages[0].id;
+
+        // Keep the viewport anchored while content grows above it
+        const previousHeight = messagesContainer.scrollHeight;
+        const fragment = document.createDocumentFragment();
+        messages.forEach((message) => {
+          fragment.appendChild(this.createMessageElement(message));
+        });
+        loader.after(fragment);
+        messagesContainer.scrollTop +=
+          messagesContainer.scrollHeight - previousHeight;
+      } else if (!chatMessages.querySelector(".message")) {
+        chatMessages.innerHTML = `
+          <div class="message system">
+            <div class="message-bubble">
+              <div class="message-content">No messages yet</div>
+            </div>
+          </div>
+        `;
+      }
+
+      // There's more, but not that can be loaded - say so at the top
+      if (history.limitReached) {
+        loader.insertAdjacentHTML(
+          "afterend",
+          `
+          <div class="message system history-limit">
+            <div class="message-bubble">
+              <div class="message-content">Older messages are too far back to load here - open the chat on your phone to see them</div>
+            </div>
+          </div>
+        `
+        );
+      }
+    } catch (error) {
+      console.error("Error loading message history:", error);
+      this.showNotification(
+        `Failed to load messages: ${error.message}`,
+        "error"
+      );
+      history.hasMore = false;
+    } finally {
+      loader.remove();
+      history.loading = false;
+    }
+  }
+
   /**
    * Handle message input keydown (Enter to send)
    */
@@ -1396,18 +1896,20 @@ class WhatsAppMultiApp {
     if (!messageText) return;
 
     try {
-      // Extract phone number from chat ID (simplified)
-      const phoneNumber = this.currentChat.replace("@c.us", "");
-
+      // Chat IDs go through as-is so group chats work too
       const response = await window.electronAPI.message.send(
         this.currentAccount,
-        phoneNumber,
+        this.currentChat,
         messageText
       );
 
       if (response.success) {
         // Add message to UI immediately
-        this.addMessageToUI(messageText, true);
+        this.addMessageToUI(messageText, true, {
+          id: response.data.id,
+          timestamp: response.data.timestamp,
+          status: response.data.status,
+        });
 
         // Clear input
         this.elements.messageInput.value = "";
@@ -1430,24 +1932,148 @@ class WhatsAppMultiApp {
   /**
    * Add message to UI
    */
-  addMessageToUI(messageText, isSent = false) {
+  addMessageToUI(messageText, isSent = false, meta = {}) {
     const chatMessages = document.getElementById("chatMessages");
     if (!chatMessages) return;
 
+    // The same message can arrive from the send response and the IPC event
+    if (
+      meta.id &&
+      chatMessages.querySelector(`[data-message-id="${meta.id}"]`)
+    ) {
+      return;
+    }
+
+    const messageDiv = this.createMessageElement({
+      id: meta.id,
+      body: messageText,
+      fromMe: isSent,
+      timestamp: meta.timestamp || Date.now(),
+      hasMedia: meta.hasMedia,
+      accountId: meta.accountId,
+      status: meta.status,
+    });
+
+    // Drop the empty-chat placeholder once real messages arrive
+    chatMessages.querySelector(".message.system:only-child")?.remove();
+    chatMessages.appendChild(messageDiv);
+
+    // Scroll to bottom
+    this.elements.messagesContainer.scrollTop =
+      this.elements.messagesContainer.scrollHeight;
+  }
+
+  /**
+   * Build a message bubble element from a normalized message
+   */
+  createMessageElement(message) {
     const messageDiv = document.createElement("div");
-    messageDiv.className = `message ${isSent ? "sent" : "received"}`;
+    messageDiv.className = `message ${message.fromMe ? "sent" : "received"}`;
+    if (message.id) {
+      messageDiv.dataset.messageId = message.id;
+    }
+    messageDiv.dataset.timestamp = message.timestamp;
+
+    // An ack may have arrived before the bubble was rendered
+    const status = message.fromMe
+      ? this.pickMessageStatus(
+          message.status,
+          this.messageStatuses.get(message.id)
+        )
+      : null;
+    const time = `${utils.formatTime(
+      message.timestamp
+    )}${this.renderMessageStatus(status)}`;
+
+    if (message.hasMedia) {
+      const caption = message.body
+        ? `<div class="message-caption">${this.escapeHtml(message.body)}</div>`
+        : "";
+      messageDiv.innerHTML = `
+        <div class="message-bubble">
+          <div class="message-content">
+            <div class="message-media loading">📎 Loading media...</div>
+            ${caption}
+          </div>
+          <div class="message-time">${time}</div>
+        </div>
+      `;
+
+      window.ChatUI?.loadMessageMedia(
+        messageDiv,
+        message.accountId || this.currentAccount,
+        message.id
+      );
+      return messageDiv;
+    }
+
     messageDiv.innerHTML = `
       <div class="message-bubble">
-        <div class="message-content">${this.escapeHtml(messageText)}</div>
-        <div class="message-time">${utils.formatTime(Date.now())}</div>
+        <div class="message-content">${this.escapeHtml(message.body)}</div>
+        <div class="message-time">${time}</div>
       </div>
     `;
 
-    chatMessages.appendChild(messageDiv);
+    return messageDiv;
+  }
 
-    // Scroll to bottom
-    this.elements.messagesContainer.scrollTop =
-      this.elements.messagesContainer.scrollHeight;
+  /**
+   * Status tick markup for a sent message
+   */
+  renderMessageStatus(status) {
+    if (!status) return "";
+
+    const icons = {
+      sending: "🕐",
+      sent: "✓",
+      delivered: "✓✓",
+      read: "✓✓",
+      failed: "⚠️",
+    };
+
+    return `<span class="message-status ${status}" title="${status}">${
+      icons[status] || ""
+    }</span>`;
+  }
+
+  /**
+   * Later statuses win - acks can arrive out of order
+   */
+  pickMessageStatus(current, next) {
+    const rank = { sending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+    if (!current) return next || null;
+    if (!next) return current;
+    return rank[next] >= rank[current] ? next : current;
+  }
+
+  /**
+   * Apply a delivery receipt to the matching bubble
+   */
+  handleMessageAck(data) {
+    const { accountId, messageId, status } = data;
+
+    const known = this.messageStatuses.get(messageId);
+    this.messageStatuses.set(messageId, this.pickMessageStatus(known, status));
+
+    // Keep the lookup bounded for long sessions
+    if (this.messageStatuses.size > 1000) {
+      this.messageStatuses.delete(this.messageStatuses.keys().next().value);
+    }
+
+    if (accountId !== this.currentAccount) return;
+
+    const messageDiv = document.querySelector(
+      `.message.sent[data-message-id="${CSS.escape(messageId)}"]`
+    );
+    const timeElement = messageDiv?.querySelector(".message-time");
+    if (!timeElement) return;
+
+    const statusElement = timeElement.querySelector(".message-status");
+    const current = statusElement ? statusElement.classList[1] : null;
+    const next = this.pickMessageStatus(current, status);
+
+    statusElement?.remove();
+    timeElement.insertAdjacentHTML("beforeend", this.renderMessageStatus(next));
   }
 
   /**
@@ -1491,11 +2117,22 @@ class WhatsAppMultiApp {
       }
     }
 
-    // Escape to close modals
-    if (event.key === "Escape") {
-      this.hideAutoMessageModal();
-      this.hideSettingsModal();
-    }
+    // Ctrl/Cmd + Shift + F for search across all accounts
+    if (
+      (event.ctrlKey || event.metaKey) &&
+      event.shiftKey &&
+      event.key.toLowerCase() === "f"
+    ) {
+      event.preventDefault();
+      this.showGlobalSearch();
+    }
+
+    // Escape to close modals
+    if (event.key === "Escape") {
+      this.hideAutoMessageModal();
+      this.hideSettingsModal();
+      this.hideGlobalSearch();
+    }
   }
 
   /**
@@ -1522,10 +2159,302 @@ class WhatsAppMultiApp {
     this.elements.settingsModal?.classList.add("hidden");
   }
 
+  showGlobalSearch() {
+    this.elements.globalSearchModal?.classList.remove("hidden");
+    this.elements.globalSearchInput?.focus();
+    this.elements.globalSearchInput?.select();
+  }
+
+  hideGlobalSearch() {
+    this.elements.globalSearchModal?.classList.add("hidden");
+  }
+
+  /**
+   * Search chats and messages in every account
+   */
+  async runGlobalSearch(query) {
+    const resultsContainer = this.elements.globalSearchResults;
+    if (!resultsContainer || !window.electronAPI) return;
+
+    if (!query.trim()) {
+      resultsContainer.innerHTML = "";
+      return;
+    }
+
+    this.globalSearchQuery = query;
+
+    try {
+      const response = await window.electronAPI.search.global(query, {
+        limit: 30,
+      });
+
+      // A newer search may have started while this one ran
+      if (this.globalSearchQuery !== query) return;
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.renderGlobalSearchResults(response.data, query);
+    } catch (error) {
+      console.error("Global search failed:", error);
+      resultsContainer.innerHTML = `<div class="empty-state-description">Search failed: ${this.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  }
+
+  renderGlobalSearchResults(groups, query) {
+    const resultsContainer = this.elements.globalSearchResults;
+
+    if (groups.length === 0) {
+      resultsContainer.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-title">No results</div>
+          <div class="empty-state-description">Nothing matched "${this.escapeHtml(
+            query
+          )}" in any account</div>
+        </div>
+      `;
+      return;
+    }
+
+    resultsContainer.innerHTML = groups
+      .map((group) => {
+        const chatItems = group.chats
+          .map(
+            (chat) => `
+          <div class="search-result" data-account-id="${
+            group.accountId
+          }" data-chat-id="${this.escapeHtml(chat.id)}">
+            <span class="search-result-title">${this.escapeHtml(
+              chat.name
+            )}</span>
+            <span class="search-result-meta">${
+              chat.isGroup ? "Group" : "Chat"
+            }</span>
+          </div>
+        `
+          )
+          .join("");
+
+        const messageItems = group.messages
+          .map(
+            (message) => `
+          <div class="search-result" data-account-id="${
+            group.accountId
+          }" data-chat-id="${this.escapeHtml(
+              message.chatId
+            )}" data-message-id="${this.escapeHtml(message.id)}">
+            <span class="search-result-title">${this.escapeHtml(
+              message.chatName || message.chatId
+            )}</span>
+            <span class="search-result-meta">${new Date(
+              message.timestamp
+            ).toLocaleString()}</span>
+            <div class="search-result-snippet">${this.highlightTerm(
+              this.getMessagePreview(message.body),
+              query
+            )}</div>
+          </div>
+        `
+          )
+          .join("");
+
+        return `
+        <div class="search-group">
+          <div class="search-group-header">${this.escapeHtml(
+            group.displayName || group.accountId
+          )}</div>
+          ${chatItems}
+          ${messageItems}
+        </div>
+      `;
+      })
+      .join("");
+  }
+
+  /**
+   * Escape text and wrap occurrences of the query in <mark>
+   */
+  highlightTerm(text, query) {
+    const escaped = this.escapeHtml(text);
+    const term = this.escapeHtml(query.trim()).replace(
+      /[.*+?^${}()|[\]\\]/g,
+      "\\$&"
+    );
+    if (!term) return escaped;
+    return escaped.replace(new RegExp(`(${term})`, "gi"), "<mark>$1</mark>");
+  }
+
+  /**
+   * Jump to a search result - switch account, open the chat, find the message
+   */
+  async openSearchResult({ accountId, chatId, messageId }) {
+    this.hideGlobalSearch();
+
+    await this.switchToAccount(accountId);
+    if (this.currentAccount !== accountId) return;
+
+    await this.selectChat(chatId);
+    if (messageId) {
+      await this.scrollToMessage(messageId);
+    }
+  }
+
+  /**
+   * Page back through history until a message is rendered, then reveal it
+   */
+  async scrollToMessage(messageId) {
+    const maxPages = 40;
+    const selector = `.message[data-message-id="${CSS.escape(messageId)}"]`;
+    let element = document.querySelector(selector);
+
+    for (let page = 0; !element && page < maxPages; page++) {
+      if (!this.history || !this.history.hasMore) break;
+      if (this.history.limitReached) break;
+      await this.loadOlderMessages();
+      element = document.querySelector(selector);
+    }
+
+    if (!element) {
+      this.showNotification(
+        this.history?.limitReached
+          ? "Message is too far back in this chat to load"
+          : "Message is no longer available in this chat",
+        "warning"
+      );
+      return;
+    }
+
+    element.scrollIntoView({ block: "center" });
+    element.classList.add("search-target");
+    setTimeout(() => element.classList.remove("search-target"), 2500);
+  }
+
+  /**
+   * Notify on startup when the message archive still needs a passphrase
+   */
+  async checkArchiveStatus() {
+    if (!window.electronAPI?.archive) return;
+
+    const response = await window.electronAPI.archive.getStatus();
+    if (!response.success || response.data.unlocked) return;
+
+    this.showNotification(
+      response.data.initialized
+        ? "Message archive is locked - unlock it in Settings to save and search history"
+        : "Set an archive passphrase in Settings to keep an encrypted copy of your messages",
+      "info",
+      10000
+    );
+  }
+
+  /**
+   * Show archive status in the settings modal
+   */
+  async loadArchiveStatus() {
+    if (!window.electronAPI?.archive) return;
+
+    const response = await window.electronAPI.archive.getStatus();
+    if (response.success) {
+      this.renderArchiveStatus(response.data);
+    }
+  }
+
+  renderArchiveStatus(status) {
+    const {
+      archiveStatus,
+      archivePassphrase,
+      archiveUnlockBtn,
+      archiveLockBtn,
+    } = this.elements;
+    if (!archiveStatus) return;
+
+    if (status.unlocked) {
+      archiveStatus.textContent = "Unlocked";
+    } else if (status.initialized) {
+      archiveStatus.textContent =
+        status.pendingCount > 0
+          ? `Locked (${status.pendingCount} updates waiting)`
+          : "Locked";
+    } else {
+      archiveStatus.textContent = "Not set up - choose a passphrase";
+    }
+
+    if (!status.unlocked && status.droppedCount > 0) {
+      archiveStatus.textContent += ` - ${status.droppedCount} not kept`;
+    }
+
+    archiveStatus.className = `archive-status ${
+      status.unlocked ? "unlocked" : "locked"
+    }`;
+    archivePassphrase?.classList.toggle("hidden", status.unlocked);
+    archiveUnlockBtn?.classList.toggle("hidden", status.unlocked);
+    archiveLockBtn?.classList.toggle("hidden", !status.unlocked);
+
+    if (archiveUnlockBtn) {
+      archiveUnlockBtn.textContent = status.initialized
+        ? "Unlock"
+        : "Set passphrase";
+    }
+  }
+
+  async unlockArchive() {
+    const passphrase = this.elements.archivePassphrase?.value || "";
+    if (!passphrase) {
+      this.showNotification("Enter the archive passphrase", "warning");
+      return;
+    }
+
+    this.elements.archiveUnlockBtn.disabled = true;
+
+    try {
+      const response = await window.electronAPI.archive.unlock(passphrase);
+
+      if (!response.success) {
+        this.showNotification(response.error, "error");
+        return;
+      }
+
+      this.elements.archivePassphrase.value = "";
+      this.renderArchiveStatus(response.data);
+      this.showNotification("Message archive unlocked", "success");
+      if (response.data.droppedCount > 0) {
+        this.showNotification(
+          `${response.data.droppedCount} updates arrived while the archive was full and weren't kept`,
+          "warning"
+        );
+      }
+
+      // Offline accounts can now show archived chats
+      if (this.currentAccount && !this.unifiedInbox) {
+        this.loadChatsForAccount(this.currentAccount);
+      }
+    } catch (error) {
+      console.error("Failed to unlock archive:", error);
+      this.showNotification("Failed to unlock archive", "error");
+    } finally {
+      this.elements.archiveUnlockBtn.disabled = false;
+    }
+  }
+
+  async lockArchive() {
+    const response = await window.electronAPI.archive.lock();
+    if (response.success) {
+      this.renderArchiveStatus(response.data);
+      this.showNotification("Message archive locked", "info");
+    }
+  }
+
   /**
    * Load settings data
    */
   async loadSettingsData() {
+    this.loadArchiveStatus();
+    this.loadMediaSettings();
+    this.loadGovernorSettings();
+
     const accountsOverview = document.getElementById("accountsOverview");
     if (!accountsOverview) return;
 
@@ -1555,12 +2484,18 @@ class WhatsAppMultiApp {
             <span class="account-overview-name">${
               account.displayName || account.accountId
             }</span>
-            <span class="account-overview-status">${
-              account.isAuthenticated ? "Connected" : "Not connected"
-            }</span>
+            <span class="account-overview-status" data-account-id="${
+              account.accountId
+            }">${this.describeAccountHealth(account)}</span>
           </div>
         </div>
         <div class="account-overview-actions">
+          ${
+            account.health?.state === "failed" ||
+            account.onlineStatus === "disconnected"
+              ? `<button class="btn-mini btn-reconnect" data-account-id="${account.accountId}">Reconnect</button>`
+              : ""
+          }
           <button class="btn-mini btn-disconnect" data-account-id="${
             account.accountId
           }">Disconnect</button>
@@ -1583,6 +2518,13 @@ class WhatsAppMultiApp {
       });
     });
 
+    accountsOverview.querySelectorAll(".btn-reconnect").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const accountId = e.target.dataset.accountId;
+        this.reconnectAccount(accountId);
+      });
+    });
+
     accountsOverview.querySelectorAll(".btn-remove").forEach((btn) => {
       btn.addEventListener("click", (e) => {
         const accountId = e.target.dataset.accountId;
@@ -1591,6 +2533,303 @@ class WhatsAppMultiApp {
     });
   }
 
+  /**
+   * Connection state for the accounts overview
+   */
+  describeAccountHealth(account) {
+    const health = account.health;
+    if (!health) {
+      return account.isAuthenticated ? "Connected" : "Not connected";
+    }
+
+    switch (health.state) {
+      case "healthy":
+        return this.describeUptime(health);
+      case "reconnecting":
+        return `Reconnecting${
+          health.attempts ? ` (attempt ${health.attempts})` : ""
+        }...`;
+      case "failed":
+        return `Connection failed: ${this.escapeHtml(
+          health.lastError || "unknown error"
+        )}`;
+      case "needs-qr":
+        return "Session expired - scan the QR code again";
+      default:
+        return account.onlineStatus === "restoring"
+          ? "Restoring session..."
+          : "Not connected";
+    }
+  }
+
+  /**
+   * "Connected · up 2h 5m · heartbeat 20s ago"
+   */
+  describeUptime(health) {
+    const parts = ["Connected"];
+    const now = Date.now();
+
+    if (health.lastConnectedAt) {
+      parts.push(`up ${this.formatDuration(now - health.lastConnectedAt)}`);
+    }
+
+    if (health.failedHeartbeats > 0) {
+      parts.push(
+        `${health.failedHeartbeats} missed heartbeat${
+          health.failedHeartbeats === 1 ? "" : "s"
+        }`
+      );
+    } else if (health.lastHeartbeat) {
+      parts.push(
+        `heartbeat ${this.formatDuration(now - health.lastHeartbeat)} ago`
+      );
+    }
+
+    if (health.memoryMB) {
+      parts.push(`browser ${health.memoryMB} MB`);
+    }
+
+    return parts.join(" · ");
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  async reconnectAccount(accountId) {
+    const response = await window.electronAPI.account.reconnect(accountId);
+    if (!response.success) {
+      this.showNotification(`Reconnect failed: ${response.error}`, "error");
+      return;
+    }
+
+    this.updateTabStatus(accountId, "reconnecting");
+    this.loadSettingsData();
+  }
+
+  /**
+   * Per-account media storage usage, retention and quota
+   */
+  async loadMediaSettings() {
+    const mediaSettingsList = document.getElementById("mediaSettingsList");
+    if (!mediaSettingsList || !window.electronAPI?.media) return;
+
+    if (this.accounts.size === 0) {
+      mediaSettingsList.innerHTML = "";
+      return;
+    }
+
+    const rows = [];
+    for (const account of this.accounts.values()) {
+      const response = await window.electronAPI.media.getSettings(
+        account.accountId
+      );
+      if (!response.success) continue;
+
+      rows.push(this.renderMediaSettingsRow(account, response.data));
+    }
+
+    mediaSettingsList.innerHTML = rows.join("");
+
+    mediaSettingsList.querySelectorAll(".media-settings-row").forEach((row) => {
+      row.addEventListener("change", () => this.saveMediaSettings(row));
+    });
+  }
+
+  renderMediaSettingsRow(account, { settings, usage }) {
+    const retentionOptions = [
+      [0, "Forever"],
+      [30, "30 days"],
+      [90, "90 days"],
+      [365, "1 year"],
+    ]
+      .map(
+        ([days, label]) =>
+          `<option value="${days}" ${
+            settings.retentionDays === days ? "selected" : ""
+          }>${label}</option>`
+      )
+      .join("");
+
+    return `
+      <div class="setting-item media-settings-row" data-account-id="${
+        account.accountId
+      }">
+        <div class="media-settings-info">
+          <span class="account-overview-name">${this.escapeHtml(
+            account.displayName || account.accountId
+          )}</span>
+          <span class="account-overview-status media-usage">${
+            usage.files
+          } files, ${(usage.bytes / 1024 / 1024).toFixed(1)} MB</span>
+        </div>
+        <label class="setting-label">
+          <input type="checkbox" class="media-auto-download" ${
+            settings.autoDownload ? "checked" : ""
+          }> Auto-download
+        </label>
+        <label class="setting-label">
+          Keep: <select class="media-retention">${retentionOptions}</select>
+        </label>
+        <label class="setting-label">
+          Quota (MB): <input type="number" class="media-quota" min="0" step="100" value="${
+            settings.quotaMB
+          }">
+        </label>
+      </div>
+    `;
+  }
+
+  async saveMediaSettings(row) {
+    const accountId = row.dataset.accountId;
+
+    const response = await window.electronAPI.media.updateSettings(accountId, {
+      autoDownload: row.querySelector(".media-auto-download").checked,
+      retentionDays: row.querySelector(".media-retention").value,
+      quotaMB: row.querySelector(".media-quota").value,
+    });
+
+    if (!response.success) {
+      this.showNotification(
+        `Failed to save media settings: ${response.error}`,
+        "error"
+      );
+      return;
+    }
+
+    const { usage } = response.data;
+    row.querySelector(".media-usage").textContent = `${usage.files} files, ${(
+      usage.bytes /
+      1024 /
+      1024
+    ).toFixed(1)} MB`;
+  }
+
+  /**
+   * Per-account send limits, quiet hours and current usage
+   */
+  async loadGovernorSettings() {
+    const list = document.getElementById("governorSettingsList");
+    if (!list || !window.electronAPI?.governor) return;
+
+    const rows = [];
+    for (const account of this.accounts.values()) {
+      const response = await window.electronAPI.governor.getStatus(
+        account.accountId
+      );
+      if (!response.success) continue;
+
+      rows.push(this.renderGovernorRow(account, response.data));
+    }
+
+    list.innerHTML = rows.join("");
+
+    list.querySelectorAll(".governor-settings-row").forEach((row) => {
+      row.addEventListener("change", () => this.saveGovernorSettings(row));
+    });
+  }
+
+  renderGovernorRow(account, status) {
+    const { settings } = status;
+    const limit = (key, label) => `
+      <label class="setting-label">
+        ${label}: <input type="number" class="governor-limit" data-key="${key}" min="0" value="${settings[key]}">
+      </label>
+    `;
+
+    return `
+      <div class="setting-item governor-settings-row" data-account-id="${
+        account.accountId
+      }">
+        <div class="media-settings-info">
+          <span class="account-overview-name">${this.escapeHtml(
+            account.displayName || account.accountId
+          )}</span>
+          <span class="account-overview-status governor-usage">${this.describeGovernorStatus(
+            status
+          )}</span>
+        </div>
+        ${limit("perMinute", "Per minute")}
+        ${limit("perHour", "Per hour")}
+        ${limit("perDay", "Per day")}
+        ${limit("newContactsPerDay", "New contacts/day")}
+        <label class="setting-label" title="Automatic replies to incoming messages still go out">
+          <input type="checkbox" class="governor-quiet" ${
+            settings.quietHours.enabled ? "checked" : ""
+          }> Quiet hours
+          <input type="time" class="governor-quiet-start" value="${
+            settings.quietHours.start
+          }">
+          to
+          <input type="time" class="governor-quiet-end" value="${
+            settings.quietHours.end
+          }">
+        </label>
+        <label class="setting-label">
+          <input type="checkbox" class="governor-typing" ${
+            settings.typing ? "checked" : ""
+          }> Simulate typing
+        </label>
+      </div>
+    `;
+  }
+
+  describeGovernorStatus({ settings, usage, throttled }) {
+    const used = `${usage.perMinute}/${
+      settings.perMinute || "∞"
+    } this minute · ${usage.perHour}/${settings.perHour || "∞"} this hour · ${
+      usage.perDay
+    }/${settings.perDay || "∞"} today · ${
+      usage.newContactsPerDay
+    } new contacts`;
+
+    return throttled
+      ? `${used} · Held back: ${this.escapeHtml(
+          throttled.message
+        )} until ${new Date(throttled.retryAt).toLocaleTimeString()}`
+      : used;
+  }
+
+  async saveGovernorSettings(row) {
+    const accountId = row.dataset.accountId;
+    const settings = {
+      quietHours: {
+        enabled: row.querySelector(".governor-quiet").checked,
+        start: row.querySelector(".governor-quiet-start").value,
+        end: row.querySelector(".governor-quiet-end").value,
+      },
+      typing: row.querySelector(".governor-typing").checked,
+    };
+    row.querySelectorAll(".governor-limit").forEach((input) => {
+      settings[input.dataset.key] = input.value;
+    });
+
+    const response = await window.electronAPI.governor.updateSettings(
+      accountId,
+      settings
+    );
+
+    if (!response.success) {
+      this.showNotification(
+        `Failed to save send limits: ${response.error}`,
+        "error"
+      );
+      return;
+    }
+
+    row.querySelector(".governor-usage").innerHTML =
+      this.describeGovernorStatus(response.data);
+  }
+
   /**
    * Setup message input auto-resize
    */
@@ -1619,7 +2858,31 @@ class WhatsAppMultiApp {
     const account = this.accounts.get(accountId);
 
     if (account) {
+      const previousStatus = account.onlineStatus;
       account.status = status;
+      account.onlineStatus = status;
+      if (data.health) {
+        account.health = data.health;
+      }
+
+      if (status === "online") {
+        account.isAuthenticated = true;
+        account.isActive = true;
+      } else if (status === "disconnected" || status === "needs-qr") {
+        account.isActive = false;
+      }
+
+      this.updateTabStatus(accountId, this.getTabStatusForAccount(status));
+
+      if (status === "needs-qr" && previousStatus !== "needs-qr") {
+        this.showNotification(
+          `Session for "${
+            account.displayName || accountId
+          }" expired. Open its tab to link it again.`,
+          "warning",
+          10000
+        );
+      }
 
       // Update tab if needed
       const tab = this.elements.accountTabs?.querySelector(
@@ -1630,28 +2893,64 @@ class WhatsAppMultiApp {
       }
 
       // Update current account info if this is the active account
-      if (this.currentAccount === accountId) {
+      if (this.currentAccount === accountId && !this.unifiedInbox) {
         this.updateCurrentAccountInfo(account);
       }
+
+      // An account that drops out takes its chats out of the inbox
+      if (
+        this.unifiedInbox &&
+        status !== previousStatus &&
+        (status === "disconnected" || status === "needs-qr")
+      ) {
+        this.loadUnifiedInbox();
+      }
     }
   }
 
   handleMessageReceived(data) {
-    const { accountId, message } = data;
+    const { accountId, message, unreadCount, chatUnreadCount } = data;
+    const account = this.accounts.get(accountId);
+    const isOpenChat =
+      this.currentAccount === accountId && this.currentChat === message.chatId;
 
     // Add message to UI if chat is currently active
-    if (
-      this.currentAccount === accountId &&
-      this.currentChat === message.from
-    ) {
-      this.addMessageToUI(message.body, false);
+    if (isOpenChat) {
+      this.addMessageToUI(message.body, message.fromMe, {
+        id: message.id,
+        timestamp: message.timestamp,
+        hasMedia: message.hasMedia,
+        accountId: message.accountId,
+        status: message.status,
+      });
     }
 
-    // Update unread count
-    const account = this.accounts.get(accountId);
-    if (account && this.currentAccount !== accountId) {
-      account.unreadCount = (account.unreadCount || 0) + 1;
-      this.updateTabUnreadCount(accountId, account.unreadCount);
+    // Unread counts come from the main process, not local guesses
+    if (account) {
+      account.unreadCount = unreadCount;
+      this.updateTabUnreadCount(accountId, unreadCount);
+    }
+
+    // Keep the sidebar in sync for the visible account, or the inbox
+    if (this.unifiedInbox || this.currentAccount === accountId) {
+      const updated = this.updateChatListItem(accountId, message.chatId, {
+        lastMessage: message,
+        unreadCount: isOpenChat ? 0 : chatUnreadCount,
+      });
+      if (!updated) {
+        if (this.unifiedInbox) {
+          this.loadUnifiedInbox();
+        } else {
+          this.loadChatsForAccount(accountId);
+        }
+      }
+    }
+
+    if (message.fromMe) return;
+
+    if (isOpenChat) {
+      this.markChatRead(accountId, message.chatId);
+      return;
     }
 
     // Show notification
@@ -1662,6 +2961,52 @@ class WhatsAppMultiApp {
     );
   }
 
+  /**
+   * Update a chat row's preview, time and unread badge in place
+   * Returns false if the chat isn't in the list
+   */
+  updateChatListItem(accountId, chatId, { lastMessage, unreadCount } = {}) {
+    const item = this.getChatItem(accountId, chatId);
+    if (!item) return false;
+
+    if (lastMessage) {
+      const preview = item.querySelector(".last-message");
+      if (preview) {
+        preview.textContent = this.getMessagePreview(lastMessage.body);
+      }
+
+      const meta = item.querySelector(".chat-meta");
+      let time = meta?.querySelector(".message-time");
+      if (meta && !time) {
+        time = document.createElement("span");
+        time.className = "message-time";
+        meta.prepend(time);
+      }
+      if (time) {
+        time.textContent = utils.formatTime(lastMessage.timestamp);
+      }
+
+      // Most recent activity goes to the top
+      this.elements.chatList.prepend(item);
+    }
+
+    if (unreadCount !== undefined) {
+      let badge = item.querySelector(".unread-badge");
+      if (unreadCount > 0) {
+        if (!badge) {
+          badge = document.createElement("span");
+          badge.className = "unread-badge";
+          item.querySelector(".chat-meta")?.appendChild(badge);
+        }
+        badge.textContent = unreadCount;
+      } else if (badge) {
+        badge.remove();
+      }
+    }
+
+    return true;
+  }
+
   handleQRUpdate(data) {
     const { accountId, qrCode } = data;
     console.log(`Received QR update for account ${accountId}`);
@@ -1796,22 +3141,24 @@ class WhatsAppMultiApp {
   escapeHtml(text) {
     const div = document.createElement("div");
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is also safe inside an attribute value
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
   }
 
-  disconnectAccount(accountId) {
-    // TODO: Implement account disconnection
-    console.log("Disconnect account:", accountId);
-    this.showNotification(
-      "Account disconnection not yet implemented",
-      "warning"
-    );
+  /**
+   * Settings buttons - the tab manager owns the confirm/cleanup flow
+   */
+  async disconnectAccount(accountId) {
+    await window.TabManager?.disconnectAccount(accountId);
+    this.loadSettingsData();
   }
 
-  removeAccount(accountId) {
-    // TODO: Implement account removal
-    console.log("Remove account:", accountId);
-    this.showNotification("Account removal not yet implemented", "warning");
+  async removeAccount(accountId) {
+    const tab = this.elements.accountTabs?.querySelector(
+      `[data-account-id="${accountId}"]`
+    );
+    await window.TabManager?.removeAccount(accountId, tab);
+    this.loadSettingsData();
   }
 }
 
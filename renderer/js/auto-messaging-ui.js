@@ -0,0 +1,2279 @@
+/**
+ * WhatsApp Multi-Account Desktop App
+ * Auto Messaging UI JavaScript
+ *
+ * Handles the auto-messaging modal: scheduling messages with the
+ * recurrence rule builder, the scheduled list, message templates,
+ * auto-reply rules, business hours and campaigns
+ */
+
+const INTERVAL_UNITS = {
+  hourly: "hours",
+  daily: "days",
+  weekly: "weeks",
+  monthly: "months",
+};
+
+const MATCH_LABELS = {
+  keyword: "Contains",
+  exact: "Is exactly",
+  regex: "Matches",
+  "first-message": "First message ever",
+  any: "Any message",
+};
+
+// Sunday first, like Date.getDay()
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const STATUS_LABELS = {
+  active: "Active",
+  paused: "Paused",
+  completed: "Completed",
+  retrying: "Retrying",
+  failed: "Failed",
+};
+
+class AutoMessagingUI {
+  constructor(app) {
+    this.app = app;
+    this.elements = {};
+    this.isInitialized = false;
+    this.previewTimer = null;
+    this.templatePreviewTimers = new Map(); // textarea id -> timer
+    this.templates = [];
+    this.editingTemplateId = null;
+    this.editingScheduleId = null;
+    this.scheduleTemplateId = null; // template the schedule message came from
+    this.contactList = null; // preview of the chosen campaign contact list
+    this.replyRules = [];
+    this.editingRuleId = null;
+    this.awayHolidays = [];
+  }
+
+  /**
+   * Called every time the modal opens - binds once, reloads data each time
+   */
+  initialize() {
+    if (!this.isInitialized) {
+      this.cacheElements();
+      this.setupEventListeners();
+      this.populateRuleOptions();
+      this.isInitialized = true;
+      console.log("AutoMessagingUI initialized");
+    }
+
+    this.populateAccountSelect();
+    this.populateScheduleContacts();
+    this.loadScheduledMessages();
+    this.populateReplyAccounts();
+    this.loadTemplates().then(() => this.loadAwaySettings());
+    this.loadReplyRules();
+    this.loadCampaigns();
+  }
+
+  cacheElements() {
+    const ids = [
+      "newScheduleBtn",
+      "scheduleForm",
+      "scheduleAccount",
+      "schedulePhone",
+      "scheduleContacts",
+      "scheduleMessage",
+      "scheduleMessagePreview",
+      "scheduleType",
+      "scheduleDateTime",
+      "scheduleTimeZone",
+      "ruleBuilder",
+      "ruleInterval",
+      "ruleIntervalUnit",
+      "ruleDayOfMonth",
+      "ruleCron",
+      "ruleDaysOfWeek",
+      "ruleEndType",
+      "ruleUntil",
+      "ruleCount",
+      "catchUpPolicy",
+      "catchUpGrace",
+      "catchUpMaxRuns",
+      "catchUpMaxRunsGroup",
+      "ruleDescription",
+      "rulePreview",
+      "cancelScheduleBtn",
+      "saveScheduleBtn",
+      "scheduledList",
+      "deadLetterSection",
+      "deadLetterList",
+      "newTemplateBtn",
+      "templateForm",
+      "templateName",
+      "templateCategory",
+      "templateContent",
+      "templatePreview",
+      "cancelTemplateBtn",
+      "saveTemplateBtn",
+      "templatesList",
+      "templateCategoryOptions",
+      "importTemplatesBtn",
+      "exportTemplatesBtn",
+      "replyAccount",
+      "newReplyRuleBtn",
+      "replyRuleForm",
+      "replyRuleName",
+      "replySender",
+      "replyMatchType",
+      "replyMatchPattern",
+      "replyCaseSensitive",
+      "replyWindowEnabled",
+      "replyWindow",
+      "replyWindowStart",
+      "replyWindowEnd",
+      "replyWindowDays",
+      "replyActionReply",
+      "replyTemplate",
+      "replyText",
+      "replyActionReact",
+      "replyEmoji",
+      "replyActionLabel",
+      "replyLabel",
+      "replyActionRead",
+      "replyCooldown",
+      "replyContinue",
+      "cancelReplyRuleBtn",
+      "saveReplyRuleBtn",
+      "replyRulesList",
+      "replyTestText",
+      "replyTestSender",
+      "replyTestFirst",
+      "runReplyTestBtn",
+      "replyTestResult",
+      "awaySettings",
+      "awayStatus",
+      "awayEnabled",
+      "awayHours",
+      "awayHolidays",
+      "awayHolidayDate",
+      "awayHolidayName",
+      "addAwayHolidayBtn",
+      "awayTemplate",
+      "awayText",
+      "awayStats",
+      "saveAwayBtn",
+      "newCampaignBtn",
+      "campaignForm",
+      "campaignName",
+      "chooseContactsBtn",
+      "campaignContacts",
+      "campaignContactsSummary",
+      "campaignPhoneColumn",
+      "campaignVariables",
+      "campaignTemplate",
+      "campaignMessage",
+      "campaignAccounts",
+      "campaignRotation",
+      "campaignMinDelay",
+      "campaignMaxDelay",
+      "campaignBatchSize",
+      "campaignBatchPause",
+      "cancelCampaignBtn",
+      "saveCampaignBtn",
+      "campaignsList",
+    ];
+
+    for (const id of ids) {
+      this.elements[id] = document.getElementById(id);
+    }
+  }
+
+  setupEventListeners() {
+    document
+      .querySelectorAll(".auto-message-tabs .tab-btn")
+      .forEach((button) => {
+        button.addEventListener("click", () =>
+          this.switchTab(button.dataset.tab)
+        );
+      });
+
+    this.elements.newScheduleBtn?.addEventListener("click", () =>
+      this.showScheduleForm()
+    );
+    this.elements.cancelScheduleBtn?.addEventListener("click", () =>
+      this.hideScheduleForm()
+    );
+    this.elements.saveScheduleBtn?.addEventListener("click", () =>
+      this.saveSchedule()
+    );
+
+    this.elements.scheduledList?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (button) {
+        this.handleScheduleAction(button.dataset.action, button.dataset.id);
+      }
+    });
+
+    this.elements.deadLetterList?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (button) {
+        this.handleDeadLetterAction(button.dataset.action, button.dataset.id);
+      }
+    });
+
+    // Any change to the rule refreshes the field layout and preview
+    this.elements.scheduleForm?.addEventListener("input", (e) => {
+      if (e.target.closest("#ruleBuilder") || this.isRuleInput(e.target)) {
+        this.updateRuleBuilder();
+      }
+    });
+    this.elements.scheduleForm?.addEventListener("change", (e) => {
+      if (e.target.closest("#ruleBuilder") || this.isRuleInput(e.target)) {
+        this.updateRuleBuilder();
+      }
+    });
+
+    this.elements.newTemplateBtn?.addEventListener("click", () =>
+      this.showTemplateForm()
+    );
+    this.elements.cancelTemplateBtn?.addEventListener("click", () =>
+      this.hideTemplateForm()
+    );
+    this.elements.saveTemplateBtn?.addEventListener("click", () =>
+      this.saveTemplate()
+    );
+
+    this.elements.scheduleMessage?.addEventListener("input", () =>
+      this.queueTemplatePreview(
+        this.elements.scheduleMessage,
+        this.elements.scheduleMessagePreview
+      )
+    );
+    this.elements.scheduleAccount?.addEventListener("change", () =>
+      this.populateScheduleContacts()
+    );
+    this.elements.schedulePhone?.addEventListener("change", () =>
+      this.queueTemplatePreview(
+        this.elements.scheduleMessage,
+        this.elements.scheduleMessagePreview
+      )
+    );
+    this.elements.templateContent?.addEventListener("input", () =>
+      this.queueTemplatePreview(
+        this.elements.templateContent,
+        this.elements.templatePreview
+      )
+    );
+
+    this.elements.templatesList?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (button) {
+        this.handleTemplateAction(button.dataset.action, button.dataset);
+      }
+    });
+
+    this.elements.importTemplatesBtn?.addEventListener("click", () =>
+      this.importTemplates()
+    );
+    this.elements.exportTemplatesBtn?.addEventListener("click", () =>
+      this.exportTemplates()
+    );
+
+    this.elements.replyAccount?.addEventListener("change", () => {
+      this.hideReplyRuleForm();
+      this.loadReplyRules();
+      this.loadAwaySettings();
+    });
+    this.elements.newReplyRuleBtn?.addEventListener("click", () =>
+      this.showReplyRuleForm()
+    );
+    this.elements.cancelReplyRuleBtn?.addEventListener("click", () =>
+      this.hideReplyRuleForm()
+    );
+    this.elements.saveReplyRuleBtn?.addEventListener("click", () =>
+      this.saveReplyRule()
+    );
+    this.elements.replyRuleForm?.addEventListener("change", () =>
+      this.updateReplyRuleForm()
+    );
+    this.elements.replyRulesList?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (button) {
+        this.handleReplyRuleAction(button.dataset.action, button.dataset.id);
+      }
+    });
+    this.elements.runReplyTestBtn?.addEventListener("click", () =>
+      this.runReplyTest()
+    );
+
+    this.elements.awayTemplate?.addEventListener("change", () => {
+      this.elements.awayText.disabled = Boolean(
+        this.elements.awayTemplate.value
+      );
+    });
+    this.elements.addAwayHolidayBtn?.addEventListener("click", () =>
+      this.addAwayHoliday()
+    );
+    this.elements.awayHolidays?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-remove-holiday]");
+      if (button) {
+        this.awayHolidays.splice(Number(button.dataset.removeHoliday), 1);
+        this.renderAwayHolidays();
+      }
+    });
+    this.elements.saveAwayBtn?.addEventListener("click", () =>
+      this.saveAwaySettings()
+    );
+
+    this.elements.newCampaignBtn?.addEventListener("click", () =>
+      this.showCampaignForm()
+    );
+    this.elements.cancelCampaignBtn?.addEventListener("click", () =>
+      this.hideCampaignForm()
+    );
+    this.elements.saveCampaignBtn?.addEventListener("click", () =>
+      this.saveCampaign()
+    );
+    this.elements.chooseContactsBtn?.addEventListener("click", () =>
+      this.chooseContacts()
+    );
+    this.elements.campaignPhoneColumn?.addEventListener("change", () =>
+      this.previewContacts()
+    );
+    this.elements.campaignTemplate?.addEventListener("change", () => {
+      const template = this.templates.find(
+        (item) => item.id === this.elements.campaignTemplate.value
+      );
+      this.elements.campaignMessage.value = template ? template.content : "";
+      this.elements.campaignMessage.disabled = Boolean(template);
+    });
+
+    this.elements.campaignsList?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (button) {
+        this.handleCampaignAction(button.dataset.action, button.dataset.id);
+      }
+    });
+
+    // Keep the lists current while the modal is open
+    window.electronAPI.onScheduleExecuted(() => this.refreshIfVisible());
+    window.electronAPI.onScheduleDelivery(() => this.refreshIfVisible());
+    window.electronAPI.onCampaignProgress((data) =>
+      this.updateCampaignItem(data.campaign)
+    );
+  }
+
+  isRuleInput(element) {
+    return (
+      element === this.elements.scheduleType ||
+      element === this.elements.scheduleDateTime ||
+      element === this.elements.scheduleTimeZone
+    );
+  }
+
+  /**
+   * Fill the time zone and day-of-month selects
+   */
+  populateRuleOptions() {
+    const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = Intl.supportedValuesOf
+      ? Intl.supportedValuesOf("timeZone")
+      : [localZone];
+    if (!zones.includes(localZone)) zones.unshift(localZone);
+
+    if (this.elements.scheduleTimeZone) {
+      this.elements.scheduleTimeZone.innerHTML = zones
+        .map((zone) => `<option value="${zone}">${zone}</option>`)
+        .join("");
+      this.elements.scheduleTimeZone.value = localZone;
+    }
+
+    if (this.elements.ruleDayOfMonth) {
+      const days = [];
+      for (let day = 1; day <= 31; day++) {
+        days.push(`<option value="${day}">${day}</option>`);
+      }
+      days.push('<option value="-1">Last day</option>');
+      this.elements.ruleDayOfMonth.innerHTML = days.join("");
+    }
+  }
+
+  populateAccountSelect() {
+    const select = this.elements.scheduleAccount;
+    if (!select) return;
+
+    const selected = select.value || this.app.currentAccount || "";
+    select.innerHTML = '<option value="">Select Account</option>';
+
+    for (const account of this.app.accounts.values()) {
+      const option = document.createElement("option");
+      option.value = account.accountId;
+      option.textContent = account.displayName || account.accountId;
+      select.appendChild(option);
+    }
+
+    select.value = selected;
+  }
+
+  /**
+   * Suggest the account's saved contacts in the phone number field
+   */
+  async populateScheduleContacts() {
+    const datalist = this.elements.scheduleContacts;
+    const accountId = this.elements.scheduleAccount?.value;
+    if (!datalist) return;
+
+    datalist.replaceChildren();
+    if (!accountId) return;
+
+    try {
+      const result = await window.electronAPI.contacts.list(accountId);
+      if (!result.success) return;
+
+      datalist.replaceChildren(
+        ...result.data
+          .filter((contact) => contact.id.endsWith("@c.us"))
+          .map((contact) => {
+            const label = contact.fields.company
+              ? `${contact.displayName} · ${contact.fields.company}`
+              : contact.displayName;
+            return new Option(label, `+${contact.phone}`);
+          })
+      );
+    } catch (error) {
+      console.error("Failed to load contacts:", error);
+    }
+  }
+
+  switchTab(tab) {
+    document
+      .querySelectorAll(".auto-message-tabs .tab-btn")
+      .forEach((button) => {
+        button.classList.toggle("active", button.dataset.tab === tab);
+      });
+
+    document
+      .querySelectorAll(".auto-message-modal .tab-content")
+      .forEach((pane) => {
+        pane.classList.toggle("hidden", pane.id !== `${tab}Tab`);
+      });
+  }
+
+  showScheduleForm() {
+    this.elements.scheduleForm?.classList.remove("hidden");
+    this.updateRuleBuilder();
+  }
+
+  hideScheduleForm() {
+    this.elements.scheduleForm?.classList.add("hidden");
+    this.resetScheduleForm();
+    this.editingScheduleId = null;
+    this.elements.saveScheduleBtn.textContent = "Schedule Message";
+  }
+
+  /**
+   * Open the form filled in with an existing schedule
+   */
+  async editSchedule(scheduleId) {
+    const result = await window.electronAPI.autoMessage.get(scheduleId);
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to load schedule: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    const schedule = result.data;
+    this.resetScheduleForm();
+    this.editingScheduleId = scheduleId;
+    this.scheduleTemplateId = schedule.templateId;
+
+    this.elements.scheduleAccount.value = schedule.accountId;
+    this.elements.schedulePhone.value = schedule.phoneNumber;
+    this.elements.scheduleMessage.value = schedule.message;
+    this.populateScheduleContacts();
+    this.fillRecurrence(schedule.recurrence);
+
+    this.elements.catchUpPolicy.value = schedule.catchUp.policy;
+    this.elements.catchUpGrace.value =
+      schedule.catchUp.graceMinutes === null
+        ? ""
+        : String(schedule.catchUp.graceMinutes);
+    this.elements.catchUpMaxRuns.value = String(schedule.catchUp.maxRuns);
+
+    this.elements.saveScheduleBtn.textContent = "Update Schedule";
+    this.showScheduleForm();
+    this.elements.scheduleForm.scrollIntoView({ behavior: "smooth" });
+  }
+
+  /**
+   * Load a saved recurrence rule back into the rule builder
+   */
+  fillRecurrence(rule) {
+    this.elements.scheduleType.value = rule.type;
+    this.elements.scheduleDateTime.value = rule.start || "";
+    if (rule.timeZone) {
+      this.elements.scheduleTimeZone.value = rule.timeZone;
+    }
+    this.elements.ruleInterval.value = String(rule.interval || 1);
+    this.elements.ruleCron.value = rule.cron || "";
+
+    if (rule.dayOfMonth !== undefined) {
+      this.elements.ruleDayOfMonth.value = String(rule.dayOfMonth);
+    }
+
+    const days = (rule.daysOfWeek || []).map(String);
+    this.elements.ruleDaysOfWeek
+      .querySelectorAll("input")
+      .forEach((input) => (input.checked = days.includes(input.value)));
+
+    if (rule.until) {
+      this.elements.ruleEndType.value = "until";
+      this.elements.ruleUntil.value = rule.until.slice(0, 10);
+    } else if (rule.count) {
+      this.elements.ruleEndType.value = "count";
+      this.elements.ruleCount.value = String(rule.count);
+    }
+  }
+
+  resetScheduleForm() {
+    this.elements.schedulePhone.value = "";
+    this.elements.scheduleMessage.value = "";
+    this.elements.scheduleMessagePreview?.classList.add("hidden");
+    this.scheduleTemplateId = null;
+    this.elements.scheduleType.value = "once";
+    this.elements.scheduleDateTime.value = "";
+    this.elements.scheduleTimeZone.value =
+      Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.elements.ruleInterval.value = "1";
+    this.elements.ruleDayOfMonth.value = "1";
+    this.elements.ruleCron.value = "";
+    this.elements.ruleEndType.value = "never";
+    this.elements.ruleUntil.value = "";
+    this.elements.ruleCount.value = "10";
+    this.elements.catchUpPolicy.value = "once";
+    this.elements.catchUpGrace.value = "60";
+    this.elements.catchUpMaxRuns.value = "3";
+    this.elements.ruleDaysOfWeek
+      .querySelectorAll("input")
+      .forEach((input) => (input.checked = false));
+  }
+
+  /**
+   * Show the fields the selected rule type uses, then refresh the preview
+   */
+  updateRuleBuilder() {
+    const type = this.elements.scheduleType.value;
+    const endType = this.elements.ruleEndType.value;
+
+    this.elements.ruleBuilder
+      .querySelectorAll(".rule-field")
+      .forEach((field) => {
+        const types = field.dataset.types.split(" ");
+        field.classList.toggle("hidden", !types.includes(type));
+      });
+
+    this.elements.ruleBuilder.querySelectorAll(".rule-end").forEach((field) => {
+      field.classList.toggle("hidden", field.dataset.end !== endType);
+    });
+
+    if (INTERVAL_UNITS[type]) {
+      this.elements.ruleIntervalUnit.textContent = INTERVAL_UNITS[type];
+    }
+
+    this.elements.catchUpMaxRunsGroup.classList.toggle(
+      "hidden",
+      this.elements.catchUpPolicy.value !== "all"
+    );
+
+    // Cron rules take their time of day from the expression
+    this.elements.scheduleDateTime.required = type !== "cron";
+
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.updatePreview(), 250);
+  }
+
+  /**
+   * Build a recurrence rule (see src/recurrence.js) from the form
+   */
+  buildRecurrence() {
+    const type = this.elements.scheduleType.value;
+    let start = this.elements.scheduleDateTime.value;
+
+    if (!start && type === "cron") {
+      const now = new Date();
+      now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+      start = now.toISOString().slice(0, 16);
+    }
+
+    const recurrence = {
+      type: type,
+      start: start,
+      timeZone: this.elements.scheduleTimeZone.value,
+    };
+
+    if (INTERVAL_UNITS[type]) {
+      recurrence.interval = Number(this.elements.ruleInterval.value) || 1;
+    }
+
+    if (type === "weekly") {
+      recurrence.daysOfWeek = Array.from(
+        this.elements.ruleDaysOfWeek.querySelectorAll("input:checked")
+      ).map((input) => Number(input.value));
+    }
+
+    if (type === "monthly") {
+      recurrence.dayOfMonth = Number(this.elements.ruleDayOfMonth.value);
+    }
+
+    if (type === "cron") {
+      recurrence.cron = this.elements.ruleCron.value.trim();
+    }
+
+    if (type !== "once") {
+      const endType = this.elements.ruleEndType.value;
+      if (endType === "until" && this.elements.ruleUntil.value) {
+        recurrence.until = this.elements.ruleUntil.value;
+      } else if (endType === "count") {
+        recurrence.count = Number(this.elements.ruleCount.value);
+      }
+    }
+
+    return recurrence;
+  }
+
+  buildCatchUp() {
+    const grace = this.elements.catchUpGrace.value.trim();
+
+    return {
+      policy: this.elements.catchUpPolicy.value,
+      graceMinutes: grace === "" ? null : Number(grace),
+      maxRuns: Number(this.elements.catchUpMaxRuns.value) || 1,
+    };
+  }
+
+  async updatePreview() {
+    const { ruleDescription, rulePreview } = this.elements;
+    const recurrence = this.buildRecurrence();
+
+    if (!recurrence.start) {
+      ruleDescription.textContent = "Pick a start date to preview runs";
+      rulePreview.innerHTML = "";
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.autoMessage.previewRule(
+        recurrence,
+        5
+      );
+
+      if (!result.success) {
+        ruleDescription.textContent = result.error;
+        ruleDescription.classList.add("error");
+        rulePreview.innerHTML = "";
+        return;
+      }
+
+      const { description, runs } = result.data;
+      ruleDescription.classList.remove("error");
+      ruleDescription.textContent = description;
+      // Show the user's own clock too when scheduling for another zone
+      const isOtherZone =
+        recurrence.timeZone !==
+        Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      rulePreview.innerHTML =
+        runs.length > 0
+          ? runs
+              .map((run) => {
+                const yourTime = isOtherZone
+                  ? ` <span class="rule-preview-local">(${new Date(
+                      run.time
+                    ).toLocaleString()} your time)</span>`
+                  : "";
+                return `<li>${this.app.escapeHtml(run.local)}${yourTime}</li>`;
+              })
+              .join("")
+          : "<li>No upcoming runs</li>";
+    } catch (error) {
+      console.error("Failed to preview schedule:", error);
+    }
+  }
+
+  async saveSchedule() {
+    const accountId = this.elements.scheduleAccount.value;
+    const phoneNumber = this.elements.schedulePhone.value.trim();
+    const message = this.elements.scheduleMessage.value.trim();
+    const recurrence = this.buildRecurrence();
+
+    if (!accountId || !phoneNumber || !message || !recurrence.start) {
+      this.app.showNotification(
+        "Please fill in account, phone number, message and start time",
+        "warning"
+      );
+      return;
+    }
+
+    const scheduleData = {
+      accountId: accountId,
+      phoneNumber: phoneNumber,
+      message: message,
+      templateId: this.getScheduleTemplateId(message),
+      recurrence: recurrence,
+      catchUp: this.buildCatchUp(),
+    };
+
+    try {
+      const result = this.editingScheduleId
+        ? await window.electronAPI.autoMessage.update(
+            this.editingScheduleId,
+            scheduleData
+          )
+        : await window.electronAPI.autoMessage.schedule(scheduleData);
+
+      if (result.success) {
+        this.app.showNotification(
+          this.editingScheduleId ? "Schedule updated" : "Message scheduled",
+          "success"
+        );
+        this.hideScheduleForm();
+        this.loadScheduledMessages();
+      } else {
+        this.app.showNotification(
+          `Failed to schedule message: ${result.error}`,
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Error scheduling message:", error);
+      this.app.showNotification("Error scheduling message", "error");
+    }
+  }
+
+  refreshIfVisible() {
+    const modal = document.getElementById("autoMessageModal");
+    if (modal && !modal.classList.contains("hidden")) {
+      this.loadScheduledMessages();
+    }
+  }
+
+  async loadScheduledMessages() {
+    const list = this.elements.scheduledList;
+    if (!list) return;
+
+    try {
+      const result = await window.electronAPI.autoMessage.getScheduled();
+      if (!result.success) {
+        list.innerHTML = `<div class="list-loading">Failed to load scheduled messages</div>`;
+        return;
+      }
+
+      this.renderScheduledList(result.data);
+      this.loadDeadLetters();
+    } catch (error) {
+      console.error("Error loading scheduled messages:", error);
+    }
+  }
+
+  async loadDeadLetters() {
+    try {
+      const result = await window.electronAPI.autoMessage.deadLetters();
+      if (!result.success) return;
+
+      this.renderDeadLetters(result.data);
+    } catch (error) {
+      console.error("Error loading failed sends:", error);
+    }
+  }
+
+  renderDeadLetters(letters) {
+    this.elements.deadLetterSection.classList.toggle(
+      "hidden",
+      letters.length === 0
+    );
+
+    this.elements.deadLetterList.innerHTML = letters
+      .map((letter) => {
+        const account = this.app.accounts.get(letter.accountId);
+
+        return `
+          <div class="schedule-item">
+            <div class="schedule-info">
+              <div class="schedule-title">
+                ${this.app.escapeHtml(letter.phoneNumber)}
+                <span class="schedule-status failed">Failed</span>
+              </div>
+              <div class="schedule-message">${this.app.escapeHtml(
+                letter.message
+              )}</div>
+              <div class="schedule-meta">
+                ${this.app.escapeHtml(
+                  account?.displayName || letter.accountId
+                )} · Due ${new Date(letter.run).toLocaleString()} · ${
+          letter.attempts
+        } retries
+              </div>
+              <div class="dead-letter-error">${this.app.escapeHtml(
+                letter.lastError
+              )}</div>
+            </div>
+            <div class="schedule-actions">
+              <button class="btn-small btn-edit" data-action="resend" data-id="${
+                letter.id
+              }">Resend</button>
+              <button class="btn-small btn-delete" data-action="dismiss" data-id="${
+                letter.id
+              }">Dismiss</button>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  async handleDeadLetterAction(action, letterId) {
+    try {
+      const result =
+        action === "resend"
+          ? await window.electronAPI.autoMessage.resendDeadLetter(letterId)
+          : await window.electronAPI.autoMessage.dismissDeadLetter(letterId);
+
+      if (!result.success) {
+        this.app.showNotification(`Failed: ${result.error}`, "error");
+      } else if (action === "resend") {
+        this.app.showNotification("Message sent", "success");
+      }
+
+      this.loadScheduledMessages();
+    } catch (error) {
+      console.error(`Error on failed send ${action}:`, error);
+    }
+  }
+
+  renderScheduledList(schedules) {
+    const list = this.elements.scheduledList;
+
+    if (schedules.length === 0) {
+      list.innerHTML = `<div class="list-loading">No scheduled messages</div>`;
+      return;
+    }
+
+    list.innerHTML = schedules
+      .map((schedule) => {
+        const account = this.app.accounts.get(schedule.accountId);
+        const status =
+          schedule.lastError && schedule.status === "active"
+            ? "failed"
+            : schedule.status;
+        const nextRun =
+          schedule.isActive && schedule.nextRun
+            ? new Date(schedule.nextRun).toLocaleString()
+            : "—";
+        const delivery = schedule.lastDeliveryStatus
+          ? ` · Last delivery: ${schedule.lastDeliveryStatus}`
+          : "";
+        const retries =
+          schedule.pendingRetries > 0
+            ? ` · ${schedule.pendingRetries} retry pending`
+            : "";
+
+        return `
+          <div class="schedule-item" data-schedule-id="${schedule.id}">
+            <div class="schedule-info">
+              <div class="schedule-title">
+                ${this.app.escapeHtml(schedule.phoneNumber)}
+                <span class="schedule-type">${this.app.escapeHtml(
+                  schedule.description || schedule.scheduleType
+                )}</span>
+              </div>
+              <div class="schedule-message">${this.app.escapeHtml(
+                schedule.message
+              )}</div>
+              <div class="schedule-meta">
+                ${this.app.escapeHtml(
+                  account?.displayName || schedule.accountId
+                )} · Next: ${nextRun} · Sent ${
+          schedule.sendCount
+        }×${delivery}${retries}
+                <span class="schedule-status ${status}">${
+          STATUS_LABELS[status]
+        }</span>
+              </div>
+              <div class="schedule-history hidden"></div>
+            </div>
+            <div class="schedule-actions">
+              ${this.renderScheduleActions(schedule)}
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  renderScheduleActions(schedule) {
+    const actions = [["edit", "Edit", "btn-edit"]];
+
+    if (schedule.status === "active") {
+      actions.push(["pause", "Pause", "btn-edit"]);
+    } else {
+      actions.push(["resume", "Resume", "btn-edit"]);
+    }
+
+    actions.push(
+      ["runNow", "Send Now", "btn-edit"],
+      ["duplicate", "Duplicate", "btn-edit"],
+      ["history", "History", "btn-edit"],
+      ["cancel", "Delete", "btn-delete"]
+    );
+
+    return actions
+      .map(
+        ([action, label, style]) =>
+          `<button class="btn-small ${style}" data-action="${action}" data-id="${schedule.id}">${label}</button>`
+      )
+      .join("");
+  }
+
+  async handleScheduleAction(action, scheduleId) {
+    if (action === "edit") {
+      this.editSchedule(scheduleId);
+      return;
+    }
+    if (action === "history") {
+      this.toggleScheduleHistory(scheduleId);
+      return;
+    }
+
+    if (action === "cancel" && !confirm("Delete this scheduled message?")) {
+      return;
+    }
+    if (action === "runNow" && !confirm("Send this message now?")) {
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.autoMessage[action](scheduleId);
+      if (!result.success) {
+        this.app.showNotification(`Failed: ${result.error}`, "error");
+        return;
+      }
+
+      if (action === "duplicate") {
+        this.app.showNotification(
+          "Schedule duplicated - it stays paused until you resume it",
+          "success"
+        );
+      } else if (action === "runNow") {
+        this.app.showNotification("Message sent", "success");
+      }
+
+      if (action === "cancel" && scheduleId === this.editingScheduleId) {
+        this.hideScheduleForm();
+      }
+      this.loadScheduledMessages();
+    } catch (error) {
+      console.error(`Error running schedule action ${action}:`, error);
+    }
+  }
+
+  async toggleScheduleHistory(scheduleId) {
+    const item = this.elements.scheduledList.querySelector(
+      `[data-schedule-id="${scheduleId}"]`
+    );
+    const container = item?.querySelector(".schedule-history");
+    if (!container) return;
+
+    if (!container.classList.contains("hidden")) {
+      container.classList.add("hidden");
+      return;
+    }
+
+    const result = await window.electronAPI.autoMessage.get(scheduleId);
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to load history: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    const history = result.data.history;
+    container.innerHTML =
+      history.length > 0
+        ? history
+            .map(
+              (entry) => `
+                <div class="schedule-history-entry ${entry.event}">
+                  <span class="schedule-history-time">${new Date(
+                    entry.at
+                  ).toLocaleString()}</span>
+                  ${this.app.escapeHtml(this.describeHistoryEntry(entry))}
+                </div>
+              `
+            )
+            .join("")
+        : `<div class="schedule-history-entry">Nothing has happened yet</div>`;
+    container.classList.remove("hidden");
+  }
+
+  describeHistoryEntry(entry) {
+    const time = (timestamp) => new Date(timestamp).toLocaleString();
+
+    if (entry.event === "catch-up") {
+      const range =
+        entry.missed > 1
+          ? `${time(entry.firstMissed)} – ${time(entry.lastMissed)}`
+          : time(entry.firstMissed);
+      return `Missed ${entry.missed} run(s) (${range}): sent ${entry.sending}, skipped ${entry.skipped} - policy "${entry.policy}"`;
+    }
+
+    if (entry.event === "failed") {
+      return `Failed to send the ${time(entry.run)} run: ${entry.error}`;
+    }
+
+    if (entry.event === "dead-letter") {
+      return `Gave up on the ${time(entry.run)} run after ${
+        entry.attempts
+      } retries: ${entry.error}`;
+    }
+
+    if (entry.event === "interrupted") {
+      return `The app closed while sending the ${time(
+        entry.run
+      )} run - not sent again`;
+    }
+
+    if (entry.manual) {
+      return entry.late
+        ? `Resent the ${time(entry.run)} run manually`
+        : "Sent manually";
+    }
+
+    if (entry.attempt) {
+      return `Sent the ${time(entry.run)} run on retry ${entry.attempt}`;
+    }
+
+    return entry.late
+      ? `Sent late for the ${time(entry.run)} run`
+      : `Sent the ${time(entry.run)} run`;
+  }
+
+  queueTemplatePreview(input, preview) {
+    clearTimeout(this.templatePreviewTimers.get(input.id));
+    this.templatePreviewTimers.set(
+      input.id,
+      setTimeout(() => this.renderTemplatePreview(input, preview), 300)
+    );
+  }
+
+  /**
+   * Render the message the way it will be sent, for a sample contact
+   */
+  async renderTemplatePreview(input, preview) {
+    if (!preview) return;
+
+    const content = input.value;
+    if (!content.trim()) {
+      preview.classList.add("hidden");
+      return;
+    }
+
+    try {
+      const variables = {
+        name: "Alex Morgan",
+        phone: this.elements.schedulePhone?.value.replace(/\D/g, "") || "",
+      };
+
+      // A scheduled message previews with the recipient's own fields
+      const accountId = this.elements.scheduleAccount?.value;
+      if (
+        input === this.elements.scheduleMessage &&
+        accountId &&
+        variables.phone
+      ) {
+        const fields = await window.electronAPI.contacts.templateFields(
+          accountId,
+          this.elements.schedulePhone.value.trim()
+        );
+        if (fields.success) {
+          Object.assign(variables, fields.data);
+        }
+      }
+
+      const result = await window.electronAPI.template.render(
+        content,
+        variables
+      );
+
+      preview.classList.remove("hidden");
+      preview.classList.toggle("error", !result.success);
+      preview.textContent = result.success ? result.data.text : result.error;
+    } catch (error) {
+      console.error("Failed to preview template:", error);
+    }
+  }
+
+  /**
+   * Only count the schedule as a template send if the text wasn't edited
+   */
+  getScheduleTemplateId(message) {
+    const template = this.templates.find(
+      (item) => item.id === this.scheduleTemplateId
+    );
+    return template && template.content.trim() === message ? template.id : null;
+  }
+
+  /**
+   * Open the template form, filled in when editing an existing template
+   */
+  showTemplateForm(template = null) {
+    this.editingTemplateId = template ? template.id : null;
+    this.elements.templateName.value = template ? template.name : "";
+    this.elements.templateContent.value = template ? template.content : "";
+    this.elements.templateCategory.value = template ? template.category : "";
+    this.elements.saveTemplateBtn.textContent = template
+      ? "Update Template"
+      : "Save Template";
+
+    this.elements.templateForm?.classList.remove("hidden");
+    this.elements.templateName?.focus();
+
+    if (template) {
+      this.queueTemplatePreview(
+        this.elements.templateContent,
+        this.elements.templatePreview
+      );
+    }
+  }
+
+  hideTemplateForm() {
+    this.elements.templateForm?.classList.add("hidden");
+    this.elements.templateName.value = "";
+    this.elements.templateContent.value = "";
+    this.elements.templateCategory.value = "";
+    this.elements.templatePreview?.classList.add("hidden");
+    this.editingTemplateId = null;
+  }
+
+  async saveTemplate() {
+    const name = this.elements.templateName.value.trim();
+    const content = this.elements.templateContent.value.trim();
+
+    if (!name || !content) {
+      this.app.showNotification(
+        "Template name and content are required",
+        "warning"
+      );
+      return;
+    }
+
+    const templateData = {
+      name: name,
+      content: content,
+      category: this.elements.templateCategory.value.trim() || "general",
+    };
+
+    try {
+      const result = this.editingTemplateId
+        ? await window.electronAPI.template.update(
+            this.editingTemplateId,
+            templateData
+          )
+        : await window.electronAPI.template.save(templateData);
+
+      if (result.success) {
+        this.app.showNotification(result.data.message, "success");
+        this.hideTemplateForm();
+        this.loadTemplates();
+      } else {
+        this.app.showNotification(
+          `Failed to save template: ${result.error}`,
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Error saving template:", error);
+    }
+  }
+
+  async loadTemplates() {
+    const list = this.elements.templatesList;
+    if (!list) return;
+
+    try {
+      const result = await window.electronAPI.template.list();
+      if (!result.success) {
+        list.innerHTML = `<div class="list-loading">Failed to load templates</div>`;
+        return;
+      }
+
+      this.templates = result.data;
+      this.renderTemplates();
+      this.populateTemplateSelect(
+        this.elements.campaignTemplate,
+        "Write a message"
+      );
+      this.populateTemplateSelect(this.elements.replyTemplate, "Write a reply");
+      this.populateTemplateSelect(
+        this.elements.awayTemplate,
+        "Use the text below"
+      );
+      this.populateTemplateCategories();
+    } catch (error) {
+      console.error("Error loading templates:", error);
+    }
+  }
+
+  renderTemplates() {
+    const list = this.elements.templatesList;
+
+    if (this.templates.length === 0) {
+      list.innerHTML = `<div class="list-loading">No templates yet</div>`;
+      return;
+    }
+
+    list.innerHTML = this.templates
+      .map((template) => {
+        const usage = template.used
+          ? `Used ${template.used}× · last ${new Date(
+              template.lastUsed || template.updated
+            ).toLocaleDateString()}`
+          : "Not used yet";
+
+        return `
+          <div class="template-item" data-template-id="${template.id}">
+            <div class="template-header">
+              <span class="template-name">${this.app.escapeHtml(
+                template.name
+              )}</span>
+              <span class="template-category">${this.app.escapeHtml(
+                template.category
+              )}</span>
+            </div>
+            <div class="template-content">${this.app.escapeHtml(
+              template.content
+            )}</div>
+            <div class="template-meta">
+              <span>v${template.version} · ${usage}</span>
+              <div class="template-actions">
+                <button class="btn-small btn-use" data-action="use" data-id="${
+                  template.id
+                }">Use</button>
+                <button class="btn-small btn-edit" data-action="edit" data-id="${
+                  template.id
+                }">Edit</button>
+                ${
+                  template.versionCount > 0
+                    ? `<button class="btn-small btn-edit" data-action="history" data-id="${template.id}">History</button>`
+                    : ""
+                }
+                <button class="btn-small btn-delete" data-action="delete" data-id="${
+                  template.id
+                }">Delete</button>
+              </div>
+            </div>
+            <div class="template-versions hidden"></div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  populateTemplateCategories() {
+    const options = this.elements.templateCategoryOptions;
+    if (!options) return;
+
+    window.electronAPI.template.categories().then((result) => {
+      if (!result.success) return;
+      options.innerHTML = result.data
+        .map((category) => `<option value="${this.app.escapeHtml(category)}">`)
+        .join("");
+    });
+  }
+
+  async handleTemplateAction(action, data) {
+    const api = window.electronAPI.template;
+    const template = this.templates.find((item) => item.id === data.id);
+
+    try {
+      switch (action) {
+        case "use":
+          this.useTemplate(data.id);
+          return;
+
+        case "edit":
+          if (template) this.showTemplateForm(template);
+          return;
+
+        case "history":
+          this.toggleTemplateHistory(data.id);
+          return;
+
+        case "delete": {
+          if (!confirm(`Delete template "${template?.name}"?`)) return;
+          const result = await api.delete(data.id);
+          if (!result.success) {
+            this.app.showNotification(
+              `Failed to delete template: ${result.error}`,
+              "error"
+            );
+          }
+          this.loadTemplates();
+          return;
+        }
+
+        case "restore": {
+          const result = await api.restore(data.id, Number(data.version));
+          if (result.success) {
+            this.app.showNotification(
+              `Restored version ${data.version}`,
+              "success"
+            );
+          } else {
+            this.app.showNotification(
+              `Failed to restore template: ${result.error}`,
+              "error"
+            );
+          }
+          this.loadTemplates();
+          return;
+        }
+      }
+    } catch (error) {
+      console.error(`Error on template ${action}:`, error);
+    }
+  }
+
+  /**
+   * Show or hide a template's earlier versions under it
+   */
+  async toggleTemplateHistory(templateId) {
+    const item = this.elements.templatesList.querySelector(
+      `[data-template-id="${templateId}"]`
+    );
+    const container = item?.querySelector(".template-versions");
+    if (!container) return;
+
+    if (!container.classList.contains("hidden")) {
+      container.classList.add("hidden");
+      return;
+    }
+
+    const result = await window.electronAPI.template.versions(templateId);
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to load history: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    container.innerHTML = result.data
+      .map(
+        (version) => `
+          <div class="template-version">
+            <div class="template-version-header">
+              <span>v${version.version} · ${this.app.escapeHtml(
+          version.name
+        )} · ${new Date(version.savedAt).toLocaleString()}</span>
+              <button class="btn-small btn-edit" data-action="restore" data-id="${templateId}" data-version="${
+          version.version
+        }">Restore</button>
+            </div>
+            <div class="template-version-content">${this.app.escapeHtml(
+              version.content
+            )}</div>
+          </div>
+        `
+      )
+      .join("");
+    container.classList.remove("hidden");
+  }
+
+  async importTemplates() {
+    try {
+      const result = await window.electronAPI.template.import();
+      if (!result.success) {
+        this.app.showNotification(
+          `Failed to import templates: ${result.error}`,
+          "error"
+        );
+        return;
+      }
+      if (!result.data) return;
+
+      const { imported, skipped, errors } = result.data;
+      this.app.showNotification(
+        `Imported ${imported} templates` +
+          (skipped ? `, ${skipped} already present` : "") +
+          (errors.length ? `, ${errors.length} invalid` : ""),
+        errors.length ? "warning" : "success"
+      );
+      if (errors.length) {
+        console.warn("Template import problems:", errors);
+      }
+      this.loadTemplates();
+    } catch (error) {
+      console.error("Error importing templates:", error);
+    }
+  }
+
+  async exportTemplates() {
+    try {
+      const result = await window.electronAPI.template.export();
+      if (!result.success) {
+        this.app.showNotification(
+          `Failed to export templates: ${result.error}`,
+          "error"
+        );
+      } else if (result.data) {
+        this.app.showNotification(
+          `Exported ${result.data.count} templates to ${result.data.filePath}`,
+          "success"
+        );
+      }
+    } catch (error) {
+      console.error("Error exporting templates:", error);
+    }
+  }
+
+  /**
+   * Copy a template into a new schedule
+   */
+  useTemplate(templateId) {
+    const template = this.templates.find((item) => item.id === templateId);
+    if (!template) return;
+
+    this.switchTab("scheduled");
+    this.showScheduleForm();
+    this.scheduleTemplateId = template.id;
+    this.elements.scheduleMessage.value = template.content;
+    this.elements.scheduleMessage.focus();
+    this.queueTemplatePreview(
+      this.elements.scheduleMessage,
+      this.elements.scheduleMessagePreview
+    );
+  }
+
+  populateReplyAccounts() {
+    const select = this.elements.replyAccount;
+    if (!select) return;
+
+    const selected = select.value || this.app.currentAccount || "";
+    select.innerHTML = Array.from(this.app.accounts.values())
+      .map(
+        (account) =>
+          `<option value="${account.accountId}">${this.app.escapeHtml(
+            account.displayName || account.accountId
+          )}</option>`
+      )
+      .join("");
+
+    if (this.app.accounts.has(selected)) {
+      select.value = selected;
+    }
+  }
+
+  async loadReplyRules() {
+    const list = this.elements.replyRulesList;
+    const accountId = this.elements.replyAccount?.value;
+    if (!list) return;
+
+    if (!accountId) {
+      list.innerHTML = `<div class="list-loading">Add an account to set up auto replies</div>`;
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.autoReply.list(accountId);
+      if (!result.success) {
+        list.innerHTML = `<div class="list-loading">Failed to load rules</div>`;
+        return;
+      }
+
+      this.replyRules = result.data;
+      this.renderReplyRules();
+    } catch (error) {
+      console.error("Error loading auto-reply rules:", error);
+    }
+  }
+
+  renderReplyRules() {
+    const list = this.elements.replyRulesList;
+
+    if (this.replyRules.length === 0) {
+      list.innerHTML = `<div class="list-loading">No rules yet - incoming messages are left alone</div>`;
+      return;
+    }
+
+    list.innerHTML = this.replyRules
+      .map(
+        (rule, index) => `
+      <div class="reply-rule-item ${rule.enabled ? "" : "disabled"}">
+        <div class="campaign-header">
+          <span class="campaign-name">${index + 1}. ${this.app.escapeHtml(
+          rule.name
+        )}</span>
+          <span class="campaign-status">${rule.enabled ? "On" : "Off"}</span>
+        </div>
+        <div class="campaign-meta">${this.describeReplyRule(rule)}</div>
+        <div class="campaign-meta">
+          Fired ${rule.stats.matches} time${
+          rule.stats.matches === 1 ? "" : "s"
+        }${
+          rule.stats.lastMatchedAt
+            ? `, last ${new Date(rule.stats.lastMatchedAt).toLocaleString()}`
+            : ""
+        }
+        </div>
+        ${
+          rule.stats.lastError
+            ? `<div class="campaign-error">${this.app.escapeHtml(
+                rule.stats.lastError
+              )}</div>`
+            : ""
+        }
+        <div class="campaign-actions">
+          <button class="btn-small" data-action="up" data-id="${rule.id}" ${
+          index === 0 ? "disabled" : ""
+        }>↑</button>
+          <button class="btn-small" data-action="down" data-id="${rule.id}" ${
+          index === this.replyRules.length - 1 ? "disabled" : ""
+        }>↓</button>
+          <button class="btn-small" data-action="edit" data-id="${
+            rule.id
+          }">Edit</button>
+          <button class="btn-small" data-action="toggle" data-id="${rule.id}">${
+          rule.enabled ? "Turn Off" : "Turn On"
+        }</button>
+          <button class="btn-small" data-action="delete" data-id="${
+            rule.id
+          }">Delete</button>
+        </div>
+      </div>
+    `
+      )
+      .join("");
+  }
+
+  /**
+   * One line summary: "Contains "price" · contacts · 09:00-17:00 → reply, react 👍"
+   */
+  describeReplyRule(rule) {
+    const parts = [MATCH_LABELS[rule.match.type]];
+    if (rule.match.pattern && rule.match.type !== "first-message") {
+      parts[0] += ` "${this.app.escapeHtml(rule.match.pattern)}"`;
+    }
+
+    if (rule.sender !== "any") {
+      parts.push(rule.sender === "group" ? "groups only" : "contacts only");
+    }
+    if (rule.timeWindow) {
+      parts.push(`${rule.timeWindow.start}-${rule.timeWindow.end}`);
+    }
+
+    const actions = rule.actions.map((action) => {
+      if (action.type === "reply") {
+        const template = this.templates.find(
+          (item) => item.id === action.templateId
+        );
+        return template
+          ? `reply "${this.app.escapeHtml(template.name)}"`
+          : "reply";
+      }
+      if (action.type === "react") return `react ${action.emoji}`;
+      if (action.type === "label") {
+        return `label "${this.app.escapeHtml(action.label)}"`;
+      }
+      return "mark read";
+    });
+
+    return `${parts.join(" · ")} → ${actions.join(", ")} · every ${
+      rule.cooldownMinutes
+    } min per chat`;
+  }
+
+  showReplyRuleForm(rule = null) {
+    const el = this.elements;
+    this.editingRuleId = rule ? rule.id : null;
+
+    el.replyRuleName.value = rule?.name || "";
+    el.replySender.value = rule?.sender || "any";
+    el.replyMatchType.value = rule?.match.type || "keyword";
+    el.replyMatchPattern.value = rule?.match.pattern || "";
+    el.replyCaseSensitive.checked = Boolean(rule?.match.caseSensitive);
+
+    el.replyWindowEnabled.checked = Boolean(rule?.timeWindow);
+    el.replyWindowStart.value = rule?.timeWindow?.start || "09:00";
+    el.replyWindowEnd.value = rule?.timeWindow?.end || "17:00";
+    const days = rule?.timeWindow?.days || [1, 2, 3, 4, 5];
+    el.replyWindowDays.querySelectorAll("input").forEach((input) => {
+      input.checked = days.includes(Number(input.value));
+    });
+
+    const find = (type) => rule?.actions.find((action) => action.type === type);
+    const reply = rule ? find("reply") : { text: "" };
+    el.replyActionReply.checked = Boolean(reply);
+    el.replyTemplate.value = reply?.templateId || "";
+    el.replyText.value = reply?.text || "";
+    el.replyActionReact.checked = Boolean(find("react"));
+    el.replyEmoji.value = find("react")?.emoji || "👍";
+    el.replyActionLabel.checked = Boolean(find("label"));
+    el.replyLabel.value = find("label")?.label || "";
+    el.replyActionRead.checked = Boolean(find("mark-read"));
+
+    el.replyCooldown.value = rule?.cooldownMinutes ?? 60;
+    el.replyContinue.checked = Boolean(rule?.continueAfter);
+    el.saveReplyRuleBtn.textContent = rule ? "Update Rule" : "Save Rule";
+
+    el.replyRuleForm.classList.remove("hidden");
+    this.updateReplyRuleForm();
+  }
+
+  hideReplyRuleForm() {
+    this.elements.replyRuleForm?.classList.add("hidden");
+    this.editingRuleId = null;
+  }
+
+  /**
+   * Show only the inputs the chosen options use
+   */
+  updateReplyRuleForm() {
+    const el = this.elements;
+    const type = el.replyMatchType.value;
+
+    el.replyRuleForm
+      .querySelector(".reply-pattern-group")
+      .classList.toggle("hidden", ["any", "first-message"].includes(type));
+    el.replyMatchPattern.placeholder =
+      type === "regex"
+        ? "^(hi|hello)\\b"
+        : type === "exact"
+        ? "menu"
+        : "price, cost, how much";
+    el.replyWindow.classList.toggle("hidden", !el.replyWindowEnabled.checked);
+    el.replyText.disabled = Boolean(el.replyTemplate.value);
+  }
+
+  buildReplyRule() {
+    const el = this.elements;
+    const actions = [];
+
+    if (el.replyActionReply.checked) {
+      actions.push(
+        el.replyTemplate.value
+          ? { type: "reply", templateId: el.replyTemplate.value }
+          : { type: "reply", text: el.replyText.value }
+      );
+    }
+    if (el.replyActionReact.checked) {
+      actions.push({ type: "react", emoji: el.replyEmoji.value });
+    }
+    if (el.replyActionLabel.checked) {
+      actions.push({ type: "label", label: el.replyLabel.value });
+    }
+    if (el.replyActionRead.checked) {
+      actions.push({ type: "mark-read" });
+    }
+
+    return {
+      name: el.replyRuleName.value,
+      sender: el.replySender.value,
+      match: {
+        type: el.replyMatchType.value,
+        pattern: el.replyMatchPattern.value,
+        caseSensitive: el.replyCaseSensitive.checked,
+      },
+      timeWindow: el.replyWindowEnabled.checked
+        ? {
+            start: el.replyWindowStart.value,
+            end: el.replyWindowEnd.value,
+            days: Array.from(
+              el.replyWindowDays.querySelectorAll("input:checked")
+            ).map((input) => Number(input.value)),
+          }
+        : null,
+      actions: actions,
+      cooldownMinutes: Number(el.replyCooldown.value),
+      continueAfter: el.replyContinue.checked,
+    };
+  }
+
+  async saveReplyRule() {
+    const accountId = this.elements.replyAccount.value;
+    const rule = this.buildReplyRule();
+    const api = window.electronAPI.autoReply;
+
+    const result = this.editingRuleId
+      ? await api.update(accountId, this.editingRuleId, rule)
+      : await api.create(accountId, rule);
+
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to save rule: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.app.showNotification("Auto-reply rule saved", "success");
+    this.hideReplyRuleForm();
+    this.loadReplyRules();
+  }
+
+  async handleReplyRuleAction(action, ruleId) {
+    const accountId = this.elements.replyAccount.value;
+    const api = window.electronAPI.autoReply;
+    const index = this.replyRules.findIndex((rule) => rule.id === ruleId);
+    const rule = this.replyRules[index];
+    if (!rule) return;
+
+    let result;
+    switch (action) {
+      case "edit":
+        this.showReplyRuleForm(rule);
+        return;
+
+      case "toggle":
+        result = await api.update(accountId, ruleId, {
+          enabled: !rule.enabled,
+        });
+        break;
+
+      case "up":
+      case "down": {
+        const ids = this.replyRules.map((item) => item.id);
+        const target = action === "up" ? index - 1 : index + 1;
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        result = await api.reorder(accountId, ids);
+        break;
+      }
+
+      case "delete":
+        if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+        result = await api.delete(accountId, ruleId);
+        break;
+    }
+
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to update rule: ${result.error}`,
+        "error"
+      );
+    }
+    this.loadReplyRules();
+  }
+
+  /**
+   * Run a sample message through the rules - nothing is sent
+   */
+  async runReplyTest() {
+    const output = this.elements.replyTestResult;
+    const result = await window.electronAPI.autoReply.test(
+      this.elements.replyAccount.value,
+      {
+        text: this.elements.replyTestText.value,
+        sender: this.elements.replyTestSender.value,
+        firstMessage: this.elements.replyTestFirst.checked,
+      }
+    );
+
+    output.classList.remove("hidden");
+    if (!result.success) {
+      output.innerHTML = `<div class="campaign-error">${this.app.escapeHtml(
+        result.error
+      )}</div>`;
+      return;
+    }
+
+    const { trace, actions } = result.data;
+    const traceHtml = trace
+      .map(
+        (step) => `
+        <div class="reply-test-step ${step.result === "fires" ? "fires" : ""}">
+          <span>${this.app.escapeHtml(step.name)}</span>
+          <span>${this.app.escapeHtml(step.result)}</span>
+        </div>
+      `
+      )
+      .join("");
+
+    const actionsHtml = actions.length
+      ? actions
+          .map(
+            (action) => `
+          <div class="reply-test-action">
+            <strong>${this.app.escapeHtml(action.rule)}</strong> → ${
+              action.type
+            }${
+              action.preview
+                ? `<div class="template-preview">${this.app.escapeHtml(
+                    action.preview
+                  )}</div>`
+                : ""
+            }${
+              action.error
+                ? `<div class="campaign-error">${this.app.escapeHtml(
+                    action.error
+                  )}</div>`
+                : ""
+            }
+          </div>
+        `
+          )
+          .join("")
+      : `<div class="campaign-meta">No rule would fire for this message</div>`;
+
+    output.innerHTML = `${
+      traceHtml || `<div class="campaign-meta">This account has no rules</div>`
+    }${actionsHtml}`;
+  }
+
+  async loadAwaySettings() {
+    const accountId = this.elements.replyAccount?.value;
+    if (!accountId || !this.elements.awaySettings) return;
+
+    try {
+      const result = await window.electronAPI.away.get(accountId);
+      if (!result.success) {
+        this.elements.awayStatus.textContent = "Failed to load business hours";
+        return;
+      }
+
+      const { settings, status, stats } = result.data;
+      this.elements.awayEnabled.checked = settings.enabled;
+      this.renderAwayHours(settings.hours);
+      this.awayHolidays = settings.holidays;
+      this.renderAwayHolidays();
+
+      this.elements.awayTemplate.value = settings.reply.templateId || "";
+      this.elements.awayText.value = settings.reply.text || "";
+      this.elements.awayText.disabled = Boolean(settings.reply.templateId);
+
+      this.elements.awayStatus.textContent = this.describeAwayStatus(status);
+      this.elements.awayStats.textContent = stats.lastError
+        ? `Last away reply failed: ${stats.lastError}`
+        : `${stats.replies} away ${
+            stats.replies === 1 ? "reply" : "replies"
+          } sent${
+            stats.lastReplyAt
+              ? `, last ${new Date(stats.lastReplyAt).toLocaleString()}`
+              : ""
+          }`;
+    } catch (error) {
+      console.error("Error loading business hours:", error);
+    }
+  }
+
+  describeAwayStatus(status) {
+    const until = status.until
+      ? ` until ${new Date(status.until).toLocaleString()}`
+      : "";
+
+    switch (status.reason) {
+      case "manual":
+        return `🌙 Away${until}`;
+      case "holiday":
+        return `Closed for a holiday${until}`;
+      case "closed":
+        return `Closed${until}`;
+      default:
+        return status.enabled ? "Open now" : "Away message off";
+    }
+  }
+
+  renderAwayHours(hours) {
+    this.elements.awayHours.innerHTML = DAY_NAMES.map(
+      (day, index) => `
+      <div class="away-hours-row" data-day="${index}">
+        <label class="inline-option">
+          <input type="checkbox" class="away-open" ${
+            hours[index] ? "checked" : ""
+          }> ${day}
+        </label>
+        <input type="time" class="away-start" value="${
+          hours[index]?.start || "09:00"
+        }">
+        <span>to</span>
+        <input type="time" class="away-end" value="${
+          hours[index]?.end || "17:00"
+        }">
+      </div>
+    `
+    ).join("");
+  }
+
+  renderAwayHolidays() {
+    const list = this.elements.awayHolidays;
+
+    list.innerHTML = this.awayHolidays.length
+      ? this.awayHolidays
+          .map(
+            (holiday, index) => `
+          <div class="away-holiday">
+            <span>${holiday.date}${
+              holiday.name ? ` - ${this.app.escapeHtml(holiday.name)}` : ""
+            }</span>
+            <button class="btn-small" data-remove-holiday="${index}">Remove</button>
+          </div>
+        `
+          )
+          .join("")
+      : `<div class="campaign-meta">No holidays</div>`;
+  }
+
+  addAwayHoliday() {
+    const date = this.elements.awayHolidayDate.value;
+    if (!date) {
+      this.app.showNotification("Pick the holiday's date first", "warning");
+      return;
+    }
+
+    this.awayHolidays = this.awayHolidays
+      .filter((holiday) => holiday.date !== date)
+      .concat({ date: date, name: this.elements.awayHolidayName.value })
+      .sort((a, b) => a.date.localeCompare(b.date));
+    this.elements.awayHolidayDate.value = "";
+    this.elements.awayHolidayName.value = "";
+    this.renderAwayHolidays();
+  }
+
+  async saveAwaySettings() {
+    const el = this.elements;
+    const hours = Array.from(
+      el.awayHours.querySelectorAll(".away-hours-row")
+    ).map((row) =>
+      row.querySelector(".away-open").checked
+        ? {
+            start: row.querySelector(".away-start").value,
+            end: row.querySelector(".away-end").value,
+          }
+        : null
+    );
+
+    const result = await window.electronAPI.away.update(el.replyAccount.value, {
+      enabled: el.awayEnabled.checked,
+      hours: hours,
+      holidays: this.awayHolidays,
+      reply: el.awayTemplate.value
+        ? { templateId: el.awayTemplate.value }
+        : { text: el.awayText.value },
+    });
+
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to save business hours: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.app.showNotification("Business hours saved", "success");
+    this.loadAwaySettings();
+  }
+
+  showCampaignForm() {
+    this.elements.campaignForm?.classList.remove("hidden");
+    this.populateCampaignAccounts();
+  }
+
+  hideCampaignForm() {
+    this.elements.campaignForm?.classList.add("hidden");
+    this.elements.campaignName.value = "";
+    this.elements.campaignTemplate.value = "";
+    this.elements.campaignMessage.value = "";
+    this.elements.campaignMessage.disabled = false;
+    this.elements.campaignContacts.classList.add("hidden");
+    this.contactList = null;
+  }
+
+  populateCampaignAccounts() {
+    const container = this.elements.campaignAccounts;
+    if (!container) return;
+
+    container.innerHTML = Array.from(this.app.accounts.values())
+      .map(
+        (account) => `
+          <label>
+            <input type="checkbox" value="${account.accountId}" ${
+          account.accountId === this.app.currentAccount ? "checked" : ""
+        }>
+            ${this.app.escapeHtml(account.displayName || account.accountId)}
+          </label>
+        `
+      )
+      .join("");
+  }
+
+  populateTemplateSelect(select, emptyLabel) {
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML =
+      `<option value="">${emptyLabel}</option>` +
+      this.templates
+        .map(
+          (template) =>
+            `<option value="${template.id}">${this.app.escapeHtml(
+              template.name
+            )}</option>`
+        )
+        .join("");
+    select.value = selected;
+  }
+
+  async chooseContacts() {
+    try {
+      const result = await window.electronAPI.campaign.chooseContacts();
+      if (!result.success) {
+        this.app.showNotification(
+          `Could not read contact list: ${result.error}`,
+          "error"
+        );
+        return;
+      }
+
+      if (result.data) {
+        this.renderContactList(result.data);
+      }
+    } catch (error) {
+      console.error("Error choosing contacts:", error);
+    }
+  }
+
+  /**
+   * Re-read the contact list with a different phone column
+   */
+  async previewContacts() {
+    if (!this.contactList) return;
+
+    const result = await window.electronAPI.campaign.previewContacts(
+      this.contactList.filePath,
+      this.elements.campaignPhoneColumn.value
+    );
+    if (result.success) {
+      this.renderContactList(result.data);
+    }
+  }
+
+  renderContactList(contactList) {
+    this.contactList = contactList;
+    const { campaignContacts, campaignPhoneColumn } = this.elements;
+
+    campaignContacts.classList.remove("hidden");
+    this.elements.campaignContactsSummary.textContent = `${
+      contactList.fileName
+    }: ${contactList.valid} of ${contactList.total} contacts can be messaged${
+      contactList.skipped ? ` (${contactList.skipped} skipped)` : ""
+    }`;
+
+    campaignPhoneColumn.innerHTML = contactList.columns
+      .map((column) => `<option value="${column}">${column}</option>`)
+      .join("");
+    campaignPhoneColumn.value = contactList.phoneColumn;
+
+    this.elements.campaignVariables.innerHTML = contactList.columns
+      .map((column) => `<span class="campaign-variable">{${column}}</span>`)
+      .join("");
+
+    if (!this.elements.campaignName.value) {
+      this.elements.campaignName.value = contactList.fileName.replace(
+        /\.[^.]+$/,
+        ""
+      );
+    }
+  }
+
+  async saveCampaign() {
+    if (!this.contactList) {
+      this.app.showNotification("Choose a contact list first", "warning");
+      return;
+    }
+
+    const accountIds = Array.from(
+      this.elements.campaignAccounts.querySelectorAll("input:checked")
+    ).map((input) => input.value);
+
+    try {
+      const result = await window.electronAPI.campaign.create({
+        name: this.elements.campaignName.value.trim(),
+        filePath: this.contactList.filePath,
+        phoneColumn: this.elements.campaignPhoneColumn.value,
+        templateId: this.elements.campaignTemplate.value || null,
+        message: this.elements.campaignMessage.value,
+        accountIds: accountIds,
+        rotation: this.elements.campaignRotation.value,
+        throttle: {
+          minDelay: this.elements.campaignMinDelay.value,
+          maxDelay: this.elements.campaignMaxDelay.value,
+          batchSize: this.elements.campaignBatchSize.value,
+          batchPause: this.elements.campaignBatchPause.value,
+        },
+      });
+
+      if (result.success) {
+        this.app.showNotification(
+          `Campaign created with ${result.data.counts.pending} recipients`,
+          "success"
+        );
+        this.hideCampaignForm();
+        this.loadCampaigns();
+      } else {
+        this.app.showNotification(
+          `Failed to create campaign: ${result.error}`,
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Error creating campaign:", error);
+    }
+  }
+
+  async loadCampaigns() {
+    const list = this.elements.campaignsList;
+    if (!list) return;
+
+    try {
+      const result = await window.electronAPI.campaign.list();
+      if (!result.success) {
+        list.innerHTML = `<div class="list-loading">Failed to load campaigns</div>`;
+        return;
+      }
+
+      if (result.data.length === 0) {
+        list.innerHTML = `<div class="list-loading">No campaigns yet</div>`;
+        return;
+      }
+
+      list.innerHTML = result.data
+        .map((campaign) => this.renderCampaignItem(campaign))
+        .join("");
+    } catch (error) {
+      console.error("Error loading campaigns:", error);
+    }
+  }
+
+  renderCampaignItem(campaign) {
+    const { counts, total } = campaign;
+    const done = total - counts.pending;
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+
+    const actions = [];
+    if (campaign.status === "draft") actions.push(["start", "Start"]);
+    if (campaign.status === "running") actions.push(["pause", "Pause"]);
+    if (campaign.status === "paused") actions.push(["resume", "Resume"]);
+    if (["draft", "running", "paused"].includes(campaign.status)) {
+      actions.push(["cancel", "Cancel"]);
+    }
+    actions.push(["export", "Export Report"]);
+    if (campaign.status !== "running") actions.push(["delete", "Delete"]);
+
+    return `
+      <div class="campaign-item" data-campaign-id="${campaign.id}">
+        <div class="campaign-header">
+          <span class="campaign-name">${this.app.escapeHtml(
+            campaign.name
+          )}</span>
+          <span class="campaign-status ${campaign.status}">${
+      campaign.status
+    }</span>
+        </div>
+        <div class="campaign-progress">
+          <div class="campaign-progress-bar" style="width: ${percent}%"></div>
+        </div>
+        <div class="campaign-meta">
+          ${done}/${total} processed · ${counts.sent} sent · ${
+      counts.failed
+    } failed · ${counts.skipped} skipped${
+      counts.cancelled ? ` · ${counts.cancelled} cancelled` : ""
+    }${counts.interrupted ? ` · ${counts.interrupted} interrupted` : ""}
+        </div>
+        ${
+          campaign.lastError
+            ? `<div class="campaign-error">${this.app.escapeHtml(
+                campaign.lastError
+              )}</div>`
+            : ""
+        }
+        <div class="campaign-actions">
+          ${actions
+            .map(
+              ([action, label]) =>
+                `<button class="btn-small" data-action="${action}" data-id="${campaign.id}">${label}</button>`
+            )
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Swap one campaign's row in place as progress events arrive
+   */
+  updateCampaignItem(campaign) {
+    const item = this.elements.campaignsList?.querySelector(
+      `[data-campaign-id="${campaign.id}"]`
+    );
+    if (!item) {
+      this.loadCampaigns();
+      return;
+    }
+
+    item.outerHTML = this.renderCampaignItem(campaign);
+  }
+
+  async handleCampaignAction(action, campaignId) {
+    const api = window.electronAPI.campaign;
+
+    if (action === "cancel" && !confirm("Cancel this campaign?")) return;
+    if (action === "delete" && !confirm("Delete this campaign?")) return;
+
+    try {
+      if (action === "export") {
+        const result = await api.exportReport(campaignId);
+        if (result.success && result.data) {
+          this.app.showNotification(
+            `Report saved to ${result.data.filePath}`,
+            "success"
+          );
+        } else if (!result.success) {
+          this.app.showNotification(
+            `Failed to export report: ${result.error}`,
+            "error"
+          );
+        }
+        return;
+      }
+
+      const result = await api[action](campaignId);
+      if (!result.success) {
+        this.app.showNotification(
+          `Failed to ${action} campaign: ${result.error}`,
+          "error"
+        );
+      }
+      this.loadCampaigns();
+    } catch (error) {
+      console.error(`Error on campaign ${action}:`, error);
+    }
+  }
+}
+
+// Initialize AutoMessagingUI when app is ready
+document.addEventListener("DOMContentLoaded", () => {
+  const initAutoMessagingUI = () => {
+    if (window.WhatsAppApp) {
+      window.AutoMessagingUI = new AutoMessagingUI(window.WhatsAppApp);
+    } else {
+      setTimeout(initAutoMessagingUI, 100);
+    }
+  };
+
+  setTimeout(initAutoMessagingUI, 500);
+});
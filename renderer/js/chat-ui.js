@@ -12,6 +12,8 @@ class ChatUI {
     this.messageObserver = null;
     this.typingTimeout = null;
     this.lastMessageId = null;
+    this.uploads = new Map(); // transferId -> progress element
+    this.maxBufferUpload = 100 * 1024 * 1024; // pasted files travel over IPC
 
     this.init();
   }
@@ -35,9 +37,6 @@ class ChatUI {
     // Setup auto-scroll on new messages
     this.setupAutoScroll();
 
-    // Setup message status updates
-    this.setupMessageStatusUpdates();
-
     // Setup message grouping by date
     this.setupMessageGrouping();
   }
@@ -59,8 +58,8 @@ class ChatUI {
 
     // Auto-scroll on new messages if user is at bottom
     this.originalAddMessage = this.app.addMessageToUI.bind(this.app);
-    this.app.addMessageToUI = (messageText, isSent = false) => {
-      this.originalAddMessage(messageText, isSent);
+    this.app.addMessageToUI = (messageText, isSent = false, meta = {}) => {
+      this.originalAddMessage(messageText, isSent, meta);
 
       if (isAtBottom || isSent) {
         setTimeout(() => {
@@ -638,7 +637,7 @@ class ChatUI {
         this.showChatSearch();
         break;
       case "media":
-        this.app.showNotification("Media view not yet implemented", "info");
+        this.showMediaGallery();
         break;
       case "clear":
         this.clearChatHistory();
@@ -807,41 +806,226 @@ class ChatUI {
     attachBtn?.addEventListener("click", () => {
       this.showAttachmentMenu();
     });
+
+    // Upload progress reported by the main process
+    window.electronAPI?.onMediaProgress?.((data) =>
+      this.updateFileUploadProgress(data)
+    );
+
+    // Inbound attachments finished downloading
+    window.electronAPI?.onMediaDownloaded?.((data) =>
+      this.handleMediaDownloaded(data)
+    );
+  }
+
+  /**
+   * Fill a message's media placeholder, downloading it if needed
+   */
+  async loadMessageMedia(messageDiv, accountId, messageId) {
+    const container = messageDiv.querySelector(".message-media");
+    if (!container || !window.electronAPI) return;
+
+    try {
+      const response = await window.electronAPI.media.get(accountId, messageId);
+
+      if (response.success && response.data) {
+        this.renderMediaPreview(container, response.data);
+      } else {
+        container.classList.remove("loading");
+        container.textContent = "📎 Media unavailable";
+      }
+    } catch (error) {
+      console.error("Failed to load media:", error);
+      container.classList.remove("loading");
+      container.textContent = "📎 Media unavailable";
+    }
+  }
+
+  handleMediaDownloaded({ accountId, messageId, media }) {
+    if (accountId !== this.app.currentAccount) return;
+
+    const container = document.querySelector(
+      `.message[data-message-id="${CSS.escape(messageId)}"] .message-media`
+    );
+    if (container) {
+      this.renderMediaPreview(container, media);
+    }
+  }
+
+  /**
+   * Inline preview for an attachment, chosen by mimetype
+   */
+  renderMediaPreview(container, media) {
+    const url = this.app.escapeHtml(media.url);
+    const name = this.app.escapeHtml(media.filename || "Attachment");
+    const kind = (media.mimetype || "").split("/")[0];
+
+    container.classList.remove("loading");
+
+    if (kind === "image") {
+      container.innerHTML = `<img src="${url}" alt="${name}" class="message-image">`;
+    } else if (kind === "video") {
+      container.innerHTML = `<video src="${url}" class="message-video" controls preload="metadata"></video>`;
+    } else if (kind === "audio") {
+      container.innerHTML = `<audio src="${url}" class="message-audio" controls preload="metadata"></audio>`;
+    } else {
+      container.innerHTML = `
+        <a class="file-attachment" href="${url}" download="${name}">
+          <div class="file-icon">📄</div>
+          <div class="file-info">
+            <div class="file-name">${name}</div>
+            <div class="file-size">${this.formatFileSize(media.size)}</div>
+          </div>
+        </a>
+      `;
+    }
+  }
+
+  /**
+   * Show every stored attachment in the open chat
+   */
+  async showMediaGallery() {
+    const accountId = this.app.currentAccount;
+    const chatId = this.app.currentChat;
+    if (!accountId || !chatId) return;
+
+    const response = await window.electronAPI.media.listChat(accountId, chatId);
+    if (!response.success) {
+      this.app.showNotification(
+        `Failed to load media: ${response.error}`,
+        "error"
+      );
+      return;
+    }
+
+    const items = response.data;
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay";
+    overlay.innerHTML = `
+      <div class="modal-content media-gallery-modal">
+        <div class="modal-header">
+          <h2>Media (${items.length})</h2>
+          <button class="close-btn">×</button>
+        </div>
+        <div class="modal-body">
+          ${
+            items.length === 0
+              ? `<div class="empty-state">
+                  <div class="empty-state-title">No media yet</div>
+                  <div class="empty-state-description">Photos, videos and documents in this chat will appear here</div>
+                </div>`
+              : `<div class="media-gallery"></div>`
+          }
+        </div>
+      </div>
+    `;
+
+    const gallery = overlay.querySelector(".media-gallery");
+    items.forEach((media) => {
+      const tile = document.createElement("div");
+      tile.className = "media-gallery-item";
+      tile.dataset.messageId = media.messageId;
+      tile.title = `${media.filename || ""} ${new Date(
+        media.timestamp
+      ).toLocaleString()}`.trim();
+
+      const preview = document.createElement("div");
+      preview.className = "message-media";
+      this.renderMediaPreview(preview, media);
+      tile.appendChild(preview);
+      gallery.appendChild(tile);
+    });
+
+    const close = () => overlay.remove();
+    overlay.querySelector(".close-btn").addEventListener("click", close);
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        close();
+        return;
+      }
+
+      // Jump to the message an image came from; other kinds keep their controls
+      const tile = e.target.closest(".media-gallery-item");
+      if (tile && e.target.tagName === "IMG") {
+        close();
+        this.app.scrollToMessage(tile.dataset.messageId);
+      }
+    });
+
+    document.body.appendChild(overlay);
   }
 
   /**
    * Handle file upload
+   * mode: auto, document, voice or sticker
    */
-  async handleFileUpload(files) {
+  async handleFileUpload(files, mode = "auto") {
+    const accountId = this.app.currentAccount;
+    const chatId = this.app.currentChat;
+
+    if (!accountId || !chatId) {
+      this.app.showNotification("Please select a chat first", "warning");
+      return;
+    }
+
+    // A single file takes whatever is typed in the input as its caption
+    const messageInput = this.app.elements.messageInput;
+    const caption =
+      files.length === 1 && mode !== "sticker" && mode !== "voice"
+        ? messageInput?.value?.trim() || ""
+        : "";
+
     for (const file of files) {
+      const transferId = `media_${Date.now()}_${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+
       try {
-        // Validate file
-        if (file.size > 16 * 1024 * 1024) {
-          // 16MB limit
-          this.app.showNotification(
-            `File "${file.name}" is too large (max 16MB)`,
-            "error"
-          );
-          continue;
+        const mediaData = {
+          filename: file.name,
+          mimetype: file.type || undefined,
+          caption: caption,
+          mode: mode,
+          transferId: transferId,
+        };
+
+        // Files from disk go by path; pasted files only exist in memory
+        if (file.path) {
+          mediaData.filePath = file.path;
+        } else {
+          if (file.size > this.maxBufferUpload) {
+            throw new Error(`"${file.name}" is too large to paste`);
+          }
+          mediaData.data = new Uint8Array(await file.arrayBuffer());
         }
 
         // Show upload progress
-        this.showFileUploadProgress(file);
+        this.showFileUploadProgress(file, transferId);
+
+        const response = await window.electronAPI.message.sendMedia(
+          accountId,
+          chatId,
+          mediaData
+        );
 
-        // TODO: Implement actual file upload to backend
-        await new Promise((resolve) => setTimeout(resolve, 1000)); // Simulate upload
+        if (!response.success) {
+          throw new Error(response.error);
+        }
 
         // Add file message to UI
-        this.addFileMessageToUI(file);
+        if (this.app.currentChat === chatId) {
+          this.addFileMessageToUI(file, response.data);
+        }
 
-        this.app.showNotification(
-          `File "${file.name}" sent successfully`,
-          "info"
-        );
+        if (caption && messageInput) {
+          messageInput.value = "";
+          this.app.adjustMessageInputHeight();
+        }
       } catch (error) {
         console.error("File upload error:", error);
+        this.removeFileUploadProgress(transferId);
         this.app.showNotification(
-          `Failed to send file "${file.name}"`,
+          `Failed to send file "${file.name}": ${error.message}`,
           "error"
         );
       }
@@ -851,12 +1035,12 @@ class ChatUI {
   /**
    * Show file upload progress
    */
-  showFileUploadProgress(file) {
+  showFileUploadProgress(file, transferId) {
     const progressDiv = document.createElement("div");
     progressDiv.className = "file-upload-progress";
     progressDiv.innerHTML = `
       <div class="upload-info">
-        <span class="file-name">${file.name}</span>
+        <span class="file-name">${this.app.escapeHtml(file.name)}</span>
         <span class="file-size">${this.formatFileSize(file.size)}</span>
       </div>
       <div class="progress-bar">
@@ -866,62 +1050,87 @@ class ChatUI {
 
     const messagesContainer = this.app.elements.messagesContainer;
     messagesContainer.appendChild(progressDiv);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    this.uploads.set(transferId, progressDiv);
+  }
+
+  /**
+   * Apply a progress event from the main process
+   */
+  updateFileUploadProgress({ transferId, stage, progress }) {
+    const progressDiv = this.uploads.get(transferId);
+    if (!progressDiv) return;
 
-    // Simulate progress
-    let progress = 0;
     const progressFill = progressDiv.querySelector(".progress-fill");
-    const interval = setInterval(() => {
-      progress += 20;
-      progressFill.style.width = progress + "%";
+    progressFill.style.width = progress + "%";
+    progressDiv.classList.toggle("uploading", stage === "uploading");
 
-      if (progress >= 100) {
-        clearInterval(interval);
-        setTimeout(() => progressDiv.remove(), 500);
-      }
-    }, 200);
+    if (stage === "sent" || stage === "failed") {
+      setTimeout(() => this.removeFileUploadProgress(transferId), 500);
+    }
+  }
+
+  removeFileUploadProgress(transferId) {
+    this.uploads.get(transferId)?.remove();
+    this.uploads.delete(transferId);
   }
 
   /**
    * Add file message to UI
    */
-  addFileMessageToUI(file) {
+  addFileMessageToUI(file, messageData = {}) {
     const chatMessages = document.getElementById("chatMessages");
     if (!chatMessages) return;
 
     const isImage = file.type.startsWith("image/");
     const fileUrl = URL.createObjectURL(file);
+    const fileName = this.app.escapeHtml(file.name);
+    const timestamp = messageData.timestamp || Date.now();
+    const caption = messageData.body
+      ? `<div class="message-caption">${this.app.escapeHtml(
+          messageData.body
+        )}</div>`
+      : "";
 
     const messageDiv = document.createElement("div");
     messageDiv.className = "message sent file-message";
+    if (messageData.id) {
+      messageDiv.dataset.messageId = messageData.id;
+    }
+    messageDiv.dataset.timestamp = timestamp;
 
-    if (isImage) {
+    if (isImage && messageData.mediaKind !== "document") {
       messageDiv.innerHTML = `
         <div class="message-bubble">
           <div class="message-content">
-            <img src="${fileUrl}" alt="${
-        file.name
-      }" class="message-image" style="max-width: 200px; border-radius: 8px;">
+            <img src="${fileUrl}" alt="${fileName}" class="message-image" style="max-width: 200px; border-radius: 8px;">
+            ${caption}
           </div>
-          <div class="message-time">${utils.formatTime(Date.now())}</div>
+          <div class="message-time">${utils.formatTime(
+            timestamp
+          )}${this.app.renderMessageStatus(messageData.status)}</div>
         </div>
       `;
     } else {
+      const icon = messageData.mediaKind === "voice" ? "🎤" : "📄";
       messageDiv.innerHTML = `
         <div class="message-bubble">
           <div class="message-content file-attachment">
-            <div class="file-icon">📄</div>
+            <div class="file-icon">${icon}</div>
             <div class="file-info">
-              <div class="file-name">${file.name}</div>
+              <div class="file-name">${fileName}</div>
               <div class="file-size">${this.formatFileSize(file.size)}</div>
             </div>
             <button class="file-download" onclick="this.parentElement.querySelector('a').click()">
-              <a href="${fileUrl}" download="${
-        file.name
-      }" style="display: none;"></a>
+              <a href="${fileUrl}" download="${fileName}" style="display: none;"></a>
               ⬇️
             </button>
           </div>
-          <div class="message-time">${utils.formatTime(Date.now())}</div>
+          ${caption}
+          <div class="message-time">${utils.formatTime(
+            timestamp
+          )}${this.app.renderMessageStatus(messageData.status)}</div>
         </div>
       `;
     }
@@ -959,6 +1168,16 @@ class ChatUI {
         <span class="attachment-label">Document</span>
         <input type="file" multiple style="display: none;">
       </div>
+      <div class="attachment-option" data-type="voice">
+        <span class="attachment-icon">🎤</span>
+        <span class="attachment-label">Voice note</span>
+        <input type="file" accept="audio/*" style="display: none;">
+      </div>
+      <div class="attachment-option" data-type="sticker">
+        <span class="attachment-icon">💟</span>
+        <span class="attachment-label">Sticker</span>
+        <input type="file" accept="image/*" style="display: none;">
+      </div>
       <div class="attachment-option" data-type="camera">
         <span class="attachment-icon">📷</span>
         <span class="attachment-label">Camera</span>
@@ -987,7 +1206,7 @@ class ChatUI {
         fileInput.addEventListener("change", (e) => {
           const files = Array.from(e.target.files);
           if (files.length > 0) {
-            this.handleFileUpload(files);
+            this.handleFileUpload(files, type === "image" ? "auto" : type);
           }
         });
       } else if (type === "camera") {
@@ -1167,70 +1386,105 @@ class ChatUI {
   }
 
   /**
-   * Setup message status updates
+   * Setup message grouping by date
    */
-  setupMessageStatusUpdates() {
-    // This would integrate with backend to show message delivery status
-    // For now, just simulate status updates
-    this.simulateMessageStatus();
-  }
+  setupMessageGrouping() {
+    const messagesContainer = this.app.elements.messagesContainer;
+    if (!messagesContainer) return;
 
-  /**
-   * Simulate message status updates
-   */
-  simulateMessageStatus() {
-    // Add status indicators to sent messages
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (
-            node.nodeType === 1 &&
-            node.classList?.contains("message") &&
-            node.classList?.contains("sent")
-          ) {
-            this.addMessageStatus(node);
-          }
-        });
+    // Re-group whenever messages are rendered, prepended or appended.
+    // applyDateGrouping is idempotent, so its own edits settle after one pass.
+    let scheduled = false;
+    const observer = new MutationObserver(() => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        this.applyDateGrouping();
       });
     });
 
-    const chatMessages = document.getElementById("chatMessages");
-    if (chatMessages) {
-      observer.observe(chatMessages, { childList: true });
-    }
+    observer.observe(messagesContainer, { childList: true, subtree: true });
+    this.groupingObserver = observer;
   }
 
   /**
-   * Add message status indicator
+   * Insert a date separator before the first message of each day
    */
-  addMessageStatus(messageElement) {
-    const timeElement = messageElement.querySelector(".message-time");
-    if (!timeElement) return;
+  applyDateGrouping() {
+    const chatMessages = document.getElementById("chatMessages");
+    if (!chatMessages) return;
+
+    let lastDay = null;
+
+    for (const node of Array.from(chatMessages.children)) {
+      if (node.classList.contains("date-separator")) {
+        // Drop separators that no longer start a new day
+        const next = node.nextElementSibling;
+        const nextDay = next?.dataset.timestamp
+          ? this.getDayKey(Number(next.dataset.timestamp))
+          : null;
+        if (!nextDay || nextDay === lastDay || node.dataset.day !== nextDay) {
+          node.remove();
+        }
+        continue;
+      }
 
-    // Add status icon
-    const statusIcon = document.createElement("span");
-    statusIcon.className = "message-status sending";
-    statusIcon.innerHTML = "🕐";
-    timeElement.appendChild(statusIcon);
+      if (!node.dataset.timestamp) continue;
 
-    // Simulate status progression
-    setTimeout(() => {
-      statusIcon.className = "message-status sent";
-      statusIcon.innerHTML = "✓";
-    }, 1000);
+      const timestamp = Number(node.dataset.timestamp);
+      const day = this.getDayKey(timestamp);
+      if (day === lastDay) continue;
 
-    setTimeout(() => {
-      statusIcon.className = "message-status delivered";
-      statusIcon.innerHTML = "✓✓";
-    }, 2000);
+      const previous = node.previousElementSibling;
+      const hasSeparator =
+        previous?.classList.contains("date-separator") &&
+        previous.dataset.day === day;
+
+      if (!hasSeparator) {
+        const separator = document.createElement("div");
+        separator.className = "date-separator";
+        separator.dataset.day = day;
+        separator.innerHTML = `<span>${this.formatDayLabel(timestamp)}</span>`;
+        node.before(separator);
+      }
+
+      lastDay = day;
+    }
   }
 
   /**
-   * Setup message grouping by date
+   * Local calendar day key for grouping
    */
-  setupMessageGrouping() {
-    // This would group messages by date with date headers
-    // Implementation would go here for date separators
+  getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+  }
+
+  /**
+   * Human label for a date separator (Today, Yesterday, weekday, date)
+   */
+  formatDayLabel(timestamp) {
+    const date = new Date(timestamp);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+
+    const daysAgo = Math.round((today - day) / (24 * 60 * 60 * 1000));
+
+    if (daysAgo === 0) return "Today";
+    if (daysAgo === 1) return "Yesterday";
+    if (daysAgo > 1 && daysAgo < 7) {
+      return date.toLocaleDateString([], { weekday: "long" });
+    }
+
+    return date.toLocaleDateString([], {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
   }
 
   /**
@@ -1242,6 +1496,10 @@ class ChatUI {
       clearTimeout(this.typingTimeout);
     }
 
+    if (this.groupingObserver) {
+      this.groupingObserver.disconnect();
+    }
+
     // Remove event listeners and elements
     const emojiPicker = document.querySelector(".emoji-picker");
     if (emojiPicker) {
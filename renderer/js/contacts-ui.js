@@ -0,0 +1,403 @@
+/**
+ * WhatsApp Multi-Account Desktop App
+ * Contacts UI JavaScript
+ *
+ * Handles the contact detail side panel: labels, notes and custom
+ * fields from the account's contact book, for the open chat
+ */
+
+// Shown for every contact, filled in or not
+const STANDARD_FIELDS = [
+  { key: "company", label: "Company", placeholder: "Acme Ltd" },
+  { key: "birthday", label: "Birthday", placeholder: "1990-04-23 or 04-23" },
+  { key: "timezone", label: "Timezone", placeholder: "Europe/Berlin" },
+];
+
+class ContactsUI {
+  constructor(app) {
+    this.app = app;
+    this.elements = {};
+    this.contact = null; // contact shown in the panel
+    this.accountId = null;
+    this.labels = []; // labels being edited
+
+    this.init();
+  }
+
+  init() {
+    this.elements = {
+      panel: document.getElementById("contactPanel"),
+      body: document.getElementById("contactPanelBody"),
+      title: document.getElementById("contactPanelTitle"),
+      syncBtn: document.getElementById("syncContactsBtn"),
+      closeBtn: document.getElementById("closeContactPanelBtn"),
+      chatInfo: this.app.elements.chatHeader?.querySelector(".chat-info"),
+    };
+
+    this.elements.chatInfo?.addEventListener("click", () => this.toggle());
+    this.elements.closeBtn?.addEventListener("click", () => this.hide());
+    this.elements.syncBtn?.addEventListener("click", () => this.syncContacts());
+
+    this.elements.body?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (button) {
+        this.handleAction(button.dataset.action, button);
+      }
+    });
+    this.elements.body?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.id === "contactLabelInput") {
+        e.preventDefault();
+        this.addLabel();
+      }
+    });
+
+    console.log("ContactsUI initialized");
+  }
+
+  isOpen() {
+    return !this.elements.panel?.classList.contains("hidden");
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.hide();
+    } else {
+      this.show(this.app.currentAccount, this.app.currentChat);
+    }
+  }
+
+  hide() {
+    this.elements.panel?.classList.add("hidden");
+    this.contact = null;
+    window.GroupsUI?.clear();
+  }
+
+  /**
+   * Called when a chat is opened - keep an open panel on the same chat
+   */
+  handleChatSelected(accountId, chatId) {
+    if (this.isOpen()) {
+      this.show(accountId, chatId);
+    }
+  }
+
+  async show(accountId, chatId) {
+    if (!accountId || !chatId) return;
+
+    this.elements.panel.classList.remove("hidden");
+    this.accountId = accountId;
+
+    // Groups get the group panel instead
+    if (chatId.endsWith("@g.us")) {
+      this.contact = null;
+      window.GroupsUI?.show(accountId, chatId);
+      return;
+    }
+
+    window.GroupsUI?.clear();
+    this.elements.title.textContent = "Contact Info";
+
+    try {
+      const result = await window.electronAPI.contacts.get(accountId, chatId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // The user may have moved on while this was loading
+      if (this.app.currentChat !== chatId) return;
+
+      this.contact = result.data;
+      this.labels = [...this.contact.labels];
+      this.render();
+    } catch (error) {
+      console.error("Error loading contact:", error);
+      this.elements.body.innerHTML = `<div class="campaign-error">${this.app.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  }
+
+  render() {
+    const contact = this.contact;
+    const escape = (text) => this.app.escapeHtml(text);
+    const customKeys = Object.keys(contact.fields).filter(
+      (key) => !STANDARD_FIELDS.some((field) => field.key === key)
+    );
+
+    this.elements.body.innerHTML = `
+      <div class="contact-panel-summary">
+        <div class="contact-avatar large">
+          <span class="avatar-text">${this.app.getContactInitial(
+            contact.displayName
+          )}</span>
+        </div>
+        <div class="contact-panel-name">${escape(contact.displayName)}</div>
+        <div class="contact-panel-meta">+${escape(contact.phone)}${
+      contact.pushname && contact.pushname !== contact.displayName
+        ? ` · ~${escape(contact.pushname)}`
+        : ""
+    }${contact.isBusiness ? " · Business" : ""}</div>
+        ${
+          contact.fields.timezone
+            ? `<div class="contact-panel-meta">${this.describeLocalTime(
+                contact.fields.timezone
+              )}</div>`
+            : ""
+        }
+      </div>
+
+      <div class="form-group">
+        <label>Labels:</label>
+        <div class="contact-labels" id="contactLabels">${this.renderLabels()}</div>
+        <div class="contact-label-add">
+          <input type="text" id="contactLabelInput" list="contactLabelOptions" placeholder="Add a label...">
+          <datalist id="contactLabelOptions"></datalist>
+          <button class="btn-small" data-action="add-label">Add</button>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label for="contactNotes">Notes:</label>
+        <textarea id="contactNotes" rows="4" placeholder="Anything worth remembering...">${escape(
+          contact.notes
+        )}</textarea>
+      </div>
+
+      <div class="form-group contact-fields" id="contactFields">
+        <label>Fields:</label>
+        ${STANDARD_FIELDS.map(
+          (field) => `
+          <div class="contact-field-row">
+            <span class="contact-field-name">${field.label}</span>
+            <input type="text" data-field="${field.key}" placeholder="${
+            field.placeholder
+          }" ${field.key === "timezone" ? 'list="contactTimezones"' : ""}>
+          </div>
+        `
+        ).join("")}
+        <datalist id="contactTimezones">${this.getTimezones()
+          .map((zone) => `<option value="${zone}">`)
+          .join("")}</datalist>
+        <button class="btn-small" data-action="add-field">+ Add Field</button>
+      </div>
+
+      <small>Templates can use these as variables, e.g. {company} or {labels}.</small>
+
+      <div class="form-actions">
+        <button class="btn-primary" data-action="save">Save</button>
+      </div>
+    `;
+
+    // Values go in through the DOM rather than the markup
+    this.elements.body
+      .querySelectorAll("#contactFields [data-field]")
+      .forEach((input) => {
+        input.value = contact.fields[input.dataset.field] || "";
+      });
+    customKeys.forEach((key) => this.addCustomField(key, contact.fields[key]));
+
+    this.populateLabelOptions();
+  }
+
+  renderLabels() {
+    if (this.labels.length === 0) {
+      return `<span class="contact-panel-meta">No labels</span>`;
+    }
+
+    return this.labels
+      .map(
+        (label, index) => `
+        <span class="contact-label">${this.app.escapeHtml(
+          label
+        )}<button data-action="remove-label" data-value="${index}" title="Remove">×</button></span>
+      `
+      )
+      .join("");
+  }
+
+  addCustomField(key = "", value = "") {
+    const row = document.createElement("div");
+    row.className = "contact-field-row custom";
+    row.innerHTML = `
+      <input type="text" class="contact-field-key" placeholder="field_name">
+      <input type="text" class="contact-field-value">
+      <button class="btn-small" data-action="remove-field" title="Remove">×</button>
+    `;
+    row.querySelector(".contact-field-key").value = key;
+    row.querySelector(".contact-field-value").value = value;
+
+    this.elements.body
+      .querySelector("#contactFields [data-action='add-field']")
+      .before(row);
+  }
+
+  /**
+   * Existing labels from the account's contacts, as suggestions
+   */
+  async populateLabelOptions() {
+    try {
+      const result = await window.electronAPI.contacts.labels(this.accountId);
+      const options = document.getElementById("contactLabelOptions");
+      if (!result.success || !options) return;
+
+      options.replaceChildren(
+        ...result.data.map((label) => new Option(label.name, label.name))
+      );
+    } catch (error) {
+      console.error("Error loading labels:", error);
+    }
+  }
+
+  getTimezones() {
+    try {
+      return Intl.supportedValuesOf("timeZone");
+    } catch (error) {
+      return [];
+    }
+  }
+
+  describeLocalTime(timezone) {
+    try {
+      const time = new Date().toLocaleTimeString([], {
+        timeZone: timezone,
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      return `🕒 ${time} their time`;
+    } catch (error) {
+      return "";
+    }
+  }
+
+  handleAction(action, button) {
+    switch (action) {
+      case "add-label":
+        this.addLabel();
+        break;
+
+      case "remove-label":
+        this.labels.splice(Number(button.dataset.value), 1);
+        document.getElementById("contactLabels").innerHTML =
+          this.renderLabels();
+        break;
+
+      case "add-field":
+        this.addCustomField();
+        break;
+
+      case "remove-field":
+        button.closest(".contact-field-row")?.remove();
+        break;
+
+      case "save":
+        this.saveContact();
+        break;
+    }
+  }
+
+  addLabel() {
+    const input = document.getElementById("contactLabelInput");
+    const label = input.value.trim();
+    if (!label) return;
+
+    if (
+      !this.labels.some((item) => item.toLowerCase() === label.toLowerCase())
+    ) {
+      this.labels.push(label);
+    }
+    input.value = "";
+    document.getElementById("contactLabels").innerHTML = this.renderLabels();
+  }
+
+  /**
+   * Gather the panel - fields that were removed are sent empty so the
+   * contact book drops them
+   */
+  collectFields() {
+    const fields = {};
+    for (const key of Object.keys(this.contact.fields)) {
+      fields[key] = "";
+    }
+
+    this.elements.body
+      .querySelectorAll("#contactFields [data-field]")
+      .forEach((input) => {
+        fields[input.dataset.field] = input.value;
+      });
+
+    this.elements.body
+      .querySelectorAll("#contactFields .contact-field-row.custom")
+      .forEach((row) => {
+        const key = row.querySelector(".contact-field-key").value.trim();
+        if (key) {
+          fields[key] = row.querySelector(".contact-field-value").value;
+        }
+      });
+
+    return fields;
+  }
+
+  async saveContact() {
+    if (!this.contact) return;
+
+    const result = await window.electronAPI.contacts.update(
+      this.accountId,
+      this.contact.id,
+      {
+        labels: this.labels,
+        notes: document.getElementById("contactNotes").value,
+        fields: this.collectFields(),
+      }
+    );
+
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to save contact: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.contact = result.data;
+    this.labels = [...this.contact.labels];
+    this.render();
+    this.app.showNotification("Contact saved", "success");
+  }
+
+  async syncContacts() {
+    const accountId = this.accountId || this.app.currentAccount;
+    if (!accountId) return;
+
+    const result = await window.electronAPI.contacts.sync(accountId);
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to sync contacts: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.app.showNotification(
+      `${result.data.total} contacts (${result.data.added} new)`,
+      "success"
+    );
+    // Names of contacts and group participants may have changed
+    const shown = this.contact?.id || window.GroupsUI?.group?.id;
+    if (shown) {
+      this.show(accountId, shown);
+    }
+  }
+}
+
+// Initialize ContactsUI when app is ready
+document.addEventListener("DOMContentLoaded", () => {
+  const initContactsUI = () => {
+    if (window.WhatsAppApp) {
+      window.ContactsUI = new ContactsUI(window.WhatsAppApp);
+    } else {
+      setTimeout(initContactsUI, 100);
+    }
+  };
+
+  setTimeout(initContactsUI, 600);
+});
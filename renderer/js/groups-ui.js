@@ -0,0 +1,595 @@
+/**
+ * WhatsApp Multi-Account Desktop App
+ * Groups UI JavaScript
+ *
+ * Handles group administration in the side panel: group info and
+ * participants, admin changes, settings, invite links and new groups
+ */
+
+// Group settings an admin can switch, in panel order
+const GROUP_SETTINGS = [
+  { key: "messagesAdminsOnly", label: "Only admins can send messages" },
+  { key: "infoAdminsOnly", label: "Only admins can edit group info" },
+  { key: "addMembersAdminsOnly", label: "Only admins can add participants" },
+];
+
+class GroupsUI {
+  constructor(app) {
+    this.app = app;
+    this.elements = {};
+    this.group = null; // group shown in the panel
+    this.accountId = null;
+    this.invite = null; // invite link, once an admin asks for it
+
+    this.init();
+  }
+
+  init() {
+    this.elements = {
+      panel: document.getElementById("contactPanel"),
+      body: document.getElementById("contactPanelBody"),
+      title: document.getElementById("contactPanelTitle"),
+      newGroupBtn: document.getElementById("newGroupBtn"),
+    };
+
+    this.elements.newGroupBtn?.addEventListener("click", () =>
+      this.showCreateForm()
+    );
+
+    // Shares the panel with ContactsUI, so group controls use their own
+    // data attribute
+    this.elements.body?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-group-action]");
+      if (button) {
+        this.handleAction(button.dataset.groupAction, button);
+      }
+    });
+    this.elements.body?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.id === "groupAddInput") {
+        e.preventDefault();
+        this.addParticipants();
+      }
+      if (e.key === "Enter" && e.target.id === "groupCreateContact") {
+        e.preventDefault();
+        this.addCreateParticipant();
+      }
+    });
+
+    console.log("GroupsUI initialized");
+  }
+
+  clear() {
+    this.group = null;
+    this.invite = null;
+  }
+
+  async show(accountId, groupId) {
+    this.elements.panel.classList.remove("hidden");
+    this.elements.title.textContent = "Group Info";
+    this.accountId = accountId;
+    if (this.group?.id !== groupId) {
+      this.clear();
+    }
+
+    try {
+      const result = await window.electronAPI.group.get(accountId, groupId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // The user may have moved on while this was loading
+      if (this.app.currentChat !== groupId) return;
+
+      this.group = result.data;
+      this.render();
+    } catch (error) {
+      console.error("Error loading group:", error);
+      this.elements.body.innerHTML = `<div class="campaign-error">${this.app.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  }
+
+  render() {
+    const group = this.group;
+    const escape = (text) => this.app.escapeHtml(text);
+    const created = group.createdAt
+      ? ` · created ${new Date(group.createdAt).toLocaleDateString()}`
+      : "";
+
+    this.elements.body.innerHTML = `
+      <div class="contact-panel-summary">
+        <div class="contact-avatar large">
+          <span class="avatar-text">${this.app.getContactInitial(
+            group.subject
+          )}</span>
+        </div>
+        <div class="contact-panel-name">${escape(group.subject)}</div>
+        <div class="contact-panel-meta">${
+          group.participants.length
+        } participants${created}</div>
+      </div>
+
+      ${group.isAdmin ? this.renderAdminSettings() : this.renderReadOnly()}
+
+      <div class="form-group">
+        <label>Participants (${group.participants.length}):</label>
+        ${
+          group.isAdmin
+            ? `
+          <div class="contact-label-add">
+            <input type="text" id="groupAddInput" list="groupContactOptions" placeholder="+1234567890, +4471234567">
+            <datalist id="groupContactOptions"></datalist>
+            <button class="btn-small" data-group-action="add">Add</button>
+          </div>
+        `
+            : ""
+        }
+        <div class="group-participants">
+          ${group.participants
+            .map((participant) => this.renderParticipant(participant))
+            .join("")}
+        </div>
+      </div>
+    `;
+
+    if (group.isAdmin) {
+      // Values go in through the DOM rather than the markup
+      document.getElementById("groupSubject").value = group.subject;
+      document.getElementById("groupDescription").value = group.description;
+      if (this.invite) {
+        document.getElementById("groupInviteLink").value = this.invite.url;
+      }
+      this.populateContactOptions("groupContactOptions");
+    }
+  }
+
+  renderAdminSettings() {
+    return `
+      <div class="form-group">
+        <label for="groupSubject">Name:</label>
+        <input type="text" id="groupSubject" maxlength="100">
+      </div>
+
+      <div class="form-group">
+        <label for="groupDescription">Description:</label>
+        <textarea id="groupDescription" rows="3" placeholder="What's this group about?"></textarea>
+      </div>
+
+      <div class="form-group">
+        ${GROUP_SETTINGS.map(
+          (setting) => `
+          <label class="inline-option">
+            <input type="checkbox" data-setting="${setting.key}" ${
+            this.group.settings[setting.key] ? "checked" : ""
+          }> ${setting.label}
+          </label>
+        `
+        ).join("")}
+      </div>
+
+      <div class="form-actions">
+        <button class="btn-primary" data-group-action="save">Save</button>
+      </div>
+
+      <div class="form-group">
+        <label>Invite Link:</label>
+        ${
+          this.invite
+            ? `
+          <div class="contact-label-add">
+            <input type="text" id="groupInviteLink" readonly>
+            <button class="btn-small" data-group-action="copy-invite">Copy</button>
+          </div>
+          <button class="btn-small" data-group-action="revoke-invite">Reset Link</button>
+        `
+            : `<button class="btn-small" data-group-action="show-invite">Show Invite Link</button>`
+        }
+      </div>
+    `;
+  }
+
+  renderReadOnly() {
+    const settings = GROUP_SETTINGS.filter(
+      (setting) => this.group.settings[setting.key]
+    );
+
+    return `
+      ${
+        this.group.description
+          ? `<div class="form-group group-description">${this.app.escapeHtml(
+              this.group.description
+            )}</div>`
+          : ""
+      }
+      ${settings
+        .map(
+          (setting) => `<div class="contact-panel-meta">${setting.label}</div>`
+        )
+        .join("")}
+      <small>Only group admins can change the group.</small>
+    `;
+  }
+
+  renderParticipant(participant) {
+    const escape = (text) => this.app.escapeHtml(text);
+    const role = participant.isSuperAdmin
+      ? "Owner"
+      : participant.isAdmin
+      ? "Admin"
+      : "";
+
+    // An admin can manage everyone but themselves and the group's owner
+    const actions =
+      this.group.isAdmin && !participant.isMe && !participant.isSuperAdmin
+        ? `
+        <button class="btn-small" data-group-action="${
+          participant.isAdmin ? "demote" : "promote"
+        }" data-value="${escape(participant.id)}">${
+            participant.isAdmin ? "Dismiss Admin" : "Make Admin"
+          }</button>
+        <button class="btn-small" data-group-action="remove" data-value="${escape(
+          participant.id
+        )}" title="Remove from group">×</button>
+      `
+        : "";
+
+    return `
+      <div class="group-participant">
+        <div class="group-participant-info">
+          <span class="group-participant-name">${escape(participant.name)}${
+      participant.isMe ? " (You)" : ""
+    }</span>
+          <span class="contact-panel-meta">+${escape(participant.phone)}</span>
+        </div>
+        ${role ? `<span class="group-role">${role}</span>` : ""}
+        <div class="group-participant-actions">${actions}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Suggest the account's saved contacts when adding participants
+   */
+  async populateContactOptions(listId) {
+    try {
+      const result = await window.electronAPI.contacts.list(this.accountId);
+      const options = document.getElementById(listId);
+      if (!result.success || !options) return;
+
+      options.replaceChildren(
+        ...result.data
+          .filter((contact) => contact.id.endsWith("@c.us"))
+          .map(
+            (contact) => new Option(contact.displayName, `+${contact.phone}`)
+          )
+      );
+    } catch (error) {
+      console.error("Error loading contacts:", error);
+    }
+  }
+
+  /**
+   * Phone numbers separated by commas, semicolons or new lines
+   */
+  parseParticipants(text) {
+    return text
+      .split(/[\n,;]+/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  handleAction(action, button) {
+    switch (action) {
+      case "save":
+        this.saveGroup();
+        break;
+
+      case "add":
+        this.addParticipants();
+        break;
+
+      case "remove":
+      case "promote":
+      case "demote":
+        this.changeParticipant(action, button.dataset.value);
+        break;
+
+      case "show-invite":
+        this.showInvite();
+        break;
+
+      case "copy-invite":
+        navigator.clipboard.writeText(this.invite.url);
+        this.app.showNotification("Invite link copied to clipboard", "info");
+        break;
+
+      case "revoke-invite":
+        this.revokeInvite();
+        break;
+
+      case "add-create-participant":
+        this.addCreateParticipant();
+        break;
+
+      case "create":
+        this.createGroup();
+        break;
+
+      case "cancel-create":
+        window.ContactsUI?.hide();
+        break;
+    }
+  }
+
+  async saveGroup() {
+    const updates = {
+      subject: document.getElementById("groupSubject").value,
+      description: document.getElementById("groupDescription").value,
+    };
+    this.elements.body.querySelectorAll("[data-setting]").forEach((input) => {
+      updates[input.dataset.setting] = input.checked;
+    });
+
+    const result = await window.electronAPI.group.update(
+      this.accountId,
+      this.group.id,
+      updates
+    );
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to update group: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.group = result.data;
+    this.render();
+    this.updateGroupName(this.group.subject);
+    this.app.showNotification("Group updated", "success");
+  }
+
+  /**
+   * Keep the chat list and header in step with a renamed group
+   */
+  updateGroupName(subject) {
+    const item = this.app.getChatItem(this.accountId, this.group.id);
+    const name = item?.querySelector(".contact-name");
+    if (name) name.textContent = subject;
+
+    if (this.app.currentChat === this.group.id) {
+      this.app.updateChatHeader(this.group.id);
+    }
+  }
+
+  async addParticipants() {
+    const input = document.getElementById("groupAddInput");
+    const participants = this.parseParticipants(input.value);
+    if (participants.length === 0) return;
+
+    if (await this.updateParticipants("add", participants)) {
+      input.value = "";
+    }
+  }
+
+  async changeParticipant(action, participantId) {
+    const participant = this.group.participants.find(
+      (item) => item.id === participantId
+    );
+    const name = participant?.name || participantId;
+
+    const questions = {
+      remove: `Remove ${name} from "${this.group.subject}"?`,
+      promote: `Make ${name} a group admin?`,
+      demote: `Dismiss ${name} as group admin?`,
+    };
+    if (!confirm(questions[action])) return;
+
+    await this.updateParticipants(action, [participantId]);
+  }
+
+  async updateParticipants(action, participants) {
+    const result = await window.electronAPI.group.participants(
+      this.accountId,
+      this.group.id,
+      action,
+      participants
+    );
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to ${action} participants: ${result.error}`,
+        "error"
+      );
+      return false;
+    }
+
+    this.group = result.data.group;
+    this.render();
+    this.reportResults(result.data.results);
+    return true;
+  }
+
+  /**
+   * Say which participants couldn't be added and why
+   */
+  reportResults(results) {
+    const failed = results.filter((result) => !result.ok);
+    for (const result of failed) {
+      this.app.showNotification(
+        `+${result.id.split("@")[0]}: ${result.message}`,
+        "warning"
+      );
+    }
+
+    const added = results.length - failed.length;
+    if (added > 0) {
+      this.app.showNotification(
+        `Added ${added} participant${added === 1 ? "" : "s"}`,
+        "success"
+      );
+    }
+  }
+
+  async showInvite() {
+    const result = await window.electronAPI.group.inviteLink(
+      this.accountId,
+      this.group.id
+    );
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to get invite link: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.invite = result.data;
+    this.render();
+  }
+
+  async revokeInvite() {
+    if (
+      !confirm(
+        "Reset the invite link? Anyone with the current link won't be able to join with it."
+      )
+    ) {
+      return;
+    }
+
+    const result = await window.electronAPI.group.revokeInvite(
+      this.accountId,
+      this.group.id
+    );
+    if (!result.success) {
+      this.app.showNotification(
+        `Failed to reset invite link: ${result.error}`,
+        "error"
+      );
+      return;
+    }
+
+    this.invite = result.data;
+    this.render();
+    this.app.showNotification("Invite link reset", "success");
+  }
+
+  /**
+   * New group form, for the current account
+   */
+  showCreateForm() {
+    const accountId = this.app.currentAccount;
+    if (!accountId) {
+      this.app.showNotification("Open an account to create a group", "info");
+      return;
+    }
+
+    window.ContactsUI?.hide();
+    this.accountId = accountId;
+    this.elements.panel.classList.remove("hidden");
+    this.elements.title.textContent = "New Group";
+
+    const account = this.app.accounts.get(accountId);
+    this.elements.body.innerHTML = `
+      <div class="contact-panel-meta">Created from ${this.app.escapeHtml(
+        account?.displayName || accountId
+      )}, which becomes its admin</div>
+
+      <div class="form-group">
+        <label for="groupCreateSubject">Name:</label>
+        <input type="text" id="groupCreateSubject" maxlength="100" placeholder="Group name">
+      </div>
+
+      <div class="form-group">
+        <label for="groupCreateParticipants">Participants:</label>
+        <div class="contact-label-add">
+          <input type="text" id="groupCreateContact" list="groupCreateOptions" placeholder="Find a contact...">
+          <datalist id="groupCreateOptions"></datalist>
+          <button class="btn-small" data-group-action="add-create-participant">Add</button>
+        </div>
+        <textarea id="groupCreateParticipants" rows="5" placeholder="One phone number per line, e.g. +1234567890"></textarea>
+      </div>
+
+      <div class="form-actions">
+        <button class="btn-secondary" data-group-action="cancel-create">Cancel</button>
+        <button class="btn-primary" data-group-action="create">Create Group</button>
+      </div>
+    `;
+
+    this.populateContactOptions("groupCreateOptions");
+    document.getElementById("groupCreateSubject").focus();
+  }
+
+  addCreateParticipant() {
+    const input = document.getElementById("groupCreateContact");
+    const list = document.getElementById("groupCreateParticipants");
+    const value = input.value.trim();
+    if (!value) return;
+
+    const participants = this.parseParticipants(list.value);
+    if (!participants.includes(value)) {
+      participants.push(value);
+    }
+    list.value = participants.join("\n");
+    input.value = "";
+  }
+
+  async createGroup() {
+    const accountId = this.accountId;
+    const subject = document.getElementById("groupCreateSubject").value;
+    const participants = this.parseParticipants(
+      document.getElementById("groupCreateParticipants").value
+    );
+
+    try {
+      this.app.showLoading("Creating group...");
+
+      const result = await window.electronAPI.group.create(
+        accountId,
+        subject,
+        participants
+      );
+      if (!result.success) {
+        this.app.showNotification(
+          `Failed to create group: ${result.error}`,
+          "error"
+        );
+        return;
+      }
+
+      const { group, results } = result.data;
+      this.app.showNotification(`Group "${group.subject}" created`, "success");
+      this.reportResults(results.filter((item) => !item.ok));
+
+      // Open the new group, with its info in the panel
+      if (this.app.unifiedInbox) {
+        await this.app.loadUnifiedInbox();
+      } else {
+        await this.app.loadChatsForAccount(accountId);
+      }
+      if (this.app.getChatItem(accountId, group.id)) {
+        this.app.selectChat(group.id, accountId);
+      } else {
+        window.ContactsUI?.hide();
+      }
+    } catch (error) {
+      console.error("Error creating group:", error);
+      this.app.showNotification("Error creating group", "error");
+    } finally {
+      this.app.hideLoading();
+    }
+  }
+}
+
+// Initialize GroupsUI when app is ready
+document.addEventListener("DOMContentLoaded", () => {
+  const initGroupsUI = () => {
+    if (window.WhatsAppApp) {
+      window.GroupsUI = new GroupsUI(window.WhatsAppApp);
+    } else {
+      setTimeout(initGroupsUI, 100);
+    }
+  };
+
+  setTimeout(initGroupsUI, 600);
+});
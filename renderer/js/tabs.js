@@ -43,10 +43,16 @@ class TabManager {
       <div class="context-menu-item" data-action="duplicate">
         <span>📋</span> Duplicate Tab
       </div>
+      <div class="context-menu-item" data-action="away">
+        <span>🌙</span> <span class="away-label">Away Until...</span>
+      </div>
       <div class="context-menu-divider"></div>
       <div class="context-menu-item" data-action="disconnect">
         <span>🔌</span> Disconnect
       </div>
+      <div class="context-menu-item" data-action="logout">
+        <span>🚪</span> Log Out
+      </div>
       <div class="context-menu-item danger" data-action="remove">
         <span>🗑️</span> Remove Account
       </div>
@@ -92,6 +98,9 @@ class TabManager {
     const disconnectItem = this.tabContextMenu.querySelector(
       '[data-action="disconnect"]'
     );
+    const logoutItem = this.tabContextMenu.querySelector(
+      '[data-action="logout"]'
+    );
     const duplicateItem = this.tabContextMenu.querySelector(
       '[data-action="duplicate"]'
     );
@@ -100,10 +109,22 @@ class TabManager {
       disconnectItem.style.display = account?.isAuthenticated ? "flex" : "none";
     }
 
+    if (logoutItem) {
+      // Nothing to log out of without a saved session
+      logoutItem.style.display =
+        account && account.onlineStatus !== "needs-qr" ? "flex" : "none";
+    }
+
     if (duplicateItem) {
       duplicateItem.style.display = "none"; // Hide for now - complex feature
     }
 
+    const awayLabel = this.tabContextMenu.querySelector(".away-label");
+    if (awayLabel) {
+      awayLabel.textContent =
+        account?.away?.reason === "manual" ? "End Away" : "Away Until...";
+    }
+
     // Position and show menu
     this.tabContextMenu.style.left = event.pageX + "px";
     this.tabContextMenu.style.top = event.pageY + "px";
@@ -149,6 +170,14 @@ class TabManager {
         await this.disconnectAccount(accountId);
         break;
 
+      case "logout":
+        await this.logoutAccount(accountId);
+        break;
+
+      case "away":
+        await this.toggleAway(accountId);
+        break;
+
       case "remove":
         await this.removeAccount(accountId, tab);
         break;
@@ -184,6 +213,15 @@ class TabManager {
     }
 
     try {
+      // Persist the new name in the account registry
+      const response = await window.electronAPI.account.rename(
+        accountId,
+        trimmedName
+      );
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
       // Update local data
       if (account) {
         account.displayName = trimmedName;
@@ -209,6 +247,74 @@ class TabManager {
     }
   }
 
+  /**
+   * Set the account away until a chosen time, or end the away early
+   * While away, direct messages get the away message once per contact
+   */
+  async toggleAway(accountId) {
+    const account = this.app.accounts.get(accountId);
+    let until = null;
+
+    if (account?.away?.reason !== "manual") {
+      const input = prompt(
+        "Away until?\n\nHours (4), days (2d) or a date and time (2026-12-27 09:00):",
+        "1d"
+      );
+      if (!input) return;
+
+      until = this.parseAwayUntil(input);
+      if (!until || until <= Date.now()) {
+        this.app.showNotification(
+          `"${input}" isn't a time in the future`,
+          "warning"
+        );
+        return;
+      }
+    }
+
+    try {
+      const response = await window.electronAPI.away.set(accountId, until);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      if (account) {
+        account.away = response.data;
+      }
+      this.app.updateAwayBadge(accountId, response.data);
+
+      this.app.showNotification(
+        until
+          ? `Away until ${new Date(until).toLocaleString()}`
+          : "Away mode ended",
+        "info"
+      );
+    } catch (error) {
+      console.error("Error setting away mode:", error);
+      this.app.showNotification(
+        `Failed to set away mode: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * "4" -> 4 hours, "2d" -> 2 days, anything else as a date and time
+   */
+  parseAwayUntil(input) {
+    const text = input.trim();
+
+    const relative = /^(\d+(?:\.\d+)?)\s*([hd]?)$/i.exec(text);
+    if (relative) {
+      const hours =
+        Number(relative[1]) * (relative[2].toLowerCase() === "d" ? 24 : 1);
+      return Date.now() + hours * 60 * 60 * 1000;
+    }
+
+    const date = new Date(text.replace(" ", "T"));
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+  }
+
   /**
    * Disconnect account
    */
@@ -222,17 +328,22 @@ class TabManager {
     const confirmed = confirm(
       `Disconnect account "${
         account.displayName || accountId
-      }"?\n\nYou will need to scan QR code again to reconnect.`
+      }"?\n\nThe session is kept - you can reconnect from Settings without scanning a QR code.`
     );
     if (!confirmed) return;
 
     try {
       this.app.showLoading("Disconnecting account...");
 
+      const response = await window.electronAPI.account.disconnect(accountId);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
       // Update local state
       account.isAuthenticated = false;
       account.isActive = false;
-      account.onlineStatus = "offline";
+      account.onlineStatus = "disconnected";
       this.app.accounts.set(accountId, account);
 
       // Update UI
@@ -244,8 +355,11 @@ class TabManager {
         this.updateTabStatus(tab, "disconnected");
       }
 
-      // If this was the current account, switch to another or show welcome
-      if (this.app.currentAccount === accountId) {
+      // The inbox stays put and just drops the account's chats
+      if (this.app.unifiedInbox) {
+        await this.app.showUnifiedInbox();
+      } else if (this.app.currentAccount === accountId) {
+        // Switch to another account or show welcome
         const otherAccount = Array.from(this.app.accounts.values()).find(
           (acc) => acc.accountId !== accountId && acc.isAuthenticated
         );
@@ -262,7 +376,55 @@ class TabManager {
       console.log(`Account ${accountId} disconnected`);
     } catch (error) {
       console.error("Error disconnecting account:", error);
-      this.app.showNotification("Failed to disconnect account", "error");
+      this.app.showNotification(
+        `Failed to disconnect account: ${error.message}`,
+        "error"
+      );
+    } finally {
+      this.app.hideLoading();
+    }
+  }
+
+  /**
+   * Log out - unlinks the device and wipes the saved session
+   */
+  async logoutAccount(accountId) {
+    const account = this.app.accounts.get(accountId);
+    const accountName = account?.displayName || accountId;
+
+    const confirmed = confirm(
+      `Log out of "${accountName}"?\n\nThis unlinks the device from your phone. You will need to scan a QR code to use it again.`
+    );
+    if (!confirmed) return;
+
+    try {
+      this.app.showLoading("Logging out...");
+
+      // Expected, so no "session expired" warning when the update arrives
+      if (account) {
+        account.onlineStatus = "needs-qr";
+      }
+
+      const response = await window.electronAPI.account.logout(accountId);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      if (account) {
+        account.isAuthenticated = false;
+        account.isActive = false;
+      }
+
+      this.app.elements.accountTabs
+        ?.querySelector(`[data-account-id="${accountId}"]`)
+        ?.classList.remove("authenticated");
+      this.app.updateTabStatus(accountId, "needs-qr");
+
+      this.app.showNotification(`Logged out of "${accountName}"`, "info");
+      console.log(`Account ${accountId} logged out`);
+    } catch (error) {
+      console.error("Error logging out account:", error);
+      this.app.showNotification(`Failed to log out: ${error.message}`, "error");
     } finally {
       this.app.hideLoading();
     }
@@ -283,14 +445,25 @@ class TabManager {
     try {
       this.app.showLoading("Removing account...");
 
+      const response = await window.electronAPI.account.remove(accountId);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
       // Remove from local storage
       this.app.accounts.delete(accountId);
 
       // Remove tab from UI
-      tab.remove();
-
-      // If this was the current account, switch to another or show welcome
-      if (this.app.currentAccount === accountId) {
+      tab?.remove();
+      this.app.updateInboxTab();
+
+      if (this.app.unifiedInbox && this.app.accounts.size > 0) {
+        await this.app.showUnifiedInbox();
+      } else if (
+        this.app.currentAccount === accountId ||
+        this.app.unifiedInbox
+      ) {
+        // Switch to another account or show welcome
         const remainingAccounts = Array.from(this.app.accounts.values());
 
         if (remainingAccounts.length > 0) {
@@ -301,6 +474,8 @@ class TabManager {
         } else {
           this.app.showWelcomeScreen();
           this.app.currentAccount = null;
+          this.app.unifiedInbox = false;
+          this.app.updateInboxTab();
           this.app.updateStatusIndicator("offline", "No accounts");
         }
       }
@@ -309,7 +484,10 @@ class TabManager {
       console.log(`Account ${accountId} removed`);
     } catch (error) {
       console.error("Error removing account:", error);
-      this.app.showNotification("Failed to remove account", "error");
+      this.app.showNotification(
+        `Failed to remove account: ${error.message}`,
+        "error"
+      );
     } finally {
       this.app.hideLoading();
     }
@@ -416,9 +594,31 @@ class TabManager {
     }
 
     console.log("Reordered tabs");
+    this.saveTabOrder();
     this.app.showNotification("Tab order updated", "info");
   }
 
+  /**
+   * Persist the current tab order to the account registry
+   */
+  async saveTabOrder() {
+    const accountIds = Array.from(
+      this.app.elements.accountTabs?.querySelectorAll(
+        ".tab-btn[data-account-id]"
+      ) || []
+    ).map((tab) => tab.dataset.accountId);
+
+    try {
+      const response = await window.electronAPI.account.reorder(accountIds);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      console.error("Error saving tab order:", error);
+      this.app.showNotification("Failed to save tab order", "error");
+    }
+  }
+
   /**
    * Handle tab drag end
    */
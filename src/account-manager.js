@@ -1,13 +1,89 @@
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const { Client, LocalAuth, MessageMedia } = require("whatsapp-web.js");
+const EventEmitter = require("events");
 const fs = require("fs");
 const path = require("path");
-
-class AccountManager {
-  constructor(errorHandler) {
+const { writeFileAtomic } = require("./file-utils");
+
+// WhatsApp upload limits per media kind, in bytes
+const MEDIA_LIMITS = {
+  image: 16 * 1024 * 1024,
+  video: 16 * 1024 * 1024,
+  audio: 16 * 1024 * 1024,
+  voice: 16 * 1024 * 1024,
+  sticker: 1024 * 1024,
+  document: 100 * 1024 * 1024,
+};
+
+// Fallback mimetypes when sending from a path
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".mp4": "video/mp4",
+  ".3gp": "video/3gpp",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".m4a": "audio/mp4",
+  ".wav": "audio/wav",
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+  ".zip": "application/zip",
+};
+
+// whatsapp-web.js ACK codes -> delivery status
+const ACK_STATUS = {
+  "-1": "failed",
+  0: "sending",
+  1: "sent",
+  2: "delivered",
+  3: "read",
+  4: "read", // played (voice notes)
+};
+
+// Acks can arrive out of order - a status never moves backwards
+const STATUS_RANK = { sending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Disconnect reasons that mean the phone unlinked us - no point reconnecting
+const SESSION_ENDED_REASONS = ["LOGOUT", "UNPAIRED", "UNPAIRED_IDLE"];
+
+class AccountManager extends EventEmitter {
+  constructor(
+    errorHandler,
+    messageArchive = null,
+    mediaManager = null,
+    sendGovernor = null,
+    contactBook = null
+  ) {
+    super();
     this.errorHandler = errorHandler;
+    this.messageArchive = messageArchive; // encrypted local copy of every message
+    this.mediaManager = mediaManager; // downloaded attachments
+    this.sendGovernor = sendGovernor; // rate limits every outgoing message
+    this.contactBook = contactBook; // labels, notes and fields per contact
     this.accounts = new Map(); // accountId -> account data
     this.activeAccount = null;
     this.maxAccounts = 10;
+    this.shuttingDown = false;
+
+    // ErrorHandler decides when to retry, we do the reconnecting
+    this.errorHandler.setAccountHandlers({
+      reconnect: (accountId) => this.reconnectAccount(accountId),
+      giveUp: (accountId, error) => this.markConnectionFailed(accountId, error),
+    });
+
+    // On-disk account registry so linked accounts survive a restart
+    this.registryPath = path.join("./data/accounts", "registry.json");
+    this.registry = new Map(); // accountId -> persisted account record
+    this.loadRegistry();
 
     console.log("AccountManager initialized");
   }
@@ -70,321 +146,1152 @@ class AccountManager {
     });
 
     // Store account data with proper isolation
-    const accountInfo = {
+    const accountInfo = this.createAccountInfo(accountId, displayName);
+    accountInfo.client = client;
+
+    // Set up isolated event handlers with account tagging
+    this.setupClientEventHandlers(client, accountId);
+
+    // Store the account
+    this.accounts.set(accountId, accountInfo);
+
+    // Persist to the registry so the account is restored on next launch
+    this.registry.set(accountId, {
+      accountId: accountId,
+      displayName: displayName,
+      created: Date.now(),
+      tabOrder: this.getNextTabOrder(),
+      lastStatus: "created",
+      lastStatusAt: Date.now(),
+    });
+    this.saveRegistry();
+
+    console.log(`Account ${accountId} created with isolated data paths`);
+    return { accountId, displayName, status: "created" };
+  }
+
+  /**
+   * Build the in-memory account entry (client is attached separately)
+   */
+  createAccountInfo(accountId, displayName) {
+    return {
       accountId: accountId,
       displayName: displayName,
-      client: client,
-      dataPath: accountDataPath,
-      chromeProfilePath: chromeProfilePath,
+      client: null,
+      closing: null, // a closing client's browser, until it has shut down
+      dataPath: path.join("./data/accounts", accountId),
+      chromeProfilePath: path.join(
+        "./data/chrome_profiles",
+        `chrome_${accountId}`
+      ),
       isActive: false,
       isAuthenticated: false,
       lastAccessed: Date.now(),
 
+      // Connection health, kept up to date by the reconnect loop
+      health: {
+        state: "offline", // healthy | reconnecting | failed | needs-qr | offline
+        attempts: 0,
+        disconnects: 0,
+        lastError: null,
+        lastConnectedAt: null,
+        lastDisconnectedAt: null,
+        since: Date.now(),
+
+        // Filled in by the HealthMonitor heartbeat
+        lastHeartbeat: null,
+        heartbeatLatency: null,
+        memoryMB: null,
+        failedHeartbeats: 0,
+      },
+
       // Account-specific UI state (isolated)
       uiState: {
         selectedChat: null,
         messageCache: new Map(),
         contactList: [],
+        chatUnread: new Map(), // chatId -> unread count
         unreadCount: 0,
         onlineStatus: "offline",
       },
     };
-
-    // Set up isolated event handlers with account tagging
-    this.setupClientEventHandlers(client, accountId);
-
-    // Store the account
-    this.accounts.set(accountId, accountInfo);
-
-    console.log(`Account ${accountId} created with isolated data paths`);
-    return { accountId, displayName, status: "created" };
   }
 
   /**
-   * Set up event handlers for WhatsApp client with proper account isolation
-   * CRITICAL: All events are tagged with accountId to prevent message mixing
+   * Load the account registry and rehydrate account entries
+   * Clients are not started here - see restoreAccounts()
    */
-  setupClientEventHandlers(client, accountId) {
-    console.log(`Setting up event handlers for account: ${accountId}`);
+  loadRegistry() {
+    try {
+      const records = fs.existsSync(this.registryPath)
+        ? JSON.parse(fs.readFileSync(this.registryPath, "utf8"))
+        : [];
 
-    // QR Code generation
-    client.on("qr", (qr) => {
-      console.log(`✅ QR Code generated for account ${accountId}`);
-      console.log(`QR Code length: ${qr.length}`);
+      // Adopt session folders created before the registry existed
+      const adopted = this.findUnregisteredSessions(records);
+      records.push(...adopted);
 
-      if (global.mainWindow) {
-        global.mainWindow.webContents.send("qr:update", {
-          accountId: accountId,
-          qrCode: qr,
-        });
-      }
-    });
+      for (const record of records) {
+        this.registry.set(record.accountId, record);
 
-    // Loading progress
-    client.on("loading_screen", (percent, message) => {
-      console.log(`📱 Account ${accountId} loading: ${percent}% - ${message}`);
+        const accountInfo = this.createAccountInfo(
+          record.accountId,
+          record.displayName
+        );
+        accountInfo.uiState.onlineStatus = this.hasSavedSession(
+          record.accountId
+        )
+          ? "restoring"
+          : "needs-qr";
+        if (accountInfo.uiState.onlineStatus === "needs-qr") {
+          accountInfo.health.state = "needs-qr";
+        }
+        this.accounts.set(record.accountId, accountInfo);
+      }
 
-      if (global.mainWindow) {
-        global.mainWindow.webContents.send("account:loading", {
-          accountId: accountId,
-          percent: percent,
-          message: message,
-        });
+      if (adopted.length > 0) {
+        this.saveRegistry();
       }
-    });
 
-    // State changes
-    client.on("change_state", (state) => {
-      console.log(`🔄 Account ${accountId} state changed to: ${state}`);
-    });
+      console.log(`Loaded ${records.length} accounts from registry`);
+    } catch (error) {
+      console.error("Failed to load account registry:", error);
+    }
+  }
 
-    // Authentication events
-    client.on("authenticated", () => {
-      console.log(`✅ Account ${accountId} authenticated successfully`);
-      const account = this.accounts.get(accountId);
-      if (account) {
-        account.isAuthenticated = true;
-        account.uiState.onlineStatus = "authenticated";
-      }
-    });
+  /**
+   * Find account folders with a LocalAuth session but no registry record
+   */
+  findUnregisteredSessions(records) {
+    const known = new Set(records.map((record) => record.accountId));
+    const adopted = [];
 
-    client.on("ready", () => {
-      console.log(`✅ Account ${accountId} is ready and fully synced`);
-      const account = this.accounts.get(accountId);
-      if (account) {
-        account.isActive = true;
-        account.isAuthenticated = true;
-        account.uiState.onlineStatus = "online";
-      }
+    if (!fs.existsSync("./data/accounts")) {
+      return adopted;
+    }
 
-      if (global.mainWindow) {
-        global.mainWindow.webContents.send("account:ready", {
-          accountId: accountId,
-          status: "ready",
-        });
-      }
-    });
+    for (const entry of fs.readdirSync("./data/accounts", {
+      withFileTypes: true,
+    })) {
+      if (!entry.isDirectory() || known.has(entry.name)) continue;
+      if (!this.hasSavedSession(entry.name)) continue;
+
+      const stats = fs.statSync(path.join("./data/accounts", entry.name));
+      adopted.push({
+        accountId: entry.name,
+        displayName: entry.name,
+        created: Math.round(stats.birthtimeMs || stats.mtimeMs),
+        tabOrder: records.length + adopted.length,
+        lastStatus: "restoring",
+        lastStatusAt: Date.now(),
+      });
+    }
 
-    // Error handling
-    client.on("auth_failure", (message) => {
-      console.error(
-        `❌ Authentication failed for account ${accountId}: ${message}`
-      );
+    return adopted;
+  }
 
-      if (global.mainWindow) {
-        global.mainWindow.webContents.send("account:auth-failed", {
-          accountId: accountId,
-          error: message,
-        });
-      }
-    });
+  /**
+   * Save the account registry to disk
+   */
+  saveRegistry() {
+    try {
+      const records = Array.from(this.registry.values());
+      writeFileAtomic(this.registryPath, JSON.stringify(records, null, 2));
+    } catch (error) {
+      console.error("Failed to save account registry:", error);
+    }
+  }
 
-    client.on("disconnected", (reason) => {
-      console.log(`❌ Account ${accountId} disconnected: ${reason}`);
+  /**
+   * Next free tab position (new accounts go to the end)
+   */
+  getNextTabOrder() {
+    let max = -1;
+    for (const record of this.registry.values()) {
+      max = Math.max(max, record.tabOrder ?? -1);
+    }
+    return max + 1;
+  }
 
-      const account = this.accounts.get(accountId);
-      if (account) {
-        account.isActive = false;
-        account.uiState.onlineStatus = "disconnected";
-      }
+  /**
+   * Check whether LocalAuth has a saved session for this account
+   */
+  hasSavedSession(accountId) {
+    const sessionPath = path.join(
+      "./data/accounts",
+      accountId,
+      `session-account_${accountId}`
+    );
+    return fs.existsSync(sessionPath);
+  }
 
-      if (global.mainWindow) {
-        global.mainWindow.webContents.send("account:disconnected", {
-          accountId: accountId,
-          reason: reason,
-        });
-      }
-    });
+  /**
+   * Record a status change in memory, in the registry and in the UI
+   */
+  updateAccountStatus(accountId, status) {
+    const account = this.accounts.get(accountId);
+    if (account) {
+      account.uiState.onlineStatus = status;
+    }
 
-    client.on("error", (error) => {
-      console.error(`❌ Error in account ${accountId}:`, error);
+    const record = this.registry.get(accountId);
+    if (record && record.lastStatus !== status) {
+      record.lastStatus = status;
+      record.lastStatusAt = Date.now();
+      this.saveRegistry();
+    }
 
-      if (global.mainWindow) {
-        global.mainWindow.webContents.send("account:error", {
-          accountId: accountId,
-          error: error.message,
-        });
-      }
-    });
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("account:update", {
+        accountId: accountId,
+        status: status,
+        health: account?.health,
+      });
+    }
+  }
 
-    // Add timeout with more detailed debugging
-    setTimeout(() => {
-      if (!client.info) {
-        console.warn(
-          `⚠️ TIMEOUT: No QR code received for account ${accountId} after 30 seconds`
-        );
-        console.warn(
-          `This usually means WhatsApp Web failed to load in the browser`
-        );
+  /**
+   * Move an account to a new health state
+   * Sent to the UI with the next status update
+   */
+  updateHealth(accountId, state, error = null) {
+    const account = this.accounts.get(accountId);
+    if (!account) return;
 
-        // Notify frontend about the timeout
-        if (global.mainWindow) {
-          global.mainWindow.webContents.send("account:qr-timeout", {
-            accountId: accountId,
-            message:
-              "Browser opened but QR code didn't appear. Check browser window for errors.",
-          });
-        }
-      }
-    }, 30000);
+    const { health } = account;
+    if (health.state !== state) {
+      health.state = state;
+      health.since = Date.now();
+    }
 
-    // Extended timeout for complete failure
-    setTimeout(() => {
-      if (!client.info) {
-        console.error(
-          `❌ CRITICAL: No response from WhatsApp Web after 60 seconds for account ${accountId}`
-        );
-        console.error(
-          `Browser may have failed to load WhatsApp Web completely`
-        );
+    if (state === "healthy") {
+      health.attempts = 0;
+      health.lastError = null;
+      health.lastConnectedAt = Date.now();
+    }
 
-        if (global.mainWindow) {
-          global.mainWindow.webContents.send("account:critical-timeout", {
-            accountId: accountId,
-            message:
-              "WhatsApp Web failed to load. Try restarting the app or check your internet connection.",
-          });
-        }
-      }
-    }, 60000);
+    if (error) {
+      health.lastError = error.message || String(error);
+    }
   }
 
   /**
-   * Get QR code with multiple fallback strategies
+   * Drop an account's client and close its browser
+   * Detaching first means the browser closing isn't mistaken for a crash.
+   * With `logout`, a linked client is unlinked from the phone as well.
+   * Resolves once the browser is gone - including one an earlier call is
+   * still closing - since two browsers can't share a LocalAuth profile
    */
-  async getQRCode(accountId) {
-    const account = this.accounts.get(accountId);
-    if (!account) {
-      throw new Error(`Account ${accountId} not found`);
+  async closeClient(account, { logout = false } = {}) {
+    const client = account.client;
+    account.client = null;
+    account.isActive = false;
+    account.isRestoring = false;
+
+    if (!client) {
+      await account.closing;
+      return;
     }
 
-    if (account.isAuthenticated) {
-      throw new Error(`Account ${accountId} is already authenticated`);
+    const closing = this.shutDownClient(account, client, logout);
+    account.closing = closing;
+    await closing;
+    if (account.closing === closing) {
+      account.closing = null;
     }
+  }
 
-    console.log(`Starting simple QR generation for account: ${accountId}`);
-
-    try {
-      // Clean up any existing client
-      if (account.client) {
-        try {
-          await account.client.destroy();
-        } catch (e) {
-          console.warn(`Client cleanup warning: ${e.message}`);
-        }
+  async shutDownClient(account, client, logout) {
+    if (logout && client.info) {
+      try {
+        await client.logout();
+        return;
+      } catch (error) {
+        console.warn(
+          `Logout failed for account ${account.accountId}: ${error.message}`
+        );
       }
+    }
 
-      // Create client with webVersionCache fix
-      const client = await this.createSimpleIsolatedClient(accountId);
-      account.client = client;
-
-      // Set up event handlers
-      this.setupClientEventHandlers(client, accountId);
+    try {
+      await client.destroy();
+    } catch (e) {
+      console.warn(`Client cleanup warning: ${e.message}`);
+    }
+  }
 
-      // Initialize client
-      console.log(
-        `Initializing whatsapp-web.js client for account: ${accountId}`
-      );
-      client.initialize();
+  /**
+   * The client went away (disconnect, browser crash, failed start)
+   * Reconnect from the saved session unless the session itself is gone
+   */
+  async handleConnectionLost(accountId, client, error, reason = null) {
+    const account = this.accounts.get(accountId);
+    if (this.shuttingDown || !account || account.client !== client) {
+      return; // a client we already replaced or closed ourselves
+    }
 
-      return {
-        accountId,
-        status: "initializing",
-        message: "WhatsApp client is starting up...",
-      };
-    } catch (error) {
-      console.error(`QR generation failed for account ${accountId}:`, error);
-      throw error;
+    account.health.disconnects++;
+    account.health.lastDisconnectedAt = Date.now();
+    await this.closeClient(account);
+    if (this.shuttingDown || !this.accounts.has(accountId)) return;
+
+    if (
+      SESSION_ENDED_REASONS.includes(reason) ||
+      !this.hasSavedSession(accountId)
+    ) {
+      console.log(`Session for account ${accountId} ended, QR required`);
+      this.requireQR(accountId, error);
+      return;
     }
+
+    this.updateHealth(accountId, "reconnecting", error);
+    this.updateAccountStatus(accountId, "reconnecting");
+    this.errorHandler.handleAccountError(accountId, error, "connection");
   }
 
   /**
-   * Create isolated WhatsApp client with simplified settings
+   * One reconnect attempt, called by ErrorHandler after its backoff
    */
-  async createSimpleIsolatedClient(accountId) {
-    const accountDataPath = path.join("./data/accounts", accountId);
+  async reconnectAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (this.shuttingDown || !account) return;
 
-    if (!fs.existsSync(accountDataPath)) {
-      fs.mkdirSync(accountDataPath, { recursive: true });
+    if (!this.hasSavedSession(accountId)) {
+      this.requireQR(accountId);
+      return;
     }
 
-    console.log(
-      `Creating client with no webVersionCache (library defaults) for account ${accountId}`
-    );
-
-    const client = new Client({
-      authStrategy: new LocalAuth({
-        clientId: `account_${accountId}`,
-        dataPath: accountDataPath,
-      }),
-      // Completely remove webVersionCache - let library handle it
-      puppeteer: {
-        headless: false,
-        args: ["--no-sandbox", "--disable-setuid-sandbox"],
-        timeout: 60000,
-      },
-    });
+    // A client left over from a previous attempt that never got ready
+    await this.closeClient(account);
+    if (this.shuttingDown || !this.accounts.has(accountId)) return;
+    if (account.client) return; // another attempt started one meanwhile
 
-    return client;
+    account.health.attempts++;
+    this.updateHealth(accountId, "reconnecting");
+    await this.restoreAccount(accountId, "reconnecting");
   }
 
   /**
-   * Fallback QR generation using ultra-minimal approach
+   * Reconnect now, from the UI - starts a fresh round of retries
    */
-  async fallbackQRGeneration(accountId) {
-    console.log(`Attempting ultra-minimal fallback for account: ${accountId}`);
-
+  async reconnectNow(accountId) {
     const account = this.accounts.get(accountId);
     if (!account) {
       throw new Error(`Account ${accountId} not found`);
     }
 
-    try {
-      // Clean up any existing client
-      if (account.client) {
-        try {
-          await account.client.destroy();
-        } catch (e) {
-          console.warn(`Cleanup warning: ${e.message}`);
-        }
-      }
-    } catch (error) {
-      console.error(`Fallback QR generation failed: ${error.message}`);
-      throw error;
+    if (!this.hasSavedSession(accountId)) {
+      throw new Error("No saved session - link the account with a QR code");
+    }
+
+    this.errorHandler.clearRetries(accountId);
+    account.health.attempts = 0;
+    await this.reconnectAccount(accountId);
+
+    return { accountId, status: "reconnecting" };
+  }
+
+  /**
+   * Throw away a client the HealthMonitor found unhealthy
+   * Goes through the normal reconnect loop
+   */
+  async restartClient(accountId, reason) {
+    const account = this.accounts.get(accountId);
+    if (!account?.client) return;
+
+    console.warn(`Restarting client for account ${accountId}: ${reason}`);
+    await this.handleConnectionLost(
+      accountId,
+      account.client,
+      new Error(reason)
+    );
+  }
+
+  /**
+   * Retries are used up or the error can't be retried
+   */
+  async markConnectionFailed(accountId, error) {
+    const account = this.accounts.get(accountId);
+    if (!account) return;
+
+    await this.closeClient(account);
+
+    if (!this.hasSavedSession(accountId)) {
+      this.requireQR(accountId, error);
+      return;
+    }
+
+    this.updateHealth(accountId, "failed", error);
+    this.updateAccountStatus(accountId, "error");
+  }
+
+  /**
+   * The saved session is no longer valid - only a new QR scan helps
+   */
+  requireQR(accountId, error = null) {
+    this.errorHandler.clearRetries(accountId);
+    this.updateHealth(accountId, "needs-qr", error);
+    this.updateAccountStatus(accountId, "needs-qr");
+  }
+
+  /**
+   * Treat the browser dying under a ready client as a lost connection
+   */
+  watchBrowser(client, accountId) {
+    client.pupBrowser?.on("disconnected", () => {
+      this.handleConnectionLost(
+        accountId,
+        client,
+        new Error("Browser closed unexpectedly")
+      );
+    });
+
+    client.pupPage?.on("error", (error) => {
+      this.handleConnectionLost(
+        accountId,
+        client,
+        new Error(`Browser page crashed: ${error.message}`)
+      );
+    });
+  }
+
+  /**
+   * Restore every registered account from its saved LocalAuth session
+   * Accounts without a session are left in "needs-qr" state
+   */
+  async restoreAccounts() {
+    const accounts = Array.from(this.accounts.values()).filter(
+      (account) => !account.client
+    );
+
+    for (const [index, account] of accounts.entries()) {
+      if (this.registry.get(account.accountId)?.disconnected) {
+        console.log(
+          `Account ${account.accountId} was disconnected, not restoring`
+        );
+        this.updateAccountStatus(account.accountId, "disconnected");
+        continue;
+      }
+
+      if (!this.hasSavedSession(account.accountId)) {
+        console.log(
+          `No saved session for account ${account.accountId}, QR required`
+        );
+        this.updateAccountStatus(account.accountId, "needs-qr");
+        continue;
+      }
+
+      // Stagger browser launches so restores don't all start at once
+      if (index > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 3000));
+      }
+
+      try {
+        await this.restoreAccount(account.accountId);
+      } catch (error) {
+        console.error(`Failed to restore account ${account.accountId}:`, error);
+        await this.markConnectionFailed(account.accountId, error);
+      }
+    }
+  }
+
+  /**
+   * Start a client for an existing account from its saved session
+   */
+  async restoreAccount(accountId, status = "restoring") {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    console.log(`Restoring account ${accountId} from saved session`);
+
+    const client = await this.createSimpleIsolatedClient(accountId, {
+      headless: true,
+    });
+    account.client = client;
+    account.clientStartedAt = Date.now();
+    account.isRestoring = true;
+
+    this.setupClientEventHandlers(client, accountId);
+    this.updateAccountStatus(accountId, status);
+
+    client.initialize().catch((error) => {
+      console.error(`Client initialization failed for ${accountId}:`, error);
+      this.handleConnectionLost(accountId, client, error);
+    });
+
+    return { accountId, status: status };
+  }
+
+  /**
+   * Rename an account and persist the new display name
+   */
+  async renameAccount(accountId, displayName) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    const trimmedName = (displayName || "").trim();
+    if (trimmedName.length < 2) {
+      throw new Error("Account name must be at least 2 characters");
+    }
+
+    account.displayName = trimmedName;
+
+    const record = this.registry.get(accountId);
+    if (record) {
+      record.displayName = trimmedName;
+      this.saveRegistry();
+    }
+
+    return { accountId, displayName: trimmedName };
+  }
+
+  /**
+   * Persist tab order from an ordered list of account IDs
+   */
+  async reorderAccounts(accountIds) {
+    accountIds.forEach((accountId, index) => {
+      const record = this.registry.get(accountId);
+      if (record) {
+        record.tabOrder = index;
+      }
+    });
+
+    this.saveRegistry();
+    return { order: accountIds };
+  }
+
+  /**
+   * Stop an account's client but keep its saved session
+   * The account stays offline, also across restarts, until reconnected
+   */
+  async disconnectAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    this.errorHandler.clearRetries(accountId);
+    await this.closeClient(account);
+    account.isAuthenticated = false;
+
+    const record = this.registry.get(accountId);
+    if (record) {
+      record.disconnected = true;
+    }
+
+    this.updateHealth(accountId, "offline");
+    this.updateAccountStatus(accountId, "disconnected");
+    this.saveRegistry();
+
+    console.log(`Account ${accountId} disconnected, session kept`);
+    return { accountId, status: "disconnected" };
+  }
+
+  /**
+   * Unlink the account from the phone and wipe its saved session
+   * The account stays in the list and can be linked again with a QR code
+   */
+  async logoutAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    this.errorHandler.clearRetries(accountId);
+    await this.closeClient(account, { logout: true });
+    account.isAuthenticated = false;
+
+    // LocalAuth removes it on a successful logout - make sure either way
+    fs.rmSync(path.join(account.dataPath, `session-account_${accountId}`), {
+      recursive: true,
+      force: true,
+      maxRetries: 3,
+    });
+
+    const record = this.registry.get(accountId);
+    if (record) {
+      delete record.disconnected;
+    }
+
+    this.requireQR(accountId);
+    this.saveRegistry();
+
+    console.log(`Account ${accountId} logged out`);
+    return { accountId, status: "needs-qr" };
+  }
+
+  /**
+   * Remove an account and everything stored for it
+   * Frees its slot against maxAccounts; listeners of "account:removed"
+   * drop whatever they keep for the account (schedules, retries)
+   */
+  async removeAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    this.errorHandler.clearRetries(accountId);
+    await this.closeClient(account, { logout: true });
+
+    this.accounts.delete(accountId);
+    this.registry.delete(accountId);
+    this.saveRegistry();
+
+    if (this.activeAccount === accountId) {
+      this.activeAccount = null;
+    }
+
+    this.messageArchive?.forgetAccount(accountId);
+    this.mediaManager?.forgetAccount(accountId);
+    this.sendGovernor?.forgetAccount(accountId);
+    this.contactBook?.forgetAccount(accountId);
+
+    for (const folder of [account.dataPath, account.chromeProfilePath]) {
+      fs.rmSync(folder, { recursive: true, force: true, maxRetries: 3 });
+    }
+
+    this.emit("account:removed", { accountId: accountId });
+
+    console.log(`Account ${accountId} removed`);
+    return { accountId, removed: true };
+  }
+
+  /**
+   * Set up event handlers for WhatsApp client with proper account isolation
+   * CRITICAL: All events are tagged with accountId to prevent message mixing
+   */
+  setupClientEventHandlers(client, accountId) {
+    console.log(`Setting up event handlers for account: ${accountId}`);
+    let watchingBrowser = false;
+
+    // QR Code generation
+    client.on("qr", async (qr) => {
+      console.log(`✅ QR Code generated for account ${accountId}`);
+      console.log(`QR Code length: ${qr.length}`);
+
+      // A QR during restore means the saved session is no longer valid
+      const account = this.accounts.get(accountId);
+      if (account?.isRestoring) {
+        account.isRestoring = false;
+
+        // The headless browser can't be scanned - stop it until re-linked
+        await this.closeClient(account);
+        this.requireQR(accountId);
+        return;
+      }
+
+      if (account) {
+        account.qrShownAt = Date.now();
+      }
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("qr:update", {
+          accountId: accountId,
+          qrCode: qr,
+        });
+      }
+    });
+
+    // Loading progress
+    client.on("loading_screen", (percent, message) => {
+      console.log(`📱 Account ${accountId} loading: ${percent}% - ${message}`);
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("account:loading", {
+          accountId: accountId,
+          percent: percent,
+          message: message,
+        });
+      }
+    });
+
+    // Messages - "message_create" fires for both inbound and outbound
+    client.on("message_create", (message) => {
+      this.handleClientMessage(accountId, message);
+    });
+
+    // Delivery/read receipts for messages we sent
+    client.on("message_ack", (message, ack) => {
+      this.handleMessageAck(accountId, message, ack);
+    });
+
+    // State changes
+    client.on("change_state", (state) => {
+      console.log(`🔄 Account ${accountId} state changed to: ${state}`);
+    });
+
+    // Authentication events
+    client.on("authenticated", () => {
+      console.log(`✅ Account ${accountId} authenticated successfully`);
+      const account = this.accounts.get(accountId);
+      if (account) {
+        account.isAuthenticated = true;
+      }
+      this.updateAccountStatus(accountId, "authenticated");
+    });
+
+    client.on("ready", () => {
+      console.log(`✅ Account ${accountId} is ready and fully synced`);
+      const account = this.accounts.get(accountId);
+      if (account) {
+        account.isActive = true;
+        account.isAuthenticated = true;
+        account.isRestoring = false;
+      }
+
+      if (!watchingBrowser) {
+        watchingBrowser = true;
+        this.watchBrowser(client, accountId);
+      }
+
+      this.errorHandler.clearRetries(accountId);
+      this.updateHealth(accountId, "healthy");
+
+      const record = this.registry.get(accountId);
+      if (record?.disconnected) {
+        delete record.disconnected;
+        this.saveRegistry();
+      }
+      this.updateAccountStatus(accountId, "online");
+      this.emit("account:ready", { accountId: accountId });
+
+      this.syncContacts(accountId).catch((error) => {
+        console.warn(`Contact sync failed for ${accountId}:`, error.message);
+      });
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("account:ready", {
+          accountId: accountId,
+          status: "ready",
+        });
+      }
+    });
+
+    // Error handling
+    client.on("auth_failure", (message) => {
+      console.error(
+        `❌ Authentication failed for account ${accountId}: ${message}`
+      );
+      this.requireQR(accountId, new Error(message));
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("account:auth-failed", {
+          accountId: accountId,
+          error: message,
+        });
+      }
+    });
+
+    client.on("disconnected", (reason) => {
+      console.log(`❌ Account ${accountId} disconnected: ${reason}`);
+
+      const account = this.accounts.get(accountId);
+      if (this.shuttingDown || account?.client !== client) {
+        return; // closed on purpose
+      }
+
+      account.isActive = false;
+      this.updateAccountStatus(accountId, "disconnected");
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("account:disconnected", {
+          accountId: accountId,
+          reason: reason,
+        });
+      }
+
+      this.handleConnectionLost(
+        accountId,
+        client,
+        new Error(`Disconnected: ${reason}`),
+        reason
+      );
+    });
+
+    client.on("error", (error) => {
+      console.error(`❌ Error in account ${accountId}:`, error);
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("account:error", {
+          accountId: accountId,
+          error: error.message,
+        });
+      }
+    });
+  }
+
+  /**
+   * Get QR code with multiple fallback strategies
+   */
+  async getQRCode(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    if (account.isAuthenticated) {
+      throw new Error(`Account ${accountId} is already authenticated`);
+    }
+
+    console.log(`Starting simple QR generation for account: ${accountId}`);
+
+    try {
+      // Clean up any existing client - no more reconnects for it either
+      this.errorHandler.clearRetries(accountId);
+      if (account.client) {
+        const oldClient = account.client;
+        account.client = null;
+        try {
+          await oldClient.destroy();
+        } catch (e) {
+          console.warn(`Client cleanup warning: ${e.message}`);
+        }
+      }
+
+      // Create client with webVersionCache fix
+      const client = await this.createSimpleIsolatedClient(accountId);
+      account.client = client;
+      account.clientStartedAt = Date.now();
+
+      // Set up event handlers
+      this.setupClientEventHandlers(client, accountId);
+
+      // Initialize client
+      console.log(
+        `Initializing whatsapp-web.js client for account: ${accountId}`
+      );
+      client.initialize();
+
+      return {
+        accountId,
+        status: "initializing",
+        message: "WhatsApp client is starting up...",
+      };
+    } catch (error) {
+      console.error(`QR generation failed for account ${accountId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create isolated WhatsApp client with simplified settings
+   */
+  async createSimpleIsolatedClient(accountId, options = {}) {
+    const { headless = false } = options;
+    const accountDataPath = path.join("./data/accounts", accountId);
+
+    if (!fs.existsSync(accountDataPath)) {
+      fs.mkdirSync(accountDataPath, { recursive: true });
+    }
+
+    console.log(
+      `Creating client with no webVersionCache (library defaults) for account ${accountId}`
+    );
+
+    const client = new Client({
+      authStrategy: new LocalAuth({
+        clientId: `account_${accountId}`,
+        dataPath: accountDataPath,
+      }),
+      // Completely remove webVersionCache - let library handle it
+      puppeteer: {
+        headless: headless,
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+        timeout: 60000,
+      },
+    });
+
+    return client;
+  }
+
+  /**
+   * Fallback QR generation using ultra-minimal approach
+   */
+  async fallbackQRGeneration(accountId) {
+    console.log(`Attempting ultra-minimal fallback for account: ${accountId}`);
+
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    try {
+      // Clean up any existing client
+      if (account.client) {
+        try {
+          await account.client.destroy();
+        } catch (e) {
+          console.warn(`Cleanup warning: ${e.message}`);
+        }
+      }
+    } catch (error) {
+      console.error(`Fallback QR generation failed: ${error.message}`);
+      throw error;
     }
   }
 
   /**
    * Switch active account (simple tab switching)
    */
-  async switchAccount(accountId) {
+  async switchAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    // Update last accessed time
+    account.lastAccessed = Date.now();
+
+    // Set as active account
+    this.activeAccount = accountId;
+
+    console.log(`Switched to account: ${accountId}`);
+
+    return {
+      accountId: accountId,
+      displayName: account.displayName,
+      isAuthenticated: account.isAuthenticated,
+      isActive: account.isActive,
+      unreadCount: account.uiState.unreadCount,
+    };
+  }
+
+  /**
+   * Send message from specific account
+   * CRITICAL: Validates account ownership before sending
+   * Automated senders get a "typing..." pause; pass `typing: false` for
+   * messages a person just typed, and `reply: true` for automatic answers
+   * to an incoming message (they aren't held back by quiet hours)
+   */
+  async sendMessage(accountId, phoneNumber, messageText, options = {}) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    if (!account.isActive || !account.isAuthenticated) {
+      throw new Error(`Account ${accountId} is not ready`);
+    }
+
+    const chatId = this.resolveChatId(phoneNumber);
+    let ticket = await this.governSend(
+      account,
+      accountId,
+      chatId,
+      messageText,
+      options
+    );
+
+    try {
+      // Send message using isolated client
+      const message = await account.client.sendMessage(chatId, messageText);
+      ticket = null; // went out - it stays counted
+
+      // CRITICAL: Tag sent message with accountId
+      const messageData = {
+        ...this.normalizeMessage(message, accountId),
+        body: messageText,
+      };
+
+      // Update account's message cache
+      this.cacheMessage(account, messageData);
+      this.archiveMessages(accountId, messageData);
+
+      console.log(`Message sent from account ${accountId} to ${phoneNumber}`);
+
+      return messageData;
+    } catch (error) {
+      this.sendGovernor?.release(accountId, ticket);
+      console.error(`Failed to send message from account ${accountId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a message's attachment into the account's media store
+   * and tell the renderer it's ready to preview
+   */
+  async downloadMessageMedia(accountId, message, messageData) {
+    if (!this.mediaManager) return null;
+
+    try {
+      const media = await message.downloadMedia();
+      if (!media) return null; // expired or deleted on the phone
+
+      const entry = this.mediaManager.saveMedia(accountId, messageData, media);
+
+      if (global.mainWindow) {
+        global.mainWindow.webContents.send("message:media", {
+          accountId: accountId,
+          chatId: messageData.chatId,
+          messageId: messageData.id,
+          media: entry,
+        });
+      }
+
+      return entry;
+    } catch (error) {
+      console.warn(
+        `Failed to download media for message ${messageData.id}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get a message's attachment, downloading it on demand if the
+   * account is online and it isn't stored yet
+   */
+  async getMessageMedia(accountId, messageId) {
     const account = this.accounts.get(accountId);
     if (!account) {
       throw new Error(`Account ${accountId} not found`);
     }
 
-    // Update last accessed time
-    account.lastAccessed = Date.now();
+    if (!this.mediaManager) return null;
 
-    // Set as active account
-    this.activeAccount = accountId;
+    const stored = this.mediaManager.getMedia(accountId, messageId);
+    if (stored || !account.isActive || !account.client) {
+      return stored;
+    }
 
-    console.log(`Switched to account: ${accountId}`);
+    const message = await account.client.getMessageById(messageId);
+    if (!message || !message.hasMedia) return null;
 
-    return {
-      accountId: accountId,
-      displayName: account.displayName,
-      isAuthenticated: account.isAuthenticated,
-      isActive: account.isActive,
-      unreadCount: account.uiState.unreadCount,
+    return this.downloadMessageMedia(
+      accountId,
+      message,
+      this.normalizeMessage(message, accountId)
+    );
+  }
+
+  /**
+   * Run a send past the governor - rate limits, new-contact cap and
+   * quiet hours - then show "typing..." for a moment
+   * Throws a ThrottleError if the account has to wait; returns the
+   * governor's ticket so a failed send can be un-counted
+   */
+  async governSend(
+    account,
+    accountId,
+    chatId,
+    text,
+    { typing = true, reply = false } = {}
+  ) {
+    if (!this.sendGovernor) return null;
+
+    // A chat with no last-message time has never been written to
+    const chat = await account.client.getChatById(chatId).catch(() => null);
+    const ticket = this.sendGovernor.acquire(accountId, {
+      chatId: chatId,
+      newContact: !chat || !chat.timestamp,
+      reply: reply,
+    });
+
+    if (typing) {
+      await this.sendGovernor.simulateTyping(accountId, chat, text);
+    }
+    return ticket;
+  }
+
+  /**
+   * Turn a phone number or chat ID into a WhatsApp chat ID
+   * Full IDs (contacts and groups) pass through untouched
+   */
+  resolveChatId(target) {
+    if (target.includes("@")) {
+      return target;
+    }
+
+    // Validate phone number format
+    const cleanPhone = target.replace(/\D/g, "");
+    if (!cleanPhone) {
+      throw new Error(`Invalid phone number: ${target}`);
+    }
+    return `${cleanPhone}@c.us`;
+  }
+
+  /**
+   * Contact details for filling in message templates
+   * Falls back to just the number when the account can't look them up
+   */
+  async getContactFields(accountId, target) {
+    const chatId = this.resolveChatId(target);
+    const fields = {
+      phone: chatId.split("@")[0],
+      ...this.contactBook?.getTemplateFields(accountId, chatId),
     };
+
+    const account = this.accounts.get(accountId);
+    if (!account?.client || !account.isAuthenticated) {
+      return fields;
+    }
+
+    try {
+      const contact = await account.client.getContactById(chatId);
+      const name = contact.name || contact.pushname || contact.shortName;
+      if (name) fields.name = name;
+      if (contact.pushname) fields.pushname = contact.pushname;
+      if (contact.number) fields.phone = contact.number;
+    } catch (error) {
+      console.warn(`Could not look up contact ${chatId}:`, error.message);
+    }
+
+    return fields;
   }
 
   /**
-   * Send message from specific account
-   * CRITICAL: Validates account ownership before sending
+   * Pull the phone's contacts into the contact book
+   */
+  async syncContacts(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+    if (!account.client || !account.isActive) {
+      throw new Error(`Account ${accountId} is not ready`);
+    }
+    if (!this.contactBook) {
+      throw new Error("Contact book is not available");
+    }
+
+    const contacts = await account.client.getContacts();
+
+    return this.contactBook.importContacts(
+      accountId,
+      contacts
+        .filter((contact) => contact.isUser && !contact.isMe)
+        .map((contact) => ({
+          id: contact.id._serialized,
+          phone: contact.number,
+          name: contact.name,
+          pushname: contact.pushname,
+          isBusiness: contact.isBusiness,
+          isMyContact: contact.isMyContact,
+        }))
+    );
+  }
+
+  /**
+   * Send a file from specific account
+   * Media comes from `filePath` or `data` (raw bytes); `mode` picks how
+   * WhatsApp presents it: auto, document, voice or sticker
    */
-  async sendMessage(accountId, phoneNumber, messageText) {
+  async sendMedia(accountId, target, mediaData) {
+    const {
+      filePath = null,
+      data = null,
+      filename = null,
+      caption = "",
+      mode = "auto",
+      transferId = `media_${Date.now()}`,
+    } = mediaData;
+
     const account = this.accounts.get(accountId);
     if (!account) {
       throw new Error(`Account ${accountId} not found`);
@@ -394,43 +1301,415 @@ class AccountManager {
       throw new Error(`Account ${accountId} is not ready`);
     }
 
-    // Validate phone number format
-    const cleanPhone = phoneNumber.replace(/\D/g, "");
-    const formattedPhone = `${cleanPhone}@c.us`;
+    if (!filePath && !data) {
+      throw new Error("No file or data provided");
+    }
+
+    const chatId = this.resolveChatId(target);
+    const progress = (stage, percent) =>
+      this.emitMediaProgress(accountId, transferId, stage, percent);
+    let ticket = null;
 
     try {
-      // Send message using isolated client
-      const message = await account.client.sendMessage(
-        formattedPhone,
-        messageText
+      const name =
+        filename || (filePath ? path.basename(filePath) : "attachment");
+      const mimetype =
+        mediaData.mimetype ||
+        MIME_TYPES[path.extname(name).toLowerCase()] ||
+        "application/octet-stream";
+
+      const size = filePath ? fs.statSync(filePath).size : data.byteLength;
+      const kind = this.getMediaKind(mimetype, mode);
+
+      if (size > MEDIA_LIMITS[kind]) {
+        throw new Error(
+          `${name} is too large to send as ${kind} (max ${Math.round(
+            MEDIA_LIMITS[kind] / 1024 / 1024
+          )}MB)`
+        );
+      }
+
+      if (mode === "sticker" && !mimetype.startsWith("image/")) {
+        throw new Error("Stickers must be images");
+      }
+
+      if (mode === "voice" && !mimetype.startsWith("audio/")) {
+        throw new Error("Voice notes must be audio files");
+      }
+
+      // Only a file that can actually go out counts against the limits
+      ticket = await this.governSend(account, accountId, chatId, caption, {
+        typing: false,
+      });
+
+      progress("reading", 0);
+      const buffer = filePath
+        ? await this.readFileWithProgress(filePath, size, (percent) =>
+            progress("reading", percent)
+          )
+        : Buffer.from(data);
+
+      const media = new MessageMedia(
+        mimetype,
+        buffer.toString("base64"),
+        name,
+        size
       );
 
-      // CRITICAL: Tag sent message with accountId
+      progress("uploading", 50);
+      const message = await account.client.sendMessage(chatId, media, {
+        caption: caption || undefined,
+        sendMediaAsDocument: mode === "document",
+        sendAudioAsVoice: mode === "voice",
+        sendMediaAsSticker: mode === "sticker",
+      });
+      ticket = null; // went out - it stays counted
+
       const messageData = {
-        id: message.id._serialized,
-        to: formattedPhone,
-        body: messageText,
-        timestamp: Date.now(),
-        accountId: accountId, // CRITICAL: Account tagging
-        status: "sent",
+        ...this.normalizeMessage(message, accountId),
+        body: caption,
+        hasMedia: true,
+        filename: name,
+        mimetype: mimetype,
+        mediaKind: kind,
       };
 
-      // Update account's message cache
-      const chatId = formattedPhone;
-      if (!account.uiState.messageCache.has(chatId)) {
-        account.uiState.messageCache.set(chatId, []);
+      this.cacheMessage(account, messageData);
+      this.archiveMessages(accountId, messageData);
+
+      // Keep our own copy so sent files show up in the chat's gallery
+      if (this.mediaManager) {
+        try {
+          this.mediaManager.saveMedia(accountId, messageData, media);
+        } catch (error) {
+          console.warn(`Failed to store sent media: ${error.message}`);
+        }
       }
-      account.uiState.messageCache.get(chatId).push(messageData);
 
-      console.log(`Message sent from account ${accountId} to ${phoneNumber}`);
+      progress("sent", 100);
+
+      console.log(
+        `Media "${name}" sent from account ${accountId} to ${chatId}`
+      );
 
       return messageData;
     } catch (error) {
-      console.error(`Failed to send message from account ${accountId}:`, error);
+      this.sendGovernor?.release(accountId, ticket);
+      this.emitMediaProgress(accountId, transferId, "failed", 0, error.message);
+      console.error(`Failed to send media from account ${accountId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Work out which size limit applies to a file
+   */
+  getMediaKind(mimetype, mode) {
+    if (mode === "document" || mode === "voice" || mode === "sticker") {
+      return mode;
+    }
+
+    const kind = mimetype.split("/")[0];
+    return MEDIA_LIMITS[kind] && kind !== "voice" ? kind : "document";
+  }
+
+  /**
+   * Read a file in chunks, reporting 0-50% progress as it goes
+   */
+  readFileWithProgress(filePath, size, onProgress) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let loaded = 0;
+      let lastPercent = 0;
+
+      fs.createReadStream(filePath)
+        .on("data", (chunk) => {
+          chunks.push(chunk);
+          loaded += chunk.length;
+
+          const percent = Math.floor((loaded / (size || 1)) * 50);
+          if (percent >= lastPercent + 5) {
+            lastPercent = percent;
+            onProgress(percent);
+          }
+        })
+        .on("end", () => resolve(Buffer.concat(chunks)))
+        .on("error", reject);
+    });
+  }
+
+  emitMediaProgress(accountId, transferId, stage, progress, error = null) {
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("message:media-progress", {
+        accountId,
+        transferId,
+        stage,
+        progress,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Handle a message event from a client
+   * CRITICAL: Every message is tagged with its accountId before leaving here
+   */
+  handleClientMessage(accountId, message) {
+    const account = this.accounts.get(accountId);
+    if (!account) return;
+
+    // Skip status broadcasts - they don't belong to a chat
+    if (message.isStatus || message.from === "status@broadcast") return;
+
+    const messageData = this.normalizeMessage(message, accountId);
+    const isNew = this.cacheMessage(account, messageData);
+    if (!isNew) return;
+
+    this.archiveMessages(accountId, messageData);
+
+    if (
+      messageData.hasMedia &&
+      this.mediaManager &&
+      this.mediaManager.shouldAutoDownload(accountId)
+    ) {
+      this.downloadMessageMedia(accountId, message, messageData);
+    }
+
+    if (!messageData.fromMe) {
+      const chatUnread = account.uiState.chatUnread;
+      chatUnread.set(
+        messageData.chatId,
+        (chatUnread.get(messageData.chatId) || 0) + 1
+      );
+      this.recalculateUnread(account);
+
+      // Auto-reply rules need the live message to react, label, etc.
+      this.emit("message:incoming", {
+        accountId: accountId,
+        messageData: messageData,
+        message: message,
+      });
+    }
+
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("message:received", {
+        accountId: accountId,
+        message: messageData,
+        unreadCount: account.uiState.unreadCount,
+        chatUnreadCount:
+          account.uiState.chatUnread.get(messageData.chatId) || 0,
+      });
+    }
+  }
+
+  getAckStatus(ack) {
+    return ACK_STATUS[ack] || "sending";
+  }
+
+  /**
+   * Apply a delivery receipt and forward it to the renderer and listeners
+   */
+  handleMessageAck(accountId, message, ack) {
+    const account = this.accounts.get(accountId);
+    if (!account || !message.fromMe) return;
+
+    const status = this.getAckStatus(ack);
+    const ackData = {
+      accountId: accountId,
+      chatId: message.to,
+      messageId: message.id._serialized,
+      ack: ack,
+      status: status,
+    };
+
+    const cached = (
+      account.uiState.messageCache.get(ackData.chatId) || []
+    ).find((cachedMessage) => cachedMessage.id === ackData.messageId);
+    if (cached) {
+      if (STATUS_RANK[status] < STATUS_RANK[cached.status]) return;
+      cached.ack = ack;
+      cached.status = status;
+    }
+
+    if (this.messageArchive) {
+      this.messageArchive.updateMessage(accountId, ackData.messageId, {
+        ack: ack,
+        status: status,
+      });
+    }
+
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("message:ack", ackData);
+    }
+
+    this.emit("message:ack", ackData);
+  }
+
+  /**
+   * Hand messages to the local archive, if one is configured
+   */
+  archiveMessages(accountId, messages) {
+    if (!this.messageArchive) return;
+
+    try {
+      this.messageArchive.record(accountId, messages);
+    } catch (error) {
+      console.error(`Failed to archive messages for ${accountId}:`, error);
+    }
+  }
+
+  /**
+   * Convert a whatsapp-web.js message into a plain, account-tagged object
+   */
+  normalizeMessage(message, accountId) {
+    return {
+      id: message.id._serialized,
+      chatId: message.fromMe ? message.to : message.from,
+      from: message.from,
+      to: message.to,
+      author: message.author || null,
+      body: message.body,
+      type: message.type,
+      timestamp: message.timestamp ? message.timestamp * 1000 : Date.now(),
+      fromMe: message.fromMe,
+      hasMedia: message.hasMedia,
+      ack: message.ack,
+      status: message.fromMe ? this.getAckStatus(message.ack) : null,
+      accountId: accountId, // CRITICAL: Account tagging
+    };
+  }
+
+  /**
+   * Add a message to the account's cache, ignoring duplicates
+   * Returns false if the message was already cached
+   */
+  cacheMessage(account, messageData) {
+    const cache = account.uiState.messageCache;
+    if (!cache.has(messageData.chatId)) {
+      cache.set(messageData.chatId, []);
+    }
+
+    const messages = cache.get(messageData.chatId);
+    if (messages.some((cached) => cached.id === messageData.id)) {
+      return false;
+    }
+
+    messages.push(messageData);
+
+    // Keep the cache bounded per chat
+    if (messages.length > 200) {
+      messages.splice(0, messages.length - 200);
+    }
+
+    return true;
+  }
+
+  /**
+   * Recompute the account-wide unread total from per-chat counters
+   */
+  recalculateUnread(account) {
+    let total = 0;
+    for (const count of account.uiState.chatUnread.values()) {
+      total += count;
+    }
+    account.uiState.unreadCount = total;
+    return total;
+  }
+
+  /**
+   * Mark a chat as read on WhatsApp and reset its unread counter
+   */
+  async markChatRead(accountId, chatId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    account.uiState.chatUnread.delete(chatId);
+    this.recalculateUnread(account);
+
+    if (account.isActive && account.client) {
+      try {
+        const chat = await account.client.getChatById(chatId);
+        await chat.sendSeen();
+      } catch (error) {
+        console.warn(`Failed to send seen for ${chatId}: ${error.message}`);
+      }
+    }
+
+    return { chatId, unreadCount: account.uiState.unreadCount };
+  }
+
+  /**
+   * Load a page of message history for a chat
+   * Pages walk backwards: pass the oldest loaded message ID as `before`
+   * Falls back to the local archive while the account is offline
+   * `limitReached` means there is older history, but it lies beyond the
+   * most messages that are fetched from WhatsApp at once
+   */
+  async getMessageHistory(accountId, chatId, options = {}) {
+    const { before = null, limit = 50 } = options;
+
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+
+    if (!account.isActive || !account.client) {
+      if (this.messageArchive && this.messageArchive.isUnlocked()) {
+        return this.messageArchive.getMessages(accountId, chatId, {
+          before,
+          limit,
+        });
+      }
+      throw new Error(`Account ${accountId} is not ready`);
+    }
+
+    const chat = await account.client.getChatById(chatId);
+
+    // fetchMessages only returns the latest N messages, so keep widening the
+    // window until it reaches past the cursor or the chat runs out
+    const maxFetch = 2000;
+    let fetchLimit = limit + 1;
+    let page = [];
+    let hasMore = false;
+    let limitReached = false;
+
+    while (true) {
+      const fetched = await chat.fetchMessages({ limit: fetchLimit });
+      const exhausted = fetched.length < fetchLimit;
+
+      let older = fetched;
+      if (before) {
+        const cursorIndex = fetched.findIndex(
+          (message) => message.id._serialized === before
+        );
+        older = cursorIndex === -1 ? [] : fetched.slice(0, cursorIndex);
+      }
+
+      if (older.length > limit || exhausted || fetchLimit >= maxFetch) {
+        page = older.slice(-limit);
+        limitReached = older.length <= limit && !exhausted;
+        hasMore = older.length > limit || limitReached;
+        break;
+      }
+
+      fetchLimit = Math.min(fetchLimit * 2, maxFetch);
+    }
+
+    const messages = page.map((message) =>
+      this.normalizeMessage(message, accountId)
+    );
+    this.archiveMessages(accountId, messages);
+
+    return {
+      chatId: chatId,
+      messages: messages,
+      hasMore: hasMore,
+      limitReached: limitReached,
+    };
+  }
+
   /**
    * Get chats for specific account
    */
@@ -441,6 +1720,10 @@ class AccountManager {
     }
 
     if (!account.isActive) {
+      // Offline - browse what the archive has, if it's unlocked
+      if (this.messageArchive && this.messageArchive.isUnlocked()) {
+        return this.messageArchive.getChats(accountId);
+      }
       return []; // Return empty if not active
     }
 
@@ -455,7 +1738,7 @@ class AccountManager {
         lastMessage: chat.lastMessage
           ? {
               body: chat.lastMessage.body,
-              timestamp: chat.lastMessage.timestamp,
+              timestamp: chat.lastMessage.timestamp * 1000,
             }
           : null,
         unreadCount: chat.unreadCount,
@@ -465,6 +1748,18 @@ class AccountManager {
       // Update account's contact list
       account.uiState.contactList = processedChats;
 
+      if (this.messageArchive) {
+        this.messageArchive.recordChats(accountId, processedChats);
+      }
+
+      // Seed unread counters from WhatsApp's own state
+      account.uiState.chatUnread = new Map(
+        processedChats
+          .filter((chat) => chat.unreadCount > 0)
+          .map((chat) => [chat.id, chat.unreadCount])
+      );
+      this.recalculateUnread(account);
+
       return processedChats;
     } catch (error) {
       console.error(`Failed to get chats for account ${accountId}:`, error);
@@ -472,6 +1767,99 @@ class AccountManager {
     }
   }
 
+  /**
+   * Chats from every ready account in one list, most recent activity
+   * first - the unified inbox. Each chat keeps its accountId so replies
+   * go out through the account it belongs to
+   */
+  async getAllChats() {
+    const accountIds = (await this.getAccounts())
+      .map(({ accountId }) => accountId)
+      .filter((accountId) => this.accounts.get(accountId).isActive);
+
+    // Each account has its own browser - fetch them side by side
+    const lists = await Promise.all(
+      accountIds.map((accountId) => this.getChats(accountId))
+    );
+
+    return lists
+      .flat()
+      .sort(
+        (a, b) =>
+          (b.lastMessage?.timestamp || 0) - (a.lastMessage?.timestamp || 0)
+      );
+  }
+
+  /**
+   * Search chats and stored messages across every account
+   * Results are grouped by account, in tab order
+   */
+  async searchAllAccounts(query, options = {}) {
+    const { limit = 50 } = options;
+    const term = (query || "").trim().toLowerCase();
+    if (!term) return [];
+
+    const archive =
+      this.messageArchive && this.messageArchive.isUnlocked()
+        ? this.messageArchive
+        : null;
+
+    const groups = [];
+    const accounts = await this.getAccounts();
+
+    for (const { accountId, displayName } of accounts) {
+      const account = this.accounts.get(accountId);
+
+      // Live chat list if we have one, otherwise whatever the archive knows
+      let chatList = account.uiState.contactList || [];
+      if (chatList.length === 0 && archive) {
+        chatList = archive.getChats(accountId);
+      }
+      const chatNames = new Map(chatList.map((chat) => [chat.id, chat.name]));
+
+      const chats = chatList
+        .filter(
+          (chat) =>
+            (chat.name || "").toLowerCase().includes(term) ||
+            chat.id.split("@")[0].includes(term)
+        )
+        .slice(0, limit)
+        .map((chat) => ({
+          id: chat.id,
+          name: chat.name || chat.id,
+          isGroup: chat.isGroup,
+        }));
+
+      let messages;
+      if (archive) {
+        messages = archive.search(query, { accountId, limit });
+      } else {
+        // Archive locked - fall back to the in-memory cache
+        messages = [];
+        for (const cached of account.uiState.messageCache.values()) {
+          for (const message of cached) {
+            if ((message.body || "").toLowerCase().includes(term)) {
+              messages.push(message);
+            }
+          }
+        }
+        messages.sort((a, b) => b.timestamp - a.timestamp);
+        messages = messages.slice(0, limit);
+      }
+
+      messages = messages.map((message) => ({
+        ...message,
+        chatName: chatNames.get(message.chatId) || message.chatName,
+      }));
+
+      if (chats.length > 0 || messages.length > 0) {
+        groups.push({ accountId, displayName, chats, messages });
+      }
+    }
+
+    return groups;
+  }
+
   /**
    * Get all accounts status
    */
@@ -479,6 +1867,7 @@ class AccountManager {
     const accountList = [];
 
     for (const [accountId, account] of this.accounts) {
+      const record = this.registry.get(accountId) || {};
       accountList.push({
         accountId: account.accountId,
         displayName: account.displayName,
@@ -486,10 +1875,17 @@ class AccountManager {
         isAuthenticated: account.isAuthenticated,
         unreadCount: account.uiState.unreadCount,
         onlineStatus: account.uiState.onlineStatus,
+        health: account.health,
         lastAccessed: account.lastAccessed,
+        created: record.created,
+        tabOrder: record.tabOrder,
+        lastStatus: record.lastStatus,
       });
     }
 
+    // Keep the user's tab order
+    accountList.sort((a, b) => (a.tabOrder ?? 0) - (b.tabOrder ?? 0));
+
     return accountList;
   }
 
@@ -514,6 +1910,7 @@ class AccountManager {
    */
   cleanup() {
     console.log("Cleaning up AccountManager...");
+    this.shuttingDown = true;
 
     for (const [accountId, account] of this.accounts) {
       try {
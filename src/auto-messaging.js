@@ -1,38 +1,122 @@
 const fs = require('fs');
 const path = require('path');
+const RecurrenceRule = require('./recurrence');
+const TemplateEngine = require('./template-engine');
+const Scheduler = require('./scheduler');
+const { writeFileAtomic } = require('./file-utils');
+const { ThrottleError } = require('./send-governor');
+const { TemplateError } = TemplateEngine;
+
+// Delivery statuses in the order a sent message moves through them
+const DELIVERY_RANK = { sending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+const DEFAULT_CATEGORIES = ['personal', 'work', 'general'];
+const MAX_TEMPLATE_VERSIONS = 20;
+
+// Identifies exported template files
+const TEMPLATE_EXPORT_FORMAT = 'whatsapp-multi-templates';
+
+// What to do with runs missed while the app was closed or asleep:
+// skip them, send the latest once, or send each (up to maxRuns).
+// Runs more than graceMinutes late are never sent (null = no limit)
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+const DEFAULT_CATCH_UP = { policy: 'once', graceMinutes: 60, maxRuns: 3 };
+
+// A run this late still counts as on time
+const MISSED_RUN_TOLERANCE = 60 * 1000;
+
+// Each run is queued a random 5-10 seconds after its time, to avoid
+// spam detection - added to the job's runAt, so the job is only marked
+// running right before the send
+const SEND_JITTER = { min: 5000, max: 10000 };
+
+// Stop counting missed runs after this many (an hourly rule left for months)
+const MAX_MISSED_RUNS = 1000;
+const MAX_HISTORY_ENTRIES = 50;
+
+// Failed sends are retried with exponential backoff (plus some jitter)
+// before they're moved to the dead-letter list
+const RETRY_POLICY = { maxAttempts: 5, baseDelay: 30 * 1000, maxDelay: 30 * 60 * 1000 };
+const MAX_DEAD_LETTERS = 200;
+
+// Failures a retry can't fix - these go straight to the dead-letter list
+const PERMANENT_ERRORS = [
+  /^Invalid phone number/,
+  /^Account \S+ not found/,
+  /^Template \S+ not found/
+];
+
+function isPermanentError(error) {
+  return error instanceof TemplateError ||
+    PERMANENT_ERRORS.some(pattern => pattern.test(error.message));
+}
 
 class AutoMessaging {
   constructor(accountManager) {
     this.accountManager = accountManager;
     this.scheduledMessages = new Map(); // id -> scheduled message
     this.templates = new Map(); // id -> template data
-    this.activeTimeouts = new Map(); // id -> timeout reference
+    this.deliveryIndex = new Map(); // sent messageId -> schedule id
+    this.retries = new Map(); // retry id -> failed send waiting to go again
+    this.deadLetters = []; // sends that ran out of retries
+    this.templateEngine = new TemplateEngine();
     
     // File paths for persistence
     this.schedulesPath = path.join('./data/schedules', 'scheduled.json');
     this.templatesPath = path.join('./data/templates', 'templates.json');
+    this.retriesPath = path.join('./data/schedules', 'retries.json');
+
+    // Due runs are queued as jobs and dispatched by the scheduler
+    this.scheduler = new Scheduler({
+      storePath: path.join('./data/schedules', 'jobs.json'),
+      run: job => this.runJob(job)
+    });
+    this.scheduler.load();
     
     // Load existing data
     this.loadScheduledMessages();
     this.loadTemplates();
+    this.loadRetries();
+    this.scheduler.start();
+
+    // Follow delivery/read receipts for messages we sent on a schedule
+    this.accountManager.on('message:ack', ackData => this.handleMessageAck(ackData));
+
+    // Retries waiting on a disconnected account go as soon as it's back
+    this.accountManager.on('account:ready', ({ accountId }) => this.resumeRetries(accountId));
+
+    // A removed account's schedules can never run
+    this.accountManager.on('account:removed', ({ accountId }) => this.removeAccountSchedules(accountId));
     
     console.log('AutoMessaging initialized');
   }
 
   /**
    * Schedule a message to be sent at specific time/interval
-   * Simple scheduling: once, daily, weekly only
+   * Pass a `recurrence` rule (see recurrence.js) for anything beyond
+   * the basic once/daily/weekly + datetime
    */
   async scheduleMessage(scheduleData) {
     const {
       accountId,
       phoneNumber,
       message,
-      scheduleType, // 'once', 'daily', 'weekly'
+      scheduleType = 'once', // 'once', 'daily', 'weekly' or a recurrence type
       datetime,
-      templateId = null
+      timeZone = null,
+      templateId = null,
+      variables = {}, // custom variables, alongside the contact's own fields
+      catchUp = null
     } = scheduleData;
 
+    // Build and validate the rule before touching anything else
+    const recurrence = new RecurrenceRule(scheduleData.recurrence || {
+      type: scheduleType,
+      start: datetime,
+      timeZone: timeZone
+    }).toJSON();
+    const catchUpPolicy = this.normalizeCatchUp(catchUp);
+
     // Validate account exists
     const accounts = await this.accountManager.getAccounts();
     const account = accounts.find(acc => acc.accountId === accountId);
@@ -46,34 +130,38 @@ class AutoMessaging {
       throw new Error('Invalid phone number format');
     }
 
-    // Process message (use template if specified)
+    // Use the template if specified - it's rendered fresh on every send
     let finalMessage = message;
     if (templateId) {
       const template = this.templates.get(templateId);
       if (template) {
-        finalMessage = this.processTemplate(template.content, {
-          name: '[Name]', // User can manually replace
-          date: new Date().toLocaleDateString(),
-          time: new Date().toLocaleTimeString()
-        });
+        finalMessage = template.content;
       }
     }
+    this.templateEngine.assertValid(finalMessage);
 
     // Generate unique ID
     const scheduleId = `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     // Calculate next run time
-    const nextRun = this.calculateNextRun(scheduleType, datetime);
+    const nextRun = this.calculateNextRun(recurrence);
+    if (!nextRun) {
+      throw new Error('Schedule has no upcoming run times');
+    }
     
     const scheduledMessage = {
       id: scheduleId,
       accountId: accountId,
       phoneNumber: cleanPhone,
       message: finalMessage,
-      scheduleType: scheduleType,
-      originalDatetime: datetime,
+      scheduleType: recurrence.type,
+      originalDatetime: recurrence.start,
+      recurrence: recurrence,
       nextRun: nextRun,
       templateId: templateId,
+      variables: variables,
+      catchUp: catchUpPolicy,
+      history: [],
       isActive: true,
       created: Date.now(),
       lastSent: null,
@@ -99,90 +187,292 @@ class AutoMessaging {
   }
 
   /**
-   * Calculate next run time based on schedule type
+   * Calculate next run time from a recurrence rule
+   * Returns null once the rule has no more runs (end date / count reached)
    */
-  calculateNextRun(scheduleType, datetime) {
-    const targetDate = new Date(datetime);
-    const now = new Date();
+  calculateNextRun(recurrence, after = Date.now()) {
+    return new RecurrenceRule(recurrence).next(after);
+  }
 
-    switch (scheduleType) {
-      case 'once':
-        return targetDate;
-        
-      case 'daily':
-        // If target time has passed today, schedule for tomorrow
-        if (targetDate <= now) {
-          const tomorrow = new Date(targetDate);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          return tomorrow;
-        }
-        return targetDate;
-        
-      case 'weekly':
-        // If target day/time has passed this week, schedule for next week
-        if (targetDate <= now) {
-          const nextWeek = new Date(targetDate);
-          nextWeek.setDate(nextWeek.getDate() + 7);
-          return nextWeek;
-        }
-        return targetDate;
-        
-      default:
-        return targetDate;
-    }
+  /**
+   * Preview upcoming run times for a rule without saving anything
+   */
+  previewRecurrence(recurrence, count = 5) {
+    const rule = new RecurrenceRule(recurrence);
+
+    return {
+      description: rule.describe(),
+      runs: rule.preview(count).map(run => ({
+        time: run.getTime(),
+        local: rule.formatLocal(run)
+      }))
+    };
   }
 
   /**
-   * Start scheduled message with timeout
+   * Queue a schedule's next run with the scheduler
    */
   startScheduledMessage(scheduledMessage) {
-    const delay = scheduledMessage.nextRun.getTime() - Date.now();
-    
-    if (delay <= 0) {
-      // Should run immediately
-      this.executeScheduledMessage(scheduledMessage);
+    // Never leave two runs queued for one schedule - catch-up sends
+    // for runs it missed are queued alongside and stay
+    this.scheduler.cancel(scheduledMessage.id, job => !job.missedRun);
+    if (!scheduledMessage.isActive) {
+      return;
+    }
+
+    const runAt = new Date(scheduledMessage.nextRun).getTime() + this.getSendJitter();
+    const key = this.getJobKey(scheduledMessage);
+    const job = this.scheduler.enqueue({
+      key: key,
+      scheduleId: scheduledMessage.id,
+      accountId: scheduledMessage.accountId,
+      runAt: runAt
+    });
+
+    if (!job) {
+      // This run was already started before a crash - move past it
+      this.skipHandledRun(scheduledMessage, this.scheduler.getOutcome(key));
       return;
     }
 
-    // Set timeout
-    const timeoutId = setTimeout(async () => {
+    console.log(`Scheduled message ${scheduledMessage.id} will run in ${Math.round(Math.max(runAt - Date.now(), 0) / 1000)} seconds`);
+  }
+
+  getSendJitter() {
+    return SEND_JITTER.min + Math.random() * (SEND_JITTER.max - SEND_JITTER.min);
+  }
+
+  /**
+   * One job per schedule run - the key never repeats for another run
+   */
+  getJobKey(scheduledMessage) {
+    return `${scheduledMessage.id}@${new Date(scheduledMessage.nextRun).getTime()}`;
+  }
+
+  /**
+   * Called by the scheduler when a job is due
+   */
+  async runJob(job) {
+    if (job.retryId) {
+      await this.runRetry(job.retryId);
+      return;
+    }
+
+    const schedule = this.scheduledMessages.get(job.scheduleId);
+
+    // A missed run being caught up - the schedule has already moved on
+    if (job.missedRun) {
+      if (schedule) {
+        await this.executeScheduledMessage(schedule, { missedRun: job.missedRun, reschedule: false });
+      }
+      return;
+    }
+
+    // Left over from a schedule that was since edited, paused or removed
+    if (!schedule || !schedule.isActive || this.getJobKey(schedule) !== job.key) {
+      return;
+    }
+
+    await this.runDueSchedule(schedule);
+  }
+
+  /**
+   * Move a schedule on from a run the scheduler has already handled
+   */
+  skipHandledRun(scheduledMessage, outcome) {
+    const run = new Date(scheduledMessage.nextRun).getTime();
+
+    if (outcome && outcome.state === 'interrupted') {
+      console.warn(`Scheduled message ${scheduledMessage.id} was interrupted mid-send - not sending it again`);
+      this.recordHistory(scheduledMessage, {
+        event: 'interrupted',
+        run: run
+      });
+    }
+
+    const nextRun = this.calculateNextRun(scheduledMessage.recurrence, Math.max(run, Date.now()));
+    if (nextRun) {
+      scheduledMessage.nextRun = nextRun;
+      this.startScheduledMessage(scheduledMessage);
+    } else {
+      scheduledMessage.isActive = false;
+      scheduledMessage.completedAt = Date.now();
+    }
+    this.saveScheduledMessages();
+  }
+
+  /**
+   * Send a due schedule, or apply its catch-up policy if it's overdue
+   */
+  async runDueSchedule(scheduledMessage) {
+    const lateBy = Date.now() - new Date(scheduledMessage.nextRun).getTime();
+
+    if (lateBy <= MISSED_RUN_TOLERANCE) {
       await this.executeScheduledMessage(scheduledMessage);
-    }, delay);
+    } else {
+      await this.catchUpSchedule(scheduledMessage);
+    }
+  }
 
-    // Store timeout reference
-    this.activeTimeouts.set(scheduledMessage.id, timeoutId);
-    
-    console.log(`Scheduled message ${scheduledMessage.id} will run in ${Math.round(delay/1000)} seconds`);
+  /**
+   * Decide which missed runs to send, queue them and move the schedule on
+   */
+  async catchUpSchedule(scheduledMessage) {
+    const now = Date.now();
+    const catchUp = this.normalizeCatchUp(scheduledMessage.catchUp);
+    const rule = new RecurrenceRule(scheduledMessage.recurrence);
+
+    // Every run from the overdue one up to now
+    const missed = [new Date(scheduledMessage.nextRun).getTime()];
+    let run = rule.next(missed[0]);
+    while (run && run.getTime() <= now && missed.length < MAX_MISSED_RUNS) {
+      missed.push(run.getTime());
+      run = rule.next(run);
+    }
+
+    const graceStart = catchUp.graceMinutes === null
+      ? -Infinity
+      : now - catchUp.graceMinutes * 60 * 1000;
+    const eligible = missed.filter(time => time >= graceStart);
+
+    let toSend = [];
+    if (catchUp.policy === 'once') {
+      toSend = eligible.slice(-1);
+    } else if (catchUp.policy === 'all') {
+      toSend = eligible.slice(-catchUp.maxRuns);
+    }
+
+    this.recordHistory(scheduledMessage, {
+      event: 'catch-up',
+      policy: catchUp.policy,
+      missed: missed.length,
+      sending: toSend.length,
+      skipped: missed.length - toSend.length,
+      firstMissed: missed[0],
+      lastMissed: missed[missed.length - 1]
+    });
+
+    console.log(`Schedule ${scheduledMessage.id} missed ${missed.length} run(s) - sending ${toSend.length} (${catchUp.policy})`);
+
+    // The schedule moves on to its next run straight away
+    const nextRun = this.calculateNextRun(scheduledMessage.recurrence, now);
+    if (nextRun) {
+      scheduledMessage.nextRun = nextRun;
+      this.startScheduledMessage(scheduledMessage);
+    } else {
+      scheduledMessage.isActive = false;
+      scheduledMessage.completedAt = now;
+    }
+
+    // Each catch-up send is a job of its own, spaced out like separate
+    // runs - a crash interrupts one send, not the ones after it
+    let runAt = now;
+    for (const missedRun of toSend) {
+      this.scheduler.enqueue({
+        key: `${scheduledMessage.id}@${missedRun}/catch-up`,
+        scheduleId: scheduledMessage.id,
+        accountId: scheduledMessage.accountId,
+        missedRun: missedRun,
+        runAt: runAt
+      });
+      runAt += this.getSendJitter();
+    }
+    this.saveScheduledMessages();
+
+    if (toSend.length === 0 && global.mainWindow) {
+      global.mainWindow.webContents.send('schedule:executed', {
+        scheduleId: scheduledMessage.id,
+        success: true,
+        skipped: missed.length,
+        timestamp: now
+      });
+    }
+  }
+
+  /**
+   * Check a catch-up policy and fill in the defaults
+   */
+  normalizeCatchUp(catchUp) {
+    const policy = { ...DEFAULT_CATCH_UP, ...(catchUp || {}) };
+
+    if (!CATCH_UP_POLICIES.includes(policy.policy)) {
+      throw new Error(`Unknown catch-up policy: ${policy.policy}`);
+    }
+
+    if (policy.graceMinutes === '' || policy.graceMinutes === undefined) {
+      policy.graceMinutes = null;
+    }
+    if (policy.graceMinutes !== null) {
+      policy.graceMinutes = Number(policy.graceMinutes);
+      if (!Number.isFinite(policy.graceMinutes) || policy.graceMinutes < 0) {
+        throw new Error('Catch-up grace window must be zero or more minutes');
+      }
+    }
+
+    policy.maxRuns = Number(policy.maxRuns);
+    if (!Number.isInteger(policy.maxRuns) || policy.maxRuns < 1 || policy.maxRuns > 50) {
+      throw new Error('Catch-up limit must be between 1 and 50 runs');
+    }
+
+    return {
+      policy: policy.policy,
+      graceMinutes: policy.graceMinutes,
+      maxRuns: policy.maxRuns
+    };
+  }
+
+  /**
+   * Add an entry to a schedule's history, newest last
+   */
+  recordHistory(scheduledMessage, entry) {
+    scheduledMessage.history = scheduledMessage.history || [];
+    scheduledMessage.history.push({ at: Date.now(), ...entry });
+
+    if (scheduledMessage.history.length > MAX_HISTORY_ENTRIES) {
+      scheduledMessage.history.splice(0, scheduledMessage.history.length - MAX_HISTORY_ENTRIES);
+    }
   }
 
   /**
    * Execute a scheduled message
+   * `missedRun` marks a late catch-up send; `reschedule: false` leaves
+   * the next run alone - a catch-up send runs after the schedule has
+   * already moved on
    */
-  async executeScheduledMessage(scheduledMessage) {
+  async executeScheduledMessage(scheduledMessage, { missedRun = null, reschedule = true } = {}) {
     try {
       console.log(`Executing scheduled message: ${scheduledMessage.id}`);
       
-      // Add basic delay to avoid spam detection (5-10 seconds random)
-      const delay = 5000 + Math.random() * 5000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
       // Send the message
-      await this.accountManager.sendMessage(
+      const sent = await this.accountManager.sendMessage(
         scheduledMessage.accountId,
         scheduledMessage.phoneNumber,
-        scheduledMessage.message
+        await this.renderScheduledMessage(scheduledMessage)
       );
 
       // Update send statistics
       scheduledMessage.lastSent = Date.now();
       scheduledMessage.sendCount++;
+      scheduledMessage.lastError = null;
+      this.recordDelivery(scheduledMessage, sent);
+      this.recordHistory(scheduledMessage, {
+        event: 'sent',
+        run: missedRun || new Date(scheduledMessage.nextRun).getTime(),
+        late: missedRun !== null,
+        messageId: sent.id
+      });
+      if (scheduledMessage.templateId) {
+        this.recordTemplateUse(scheduledMessage.templateId);
+      }
       
       console.log(`Scheduled message sent successfully: ${scheduledMessage.id}`);
       
       // Handle recurring messages
-      if (scheduledMessage.scheduleType !== 'once') {
-        // Calculate next run
-        scheduledMessage.nextRun = this.calculateNextRunRecurring(scheduledMessage);
+      const nextRun = reschedule && this.calculateNextRunRecurring(scheduledMessage);
+      if (!reschedule) {
+        this.saveScheduledMessages();
+      } else if (nextRun) {
+        scheduledMessage.nextRun = nextRun;
         
         // Schedule next execution
         this.startScheduledMessage(scheduledMessage);
@@ -190,9 +480,9 @@ class AutoMessaging {
         // Save updated schedule
         this.saveScheduledMessages();
       } else {
-        // One-time message completed - remove it
-        this.scheduledMessages.delete(scheduledMessage.id);
-        this.activeTimeouts.delete(scheduledMessage.id);
+        // Last run completed - keep it so its receipts can be tracked
+        scheduledMessage.isActive = false;
+        scheduledMessage.completedAt = Date.now();
         this.saveScheduledMessages();
       }
 
@@ -201,16 +491,26 @@ class AutoMessaging {
         global.mainWindow.webContents.send('schedule:executed', {
           scheduleId: scheduledMessage.id,
           success: true,
+          messageId: sent.id,
           timestamp: Date.now()
         });
       }
 
     } catch (error) {
       console.error(`Failed to execute scheduled message ${scheduledMessage.id}:`, error);
+      const run = missedRun || new Date(scheduledMessage.nextRun).getTime();
       
-      // Mark as failed but keep active for retry
+      // The send goes to the retry queue (or straight to the failed sends
+      // if retrying can't help); the schedule carries on
       scheduledMessage.lastError = error.message;
       scheduledMessage.lastErrorTime = Date.now();
+      this.recordHistory(scheduledMessage, {
+        event: 'failed',
+        run: run,
+        late: missedRun !== null,
+        error: error.message
+      });
+      await this.queueRetry(scheduledMessage, run, error);
       
       // Notify UI of failure
       if (global.mainWindow) {
@@ -222,35 +522,373 @@ class AutoMessaging {
         });
       }
       
-      // For recurring messages, still schedule next attempt
-      if (scheduledMessage.scheduleType !== 'once') {
-        scheduledMessage.nextRun = this.calculateNextRunRecurring(scheduledMessage);
+      // Recurring messages move on to their next run
+      const nextRun = reschedule && this.calculateNextRunRecurring(scheduledMessage);
+      if (nextRun) {
+        scheduledMessage.nextRun = nextRun;
         this.startScheduledMessage(scheduledMessage);
+      } else if (reschedule) {
+        scheduledMessage.isActive = false;
+        scheduledMessage.completedAt = Date.now();
+      }
+      this.saveScheduledMessages();
+    }
+  }
+
+  /**
+   * Put a failed send in the retry queue
+   * The message, recipient and variables are copied so the retry
+   * doesn't change if the schedule is edited in the meantime
+   */
+  async queueRetry(scheduledMessage, run, error) {
+    const retry = {
+      id: `retry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      scheduleId: scheduledMessage.id,
+      accountId: scheduledMessage.accountId,
+      phoneNumber: scheduledMessage.phoneNumber,
+      message: scheduledMessage.message,
+      variables: { ...scheduledMessage.variables },
+      templateId: scheduledMessage.templateId || null,
+      run: run,
+      attempts: 0,
+      firstFailedAt: Date.now(),
+      lastError: error.message,
+      state: 'queued',
+      nextAttempt: null,
+      jobKey: null
+    };
+
+    if (isPermanentError(error)) {
+      this.moveToDeadLetters(retry);
+      this.recordHistory(scheduledMessage, {
+        event: 'dead-letter',
+        run: run,
+        attempts: 0,
+        error: error.message
+      });
+      return;
+    }
+
+    this.retries.set(retry.id, retry);
+    await this.scheduleRetry(retry, error instanceof ThrottleError ? error.retryAt : null);
+  }
+
+  /**
+   * Queue the next attempt - or wait for the account if it's not connected
+   * `notBefore` is when the send governor will allow the account to send
+   */
+  async scheduleRetry(retry, notBefore = null) {
+    if (!(await this.isAccountReady(retry.accountId))) {
+      retry.state = 'waiting';
+      retry.nextAttempt = null;
+      this.saveRetries();
+      console.log(`Retry ${retry.id} is waiting for account ${retry.accountId}`);
+      return;
+    }
+
+    let delay = Math.min(
+      RETRY_POLICY.baseDelay * Math.pow(2, retry.attempts),
+      RETRY_POLICY.maxDelay
+    ) * (0.8 + Math.random() * 0.4);
+    if (notBefore) {
+      // Spread out the sends held back by the same limit
+      delay = Math.max(notBefore - Date.now(), 0) + Math.random() * 30 * 1000;
+    }
+
+    retry.state = 'queued';
+    retry.nextAttempt = Date.now() + Math.round(delay);
+    retry.jobCount = (retry.jobCount || 0) + 1;
+    retry.jobKey = `${retry.id}#${retry.jobCount}`;
+    this.saveRetries();
+
+    this.scheduler.enqueue({
+      key: retry.jobKey,
+      retryId: retry.id,
+      accountId: retry.accountId,
+      runAt: retry.nextAttempt
+    });
+
+    console.log(`Retry ${retry.id} attempt ${retry.attempts + 1} in ${Math.round(delay / 1000)} seconds`);
+  }
+
+  async isAccountReady(accountId) {
+    const accounts = await this.accountManager.getAccounts();
+    const account = accounts.find(acc => acc.accountId === accountId);
+    return Boolean(account && account.isActive && account.isAuthenticated);
+  }
+
+  /**
+   * An account reconnected - send the retries that were waiting on it
+   */
+  async resumeRetries(accountId) {
+    for (const retry of this.retries.values()) {
+      if (retry.accountId === accountId && retry.state === 'waiting') {
+        await this.scheduleRetry(retry);
+      }
+    }
+  }
+
+  /**
+   * One retry attempt, run by the scheduler
+   */
+  async runRetry(retryId) {
+    const retry = this.retries.get(retryId);
+    if (!retry || retry.state !== 'queued') return;
+
+    // Disconnected since it was queued - this doesn't use up an attempt
+    if (!(await this.isAccountReady(retry.accountId))) {
+      await this.scheduleRetry(retry);
+      return;
+    }
+
+    retry.attempts++;
+    const schedule = this.scheduledMessages.get(retry.scheduleId);
+
+    try {
+      const sent = await this.accountManager.sendMessage(
+        retry.accountId,
+        retry.phoneNumber,
+        await this.renderScheduledMessage(retry)
+      );
+
+      this.retries.delete(retryId);
+      this.saveRetries();
+      console.log(`Retry ${retryId} sent on attempt ${retry.attempts}`);
+
+      if (schedule) {
+        schedule.lastSent = Date.now();
+        schedule.sendCount++;
+        schedule.lastError = null;
+        this.recordDelivery(schedule, sent);
+        this.recordHistory(schedule, {
+          event: 'sent',
+          run: retry.run,
+          late: true,
+          attempt: retry.attempts,
+          messageId: sent.id
+        });
         this.saveScheduledMessages();
       }
+      if (retry.templateId) {
+        this.recordTemplateUse(retry.templateId);
+      }
+
+      this.notifyScheduleChange(retry.scheduleId, { success: true, messageId: sent.id });
+    } catch (error) {
+      retry.lastError = error.message;
+
+      // Held back by the send governor - that's not a failed attempt
+      if (error instanceof ThrottleError) {
+        retry.attempts--;
+        console.log(`Retry ${retryId} throttled: ${error.message}`);
+        await this.scheduleRetry(retry, error.retryAt);
+        return;
+      }
+
+      console.error(`Retry ${retryId} attempt ${retry.attempts} failed:`, error);
+
+      if (retry.attempts < RETRY_POLICY.maxAttempts && !isPermanentError(error)) {
+        await this.scheduleRetry(retry);
+        return;
+      }
+
+      this.moveToDeadLetters(retry);
+      if (schedule) {
+        schedule.lastError = error.message;
+        schedule.lastErrorTime = Date.now();
+        this.recordHistory(schedule, {
+          event: 'dead-letter',
+          run: retry.run,
+          attempts: retry.attempts,
+          error: error.message
+        });
+        this.saveScheduledMessages();
+      }
+
+      this.notifyScheduleChange(retry.scheduleId, { success: false, error: error.message });
+    }
+  }
+
+  moveToDeadLetters(retry, error = null) {
+    this.retries.delete(retry.id);
+    this.deadLetters.push({
+      ...retry,
+      state: 'dead',
+      nextAttempt: null,
+      lastError: error || retry.lastError,
+      deadAt: Date.now()
+    });
+
+    if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+      this.deadLetters.splice(0, this.deadLetters.length - MAX_DEAD_LETTERS);
+    }
+
+    this.saveRetries();
+    console.warn(`Send ${retry.id} gave up after ${retry.attempts} attempt(s): ${error || retry.lastError}`);
+  }
+
+  notifyScheduleChange(scheduleId, result) {
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send('schedule:executed', {
+        scheduleId: scheduleId,
+        ...result,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Sends that ran out of retries, newest first
+   */
+  async getDeadLetters() {
+    return this.deadLetters
+      .slice()
+      .reverse()
+      .map(letter => ({
+        id: letter.id,
+        scheduleId: letter.scheduleId,
+        accountId: letter.accountId,
+        phoneNumber: letter.phoneNumber,
+        message: letter.message,
+        run: letter.run,
+        attempts: letter.attempts,
+        lastError: letter.lastError,
+        deadAt: letter.deadAt
+      }));
+  }
+
+  /**
+   * Try a dead-lettered send again right now
+   * It leaves the list only if the send goes through
+   */
+  async resendDeadLetter(letterId) {
+    const letter = this.requireDeadLetter(letterId);
+
+    const sent = await this.accountManager.sendMessage(
+      letter.accountId,
+      letter.phoneNumber,
+      await this.renderScheduledMessage(letter)
+    );
+
+    this.deadLetters = this.deadLetters.filter(item => item.id !== letterId);
+    this.saveRetries();
+
+    const schedule = this.scheduledMessages.get(letter.scheduleId);
+    if (schedule) {
+      schedule.lastSent = Date.now();
+      schedule.sendCount++;
+      schedule.lastError = null;
+      this.recordDelivery(schedule, sent);
+      this.recordHistory(schedule, {
+        event: 'sent',
+        run: letter.run,
+        late: true,
+        manual: true,
+        messageId: sent.id
+      });
+      this.saveScheduledMessages();
+    }
+    if (letter.templateId) {
+      this.recordTemplateUse(letter.templateId);
+    }
+
+    console.log(`Resent dead-lettered message: ${letterId}`);
+    return { messageId: sent.id };
+  }
+
+  async dismissDeadLetter(letterId) {
+    this.requireDeadLetter(letterId);
+    this.deadLetters = this.deadLetters.filter(item => item.id !== letterId);
+    this.saveRetries();
+    return { success: true };
+  }
+
+  requireDeadLetter(letterId) {
+    const letter = this.deadLetters.find(item => item.id === letterId);
+    if (!letter) {
+      throw new Error('Failed send not found');
+    }
+    return letter;
+  }
+
+  /**
+   * Fill in a schedule's template for the recipient at send time
+   */
+  async renderScheduledMessage(scheduledMessage) {
+    const contact = await this.accountManager.getContactFields(
+      scheduledMessage.accountId,
+      scheduledMessage.phoneNumber
+    );
+
+    return this.processTemplate(scheduledMessage.message, {
+      ...contact,
+      ...scheduledMessage.variables
+    });
+  }
+
+  /**
+   * Remember which message a schedule sent so receipts can be matched later
+   */
+  recordDelivery(scheduledMessage, sent) {
+    const delivery = {
+      messageId: sent.id,
+      sentAt: Date.now(),
+      status: sent.status || 'sent',
+      statusAt: Date.now()
+    };
+
+    scheduledMessage.deliveries = scheduledMessage.deliveries || [];
+    scheduledMessage.deliveries.push(delivery);
+
+    // Keep the most recent sends only
+    while (scheduledMessage.deliveries.length > 20) {
+      const dropped = scheduledMessage.deliveries.shift();
+      this.deliveryIndex.delete(dropped.messageId);
+    }
+
+    scheduledMessage.lastMessageId = delivery.messageId;
+    scheduledMessage.lastDeliveryStatus = delivery.status;
+    this.deliveryIndex.set(delivery.messageId, scheduledMessage.id);
+  }
+
+  /**
+   * Apply a delivery/read receipt to the schedule that sent the message
+   */
+  handleMessageAck(ackData) {
+    const scheduleId = this.deliveryIndex.get(ackData.messageId);
+    const schedule = scheduleId && this.scheduledMessages.get(scheduleId);
+    if (!schedule) return;
+
+    const delivery = schedule.deliveries.find(d => d.messageId === ackData.messageId);
+    if (!delivery || DELIVERY_RANK[ackData.status] <= DELIVERY_RANK[delivery.status]) {
+      return;
+    }
+
+    delivery.status = ackData.status;
+    delivery.statusAt = Date.now();
+
+    if (schedule.lastMessageId === ackData.messageId) {
+      schedule.lastDeliveryStatus = ackData.status;
+    }
+
+    this.saveScheduledMessages();
+
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send('schedule:delivery', {
+        scheduleId: schedule.id,
+        messageId: ackData.messageId,
+        status: ackData.status
+      });
     }
   }
 
   /**
    * Calculate next run for recurring messages
+   * Counts from the run that just happened, or now if it ran late
    */
   calculateNextRunRecurring(scheduledMessage) {
-    const now = new Date();
-    
-    switch (scheduledMessage.scheduleType) {
-      case 'daily':
-        const nextDay = new Date(scheduledMessage.nextRun);
-        nextDay.setDate(nextDay.getDate() + 1);
-        return nextDay;
-        
-      case 'weekly':
-        const nextWeek = new Date(scheduledMessage.nextRun);
-        nextWeek.setDate(nextWeek.getDate() + 7);
-        return nextWeek;
-        
-      default:
-        return now;
-    }
+    const after = Math.max(new Date(scheduledMessage.nextRun).getTime(), Date.now());
+    return this.calculateNextRun(scheduledMessage.recurrence, after);
   }
 
   /**
@@ -260,18 +898,7 @@ class AutoMessaging {
     const schedules = [];
     
     for (const [id, schedule] of this.scheduledMessages) {
-      schedules.push({
-        id: schedule.id,
-        accountId: schedule.accountId,
-        phoneNumber: schedule.phoneNumber,
-        message: schedule.message.substring(0, 50) + (schedule.message.length > 50 ? '...' : ''),
-        scheduleType: schedule.scheduleType,
-        nextRun: schedule.nextRun,
-        isActive: schedule.isActive,
-        sendCount: schedule.sendCount,
-        lastSent: schedule.lastSent,
-        lastError: schedule.lastError
-      });
+      schedules.push(this.summarizeSchedule(schedule));
     }
     
     // Sort by next run time
@@ -280,6 +907,50 @@ class AutoMessaging {
     return schedules;
   }
 
+  summarizeSchedule(schedule) {
+    const pendingRetries = Array.from(this.retries.values())
+      .filter(retry => retry.scheduleId === schedule.id).length;
+
+    let status = 'active';
+    if (!schedule.isActive) {
+      status = schedule.completedAt ? 'completed' : 'paused';
+    }
+    if (status === 'completed' && pendingRetries > 0) {
+      status = 'retrying';
+    }
+
+    return {
+      id: schedule.id,
+      accountId: schedule.accountId,
+      phoneNumber: schedule.phoneNumber,
+      message: schedule.message.substring(0, 50) + (schedule.message.length > 50 ? '...' : ''),
+      scheduleType: schedule.scheduleType,
+      recurrence: schedule.recurrence,
+      description: this.describeRecurrence(schedule.recurrence),
+      nextRun: schedule.nextRun,
+      catchUp: this.normalizeCatchUp(schedule.catchUp),
+      pendingRetries: pendingRetries,
+      isActive: schedule.isActive,
+      status: status,
+      sendCount: schedule.sendCount,
+      lastSent: schedule.lastSent,
+      lastError: schedule.lastError,
+      pausedAt: schedule.pausedAt || null,
+      completedAt: schedule.completedAt || null,
+      lastMessageId: schedule.lastMessageId || null,
+      lastDeliveryStatus: schedule.lastDeliveryStatus || null,
+      deliveries: schedule.deliveries || []
+    };
+  }
+
+  describeRecurrence(recurrence) {
+    try {
+      return new RecurrenceRule(recurrence).describe();
+    } catch (error) {
+      return recurrence.type;
+    }
+  }
+
   /**
    * Get count of scheduled messages
    */
@@ -287,22 +958,244 @@ class AutoMessaging {
     return this.scheduledMessages.size;
   }
 
-  /**
-   * Cancel a scheduled message
-   */
-  async cancelScheduledMessage(scheduleId) {
+  cancelScheduleJobs(scheduleId) {
+    this.scheduler.cancel(scheduleId);
+  }
+
+  requireSchedule(scheduleId) {
     const schedule = this.scheduledMessages.get(scheduleId);
     if (!schedule) {
       throw new Error(`Scheduled message ${scheduleId} not found`);
     }
+    return schedule;
+  }
+
+  /**
+   * Full details of one schedule, for editing
+   */
+  async getScheduledMessage(scheduleId) {
+    const schedule = this.requireSchedule(scheduleId);
+    return {
+      ...this.summarizeSchedule(schedule),
+      message: schedule.message,
+      variables: schedule.variables || {},
+      templateId: schedule.templateId || null,
+      history: (schedule.history || []).slice().reverse()
+    };
+  }
+
+  /**
+   * Edit a schedule in place - the timer is rearmed for the new rule
+   */
+  async updateScheduledMessage(scheduleId, updates) {
+    const schedule = this.requireSchedule(scheduleId);
+
+    if (updates.accountId !== undefined && updates.accountId !== schedule.accountId) {
+      const accounts = await this.accountManager.getAccounts();
+      if (!accounts.some(acc => acc.accountId === updates.accountId)) {
+        throw new Error(`Account ${updates.accountId} not found`);
+      }
+    }
+
+    let phoneNumber = schedule.phoneNumber;
+    if (updates.phoneNumber !== undefined) {
+      phoneNumber = updates.phoneNumber.replace(/\D/g, '');
+      if (phoneNumber.length < 10 || phoneNumber.length > 15) {
+        throw new Error('Invalid phone number format');
+      }
+    }
+
+    const message = updates.message !== undefined ? updates.message : schedule.message;
+    this.templateEngine.assertValid(message);
+
+    const recurrence = updates.recurrence
+      ? new RecurrenceRule(updates.recurrence).toJSON()
+      : schedule.recurrence;
+    const catchUp = updates.catchUp
+      ? this.normalizeCatchUp(updates.catchUp)
+      : schedule.catchUp;
+
+    // Work out the next run before changing anything, so a bad rule
+    // leaves the schedule as it was
+    let nextRun = schedule.nextRun;
+    if (updates.recurrence || schedule.isActive) {
+      nextRun = this.calculateNextRun(recurrence);
+      if (!nextRun && schedule.isActive) {
+        throw new Error('Schedule has no upcoming run times');
+      }
+    }
+
+    Object.assign(schedule, {
+      accountId: updates.accountId !== undefined ? updates.accountId : schedule.accountId,
+      phoneNumber: phoneNumber,
+      message: message,
+      recurrence: recurrence,
+      scheduleType: recurrence.type,
+      originalDatetime: recurrence.start,
+      variables: updates.variables !== undefined ? updates.variables : schedule.variables,
+      catchUp: catchUp,
+      nextRun: nextRun || schedule.nextRun,
+      updated: Date.now()
+    });
+
+    // Edited text no longer counts as the template it came from
+    if (updates.templateId !== undefined) {
+      schedule.templateId = updates.templateId;
+    } else if (updates.message !== undefined) {
+      const template = this.templates.get(schedule.templateId);
+      if (!template || template.content !== message) {
+        schedule.templateId = null;
+      }
+    }
+
+    this.startScheduledMessage(schedule);
+    this.saveScheduledMessages();
+
+    console.log(`Updated scheduled message: ${scheduleId}`);
+    return this.summarizeSchedule(schedule);
+  }
+
+  /**
+   * Stop a schedule without losing it
+   */
+  async pauseScheduledMessage(scheduleId) {
+    const schedule = this.requireSchedule(scheduleId);
+    if (!schedule.isActive) {
+      throw new Error('Schedule is not active');
+    }
+
+    schedule.isActive = false;
+    schedule.pausedAt = Date.now();
+    this.cancelScheduleJobs(scheduleId);
+    this.saveScheduledMessages();
 
-    // Clear timeout if exists
-    const timeoutId = this.activeTimeouts.get(scheduleId);
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-      this.activeTimeouts.delete(scheduleId);
+    console.log(`Paused scheduled message: ${scheduleId}`);
+    return this.summarizeSchedule(schedule);
+  }
+
+  /**
+   * Start a paused schedule again from its next future run
+   */
+  async resumeScheduledMessage(scheduleId) {
+    const schedule = this.requireSchedule(scheduleId);
+    if (schedule.isActive) {
+      throw new Error('Schedule is already active');
     }
 
+    const nextRun = this.calculateNextRun(schedule.recurrence);
+    if (!nextRun) {
+      throw new Error('Schedule has no upcoming run times - edit it to set a new time');
+    }
+
+    schedule.isActive = true;
+    schedule.nextRun = nextRun;
+    schedule.pausedAt = null;
+    schedule.completedAt = null;
+    this.startScheduledMessage(schedule);
+    this.saveScheduledMessages();
+
+    console.log(`Resumed scheduled message: ${scheduleId}`);
+    return this.summarizeSchedule(schedule);
+  }
+
+  /**
+   * Copy a schedule - the copy starts paused so it can be edited first
+   */
+  async duplicateScheduledMessage(scheduleId) {
+    const original = this.requireSchedule(scheduleId);
+    const copyId = `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const copy = {
+      id: copyId,
+      accountId: original.accountId,
+      phoneNumber: original.phoneNumber,
+      message: original.message,
+      scheduleType: original.scheduleType,
+      originalDatetime: original.originalDatetime,
+      recurrence: { ...original.recurrence },
+      nextRun: this.calculateNextRun(original.recurrence) || original.nextRun,
+      templateId: original.templateId,
+      variables: { ...original.variables },
+      catchUp: this.normalizeCatchUp(original.catchUp),
+      history: [],
+      isActive: false,
+      pausedAt: Date.now(),
+      created: Date.now(),
+      lastSent: null,
+      sendCount: 0
+    };
+
+    this.scheduledMessages.set(copyId, copy);
+    this.saveScheduledMessages();
+
+    console.log(`Duplicated scheduled message ${scheduleId} as ${copyId}`);
+    return this.summarizeSchedule(copy);
+  }
+
+  /**
+   * Send a schedule's message straight away
+   * Recurring schedules keep their next run; a one-time schedule is done
+   */
+  async runScheduledMessageNow(scheduleId) {
+    const schedule = this.requireSchedule(scheduleId);
+
+    const sent = await this.accountManager.sendMessage(
+      schedule.accountId,
+      schedule.phoneNumber,
+      await this.renderScheduledMessage(schedule)
+    );
+
+    schedule.lastSent = Date.now();
+    schedule.sendCount++;
+    schedule.lastError = null;
+    this.recordDelivery(schedule, sent);
+    this.recordHistory(schedule, {
+      event: 'sent',
+      run: Date.now(),
+      manual: true,
+      messageId: sent.id
+    });
+    if (schedule.templateId) {
+      this.recordTemplateUse(schedule.templateId);
+    }
+
+    if (schedule.recurrence.type === 'once') {
+      schedule.isActive = false;
+      schedule.completedAt = Date.now();
+      this.cancelScheduleJobs(scheduleId);
+    }
+
+    this.saveScheduledMessages();
+
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send('schedule:executed', {
+        scheduleId: scheduleId,
+        success: true,
+        messageId: sent.id,
+        manual: true,
+        timestamp: Date.now()
+      });
+    }
+
+    console.log(`Ran scheduled message now: ${scheduleId}`);
+    return this.summarizeSchedule(schedule);
+  }
+
+  /**
+   * Cancel a scheduled message
+   */
+  async cancelScheduledMessage(scheduleId) {
+    this.requireSchedule(scheduleId);
+
+    // Drop queued runs and any failed sends still waiting to retry
+    this.cancelScheduleJobs(scheduleId);
+    for (const retry of this.retries.values()) {
+      if (retry.scheduleId === scheduleId) {
+        this.retries.delete(retry.id);
+      }
+    }
+    this.saveRetries();
+
     // Remove from storage
     this.scheduledMessages.delete(scheduleId);
     this.saveScheduledMessages();
@@ -312,25 +1205,54 @@ class AutoMessaging {
     return { success: true, message: 'Scheduled message cancelled' };
   }
 
+  /**
+   * Cancel every schedule of a removed account and drop its failed sends
+   */
+  async removeAccountSchedules(accountId) {
+    const schedules = Array.from(this.scheduledMessages.values())
+      .filter(schedule => schedule.accountId === accountId);
+
+    for (const schedule of schedules) {
+      await this.cancelScheduledMessage(schedule.id);
+    }
+
+    // Resent dead letters can outlive their schedule
+    for (const retry of this.retries.values()) {
+      if (retry.accountId === accountId) {
+        this.retries.delete(retry.id);
+      }
+    }
+    this.deadLetters = this.deadLetters.filter(letter => letter.accountId !== accountId);
+    this.saveRetries();
+
+    console.log(`Cancelled ${schedules.length} schedule(s) of removed account ${accountId}`);
+  }
+
   /**
    * Save a message template
    */
   async saveTemplate(templateData) {
-    const { name, content, category = 'general' } = templateData;
+    const { name, content } = templateData;
     
     if (!name || !content) {
       throw new Error('Template name and content are required');
     }
 
+    this.templateEngine.assertValid(content);
+
     const templateId = `template_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     const template = {
       id: templateId,
-      name: name,
+      name: name.trim(),
       content: content,
-      category: category,
+      category: this.normalizeCategory(templateData.category),
       created: Date.now(),
-      used: 0
+      updated: Date.now(),
+      version: 1,
+      versions: [],
+      used: 0,
+      lastUsed: null
     };
 
     this.templates.set(templateId, template);
@@ -344,6 +1266,125 @@ class AutoMessaging {
     };
   }
 
+  /**
+   * Edit a template in place, keeping the previous text as a version
+   */
+  async updateTemplate(templateId, updates) {
+    const template = this.requireTemplate(templateId);
+
+    const name = updates.name !== undefined ? updates.name.trim() : template.name;
+    const content = updates.content !== undefined ? updates.content : template.content;
+    const category = updates.category !== undefined
+      ? this.normalizeCategory(updates.category)
+      : template.category;
+
+    if (!name || !content) {
+      throw new Error('Template name and content are required');
+    }
+
+    this.templateEngine.assertValid(content);
+
+    if (name === template.name && content === template.content && category === template.category) {
+      return { templateId: templateId, version: template.version, message: 'No changes to save' };
+    }
+
+    this.pushTemplateVersion(template);
+    template.name = name;
+    template.content = content;
+    template.category = category;
+    template.version = (template.version || 1) + 1;
+    template.updated = Date.now();
+
+    this.saveTemplates();
+    console.log(`Template updated: ${templateId} (v${template.version})`);
+
+    return {
+      templateId: templateId,
+      version: template.version,
+      message: 'Template updated successfully'
+    };
+  }
+
+  pushTemplateVersion(template) {
+    template.versions = template.versions || [];
+    template.versions.push({
+      version: template.version || 1,
+      name: template.name,
+      content: template.content,
+      category: template.category,
+      savedAt: template.updated || template.created
+    });
+
+    if (template.versions.length > MAX_TEMPLATE_VERSIONS) {
+      template.versions.splice(0, template.versions.length - MAX_TEMPLATE_VERSIONS);
+    }
+  }
+
+  /**
+   * Earlier versions of a template, newest first
+   */
+  async getTemplateVersions(templateId) {
+    const template = this.requireTemplate(templateId);
+    return (template.versions || []).slice().reverse();
+  }
+
+  /**
+   * Bring back an earlier version - it becomes the newest version,
+   * so the restore itself can be undone
+   */
+  async restoreTemplateVersion(templateId, version) {
+    const template = this.requireTemplate(templateId);
+    const previous = (template.versions || []).find(item => item.version === Number(version));
+    if (!previous) {
+      throw new Error(`Version ${version} of template ${templateId} not found`);
+    }
+
+    return this.updateTemplate(templateId, {
+      name: previous.name,
+      content: previous.content,
+      category: previous.category
+    });
+  }
+
+  /**
+   * Count a send made from a template
+   */
+  recordTemplateUse(templateId) {
+    const template = this.templates.get(templateId);
+    if (!template) return;
+
+    template.used = (template.used || 0) + 1;
+    template.lastUsed = Date.now();
+    this.saveTemplates();
+  }
+
+  requireTemplate(templateId) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw new Error(`Template ${templateId} not found`);
+    }
+    return template;
+  }
+
+  normalizeCategory(category) {
+    const value = (category || 'general').trim().toLowerCase();
+    if (value.length > 40) {
+      throw new Error('Category names are limited to 40 characters');
+    }
+    return value || 'general';
+  }
+
+  /**
+   * The built-in categories plus any custom ones in use
+   */
+  async getTemplateCategories() {
+    const categories = new Set(DEFAULT_CATEGORIES);
+    for (const template of this.templates.values()) {
+      categories.add(template.category);
+    }
+    return Array.from(categories).sort();
+  }
+
   /**
    * Get all templates
    */
@@ -357,7 +1398,11 @@ class AutoMessaging {
         content: template.content,
         category: template.category,
         created: template.created,
-        used: template.used
+        updated: template.updated || template.created,
+        version: template.version || 1,
+        versionCount: (template.versions || []).length,
+        used: template.used,
+        lastUsed: template.lastUsed || null
       });
     }
     
@@ -387,17 +1432,85 @@ class AutoMessaging {
   }
 
   /**
-   * Process template with variable substitution
+   * Templates as shareable JSON (all of them, or just the given IDs)
    */
-  processTemplate(templateContent, variables = {}) {
-    let processed = templateContent;
-    
-    // Simple variable replacements
-    processed = processed.replace(/{name}/g, variables.name || '[Name]');
-    processed = processed.replace(/{date}/g, variables.date || new Date().toLocaleDateString());
-    processed = processed.replace(/{time}/g, variables.time || new Date().toLocaleTimeString());
-    
-    return processed;
+  exportTemplates(templateIds = null) {
+    const templates = Array.from(this.templates.values())
+      .filter(template => !templateIds || templateIds.includes(template.id))
+      .map(template => ({
+        name: template.name,
+        category: template.category,
+        content: template.content
+      }));
+
+    return {
+      format: TEMPLATE_EXPORT_FORMAT,
+      version: 1,
+      exported: new Date().toISOString(),
+      templates: templates
+    };
+  }
+
+  /**
+   * Add templates from an export file
+   * Exact duplicates are skipped; a name clash with different content
+   * is imported under a new name rather than overwriting
+   */
+  async importTemplates(data) {
+    if (!data || data.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(data.templates)) {
+      throw new Error('Not a template export file');
+    }
+
+    const result = { imported: 0, skipped: 0, errors: [] };
+    const existing = Array.from(this.templates.values());
+
+    for (const [index, item] of data.templates.entries()) {
+      const label = item && item.name ? `"${item.name}"` : `#${index + 1}`;
+
+      if (!item || typeof item.name !== 'string' || typeof item.content !== 'string') {
+        result.errors.push(`Template ${label}: name and content are required`);
+        continue;
+      }
+
+      const duplicate = existing.find(template =>
+        template.name === item.name.trim() && template.content === item.content
+      );
+      if (duplicate) {
+        result.skipped++;
+        continue;
+      }
+
+      let name = item.name.trim();
+      if (existing.some(template => template.name === name)) {
+        name = `${name} (imported)`;
+      }
+
+      try {
+        const saved = await this.saveTemplate({
+          name: name,
+          content: item.content,
+          category: item.category
+        });
+        existing.push(this.templates.get(saved.templateId));
+        result.imported++;
+      } catch (error) {
+        result.errors.push(`Template ${label}: ${error.message}`);
+      }
+    }
+
+    console.log(`Imported ${result.imported} templates (${result.skipped} already present)`);
+    return result;
+  }
+
+  /**
+   * Render a template (see template-engine.js for the syntax)
+   */
+  processTemplate(templateContent, variables = {}, options = {}) {
+    return this.templateEngine.render(templateContent, variables, options);
+  }
+
+  validateTemplate(templateContent) {
+    return this.templateEngine.validate(templateContent);
   }
 
   /**
@@ -416,8 +1529,17 @@ class AutoMessaging {
           if (schedule.lastSent) {
             schedule.lastSent = new Date(schedule.lastSent);
           }
+
+          // Schedules saved before recurrence rules existed
+          if (!schedule.recurrence) {
+            schedule.recurrence = RecurrenceRule.fromLegacy(schedule.scheduleType, schedule.originalDatetime);
+          }
           
           this.scheduledMessages.set(schedule.id, schedule);
+
+          for (const delivery of schedule.deliveries || []) {
+            this.deliveryIndex.set(delivery.messageId, schedule.id);
+          }
           
           // Restart active schedules
           if (schedule.isActive) {
@@ -438,12 +1560,58 @@ class AutoMessaging {
   saveScheduledMessages() {
     try {
       const schedules = Array.from(this.scheduledMessages.values());
-      fs.writeFileSync(this.schedulesPath, JSON.stringify(schedules, null, 2));
+      writeFileAtomic(this.schedulesPath, JSON.stringify(schedules, null, 2));
     } catch (error) {
       console.error('Failed to save scheduled messages:', error);
     }
   }
 
+  /**
+   * Load the retry queue and dead letters, and queue the retries again
+   */
+  loadRetries() {
+    try {
+      if (!fs.existsSync(this.retriesPath)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.retriesPath, 'utf8'));
+      this.deadLetters = data.deadLetters || [];
+
+      for (const retry of data.retries || []) {
+        this.retries.set(retry.id, retry);
+
+        if (retry.state !== 'queued') continue;
+
+        const job = this.scheduler.enqueue({
+          key: retry.jobKey,
+          retryId: retry.id,
+          accountId: retry.accountId,
+          runAt: retry.nextAttempt
+        });
+
+        // The app stopped while this attempt was sending - it may have
+        // gone out, so don't risk a duplicate
+        if (!job) {
+          this.moveToDeadLetters(retry, 'Interrupted while sending - check the chat before resending');
+        }
+      }
+
+      console.log(`Loaded ${this.retries.size} pending retries and ${this.deadLetters.length} failed sends`);
+    } catch (error) {
+      console.error('Failed to load retry queue:', error);
+    }
+  }
+
+  saveRetries() {
+    try {
+      writeFileAtomic(this.retriesPath, JSON.stringify({
+        retries: Array.from(this.retries.values()),
+        deadLetters: this.deadLetters
+      }, null, 2));
+    } catch (error) {
+      console.error('Failed to save retry queue:', error);
+    }
+  }
+
   /**
    * Load templates from file
    */
@@ -474,7 +1642,7 @@ class AutoMessaging {
   saveTemplates() {
     try {
       const templates = Array.from(this.templates.values());
-      fs.writeFileSync(this.templatesPath, JSON.stringify(templates, null, 2));
+      writeFileAtomic(this.templatesPath, JSON.stringify(templates, null, 2));
     } catch (error) {
       console.error('Failed to save templates:', error);
     }
@@ -520,16 +1688,15 @@ class AutoMessaging {
   }
 
   /**
-   * Cleanup - clear all timeouts and save data
+   * Cleanup - stop the scheduler and save data
    */
   cleanup() {
     console.log('Cleaning up AutoMessaging...');
     
-    // Clear all active timeouts
-    for (const [id, timeoutId] of this.activeTimeouts) {
-      clearTimeout(timeoutId);
-    }
-    this.activeTimeouts.clear();
+    // Queued jobs stay on disk for the next start
+    this.scheduler.stop();
+    this.scheduler.save();
+    this.saveRetries();
     
     // Save current data
     this.saveScheduledMessages();
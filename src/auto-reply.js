@@ -0,0 +1,667 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./file-utils");
+const { parseClock, ThrottleError } = require("./send-governor");
+
+const MATCH_TYPES = ["any", "keyword", "exact", "regex", "first-message"];
+const SENDER_TYPES = ["any", "contact", "group"];
+const ACTION_TYPES = ["reply", "react", "mark-read", "label"];
+
+const DEFAULT_COOLDOWN = 60; // minutes before a rule fires again in a chat
+const MIN_COOLDOWN = 1; // two auto-responders can't ping-pong faster than this
+
+// Older messages arrive while a client catches up - never answer those
+const MAX_MESSAGE_AGE = 5 * 60 * 1000;
+
+// Stands in for the sender when a reply is previewed in the test console
+const SAMPLE_CONTACT = { name: "Sample Contact", phone: "15550001111" };
+
+/**
+ * Inbound rules: each account has an ordered list of rules that are
+ * checked against every incoming message. A rule matches on the text,
+ * the kind of sender and an optional time window, and then replies with
+ * a template, reacts, marks the chat read and/or labels it. Rules are
+ * checked top to bottom; a matching rule stops the rest unless it is set
+ * to continue. Each rule fires at most once per chat per cooldown.
+ */
+class AutoReplyEngine {
+  constructor(accountManager, autoMessaging) {
+    this.accountManager = accountManager;
+    this.autoMessaging = autoMessaging;
+    this.accountsPath = "./data/accounts";
+    this.states = new Map(); // accountId -> { rules, cooldowns }
+    this.handling = new Map(); // "accountId|messageId" -> Promise<replied>
+
+    this.accountManager.on("message:incoming", (event) => {
+      const key = `${event.accountId}|${event.messageData.id}`;
+      const handling = this.handleIncoming(event)
+        .catch((error) => {
+          console.error(`Auto-reply failed for ${event.accountId}:`, error);
+          return false;
+        })
+        .finally(() => this.handling.delete(key));
+      this.handling.set(key, handling);
+    });
+
+    this.accountManager.on("account:removed", ({ accountId }) => {
+      this.states.delete(accountId);
+    });
+
+    console.log("AutoReplyEngine initialized");
+  }
+
+  getStatePath(accountId) {
+    return path.join(this.accountsPath, accountId, "auto-reply.json");
+  }
+
+  getState(accountId) {
+    if (this.states.has(accountId)) {
+      return this.states.get(accountId);
+    }
+
+    const state = {
+      rules: [],
+      cooldowns: {}, // "ruleId|chatId" -> last time the rule fired there
+    };
+
+    try {
+      const statePath = this.getStatePath(accountId);
+      if (fs.existsSync(statePath)) {
+        const saved = JSON.parse(fs.readFileSync(statePath, "utf8"));
+        state.rules = saved.rules || [];
+        state.cooldowns = saved.cooldowns || {};
+      }
+    } catch (error) {
+      console.error(`Failed to load auto-reply rules for ${accountId}:`, error);
+      this.setAsideUnreadable(accountId);
+    }
+
+    this.states.set(accountId, state);
+    return state;
+  }
+
+  /**
+   * Keep an unreadable rules file out of the way of the next save, so
+   * the rules in it can still be recovered by hand
+   */
+  setAsideUnreadable(accountId) {
+    const statePath = this.getStatePath(accountId);
+    const asidePath = `${statePath}.unreadable-${Date.now()}`;
+
+    try {
+      fs.renameSync(statePath, asidePath);
+      console.warn(`Unreadable auto-reply rules moved to ${asidePath}`);
+    } catch (error) {
+      // Nothing there to move
+    }
+  }
+
+  saveState(accountId) {
+    const state = this.getState(accountId);
+    const accountPath = path.join(this.accountsPath, accountId);
+
+    // Cooldowns that have run out don't need to be kept
+    const now = Date.now();
+    for (const [key, firedAt] of Object.entries(state.cooldowns)) {
+      const rule = state.rules.find((item) => key.startsWith(`${item.id}|`));
+      if (!rule || firedAt + rule.cooldownMinutes * 60 * 1000 <= now) {
+        delete state.cooldowns[key];
+      }
+    }
+
+    try {
+      if (!fs.existsSync(accountPath)) {
+        fs.mkdirSync(accountPath, { recursive: true });
+      }
+      writeFileAtomic(
+        this.getStatePath(accountId),
+        JSON.stringify(state, null, 2),
+        0o600
+      );
+    } catch (error) {
+      console.error(`Failed to save auto-reply rules for ${accountId}:`, error);
+    }
+  }
+
+  getRules(accountId) {
+    this.requireAccount(accountId);
+    return this.getState(accountId).rules.map((rule) => ({ ...rule }));
+  }
+
+  requireAccount(accountId) {
+    if (!this.accountManager.accounts.has(accountId)) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+  }
+
+  requireRule(accountId, ruleId) {
+    const rule = this.getState(accountId).rules.find(
+      (item) => item.id === ruleId
+    );
+    if (!rule) {
+      throw new Error("Auto-reply rule not found");
+    }
+    return rule;
+  }
+
+  async createRule(accountId, ruleData) {
+    this.requireAccount(accountId);
+    const state = this.getState(accountId);
+
+    const rule = {
+      id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      ...this.normalizeRule(ruleData),
+      created: Date.now(),
+      stats: { matches: 0, lastMatchedAt: null, lastError: null },
+    };
+
+    state.rules.push(rule);
+    this.saveState(accountId);
+
+    console.log(`Auto-reply rule "${rule.name}" added to ${accountId}`);
+    return { ...rule };
+  }
+
+  async updateRule(accountId, ruleId, updates) {
+    this.requireAccount(accountId);
+    const rule = this.requireRule(accountId, ruleId);
+
+    Object.assign(rule, this.normalizeRule({ ...rule, ...updates }), {
+      modified: Date.now(),
+    });
+    this.saveState(accountId);
+
+    return { ...rule };
+  }
+
+  async deleteRule(accountId, ruleId) {
+    this.requireAccount(accountId);
+    const state = this.getState(accountId);
+    this.requireRule(accountId, ruleId);
+
+    state.rules = state.rules.filter((rule) => rule.id !== ruleId);
+    this.saveState(accountId);
+
+    return { success: true };
+  }
+
+  /**
+   * Save a new rule order from a list of rule IDs
+   */
+  async reorderRules(accountId, ruleIds) {
+    this.requireAccount(accountId);
+    const state = this.getState(accountId);
+
+    const position = new Map(ruleIds.map((id, index) => [id, index]));
+    state.rules.sort(
+      (a, b) =>
+        (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity)
+    );
+    this.saveState(accountId);
+
+    return this.getRules(accountId);
+  }
+
+  /**
+   * Validate rule settings and fill in defaults
+   */
+  normalizeRule(data) {
+    const name = String(data.name || "").trim();
+    if (!name) {
+      throw new Error("Rule name is required");
+    }
+
+    const match = { type: "keyword", pattern: "", caseSensitive: false };
+    Object.assign(match, data.match);
+    if (!MATCH_TYPES.includes(match.type)) {
+      throw new Error(`Unknown match type "${match.type}"`);
+    }
+    match.pattern = String(match.pattern || "").trim();
+    match.caseSensitive = Boolean(match.caseSensitive);
+
+    if (["keyword", "exact", "regex"].includes(match.type) && !match.pattern) {
+      throw new Error("Enter the text the rule should match");
+    }
+    if (match.type === "regex") {
+      try {
+        new RegExp(match.pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+    }
+
+    const sender = data.sender || "any";
+    if (!SENDER_TYPES.includes(sender)) {
+      throw new Error(`Unknown sender type "${sender}"`);
+    }
+
+    let timeWindow = null;
+    if (data.timeWindow) {
+      const { start, end, days = [0, 1, 2, 3, 4, 5, 6] } = data.timeWindow;
+      parseClock(start);
+      parseClock(end);
+      if (!Array.isArray(days) || days.length === 0) {
+        throw new Error("Pick at least one day for the time window");
+      }
+      timeWindow = { start, end, days: days.map(Number) };
+    }
+
+    const actions = (data.actions || []).map((action) =>
+      this.normalizeAction(action)
+    );
+    if (actions.length === 0) {
+      throw new Error("Add at least one action to the rule");
+    }
+
+    const cooldownMinutes = Number(data.cooldownMinutes ?? DEFAULT_COOLDOWN);
+    if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < MIN_COOLDOWN) {
+      throw new Error(`Cooldown must be at least ${MIN_COOLDOWN} minute`);
+    }
+
+    return {
+      name: name,
+      enabled: data.enabled !== false,
+      match: match,
+      sender: sender,
+      timeWindow: timeWindow,
+      actions: actions,
+      cooldownMinutes: cooldownMinutes,
+      continueAfter: Boolean(data.continueAfter), // keep checking later rules
+    };
+  }
+
+  normalizeAction(action) {
+    if (!ACTION_TYPES.includes(action.type)) {
+      throw new Error(`Unknown action "${action.type}"`);
+    }
+
+    switch (action.type) {
+      case "reply": {
+        if (action.templateId) {
+          if (!this.autoMessaging.templates.has(action.templateId)) {
+            throw new Error(`Template ${action.templateId} not found`);
+          }
+          return { type: "reply", templateId: action.templateId };
+        }
+
+        const text = String(action.text || "").trim();
+        if (!text) {
+          throw new Error("A reply needs a template or some text");
+        }
+        this.autoMessaging.templateEngine.assertValid(text);
+        return { type: "reply", text: text };
+      }
+
+      case "react": {
+        const emoji = String(action.emoji || "").trim();
+        if (!emoji) {
+          throw new Error("Pick an emoji to react with");
+        }
+        return { type: "react", emoji: emoji };
+      }
+
+      case "label": {
+        const label = String(action.label || "").trim();
+        if (!label) {
+          throw new Error("Enter the label to add");
+        }
+        return { type: "label", label: label };
+      }
+
+      default:
+        return { type: action.type };
+    }
+  }
+
+  /**
+   * Why a rule does or doesn't match a message - null means it matches
+   * context = { text, isGroup, firstMessage, now }
+   */
+  checkRule(rule, context) {
+    if (!rule.enabled) return "Rule is off";
+
+    if (rule.sender === "contact" && context.isGroup) {
+      return "Only for contacts";
+    }
+    if (rule.sender === "group" && !context.isGroup) {
+      return "Only for groups";
+    }
+
+    if (rule.timeWindow && !this.inTimeWindow(rule.timeWindow, context.now)) {
+      return `Outside ${rule.timeWindow.start}-${rule.timeWindow.end}`;
+    }
+
+    const { type, pattern, caseSensitive } = rule.match;
+    const fold = (value) => (caseSensitive ? value : value.toLowerCase());
+    const text = context.text || "";
+
+    switch (type) {
+      case "keyword": {
+        const words = fold(text).split(/[^\p{L}\p{N}']+/u);
+        const keywords = pattern
+          .split(",")
+          .map((keyword) => fold(keyword.trim()))
+          .filter(Boolean);
+        const found = keywords.some((keyword) =>
+          keyword.includes(" ")
+            ? fold(text).includes(keyword)
+            : words.includes(keyword)
+        );
+        return found ? null : "No keyword found";
+      }
+
+      case "exact":
+        return fold(text.trim()) === fold(pattern) ? null : "Text differs";
+
+      case "regex":
+        return new RegExp(pattern, caseSensitive ? "u" : "iu").test(text)
+          ? null
+          : "Pattern doesn't match";
+
+      case "first-message":
+        return context.firstMessage ? null : "Not the first message";
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Local time window - a window like 22:00-06:00 runs over midnight and
+   * belongs to the day it starts on
+   */
+  inTimeWindow(timeWindow, now) {
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = parseClock(timeWindow.start);
+    const end = parseClock(timeWindow.end);
+    const day = date.getDay();
+
+    if (start <= end) {
+      return timeWindow.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    if (minutes >= start) {
+      return timeWindow.days.includes(day);
+    }
+    return minutes < end && timeWindow.days.includes((day + 6) % 7);
+  }
+
+  /**
+   * Run a message through an account's rules
+   * Returns every rule's outcome and the rules that should fire
+   */
+  evaluate(accountId, context, { ignoreCooldowns = false } = {}) {
+    const state = this.getState(accountId);
+    const trace = [];
+    const fired = [];
+    let stopped = false;
+
+    for (const rule of state.rules) {
+      if (stopped) {
+        trace.push({ ruleId: rule.id, name: rule.name, result: "not checked" });
+        continue;
+      }
+
+      const reason = this.checkRule(rule, context);
+      if (reason) {
+        trace.push({ ruleId: rule.id, name: rule.name, result: reason });
+        continue;
+      }
+
+      const cooldownLeft = this.getCooldownLeft(state, rule, context);
+      if (cooldownLeft > 0 && !ignoreCooldowns) {
+        trace.push({
+          ruleId: rule.id,
+          name: rule.name,
+          result: `Matched, cooling down for ${Math.ceil(
+            cooldownLeft / 60000
+          )} min`,
+        });
+      } else {
+        trace.push({ ruleId: rule.id, name: rule.name, result: "fires" });
+        fired.push(rule);
+      }
+
+      // A rule that matched still has the say while it cools down
+      stopped = !rule.continueAfter;
+    }
+
+    return { trace, fired };
+  }
+
+  getCooldownLeft(state, rule, context) {
+    const firedAt = state.cooldowns[`${rule.id}|${context.chatId}`];
+    if (!firedAt) return 0;
+    return firedAt + rule.cooldownMinutes * 60 * 1000 - context.now;
+  }
+
+  /**
+   * An incoming message from AccountManager
+   */
+  /**
+   * Whether a rule answered an incoming message with a reply. This engine
+   * is created before the away responder, so it's already handling the
+   * message when the responder asks - the answer waits for the rules
+   */
+  hasReplied(accountId, messageId) {
+    return (
+      this.handling.get(`${accountId}|${messageId}`) || Promise.resolve(false)
+    );
+  }
+
+  /**
+   * Run the rules for an incoming message
+   * Returns true if one of them sent a reply
+   */
+  async handleIncoming({ accountId, messageData, message }) {
+    const state = this.getState(accountId);
+    if (!state.rules.some((rule) => rule.enabled)) return false;
+
+    if (Date.now() - messageData.timestamp > MAX_MESSAGE_AGE) return false;
+
+    const needsFirstMessage = state.rules.some(
+      (rule) => rule.enabled && rule.match.type === "first-message"
+    );
+
+    const context = {
+      text: messageData.body || "",
+      isGroup: messageData.chatId.endsWith("@g.us"),
+      firstMessage: needsFirstMessage
+        ? await this.isFirstMessage(message)
+        : false,
+      chatId: messageData.chatId,
+      now: Date.now(),
+    };
+
+    const { fired } = this.evaluate(accountId, context);
+    if (fired.length === 0) return false;
+
+    // Cooldowns start before any action runs, so our own reply (or the
+    // other side's auto-reply to it) can't set the rule off again
+    for (const rule of fired) {
+      state.cooldowns[`${rule.id}|${context.chatId}`] = context.now;
+      rule.stats.matches++;
+      rule.stats.lastMatchedAt = context.now;
+    }
+    this.saveState(accountId);
+
+    let replied = false;
+    for (const rule of fired) {
+      const result = await this.runActions(
+        accountId,
+        rule,
+        message,
+        messageData
+      );
+      rule.stats.lastError =
+        result.errors.length > 0 ? result.errors.join("; ") : null;
+      replied = replied || result.replied;
+    }
+    this.saveState(accountId);
+    return replied;
+  }
+
+  /**
+   * True if the chat holds nothing before this message
+   */
+  async isFirstMessage(message) {
+    try {
+      const chat = await message.getChat();
+      const history = await chat.fetchMessages({ limit: 2 });
+      return history.every(
+        (item) => item.id._serialized === message.id._serialized
+      );
+    } catch (error) {
+      console.warn(`Could not check chat history: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Run a rule's actions in order - one failing doesn't stop the rest
+   * Returns the errors and whether a reply went out
+   */
+  async runActions(accountId, rule, message, messageData) {
+    const errors = [];
+    let replied = false;
+
+    for (const action of rule.actions) {
+      try {
+        switch (action.type) {
+          case "reply":
+            await this.sendReply(accountId, action, messageData);
+            replied = true;
+            break;
+          case "react":
+            await message.react(action.emoji);
+            break;
+          case "mark-read":
+            await this.accountManager.markChatRead(
+              accountId,
+              messageData.chatId
+            );
+            break;
+          case "label":
+            await this.addLabel(accountId, message, action.label);
+            break;
+        }
+      } catch (error) {
+        const reason =
+          error instanceof ThrottleError
+            ? `Reply held back: ${error.message}`
+            : error.message;
+        console.error(`Auto-reply "${rule.name}" ${action.type}: ${reason}`);
+        errors.push(`${action.type}: ${reason}`);
+      }
+    }
+
+    console.log(`Auto-reply "${rule.name}" fired in ${messageData.chatId}`);
+    return { errors, replied };
+  }
+
+  async sendReply(accountId, action, messageData, variables = {}) {
+    const sender = messageData.author || messageData.chatId;
+    const contact = await this.accountManager.getContactFields(
+      accountId,
+      sender
+    );
+
+    const text = this.renderReply(action, {
+      ...contact,
+      ...variables,
+      message: messageData.body || "",
+    });
+
+    // They just wrote to us, so quiet hours don't hold the answer back
+    await this.accountManager.sendMessage(accountId, messageData.chatId, text, {
+      reply: true,
+    });
+
+    if (action.templateId) {
+      this.autoMessaging.recordTemplateUse(action.templateId);
+    }
+  }
+
+  renderReply(action, variables) {
+    const content = action.templateId
+      ? this.autoMessaging.requireTemplate(action.templateId).content
+      : action.text;
+    return this.autoMessaging.processTemplate(content, variables);
+  }
+
+  /**
+   * Labels are a WhatsApp Business feature - they're looked up by name
+   */
+  async addLabel(accountId, message, labelName) {
+    const client = this.accountManager.accounts.get(accountId)?.client;
+    if (!client) {
+      throw new Error(`Account ${accountId} is not ready`);
+    }
+
+    const labels = await client.getLabels().catch(() => []);
+    const label = labels.find(
+      (item) => item.name.toLowerCase() === labelName.toLowerCase()
+    );
+    if (!label) {
+      throw new Error(
+        `Label "${labelName}" not found (labels need WhatsApp Business)`
+      );
+    }
+
+    const chat = await message.getChat();
+    const current = await chat.getLabels();
+    if (current.some((item) => item.id === label.id)) return;
+
+    await chat.changeLabels([...current.map((item) => item.id), label.id]);
+  }
+
+  /**
+   * Test console: run a sample message through the rules without
+   * sending anything or touching cooldowns
+   * sample = { text, sender: 'contact' | 'group', firstMessage }
+   */
+  testMessage(accountId, sample) {
+    this.requireAccount(accountId);
+
+    const context = {
+      text: sample.text || "",
+      isGroup: sample.sender === "group",
+      firstMessage: Boolean(sample.firstMessage),
+      chatId: "test",
+      now: Date.now(),
+    };
+
+    const { trace, fired } = this.evaluate(accountId, context, {
+      ignoreCooldowns: true,
+    });
+
+    const actions = [];
+    for (const rule of fired) {
+      for (const action of rule.actions) {
+        const result = { rule: rule.name, type: action.type };
+        if (action.type === "reply") {
+          try {
+            result.preview = this.renderReply(action, {
+              ...SAMPLE_CONTACT,
+              message: context.text,
+            });
+          } catch (error) {
+            result.error = error.message;
+          }
+        } else if (action.type === "react") {
+          result.preview = action.emoji;
+        } else if (action.type === "label") {
+          result.preview = action.label;
+        }
+        actions.push(result);
+      }
+    }
+
+    return { trace, actions };
+  }
+}
+
+AutoReplyEngine.MAX_MESSAGE_AGE = MAX_MESSAGE_AGE;
+
+module.exports = AutoReplyEngine;
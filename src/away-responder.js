@@ -0,0 +1,460 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./file-utils");
+const { parseClock, ThrottleError } = require("./send-governor");
+const { MAX_MESSAGE_AGE } = require("./auto-reply");
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_TIMER = 2 ** 31 - 1; // setTimeout can't wait longer than ~24 days
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const DEFAULT_REPLY =
+  "Thanks for your message! We're away right now and back {back_at|default:\"soon\"} - we'll reply then.";
+
+const WORKDAY = { start: "09:00", end: "17:00" };
+
+const DEFAULT_SETTINGS = {
+  enabled: false, // answer outside business hours
+  hours: [null, WORKDAY, WORKDAY, WORKDAY, WORKDAY, WORKDAY, null], // Sunday first, null = closed
+  holidays: [], // { date: "YYYY-MM-DD", name }
+  reply: { type: "reply", text: DEFAULT_REPLY },
+};
+
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Out-of-office replies: each account has weekly business hours, a list
+ * of holidays and a manual "away until" switch. A direct message that
+ * arrives while the account is away gets the away message, once per
+ * contact per away period - a period runs until the account is next open.
+ * A message an auto-reply rule already answered doesn't get it as well.
+ */
+class AwayResponder {
+  constructor(accountManager, autoReply) {
+    this.accountManager = accountManager;
+    this.autoReply = autoReply;
+    this.accountsPath = "./data/accounts";
+    this.states = new Map(); // accountId -> { settings, awayUntil, responded, stats }
+    this.timers = new Map(); // accountId -> timer that ends a manual away
+
+    this.accountManager.on("message:incoming", (event) => {
+      this.handleIncoming(event).catch((error) => {
+        console.error(`Away reply failed for ${event.accountId}:`, error);
+      });
+    });
+
+    this.accountManager.on("account:removed", ({ accountId }) => {
+      clearTimeout(this.timers.get(accountId));
+      this.timers.delete(accountId);
+      this.states.delete(accountId);
+    });
+
+    console.log("AwayResponder initialized");
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  getStatePath(accountId) {
+    return path.join(this.accountsPath, accountId, "away.json");
+  }
+
+  getState(accountId) {
+    if (this.states.has(accountId)) {
+      return this.states.get(accountId);
+    }
+
+    const state = {
+      settings: this.copySettings(DEFAULT_SETTINGS),
+      awayUntil: null, // manual away, as a timestamp
+      responded: {}, // chatId -> end of the period we already answered in
+      stats: { replies: 0, lastReplyAt: null, lastError: null },
+    };
+
+    try {
+      const statePath = this.getStatePath(accountId);
+      if (fs.existsSync(statePath)) {
+        const saved = JSON.parse(fs.readFileSync(statePath, "utf8"));
+        state.settings = this.copySettings({
+          ...DEFAULT_SETTINGS,
+          ...saved.settings,
+        });
+        state.awayUntil = saved.awayUntil || null;
+        state.responded = saved.responded || {};
+        state.stats = { ...state.stats, ...saved.stats };
+      }
+    } catch (error) {
+      console.error(`Failed to load away settings for ${accountId}:`, error);
+    }
+
+    this.states.set(accountId, state);
+    this.scheduleAwayEnd(accountId, state);
+    return state;
+  }
+
+  saveState(accountId) {
+    const state = this.getState(accountId);
+    const accountPath = path.join(this.accountsPath, accountId);
+
+    // Periods that are over don't need to be remembered
+    const now = Date.now();
+    for (const [chatId, periodEnd] of Object.entries(state.responded)) {
+      if (typeof periodEnd === "number" && periodEnd <= now) {
+        delete state.responded[chatId];
+      }
+    }
+
+    try {
+      if (!fs.existsSync(accountPath)) {
+        fs.mkdirSync(accountPath, { recursive: true });
+      }
+      writeFileAtomic(
+        this.getStatePath(accountId),
+        JSON.stringify(state, null, 2),
+        0o600
+      );
+    } catch (error) {
+      console.error(`Failed to save away settings for ${accountId}:`, error);
+    }
+  }
+
+  copySettings(settings) {
+    return {
+      ...settings,
+      hours: settings.hours.map((hours) => (hours ? { ...hours } : null)),
+      holidays: settings.holidays.map((holiday) => ({ ...holiday })),
+      reply: { ...settings.reply },
+    };
+  }
+
+  requireAccount(accountId) {
+    if (!this.accountManager.accounts.has(accountId)) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+  }
+
+  /**
+   * Settings, current status and reply stats, for the settings screen
+   */
+  getSettings(accountId) {
+    this.requireAccount(accountId);
+    const state = this.getState(accountId);
+
+    return {
+      settings: this.copySettings(state.settings),
+      status: this.getStatus(accountId),
+      stats: { ...state.stats },
+    };
+  }
+
+  updateSettings(accountId, updates) {
+    this.requireAccount(accountId);
+    const state = this.getState(accountId);
+    const settings = this.copySettings(state.settings);
+
+    if (updates.enabled !== undefined) {
+      settings.enabled = Boolean(updates.enabled);
+    }
+
+    if (updates.hours) {
+      if (!Array.isArray(updates.hours) || updates.hours.length !== 7) {
+        throw new Error("Business hours need an entry for every weekday");
+      }
+      settings.hours = updates.hours.map((hours, day) => {
+        if (!hours) return null;
+        if (parseClock(hours.start) >= parseClock(hours.end)) {
+          throw new Error(
+            `${WEEKDAYS[day]}: opening time must be before closing time`
+          );
+        }
+        return { start: hours.start, end: hours.end };
+      });
+    }
+
+    if (updates.holidays) {
+      settings.holidays = updates.holidays
+        .map((holiday) => {
+          const date = String(holiday.date || "");
+          const parsed = new Date(`${date}T00:00:00`);
+          if (
+            !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+            Number.isNaN(parsed.getTime())
+          ) {
+            throw new Error(`Invalid holiday date "${date}" - use YYYY-MM-DD`);
+          }
+          return { date: date, name: String(holiday.name || "").trim() };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    if (updates.reply) {
+      settings.reply = this.autoReply.normalizeAction({
+        ...updates.reply,
+        type: "reply",
+      });
+    }
+
+    state.settings = settings;
+    this.saveState(accountId);
+    console.log(`Away settings updated for account ${accountId}`);
+
+    this.notify(accountId);
+    return this.getSettings(accountId);
+  }
+
+  /**
+   * Manual away until a given time - null comes back straight away
+   */
+  setAway(accountId, until) {
+    this.requireAccount(accountId);
+    const state = this.getState(accountId);
+
+    if (until !== null && until !== undefined) {
+      until = Number(until);
+      if (!Number.isFinite(until) || until <= Date.now()) {
+        throw new Error("Away time must be in the future");
+      }
+    }
+
+    state.awayUntil = until || null;
+    this.saveState(accountId);
+    this.scheduleAwayEnd(accountId, state);
+
+    console.log(
+      state.awayUntil
+        ? `Account ${accountId} away until ${new Date(
+            state.awayUntil
+          ).toISOString()}`
+        : `Account ${accountId} is back`
+    );
+
+    this.notify(accountId);
+    return this.getStatus(accountId);
+  }
+
+  /**
+   * Clear a manual away when it runs out, so the tab stops showing it
+   */
+  scheduleAwayEnd(accountId, state) {
+    clearTimeout(this.timers.get(accountId));
+    this.timers.delete(accountId);
+    if (!state.awayUntil) return;
+
+    const delay = state.awayUntil - Date.now();
+    if (delay <= 0) {
+      state.awayUntil = null;
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(accountId);
+      if (state.awayUntil && state.awayUntil <= Date.now()) {
+        state.awayUntil = null;
+        this.saveState(accountId);
+        console.log(`Account ${accountId} is back`);
+        this.notify(accountId);
+      } else {
+        this.scheduleAwayEnd(accountId, state);
+      }
+    }, Math.min(delay, MAX_TIMER));
+
+    this.timers.set(accountId, timer);
+  }
+
+  /**
+   * The opening hours for a date, or null if closed all day
+   */
+  getOpenHours(settings, date) {
+    const key = dateKey(date);
+    if (settings.holidays.some((holiday) => holiday.date === key)) {
+      return null;
+    }
+    return settings.hours[date.getDay()];
+  }
+
+  /**
+   * When the account next opens, or null if it never does
+   */
+  getNextOpening(settings, now) {
+    const today = new Date(now);
+    const minutes = today.getHours() * 60 + today.getMinutes();
+
+    for (let offset = 0; offset <= 366; offset++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() + offset);
+
+      const hours = this.getOpenHours(settings, date);
+      if (!hours) continue;
+
+      const start = parseClock(hours.start);
+      if (offset === 0 && minutes >= start) continue;
+
+      date.setHours(Math.floor(start / 60), start % 60, 0, 0);
+      return date.getTime();
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the account is away right now, why, and until when
+   * reason: manual | holiday | closed
+   */
+  getStatus(accountId, now = Date.now()) {
+    const state = this.getState(accountId);
+    const { settings } = state;
+    const status = {
+      enabled: settings.enabled,
+      away: false,
+      reason: null,
+      until: null,
+      awayUntil: state.awayUntil,
+    };
+
+    if (state.awayUntil && state.awayUntil > now) {
+      return {
+        ...status,
+        away: true,
+        reason: "manual",
+        until: state.awayUntil,
+      };
+    }
+    if (!settings.enabled) return status;
+
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const hours = this.getOpenHours(settings, date);
+    if (
+      hours &&
+      minutes >= parseClock(hours.start) &&
+      minutes < parseClock(hours.end)
+    ) {
+      return status;
+    }
+
+    const isHoliday = settings.holidays.some(
+      (holiday) => holiday.date === dateKey(date)
+    );
+    return {
+      ...status,
+      away: true,
+      reason: isHoliday ? "holiday" : "closed",
+      until: this.getNextOpening(settings, now),
+    };
+  }
+
+  /**
+   * "tomorrow at 09:00" - filled in as {back_at} in the away message
+   */
+  formatBackAt(until, now) {
+    if (!until) return "";
+
+    const date = new Date(until);
+    const time = `${String(date.getHours()).padStart(2, "0")}:${String(
+      date.getMinutes()
+    ).padStart(2, "0")}`;
+
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const days = Math.floor((until - today.getTime()) / DAY);
+
+    if (days === 0) return `today at ${time}`;
+    if (days === 1) return `tomorrow at ${time}`;
+    if (days < 7) return `${WEEKDAYS[date.getDay()]} at ${time}`;
+    return `${date.getDate()} ${MONTHS[date.getMonth()]} at ${time}`;
+  }
+
+  /**
+   * An incoming message from AccountManager - direct messages only
+   */
+  async handleIncoming({ accountId, messageData }) {
+    if (messageData.chatId.endsWith("@g.us")) return;
+    if (Date.now() - messageData.timestamp > MAX_MESSAGE_AGE) return;
+
+    const now = Date.now();
+    const status = this.getStatus(accountId, now);
+    if (!status.away) return;
+
+    // A rule that answered this message is answer enough - the contact
+    // still gets the away message the next time they write
+    if (await this.autoReply.hasReplied(accountId, messageData.id)) return;
+
+    // One reply per contact per away period
+    const state = this.getState(accountId);
+    const periodEnd = status.until || "never";
+    if (state.responded[messageData.chatId] === periodEnd) return;
+
+    // Marked before sending, so a quick second message isn't answered too
+    state.responded[messageData.chatId] = periodEnd;
+    this.saveState(accountId);
+
+    try {
+      await this.autoReply.sendReply(
+        accountId,
+        state.settings.reply,
+        messageData,
+        { back_at: this.formatBackAt(status.until, now) }
+      );
+
+      state.stats.replies++;
+      state.stats.lastReplyAt = now;
+      state.stats.lastError = null;
+      console.log(`Away reply sent in ${messageData.chatId}`);
+    } catch (error) {
+      const reason =
+        error instanceof ThrottleError
+          ? `Away reply held back: ${error.message}`
+          : error.message;
+      console.error(`Away reply for ${accountId}: ${reason}`);
+      state.stats.lastError = reason;
+
+      // Not answered after all - let their next message try again
+      if (state.responded[messageData.chatId] === periodEnd) {
+        delete state.responded[messageData.chatId];
+      }
+    }
+    this.saveState(accountId);
+  }
+
+  notify(accountId) {
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("account:away", {
+        accountId: accountId,
+        status: this.getStatus(accountId),
+      });
+    }
+  }
+}
+
+module.exports = AwayResponder;
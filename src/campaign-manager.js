@@ -0,0 +1,630 @@
+const fs = require("fs");
+const path = require("path");
+const { readContactFile } = require("./contact-import");
+const { ThrottleError } = require("./send-governor");
+const { writeFileAtomic } = require("./file-utils");
+
+const DEFAULT_THROTTLE = {
+  minDelay: 8, // seconds between messages
+  maxDelay: 20,
+  batchSize: 25, // 0 disables batch pauses
+  batchPause: 300, // seconds to rest after each batch
+};
+
+/**
+ * Bulk broadcasts to a contact list, sent one at a time with throttling
+ */
+class CampaignManager {
+  constructor(accountManager, autoMessaging) {
+    this.accountManager = accountManager;
+    this.autoMessaging = autoMessaging;
+    this.campaigns = new Map();
+    this.runners = new Map(); // campaignId -> { timer, wake }
+    this.campaignsPath = path.join("./data/campaigns", "campaigns.json");
+
+    this.loadCampaigns();
+
+    console.log("CampaignManager initialized");
+  }
+
+  /**
+   * Read a contact list and report what a campaign would send to
+   */
+  previewContacts(filePath, phoneColumn = null) {
+    const {
+      columns,
+      phoneColumn: guessed,
+      contacts,
+    } = readContactFile(filePath);
+    const recipients = this.buildRecipients(contacts, phoneColumn || guessed);
+
+    const counts = this.countRecipients(recipients);
+
+    return {
+      filePath: filePath,
+      fileName: path.basename(filePath),
+      columns: columns,
+      phoneColumn: phoneColumn || guessed,
+      total: recipients.length,
+      valid: counts.pending,
+      skipped: counts.skipped,
+      sample: recipients.slice(0, 5),
+    };
+  }
+
+  /**
+   * One recipient per contact row; bad or repeated numbers are skipped
+   */
+  buildRecipients(contacts, phoneColumn) {
+    const seen = new Set();
+
+    return contacts.map((variables) => {
+      let phone = String(variables[phoneColumn] || "").replace(/\D/g, "");
+      if (phone.startsWith("00")) phone = phone.slice(2);
+
+      const recipient = {
+        phone: phone,
+        variables: variables,
+        status: "pending",
+        accountId: null,
+        messageId: null,
+        error: null,
+        sentAt: null,
+      };
+
+      if (phone.length < 10 || phone.length > 15) {
+        recipient.status = "skipped";
+        recipient.error = "Invalid phone number";
+      } else if (seen.has(phone)) {
+        recipient.status = "skipped";
+        recipient.error = "Duplicate phone number";
+      }
+
+      seen.add(phone);
+      return recipient;
+    });
+  }
+
+  /**
+   * Create a draft campaign from a contact list
+   */
+  async createCampaign(campaignData) {
+    const {
+      name,
+      filePath,
+      phoneColumn = null,
+      templateId = null,
+      message = "",
+      accountIds = [],
+      rotation = "single", // 'single' or 'round-robin'
+      throttle = {},
+    } = campaignData;
+
+    if (!filePath) {
+      throw new Error("Choose a contact list for the campaign");
+    }
+
+    let content = message;
+    if (templateId) {
+      const template = this.autoMessaging.templates.get(templateId);
+      if (!template) {
+        throw new Error(`Template ${templateId} not found`);
+      }
+      content = template.content;
+    }
+    if (!content || !content.trim()) {
+      throw new Error("Campaign message is required");
+    }
+    this.autoMessaging.templateEngine.assertValid(content);
+
+    const accounts = await this.accountManager.getAccounts();
+    const known = new Set(accounts.map((acc) => acc.accountId));
+    if (accountIds.length === 0) {
+      throw new Error("Choose at least one sending account");
+    }
+    for (const accountId of accountIds) {
+      if (!known.has(accountId)) {
+        throw new Error(`Account ${accountId} not found`);
+      }
+    }
+
+    const settings = this.normalizeThrottle(throttle);
+
+    const {
+      columns,
+      phoneColumn: guessed,
+      contacts,
+    } = readContactFile(filePath);
+    const recipients = this.buildRecipients(contacts, phoneColumn || guessed);
+
+    const campaignId = `campaign_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+
+    const campaign = {
+      id: campaignId,
+      name: name || path.basename(filePath),
+      sourceFile: path.basename(filePath),
+      columns: columns,
+      phoneColumn: phoneColumn || guessed,
+      templateId: templateId,
+      message: content,
+      accountIds: accountIds,
+      rotation: rotation === "round-robin" ? "round-robin" : "single",
+      throttle: settings,
+      status: "draft",
+      created: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      lastError: null,
+      rotationIndex: 0,
+      recipients: recipients,
+    };
+
+    this.campaigns.set(campaignId, campaign);
+    this.saveCampaigns();
+
+    console.log(
+      `Campaign created: ${campaignId} with ${recipients.length} recipients`
+    );
+
+    return this.getCampaignSummary(campaign);
+  }
+
+  normalizeThrottle(throttle) {
+    const settings = { ...DEFAULT_THROTTLE };
+
+    for (const key of Object.keys(DEFAULT_THROTTLE)) {
+      if (throttle[key] === undefined || throttle[key] === "") continue;
+
+      const value = Number(throttle[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${key} must be zero or a positive number`);
+      }
+      settings[key] = value;
+    }
+
+    if (settings.minDelay < 1) {
+      throw new Error("Campaigns need at least 1 second between messages");
+    }
+    if (settings.maxDelay < settings.minDelay) {
+      settings.maxDelay = settings.minDelay;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Start or resume sending
+   */
+  startCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+
+    if (["cancelled", "completed"].includes(campaign.status)) {
+      throw new Error(`Campaign is already ${campaign.status}`);
+    }
+
+    campaign.status = "running";
+    campaign.lastError = null;
+    campaign.startedAt = campaign.startedAt || Date.now();
+    this.saveCampaigns();
+    this.notifyProgress(campaign);
+
+    this.runCampaign(campaign);
+
+    return this.getCampaignSummary(campaign);
+  }
+
+  pauseCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+
+    if (campaign.status !== "running") {
+      throw new Error("Only running campaigns can be paused");
+    }
+
+    campaign.status = "paused";
+    this.wakeRunner(campaignId);
+    this.saveCampaigns();
+    this.notifyProgress(campaign);
+
+    return this.getCampaignSummary(campaign);
+  }
+
+  resumeCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+
+    if (campaign.status !== "paused") {
+      throw new Error("Only paused campaigns can be resumed");
+    }
+
+    return this.startCampaign(campaignId);
+  }
+
+  /**
+   * Stop for good - unsent recipients are marked cancelled in the report
+   */
+  cancelCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+
+    if (["cancelled", "completed"].includes(campaign.status)) {
+      throw new Error(`Campaign is already ${campaign.status}`);
+    }
+
+    campaign.status = "cancelled";
+    campaign.completedAt = Date.now();
+    for (const recipient of campaign.recipients) {
+      if (recipient.status === "pending") {
+        recipient.status = "cancelled";
+      }
+    }
+
+    this.wakeRunner(campaignId);
+    this.saveCampaigns();
+    this.notifyProgress(campaign);
+
+    return this.getCampaignSummary(campaign);
+  }
+
+  deleteCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+
+    if (campaign.status === "running") {
+      throw new Error("Pause or cancel the campaign before deleting it");
+    }
+
+    this.campaigns.delete(campaignId);
+    this.saveCampaigns();
+
+    return { success: true, message: "Campaign deleted" };
+  }
+
+  /**
+   * Send to pending recipients one at a time until done, paused or cancelled
+   */
+  async runCampaign(campaign) {
+    if (this.runners.has(campaign.id)) return;
+
+    const runner = { timer: null, wake: null };
+    this.runners.set(campaign.id, runner);
+    let sentInBatch = 0;
+
+    try {
+      while (campaign.status === "running") {
+        const recipient = campaign.recipients.find(
+          (item) => item.status === "pending"
+        );
+
+        if (!recipient) {
+          campaign.status = "completed";
+          campaign.completedAt = Date.now();
+          console.log(`Campaign completed: ${campaign.id}`);
+          break;
+        }
+
+        const accountId = await this.pickAccount(campaign);
+        if (!accountId) {
+          campaign.status = "paused";
+          campaign.lastError = "No sending account is connected";
+          console.warn(`Campaign ${campaign.id} paused: no ready accounts`);
+          break;
+        }
+
+        const throttle = await this.sendToRecipient(
+          campaign,
+          recipient,
+          accountId
+        );
+
+        // Over the account's send limits - wait, then try this one again
+        if (throttle) {
+          campaign.throttledUntil = throttle.retryAt;
+          campaign.lastError = `Waiting for send limits: ${throttle.message}`;
+          this.notifyProgress(campaign);
+          this.saveCampaigns();
+          await this.wait(
+            runner,
+            Math.max(throttle.retryAt - Date.now(), 1000)
+          );
+          continue;
+        }
+
+        if (campaign.throttledUntil) {
+          campaign.throttledUntil = null;
+          campaign.lastError = null;
+        }
+        this.notifyProgress(campaign, recipient);
+
+        // Saved after every recipient, so the report is never behind
+        this.saveCampaigns();
+
+        // Randomised gap between messages, with a longer rest per batch
+        const { minDelay, maxDelay, batchSize, batchPause } = campaign.throttle;
+        let delay = minDelay + Math.random() * (maxDelay - minDelay);
+        if (batchSize > 0 && ++sentInBatch >= batchSize) {
+          delay += batchPause;
+          sentInBatch = 0;
+        }
+
+        await this.wait(runner, delay * 1000);
+      }
+    } catch (error) {
+      console.error(`Campaign ${campaign.id} stopped:`, error);
+      campaign.status = "paused";
+      campaign.lastError = error.message;
+    } finally {
+      this.runners.delete(campaign.id);
+      this.saveCampaigns();
+      this.notifyProgress(campaign);
+    }
+  }
+
+  /**
+   * Returns the ThrottleError if the send governor held it back - the
+   * recipient stays pending
+   */
+  async sendToRecipient(campaign, recipient, accountId) {
+    const text = this.autoMessaging.processTemplate(
+      campaign.message,
+      recipient.variables
+    );
+
+    // Marked on disk before the send: if the app dies mid-send this
+    // recipient comes back "interrupted" and isn't sent to again
+    recipient.accountId = accountId;
+    recipient.status = "sending";
+    this.saveCampaigns();
+
+    try {
+      const sent = await this.accountManager.sendMessage(
+        accountId,
+        recipient.phone,
+        text
+      );
+      recipient.status = "sent";
+      recipient.messageId = sent.id;
+      recipient.sentAt = Date.now();
+      recipient.error = null;
+
+      if (campaign.templateId) {
+        this.autoMessaging.recordTemplateUse(campaign.templateId);
+      }
+    } catch (error) {
+      if (error instanceof ThrottleError) {
+        recipient.status = "pending";
+        recipient.accountId = null;
+        return error;
+      }
+
+      recipient.status = "failed";
+      recipient.error = error.message;
+      console.error(
+        `Campaign ${campaign.id} failed to send to ${recipient.phone}:`,
+        error.message
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Choose the next connected account for a campaign
+   */
+  async pickAccount(campaign) {
+    const accounts = await this.accountManager.getAccounts();
+    const ready = new Set(
+      accounts
+        .filter((acc) => acc.isActive && acc.isAuthenticated)
+        .map((acc) => acc.accountId)
+    );
+
+    if (campaign.rotation === "single") {
+      return ready.has(campaign.accountIds[0]) ? campaign.accountIds[0] : null;
+    }
+
+    for (let i = 0; i < campaign.accountIds.length; i++) {
+      const index = (campaign.rotationIndex + i) % campaign.accountIds.length;
+      const accountId = campaign.accountIds[index];
+      if (ready.has(accountId)) {
+        campaign.rotationIndex = index + 1;
+        return accountId;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sleep between sends - pause and cancel cut it short
+   */
+  wait(runner, ms) {
+    return new Promise((resolve) => {
+      runner.wake = resolve;
+      runner.timer = setTimeout(resolve, ms);
+    }).finally(() => {
+      clearTimeout(runner.timer);
+      runner.timer = null;
+      runner.wake = null;
+    });
+  }
+
+  wakeRunner(campaignId) {
+    const runner = this.runners.get(campaignId);
+    if (runner?.wake) {
+      runner.wake();
+    }
+  }
+
+  countRecipients(recipients) {
+    const counts = {
+      pending: 0,
+      sending: 0,
+      sent: 0,
+      failed: 0,
+      interrupted: 0,
+      skipped: 0,
+      cancelled: 0,
+    };
+
+    for (const recipient of recipients) {
+      counts[recipient.status]++;
+    }
+
+    return counts;
+  }
+
+  getCampaignSummary(campaign) {
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      sourceFile: campaign.sourceFile,
+      status: campaign.status,
+      rotation: campaign.rotation,
+      accountIds: campaign.accountIds,
+      throttle: campaign.throttle,
+      created: campaign.created,
+      startedAt: campaign.startedAt,
+      completedAt: campaign.completedAt,
+      lastError: campaign.lastError,
+      total: campaign.recipients.length,
+      counts: this.countRecipients(campaign.recipients),
+    };
+  }
+
+  async getCampaigns() {
+    return Array.from(this.campaigns.values())
+      .map((campaign) => this.getCampaignSummary(campaign))
+      .sort((a, b) => b.created - a.created);
+  }
+
+  /**
+   * Per-recipient results
+   */
+  getReport(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+
+    return {
+      ...this.getCampaignSummary(campaign),
+      columns: campaign.columns,
+      recipients: campaign.recipients,
+    };
+  }
+
+  /**
+   * The report as CSV, one row per recipient with the original columns
+   */
+  exportReport(campaignId) {
+    const campaign = this.requireCampaign(campaignId);
+    const escape = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = [
+      "phone",
+      "status",
+      "account",
+      "sent_at",
+      "message_id",
+      "error",
+      ...campaign.columns.filter((column) => column !== campaign.phoneColumn),
+    ];
+
+    const lines = campaign.recipients.map((recipient) =>
+      [
+        recipient.phone,
+        recipient.status,
+        recipient.accountId,
+        recipient.sentAt ? new Date(recipient.sentAt).toISOString() : "",
+        recipient.messageId,
+        recipient.error,
+        ...header.slice(6).map((column) => recipient.variables[column]),
+      ]
+        .map(escape)
+        .join(",")
+    );
+
+    return [header.join(","), ...lines].join("\r\n") + "\r\n";
+  }
+
+  requireCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign ${campaignId} not found`);
+    }
+    return campaign;
+  }
+
+  notifyProgress(campaign, recipient = null) {
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("campaign:progress", {
+        campaign: this.getCampaignSummary(campaign),
+        recipient: recipient,
+      });
+    }
+  }
+
+  loadCampaigns() {
+    try {
+      if (fs.existsSync(this.campaignsPath)) {
+        const campaigns = JSON.parse(
+          fs.readFileSync(this.campaignsPath, "utf8")
+        );
+
+        for (const campaign of campaigns) {
+          // Never resume sending on startup without the user asking
+          if (campaign.status === "running") {
+            campaign.status = "paused";
+            campaign.lastError = "Paused when the app closed";
+          }
+
+          // The app closed mid-send - it may or may not have gone out
+          for (const recipient of campaign.recipients) {
+            if (recipient.status === "sending") {
+              recipient.status = "interrupted";
+              recipient.error =
+                "The app closed while sending - check the chat before sending again";
+            }
+          }
+          this.campaigns.set(campaign.id, campaign);
+        }
+
+        console.log(`Loaded ${campaigns.length} campaigns`);
+      }
+    } catch (error) {
+      console.error("Failed to load campaigns:", error);
+    }
+  }
+
+  saveCampaigns() {
+    try {
+      const dir = path.dirname(this.campaignsPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      }
+
+      writeFileAtomic(
+        this.campaignsPath,
+        JSON.stringify(Array.from(this.campaigns.values()), null, 2),
+        0o600
+      );
+    } catch (error) {
+      console.error("Failed to save campaigns:", error);
+    }
+  }
+
+  /**
+   * Pause running campaigns so nothing is left half-sent on exit
+   */
+  cleanup() {
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.status === "running") {
+        campaign.status = "paused";
+        this.wakeRunner(campaign.id);
+      }
+    }
+    this.saveCampaigns();
+    console.log("CampaignManager cleaned up");
+  }
+}
+
+module.exports = CampaignManager;
@@ -0,0 +1,337 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./file-utils");
+
+// Custom field names become template variables, so they can't shadow
+// the ones that are filled in at send time
+const RESERVED_FIELDS = [
+  "name",
+  "first_name",
+  "last_name",
+  "phone",
+  "pushname",
+  "labels",
+  "notes",
+  "message",
+  "back_at",
+  "date",
+  "time",
+  "now",
+  "today",
+];
+
+const FIELD_NAME = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_NOTES = 5000;
+const MAX_LABEL = 40;
+
+/**
+ * Per-account contact book. Contacts are synced from WhatsApp and kept
+ * on disk, so they survive restarts and chat list refreshes. On top of
+ * what WhatsApp knows, each contact has labels, notes and custom fields
+ * (company, birthday, timezone, ...) that templates can use by name.
+ */
+class ContactBook {
+  constructor() {
+    this.accountsPath = "./data/accounts";
+    this.books = new Map(); // accountId -> { contacts: { contactId -> contact } }
+
+    console.log("ContactBook initialized");
+  }
+
+  /**
+   * Drop what's held in memory for a removed account
+   */
+  forgetAccount(accountId) {
+    this.books.delete(accountId);
+  }
+
+  getBookPath(accountId) {
+    return path.join(this.accountsPath, accountId, "contacts.json");
+  }
+
+  getBook(accountId) {
+    if (this.books.has(accountId)) {
+      return this.books.get(accountId);
+    }
+
+    const book = { contacts: {} };
+
+    try {
+      const bookPath = this.getBookPath(accountId);
+      if (fs.existsSync(bookPath)) {
+        const saved = JSON.parse(fs.readFileSync(bookPath, "utf8"));
+        book.contacts = saved.contacts || {};
+      }
+    } catch (error) {
+      console.error(`Failed to load contacts for ${accountId}:`, error);
+    }
+
+    this.books.set(accountId, book);
+    return book;
+  }
+
+  saveBook(accountId) {
+    const book = this.getBook(accountId);
+    const accountPath = path.join(this.accountsPath, accountId);
+
+    try {
+      if (!fs.existsSync(accountPath)) {
+        fs.mkdirSync(accountPath, { recursive: true });
+      }
+      writeFileAtomic(this.getBookPath(accountId), JSON.stringify(book), 0o600);
+    } catch (error) {
+      console.error(`Failed to save contacts for ${accountId}:`, error);
+    }
+  }
+
+  createContact(contactId) {
+    return {
+      id: contactId,
+      phone: contactId.split("@")[0],
+      name: null, // as saved on the phone
+      pushname: null, // as the contact calls themselves
+      isBusiness: false,
+      isMyContact: false,
+      labels: [],
+      notes: "",
+      fields: {},
+      syncedAt: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Merge contacts from WhatsApp into the book
+   * Labels, notes and fields are ours and are never overwritten; contacts
+   * that WhatsApp no longer lists are kept
+   */
+  importContacts(accountId, contacts) {
+    const book = this.getBook(accountId);
+    const now = Date.now();
+    let added = 0;
+
+    for (const synced of contacts) {
+      let contact = book.contacts[synced.id];
+      if (!contact) {
+        contact = this.createContact(synced.id);
+        book.contacts[synced.id] = contact;
+        added++;
+      }
+
+      Object.assign(contact, {
+        phone: synced.phone || contact.phone,
+        name: synced.name || null,
+        pushname: synced.pushname || contact.pushname,
+        isBusiness: Boolean(synced.isBusiness),
+        isMyContact: Boolean(synced.isMyContact),
+        syncedAt: now,
+      });
+    }
+
+    this.saveBook(accountId);
+    console.log(
+      `Synced ${contacts.length} contacts for ${accountId} (${added} new)`
+    );
+
+    return { total: Object.keys(book.contacts).length, added: added };
+  }
+
+  /**
+   * Contacts sorted by name, optionally filtered
+   * options = { query, label, limit }
+   */
+  listContacts(accountId, options = {}) {
+    const { query = "", label = null, limit = 500 } = options;
+    const term = query.trim().toLowerCase();
+
+    return Object.values(this.getBook(accountId).contacts)
+      .filter((contact) => !label || contact.labels.includes(label))
+      .filter((contact) => !term || this.getSearchText(contact).includes(term))
+      .sort((a, b) =>
+        this.getDisplayName(a).localeCompare(this.getDisplayName(b))
+      )
+      .slice(0, limit)
+      .map((contact) => this.copyContact(contact));
+  }
+
+  getSearchText(contact) {
+    return [
+      contact.name,
+      contact.pushname,
+      contact.phone,
+      contact.notes,
+      ...contact.labels,
+      ...Object.values(contact.fields),
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+  }
+
+  getDisplayName(contact) {
+    return contact.name || contact.pushname || contact.phone;
+  }
+
+  copyContact(contact) {
+    return {
+      ...contact,
+      displayName: this.getDisplayName(contact),
+      labels: [...contact.labels],
+      fields: { ...contact.fields },
+    };
+  }
+
+  /**
+   * One contact - chats we haven't synced yet get an empty entry
+   */
+  getContact(accountId, contactId) {
+    if (contactId.endsWith("@g.us")) {
+      throw new Error("Groups don't have contact details");
+    }
+
+    const contact =
+      this.getBook(accountId).contacts[contactId] ||
+      this.createContact(contactId);
+    return this.copyContact(contact);
+  }
+
+  /**
+   * Save labels, notes and custom fields - a field set to "" is removed
+   */
+  updateContact(accountId, contactId, updates) {
+    const book = this.getBook(accountId);
+    this.getContact(accountId, contactId); // rejects groups
+
+    const contact = book.contacts[contactId] || this.createContact(contactId);
+
+    if (updates.labels !== undefined) {
+      contact.labels = this.normalizeLabels(updates.labels);
+    }
+
+    if (updates.notes !== undefined) {
+      const notes = String(updates.notes || "");
+      if (notes.length > MAX_NOTES) {
+        throw new Error(`Notes can't be longer than ${MAX_NOTES} characters`);
+      }
+      contact.notes = notes;
+    }
+
+    if (updates.fields) {
+      const fields = { ...contact.fields };
+      for (const [key, value] of Object.entries(updates.fields)) {
+        const text = String(value ?? "").trim();
+        if (!text) {
+          delete fields[key];
+          continue;
+        }
+        fields[key] = this.normalizeField(key, text);
+      }
+      contact.fields = fields;
+    }
+
+    contact.updatedAt = Date.now();
+    book.contacts[contactId] = contact;
+    this.saveBook(accountId);
+
+    return this.copyContact(contact);
+  }
+
+  normalizeLabels(labels) {
+    if (!Array.isArray(labels)) {
+      throw new Error("Labels must be a list");
+    }
+
+    const unique = new Map();
+    for (const label of labels) {
+      const text = String(label || "").trim();
+      if (!text) continue;
+      if (text.length > MAX_LABEL) {
+        throw new Error(
+          `Label "${text}" is longer than ${MAX_LABEL} characters`
+        );
+      }
+      if (!unique.has(text.toLowerCase())) {
+        unique.set(text.toLowerCase(), text);
+      }
+    }
+    return Array.from(unique.values());
+  }
+
+  normalizeField(key, value) {
+    if (!FIELD_NAME.test(key)) {
+      throw new Error(
+        `Field name "${key}" must start with a letter and use only a-z, 0-9 and _`
+      );
+    }
+    if (RESERVED_FIELDS.includes(key)) {
+      throw new Error(
+        `"${key}" is filled in automatically - pick another name`
+      );
+    }
+
+    if (key === "birthday") {
+      // Year is optional: 1990-04-23 or 04-23 (2000 is a leap year, so
+      // 02-29 is allowed without one)
+      const match = /^(?:(\d{4})-)?(\d{2})-(\d{2})$/.exec(value);
+      const [year, month, day] = match
+        ? [Number(match[1] || 2000), Number(match[2]), Number(match[3])]
+        : [];
+      const date = match && new Date(Date.UTC(year, month - 1, day));
+
+      // Date rolls 02-31 over into March - the parts must survive as given
+      if (
+        !date ||
+        date.getUTCMonth() + 1 !== month ||
+        date.getUTCDate() !== day
+      ) {
+        throw new Error("Birthday must be YYYY-MM-DD or MM-DD");
+      }
+    }
+
+    if (key === "timezone") {
+      try {
+        new Intl.DateTimeFormat("en", { timeZone: value });
+      } catch (error) {
+        throw new Error(`Unknown timezone "${value}" - use e.g. Europe/Berlin`);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Every label in use, with how many contacts have it
+   */
+  getLabels(accountId) {
+    const counts = new Map();
+    for (const contact of Object.values(this.getBook(accountId).contacts)) {
+      for (const label of contact.labels) {
+        counts.set(label, (counts.get(label) || 0) + 1);
+      }
+    }
+
+    return Array.from(counts, ([name, count]) => ({ name, count })).sort(
+      (a, b) => a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * What a template can use for this contact: {company}, {birthday},
+   * {timezone}, any custom field and {labels}
+   */
+  getTemplateFields(accountId, contactId) {
+    const contact = this.getBook(accountId).contacts[contactId];
+    if (!contact) return {};
+
+    const fields = { ...contact.fields };
+    if (contact.name || contact.pushname) {
+      fields.name = contact.name || contact.pushname;
+    }
+    if (contact.pushname) fields.pushname = contact.pushname;
+    if (contact.labels.length > 0) fields.labels = contact.labels.join(", ");
+
+    return fields;
+  }
+}
+
+module.exports = ContactBook;
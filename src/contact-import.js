@@ -0,0 +1,285 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Header names that probably hold the recipient's number
+const PHONE_HEADER = /phone|mobile|cell|number|whatsapp|msisdn|tel/i;
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180 quoting)
+ * The delimiter is guessed from the first line: comma, semicolon or tab
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Read the entries of a zip archive (enough of the format for .xlsx files)
+ */
+function readZip(buffer) {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error("Not a valid .xlsx file");
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+
+      const local = entry.localOffset;
+      const dataStart =
+        local +
+        30 +
+        buffer.readUInt16LE(local + 26) +
+        buffer.readUInt16LE(local + 28);
+      const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+      if (entry.method === 0) return data.toString("utf8");
+      if (entry.method === 8) return zlib.inflateRawSync(data).toString("utf8");
+      throw new Error(`Unsupported compression in ${name}`);
+    },
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Text of every <t> run inside a shared or inline string
+function readTextRuns(xml) {
+  let text = "";
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, "");
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Large numbers come back as "4.4770090012E+11" - write them out in full
+function formatNumber(value) {
+  if (!/e/i.test(value)) return value;
+  const number = Number(value);
+  return Number.isFinite(number)
+    ? number.toLocaleString("en-US", {
+        useGrouping: false,
+        maximumFractionDigits: 20,
+      })
+    : value;
+}
+
+/**
+ * Parse the first worksheet of an .xlsx workbook into rows of strings
+ */
+function parseXlsx(buffer) {
+  const zip = readZip(buffer);
+
+  const sharedStrings = [];
+  const sharedXml = zip.read("xl/sharedStrings.xml");
+  if (sharedXml) {
+    for (const match of sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(readTextRuns(match[1]));
+    }
+  }
+
+  // Find the first sheet through the workbook relationships
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const workbook = zip.read("xl/workbook.xml");
+  const rels = zip.read("xl/_rels/workbook.xml.rels");
+  const firstSheet = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (firstSheet && rels) {
+    const target =
+      rels.match(
+        new RegExp(
+          `<Relationship\\b[^>]*Id="${firstSheet[1]}"[^>]*Target="([^"]+)"`
+        )
+      ) ||
+      rels.match(
+        new RegExp(
+          `<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${firstSheet[1]}"`
+        )
+      );
+    if (target) {
+      sheetPath = target[1].startsWith("/")
+        ? target[1].slice(1)
+        : path.posix.join("xl", target[1]);
+    }
+  }
+
+  const sheet = zip.read(sheetPath);
+  if (!sheet) {
+    throw new Error("Workbook has no worksheets");
+  }
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    const cells = rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g);
+
+    for (const cell of cells) {
+      const attributes = cell[1];
+      const content = cell[2] || "";
+      const reference = attributes.match(/\br="([A-Z]+\d+)"/);
+      const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+      const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = "";
+      if (type === "s") {
+        value = sharedStrings[Number(rawValue)] ?? "";
+      } else if (type === "inlineStr") {
+        value = readTextRuns(content);
+      } else if (rawValue !== undefined) {
+        value = type === "str" ? decodeXml(rawValue) : formatNumber(rawValue);
+      }
+
+      const index = reference ? columnIndex(reference[1]) : row.length;
+      while (row.length < index) row.push("");
+      row[index] = value;
+    }
+
+    rows.push(row);
+  }
+
+  return rows.filter((cells) =>
+    cells.some((cell) => String(cell).trim() !== "")
+  );
+}
+
+/**
+ * Turn a header into a template variable name: "First Name" -> first_name
+ */
+function toVariableName(header) {
+  return header
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Read a .csv or .xlsx contact list
+ * Returns the variable names from the header row, the guessed phone
+ * column, and one object per row keyed by variable name
+ */
+function readContactFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let rows;
+
+  if (extension === ".xlsx") {
+    rows = parseXlsx(fs.readFileSync(filePath));
+  } else if ([".csv", ".txt", ".tsv"].includes(extension)) {
+    rows = parseCsv(fs.readFileSync(filePath, "utf8"));
+  } else {
+    throw new Error("Contact lists must be .csv or .xlsx files");
+  }
+
+  if (rows.length < 2) {
+    throw new Error("Contact list needs a header row and at least one contact");
+  }
+
+  const columns = rows[0].map(
+    (header, index) => toVariableName(String(header)) || `column_${index + 1}`
+  );
+  const phoneColumn =
+    columns.find((column) => PHONE_HEADER.test(column)) || columns[0];
+
+  const contacts = rows.slice(1).map((cells) => {
+    const contact = {};
+    columns.forEach((column, index) => {
+      contact[column] = String(cells[index] ?? "").trim();
+    });
+    return contact;
+  });
+
+  return { columns, phoneColumn, contacts };
+}
+
+module.exports = { parseCsv, parseXlsx, readContactFile, toVariableName };
@@ -4,8 +4,10 @@ const path = require('path');
 class ErrorHandler {
   constructor() {
     this.retryAttempts = new Map(); // accountId -> retry count
-    this.maxRetries = 3;
+    this.retryTimers = new Map(); // accountId -> pending reconnect timer
+    this.maxRetries = 5;
     this.retryDelay = 10000; // 10 seconds
+    this.accountHandlers = null; // { reconnect, giveUp } from AccountManager
     this.recentErrors = [];
     this.maxRecentErrors = 50;
     
@@ -23,6 +25,14 @@ class ErrorHandler {
     }
   }
 
+  /**
+   * Let the AccountManager do the actual reconnecting
+   * handlers = { reconnect: async (accountId), giveUp: async (accountId, error) }
+   */
+  setAccountHandlers(handlers) {
+    this.accountHandlers = handlers;
+  }
+
   /**
    * Handle account-specific errors with smart retry logic
    * This prevents one account's issues from affecting others
@@ -91,7 +101,6 @@ class ErrorHandler {
       'Authentication failure',
       'Account banned',
       'Invalid session',
-      'Protocol error',
       'Unauthorized',
       'Account not found'
     ];
@@ -135,7 +144,12 @@ class ErrorHandler {
     );
     
     // Clear retry attempts
-    this.retryAttempts.delete(accountId);
+    this.clearRetries(accountId);
+    
+    if (this.accountHandlers) {
+      this.accountHandlers.giveUp(accountId, error);
+      return;
+    }
     
     // Send account disable notification
     if (global.mainWindow) {
@@ -156,6 +170,10 @@ class ErrorHandler {
     // Shorter retry delay for network issues
     const networkRetryDelay = 5000; // 5 seconds
     
+    if (this.retryTimers.has(accountId)) {
+      return; // a reconnect is already on its way
+    }
+    
     const retries = this.retryAttempts.get(accountId) || 0;
     if (retries < this.maxRetries) {
       this.retryAttempts.set(accountId, retries + 1);
@@ -165,15 +183,14 @@ class ErrorHandler {
         'warning'
       );
       
-      setTimeout(async () => {
-        await this.retryAccountConnection(accountId);
-      }, networkRetryDelay);
+      this.scheduleRetry(accountId, networkRetryDelay);
     } else {
       this.notifyUser(
         `Account ${accountId} failed after ${this.maxRetries} network retry attempts`,
         'error'
       );
       this.retryAttempts.delete(accountId);
+      this.accountHandlers?.giveUp(accountId, error);
     }
   }
 
@@ -181,12 +198,16 @@ class ErrorHandler {
    * Handle general retryable errors
    */
   async handleRetryableError(accountId, error, context) {
+    if (this.retryTimers.has(accountId)) {
+      return; // a reconnect is already on its way
+    }
+    
     const retries = this.retryAttempts.get(accountId) || 0;
     
     if (retries < this.maxRetries) {
       this.retryAttempts.set(accountId, retries + 1);
       
-      // Exponential backoff: 10s, 20s, 40s
+      // Exponential backoff: 10s, 20s, 40s, 80s, 160s
       const delay = this.retryDelay * Math.pow(2, retries);
       
       this.notifyUser(
@@ -194,18 +215,29 @@ class ErrorHandler {
         'warning'
       );
       
-      setTimeout(async () => {
-        await this.retryAccountConnection(accountId);
-      }, delay);
+      this.scheduleRetry(accountId, delay);
     } else {
       this.notifyUser(
         `Account ${accountId} failed after ${this.maxRetries} retry attempts. Manual intervention required.`,
         'error'
       );
       this.retryAttempts.delete(accountId);
+      this.accountHandlers?.giveUp(accountId, error);
     }
   }
 
+  /**
+   * Queue one reconnect attempt - at most one per account at a time
+   */
+  scheduleRetry(accountId, delay) {
+    const timer = setTimeout(async () => {
+      this.retryTimers.delete(accountId);
+      await this.retryAccountConnection(accountId);
+    }, delay);
+    
+    this.retryTimers.set(accountId, timer);
+  }
+
   /**
    * Attempt to reconnect account
    */
@@ -213,14 +245,18 @@ class ErrorHandler {
     try {
       console.log(`Retrying connection for account ${accountId}`);
       
-      // This would be implemented by the AccountManager
-      // For now, just send retry notification
       if (global.mainWindow) {
         global.mainWindow.webContents.send('account:retry', {
-          accountId: accountId
+          accountId: accountId,
+          attempt: this.retryAttempts.get(accountId) || 0,
+          maxRetries: this.maxRetries
         });
       }
       
+      if (this.accountHandlers) {
+        await this.accountHandlers.reconnect(accountId);
+      }
+      
     } catch (error) {
       console.error(`Retry failed for account ${accountId}:`, error);
       await this.handleAccountError(accountId, error, 'retry_attempt');
@@ -235,6 +271,9 @@ class ErrorHandler {
       console.log(`Clearing retry count for recovered account ${accountId}`);
       this.retryAttempts.delete(accountId);
     }
+    
+    clearTimeout(this.retryTimers.get(accountId));
+    this.retryTimers.delete(accountId);
   }
 
   /**
@@ -350,6 +389,10 @@ class ErrorHandler {
     console.log('Cleaning up ErrorHandler...');
     
     // Clear all retry timers
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
     this.retryAttempts.clear();
     
     // Optionally clear old errors on shutdown
@@ -0,0 +1,23 @@
+const fs = require("fs");
+
+/**
+ * Write a file so readers only ever see the old or the new contents:
+ * the data goes to a temp file that is synced and then renamed over
+ * the original. A crash mid-write leaves the old file untouched.
+ */
+function writeFileAtomic(filePath, data, mode = 0o666) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, "w", mode);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,345 @@
+const INVITE_URL = "https://chat.whatsapp.com/";
+
+const MAX_SUBJECT = 100;
+const MAX_DESCRIPTION = 2048;
+
+// What WhatsApp's per-participant status codes mean when adding
+const ADD_RESULTS = {
+  200: "added",
+  403: "invite sent - their privacy settings block being added",
+  408: "left recently and can't be added back yet",
+  409: "already in the group",
+};
+
+const PARTICIPANT_ACTIONS = {
+  add: "addParticipants",
+  remove: "removeParticipants",
+  promote: "promoteParticipants",
+  demote: "demoteParticipants",
+};
+
+/**
+ * Group administration through an account's own WhatsApp client:
+ * creating groups, managing participants and admins, editing the
+ * subject, description and settings, and invite links. Changes to an
+ * existing group need the account to be one of its admins.
+ */
+class GroupManager {
+  constructor(accountManager, contactBook) {
+    this.accountManager = accountManager;
+    this.contactBook = contactBook;
+
+    console.log("GroupManager initialized");
+  }
+
+  getClient(accountId) {
+    const account = this.accountManager.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+    if (!account.client || !account.isActive) {
+      throw new Error(`Account ${accountId} is not ready`);
+    }
+    return account.client;
+  }
+
+  async getGroupChat(accountId, groupId) {
+    if (!String(groupId).endsWith("@g.us")) {
+      throw new Error(`${groupId} is not a group`);
+    }
+
+    const chat = await this.getClient(accountId).getChatById(groupId);
+    if (!chat?.isGroup) {
+      throw new Error(`Group ${groupId} not found`);
+    }
+    return chat;
+  }
+
+  getMyId(accountId) {
+    return this.getClient(accountId).info?.wid?._serialized || null;
+  }
+
+  /**
+   * The group chat, refusing up front if this account can't change it
+   */
+  async getAdminChat(accountId, groupId) {
+    const chat = await this.getGroupChat(accountId, groupId);
+    const me = this.findParticipant(chat, this.getMyId(accountId));
+    if (!me || !(me.isAdmin || me.isSuperAdmin)) {
+      throw new Error("Only group admins can do that");
+    }
+    return chat;
+  }
+
+  findParticipant(chat, participantId) {
+    return chat.participants.find(
+      (participant) => participant.id._serialized === participantId
+    );
+  }
+
+  getParticipantName(accountId, participantId) {
+    try {
+      return this.contactBook.getContact(accountId, participantId).displayName;
+    } catch (error) {
+      return participantId.split("@")[0];
+    }
+  }
+
+  /**
+   * Subject, description, settings and participants - admins first
+   */
+  async getGroupInfo(accountId, groupId) {
+    const chat = await this.getGroupChat(accountId, groupId);
+    const metadata = chat.groupMetadata || {};
+    const myId = this.getMyId(accountId);
+
+    const participants = chat.participants
+      .map((participant) => ({
+        id: participant.id._serialized,
+        phone: participant.id.user,
+        name: this.getParticipantName(accountId, participant.id._serialized),
+        isAdmin: Boolean(participant.isAdmin || participant.isSuperAdmin),
+        isSuperAdmin: Boolean(participant.isSuperAdmin),
+        isMe: participant.id._serialized === myId,
+      }))
+      .sort(
+        (a, b) =>
+          Number(b.isSuperAdmin) - Number(a.isSuperAdmin) ||
+          Number(b.isAdmin) - Number(a.isAdmin) ||
+          a.name.localeCompare(b.name)
+      );
+
+    const me = participants.find((participant) => participant.isMe);
+
+    return {
+      id: chat.id._serialized,
+      subject: chat.name,
+      description: chat.description || "",
+      owner: chat.owner?._serialized || null,
+      createdAt: chat.createdAt ? chat.createdAt.getTime() : null,
+      settings: {
+        messagesAdminsOnly: Boolean(metadata.announce),
+        infoAdminsOnly: Boolean(metadata.restrict),
+        addMembersAdminsOnly: metadata.memberAddMode === "admin_add",
+      },
+      participants: participants,
+      isAdmin: Boolean(me?.isAdmin),
+      accountId: accountId,
+    };
+  }
+
+  /**
+   * Turn phone numbers or contact IDs into unique contact IDs
+   */
+  resolveParticipants(participants) {
+    if (!Array.isArray(participants) || participants.length === 0) {
+      throw new Error("Add at least one participant");
+    }
+
+    const ids = participants.map((participant) => {
+      const id = this.accountManager.resolveChatId(String(participant).trim());
+      if (id.endsWith("@g.us")) {
+        throw new Error("A group can't be a participant");
+      }
+      return id;
+    });
+    return Array.from(new Set(ids));
+  }
+
+  /**
+   * Create a group with this account as its admin
+   * Returns the new group and how adding each participant went
+   */
+  async createGroup(accountId, subject, participants) {
+    const title = this.normalizeSubject(subject);
+    const ids = this.resolveParticipants(participants);
+
+    const result = await this.getClient(accountId).createGroup(title, ids);
+    if (typeof result === "string") {
+      throw new Error(result); // WhatsApp's own explanation
+    }
+
+    const groupId = result.gid._serialized;
+    console.log(`Account ${accountId} created group ${groupId}`);
+
+    // A brand new group can take a moment to show up in the chat list
+    const group = await this.getGroupInfo(accountId, groupId).catch(() => ({
+      id: groupId,
+      subject: title,
+    }));
+
+    return {
+      group: group,
+      results: Object.entries(result.participants || {}).map(([id, outcome]) =>
+        this.describeAddResult(id, {
+          ...outcome,
+          code: outcome.statusCode,
+        })
+      ),
+    };
+  }
+
+  describeAddResult(participantId, outcome = {}) {
+    const code = Number(outcome.code);
+    let message = ADD_RESULTS[code] || outcome.message || "failed";
+    if (code === 403 && outcome.isInviteV4Sent === false) {
+      message = "their privacy settings block being added";
+    }
+
+    return { id: participantId, ok: code === 200, message: message };
+  }
+
+  /**
+   * Add, remove, promote or demote participants
+   * Returns the updated group and, for adds, a result per participant
+   */
+  async updateParticipants(accountId, groupId, action, participants) {
+    const method = PARTICIPANT_ACTIONS[action];
+    if (!method) {
+      throw new Error(`Unknown participant action: ${action}`);
+    }
+
+    const chat = await this.getAdminChat(accountId, groupId);
+    const ids = this.resolveParticipants(participants);
+
+    if (action !== "add") {
+      const missing = ids.filter((id) => !this.findParticipant(chat, id));
+      if (missing.length > 0) {
+        throw new Error(`Not in the group: ${missing.join(", ")}`);
+      }
+      if (action === "remove" && ids.includes(this.getMyId(accountId))) {
+        throw new Error(
+          "An account can't remove itself - leave from the phone"
+        );
+      }
+    }
+
+    const result = await chat[method](ids);
+    if (typeof result === "string") {
+      throw new Error(result);
+    }
+
+    let results = [];
+    if (action === "add") {
+      results = ids.map((id) => this.describeAddResult(id, result?.[id]));
+    } else if (result?.status && result.status !== 200) {
+      throw new Error(
+        `WhatsApp refused to ${action} (status ${result.status})`
+      );
+    }
+
+    console.log(
+      `Account ${accountId}: ${action} ${ids.length} participant(s) in ${groupId}`
+    );
+
+    return {
+      group: await this.getGroupInfo(accountId, groupId),
+      results: results,
+    };
+  }
+
+  normalizeSubject(subject) {
+    const text = String(subject || "").trim();
+    if (!text) {
+      throw new Error("Group name is required");
+    }
+    if (text.length > MAX_SUBJECT) {
+      throw new Error(
+        `Group name can't be longer than ${MAX_SUBJECT} characters`
+      );
+    }
+    return text;
+  }
+
+  /**
+   * Change the subject, description and settings
+   * updates = { subject, description, messagesAdminsOnly,
+   *             infoAdminsOnly, addMembersAdminsOnly }
+   */
+  async updateGroup(accountId, groupId, updates) {
+    const chat = await this.getAdminChat(accountId, groupId);
+    const metadata = chat.groupMetadata || {};
+    const changes = [];
+
+    if (updates.subject !== undefined) {
+      const subject = this.normalizeSubject(updates.subject);
+      if (subject !== chat.name) {
+        changes.push(["the group name", () => chat.setSubject(subject)]);
+      }
+    }
+
+    if (updates.description !== undefined) {
+      const description = String(updates.description || "").trim();
+      if (description.length > MAX_DESCRIPTION) {
+        throw new Error(
+          `Description can't be longer than ${MAX_DESCRIPTION} characters`
+        );
+      }
+      if (description !== (chat.description || "")) {
+        changes.push([
+          "the description",
+          () => chat.setDescription(description),
+        ]);
+      }
+    }
+
+    const settings = [
+      [
+        "messagesAdminsOnly",
+        Boolean(metadata.announce),
+        "setMessagesAdminsOnly",
+        "who can send messages",
+      ],
+      [
+        "infoAdminsOnly",
+        Boolean(metadata.restrict),
+        "setInfoAdminsOnly",
+        "who can edit group info",
+      ],
+      [
+        "addMembersAdminsOnly",
+        metadata.memberAddMode === "admin_add",
+        "setAddMembersAdminsOnly",
+        "who can add participants",
+      ],
+    ];
+    for (const [key, current, method, label] of settings) {
+      if (updates[key] !== undefined && Boolean(updates[key]) !== current) {
+        changes.push([label, () => chat[method](Boolean(updates[key]))]);
+      }
+    }
+
+    // One at a time, so a refusal says which change it was
+    for (const [name, apply] of changes) {
+      if ((await apply()) === false) {
+        throw new Error(`WhatsApp refused to change ${name}`);
+      }
+    }
+
+    if (changes.length > 0) {
+      console.log(`Account ${accountId} updated group ${groupId}`);
+    }
+
+    return this.getGroupInfo(accountId, groupId);
+  }
+
+  async getInviteLink(accountId, groupId) {
+    const chat = await this.getAdminChat(accountId, groupId);
+    const code = await chat.getInviteCode();
+    return { code: code, url: INVITE_URL + code };
+  }
+
+  /**
+   * Revoke the current invite link - anyone holding it can no longer join
+   */
+  async revokeInviteLink(accountId, groupId) {
+    const chat = await this.getAdminChat(accountId, groupId);
+    await chat.revokeInvite();
+    console.log(`Account ${accountId} revoked the invite link of ${groupId}`);
+
+    const code = await chat.getInviteCode();
+    return { code: code, url: INVITE_URL + code };
+  }
+}
+
+module.exports = GroupManager;
@@ -0,0 +1,311 @@
+const { execFile } = require("child_process");
+
+const MB = 1024 * 1024;
+
+const DEFAULT_INTERVAL = 30 * 1000; // between heartbeats
+const DEFAULT_TIMEOUT = 15 * 1000; // a page that takes longer is hung
+const DEFAULT_MAX_FAILURES = 3; // failed heartbeats in a row before a restart
+const DEFAULT_MAX_MEMORY_MB = 1500; // a WhatsApp Web browser normally sits well below this
+
+// Clients that never get ready
+const QR_TIMEOUT = 30 * 1000;
+const CRITICAL_TIMEOUT = 60 * 1000;
+const RESTORE_TIMEOUT = 3 * 60 * 1000; // headless restores are restarted
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Memory in use by a process and everything it started, in MB - for
+ * Chromium that's the browser plus its renderer, GPU and utility
+ * processes, which is where a page that bloats actually shows up
+ */
+function getProcessTreeMB(rootPid) {
+  // Lines of "pid parentPid size"; ps gives KB, Windows gives bytes
+  const [command, args, unit] =
+    process.platform === "win32"
+      ? [
+          "powershell.exe",
+          [
+            "-NoProfile",
+            "-Command",
+            'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId) $($_.ParentProcessId) $($_.WorkingSetSize)" }',
+          ],
+          1,
+        ]
+      : ["ps", ["-A", "-o", "pid=,ppid=,rss="], 1024];
+
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { windowsHide: true }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      const sizes = new Map(); // pid -> size
+      const children = new Map(); // pid -> [child pids]
+      for (const line of stdout.split("\n")) {
+        const [pid, parentPid, size] = line.trim().split(/\s+/).map(Number);
+        if (!pid) continue;
+        sizes.set(pid, size || 0);
+        if (!children.has(parentPid)) children.set(parentPid, []);
+        children.get(parentPid).push(pid);
+      }
+
+      let total = 0;
+      const seen = new Set();
+      const pending = [rootPid];
+      while (pending.length > 0) {
+        const pid = pending.pop();
+        if (seen.has(pid)) continue;
+        seen.add(pid);
+        total += sizes.get(pid) || 0;
+        pending.push(...(children.get(pid) || []));
+      }
+
+      resolve(Math.round((total * unit) / MB));
+    });
+  });
+}
+
+/**
+ * Watchdog for every account's WhatsApp client
+ *
+ * Ready clients get a periodic heartbeat: WhatsApp's own state, a round
+ * trip into the browser page and the memory use of its whole browser
+ * (every Chromium process it started). Clients that
+ * fail several heartbeats in a row, hang, or grow too large are handed
+ * back to AccountManager to be restarted from their saved session.
+ * Clients that never get ready are reported, and restarted if headless.
+ */
+class HealthMonitor {
+  constructor(accountManager, options = {}) {
+    this.accountManager = accountManager;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxFailures = options.maxFailures || DEFAULT_MAX_FAILURES;
+    this.maxMemoryMB = options.maxMemoryMB || DEFAULT_MAX_MEMORY_MB;
+
+    this.watches = new Map(); // accountId -> { client, startedAt, failures, warned }
+    this.timer = null;
+    this.checking = false;
+
+    accountManager.on("account:removed", ({ accountId }) => {
+      this.watches.delete(accountId);
+    });
+
+    console.log("HealthMonitor initialized");
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One pass over every account - accounts are checked one at a time
+   * so the heartbeats don't all hit Chromium at once
+   */
+  async checkAll() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      for (const [accountId, account] of this.accountManager.accounts) {
+        if (!account.client) {
+          this.watches.delete(accountId);
+          continue;
+        }
+
+        await this.checkAccount(account);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Watch state for the account's current client
+   * A new client (reconnect, new QR) starts with a clean slate
+   */
+  getWatch(account) {
+    let watch = this.watches.get(account.accountId);
+    if (!watch || watch.client !== account.client) {
+      watch = {
+        client: account.client,
+        startedAt: account.clientStartedAt || Date.now(),
+        failures: 0,
+        warned: new Set(),
+      };
+      this.watches.set(account.accountId, watch);
+    }
+    return watch;
+  }
+
+  async checkAccount(account) {
+    const watch = this.getWatch(account);
+
+    if (account.health.state === "healthy") {
+      await this.heartbeat(account, watch);
+    } else {
+      this.checkStartup(account, watch);
+    }
+  }
+
+  /**
+   * Memory used by a client's browser processes, or null if it can't be
+   * read - that's not the client's fault, so it doesn't fail a heartbeat
+   */
+  async measureBrowser(client) {
+    const pid = client.pupBrowser?.process()?.pid;
+    if (!pid) return null;
+
+    try {
+      return await withTimeout(
+        getProcessTreeMB(pid),
+        this.timeout,
+        "Process list took too long"
+      );
+    } catch (error) {
+      console.warn(`Could not measure browser memory: ${error.message}`);
+      return null;
+    }
+  }
+
+  async heartbeat(account, watch) {
+    const { client, accountId } = account;
+    const started = Date.now();
+
+    try {
+      const state = await withTimeout(
+        client.getState(),
+        this.timeout,
+        "WhatsApp did not answer in time"
+      );
+      if (state !== "CONNECTED") {
+        throw new Error(`WhatsApp state is ${state || "unknown"}`);
+      }
+
+      const page = client.pupPage;
+      if (!page || page.isClosed()) {
+        throw new Error("Browser page is closed");
+      }
+
+      await withTimeout(
+        page.evaluate(() => document.readyState),
+        this.timeout,
+        "Browser page is not responding"
+      );
+
+      const heartbeatLatency = Date.now() - started;
+      const memoryMB = await this.measureBrowser(client);
+
+      if (account.client !== client) return; // replaced while we waited
+
+      watch.failures = 0;
+      this.recordHeartbeat(account, {
+        lastHeartbeat: Date.now(),
+        heartbeatLatency: heartbeatLatency,
+        memoryMB: memoryMB,
+        failedHeartbeats: 0,
+      });
+
+      if (memoryMB > this.maxMemoryMB) {
+        this.restart(
+          account,
+          `Browser memory use too high (${memoryMB} MB of ${this.maxMemoryMB} MB)`
+        );
+      }
+    } catch (error) {
+      if (account.client !== client) return;
+
+      watch.failures++;
+      console.warn(
+        `Heartbeat ${watch.failures}/${this.maxFailures} failed for account ${accountId}: ${error.message}`
+      );
+      this.recordHeartbeat(account, {
+        failedHeartbeats: watch.failures,
+        lastError: error.message,
+      });
+
+      if (watch.failures >= this.maxFailures) {
+        this.restart(account, `Client unresponsive: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * A client that hasn't got ready yet. Once a QR code is on screen
+   * we're waiting on the user, not on the browser
+   */
+  checkStartup(account, watch) {
+    if (account.qrShownAt >= watch.startedAt) return;
+
+    const elapsed = Date.now() - watch.startedAt;
+
+    if (account.isRestoring) {
+      if (elapsed > RESTORE_TIMEOUT) {
+        this.restart(account, "Saved session did not load in time");
+      }
+      return;
+    }
+
+    if (elapsed > QR_TIMEOUT && !watch.warned.has("qr")) {
+      watch.warned.add("qr");
+      console.warn(
+        `⚠️ TIMEOUT: No QR code received for account ${account.accountId} after 30 seconds`
+      );
+      this.notify("account:qr-timeout", {
+        accountId: account.accountId,
+        message:
+          "Browser opened but QR code didn't appear. Check browser window for errors.",
+      });
+    }
+
+    if (elapsed > CRITICAL_TIMEOUT && !watch.warned.has("critical")) {
+      watch.warned.add("critical");
+      console.error(
+        `❌ CRITICAL: No response from WhatsApp Web after 60 seconds for account ${account.accountId}`
+      );
+      this.notify("account:critical-timeout", {
+        accountId: account.accountId,
+        message:
+          "WhatsApp Web failed to load. Try restarting the app or check your internet connection.",
+      });
+    }
+  }
+
+  recordHeartbeat(account, fields) {
+    Object.assign(account.health, fields);
+    this.notify("account:heartbeat", {
+      accountId: account.accountId,
+      health: account.health,
+    });
+  }
+
+  restart(account, reason) {
+    console.warn(`Watchdog restarting account ${account.accountId}: ${reason}`);
+    this.watches.delete(account.accountId);
+    this.accountManager.restartClient(account.accountId, reason);
+  }
+
+  notify(channel, data) {
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send(channel, data);
+    }
+  }
+}
+
+module.exports = HealthMonitor;
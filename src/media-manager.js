@@ -0,0 +1,421 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { writeFileAtomic } = require("./file-utils");
+
+const DEFAULT_SETTINGS = {
+  autoDownload: true,
+  retentionDays: 90, // 0 keeps media forever
+  quotaMB: 1024, // 0 means no limit
+};
+
+// File extensions for stored media, by mimetype
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/3gpp": ".3gp",
+  "audio/mpeg": ".mp3",
+  "audio/ogg": ".ogg",
+  "audio/mp4": ".m4a",
+  "application/pdf": ".pdf",
+};
+
+// Extensions a sender's file name may give a stored file - anything else
+// is stored as .bin, so a download can't be opened as something runnable
+const SAFE_EXTENSIONS = new Set([
+  ...Object.values(EXTENSIONS),
+  ".txt",
+  ".csv",
+  ".rtf",
+  ".doc",
+  ".docx",
+  ".xls",
+  ".xlsx",
+  ".ppt",
+  ".pptx",
+  ".odt",
+  ".ods",
+  ".odp",
+  ".zip",
+]);
+
+const STORED_FILE = /^([0-9a-f]{64})(\.[a-z0-9]+)?$/;
+
+/**
+ * Downloaded media, per account, deduplicated by content hash.
+ *
+ * Files are stored as they came in - the message archive's encryption
+ * covers message text only, not attachments. They are only protected by
+ * the owner-only permissions of the data folder.
+ */
+class MediaManager {
+  constructor() {
+    this.accountsPath = "./data/accounts";
+    this.stores = new Map(); // accountId -> { index, settings }
+    this.pruneInterval = 60 * 60 * 1000; // retention sweep at most hourly
+    this.lastPrune = new Map(); // accountId -> timestamp
+
+    console.log("MediaManager initialized");
+  }
+
+  /**
+   * Drop what's held in memory for a removed account
+   */
+  forgetAccount(accountId) {
+    this.stores.delete(accountId);
+    this.lastPrune.delete(accountId);
+  }
+
+  getMediaPath(accountId) {
+    return path.join(this.accountsPath, accountId, "media");
+  }
+
+  /**
+   * Load (or create) an account's media index and settings
+   */
+  getStore(accountId) {
+    if (this.stores.has(accountId)) {
+      return this.stores.get(accountId);
+    }
+
+    const mediaPath = this.getMediaPath(accountId);
+    const store = {
+      index: { files: {}, messages: {} },
+      settings: { ...DEFAULT_SETTINGS },
+    };
+
+    const indexPath = path.join(mediaPath, "index.json");
+    try {
+      if (fs.existsSync(indexPath)) {
+        store.index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+      }
+    } catch (error) {
+      console.error(`Failed to load media index for ${accountId}:`, error);
+      store.index = this.rebuildIndex(mediaPath, indexPath);
+    }
+
+    try {
+      const settingsPath = path.join(mediaPath, "settings.json");
+      if (fs.existsSync(settingsPath)) {
+        store.settings = {
+          ...DEFAULT_SETTINGS,
+          ...JSON.parse(fs.readFileSync(settingsPath, "utf8")),
+        };
+      }
+    } catch (error) {
+      console.error(`Failed to load media settings for ${accountId}:`, error);
+    }
+
+    this.stores.set(accountId, store);
+    return store;
+  }
+
+  /**
+   * An unreadable index is kept aside and the file list is rebuilt from
+   * what's on disk, so stored files still count towards the quota and
+   * are reused by new downloads. Which message each belonged to is lost -
+   * files nothing refers to again go with the next retention sweep.
+   */
+  rebuildIndex(mediaPath, indexPath) {
+    const index = { files: {}, messages: {} };
+
+    try {
+      fs.renameSync(indexPath, `${indexPath}.unreadable-${Date.now()}`);
+    } catch (error) {
+      // Nothing there to move
+    }
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(mediaPath);
+    } catch (error) {
+      return index;
+    }
+
+    for (const fileName of entries) {
+      const match = STORED_FILE.exec(fileName);
+      if (!match) continue;
+
+      const stats = fs.statSync(path.join(mediaPath, fileName));
+      const mimetype = Object.keys(EXTENSIONS).find(
+        (type) => EXTENSIONS[type] === match[2]
+      );
+      index.files[match[1]] = {
+        hash: match[1],
+        fileName: fileName,
+        mimetype: mimetype || "application/octet-stream",
+        size: stats.size,
+        created: stats.mtimeMs,
+      };
+    }
+
+    console.warn(
+      `Media index rebuilt from ${Object.keys(index.files).length} stored files`
+    );
+    return index;
+  }
+
+  ensureMediaPath(accountId) {
+    const mediaPath = this.getMediaPath(accountId);
+    if (!fs.existsSync(mediaPath)) {
+      fs.mkdirSync(mediaPath, { recursive: true, mode: 0o700 });
+    }
+    return mediaPath;
+  }
+
+  saveIndex(accountId) {
+    const store = this.getStore(accountId);
+    const mediaPath = this.ensureMediaPath(accountId);
+
+    try {
+      writeFileAtomic(
+        path.join(mediaPath, "index.json"),
+        JSON.stringify(store.index, null, 2),
+        0o600
+      );
+    } catch (error) {
+      console.error(`Failed to save media index for ${accountId}:`, error);
+    }
+  }
+
+  getSettings(accountId) {
+    return { ...this.getStore(accountId).settings };
+  }
+
+  /**
+   * Update retention/quota settings and apply them straight away
+   */
+  updateSettings(accountId, updates) {
+    const store = this.getStore(accountId);
+    const settings = { ...store.settings };
+
+    if (updates.autoDownload !== undefined) {
+      settings.autoDownload = Boolean(updates.autoDownload);
+    }
+
+    for (const key of ["retentionDays", "quotaMB"]) {
+      if (updates[key] !== undefined) {
+        const value = Number(updates[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`${key} must be zero or a positive number`);
+        }
+        settings[key] = Math.floor(value);
+      }
+    }
+
+    store.settings = settings;
+
+    const mediaPath = this.ensureMediaPath(accountId);
+    writeFileAtomic(
+      path.join(mediaPath, "settings.json"),
+      JSON.stringify(settings, null, 2),
+      0o600
+    );
+
+    this.enforceQuota(accountId);
+    this.pruneAccount(accountId, true);
+    this.saveIndex(accountId);
+    console.log(`Media settings updated for account ${accountId}`);
+
+    return this.getSettings(accountId);
+  }
+
+  shouldAutoDownload(accountId) {
+    return this.getStore(accountId).settings.autoDownload;
+  }
+
+  hasMedia(accountId, messageId) {
+    return Boolean(this.getStore(accountId).index.messages[messageId]);
+  }
+
+  /**
+   * Store a message's media, deduplicated by content hash
+   * `media` is a whatsapp-web.js MessageMedia (base64 `data`)
+   */
+  saveMedia(accountId, messageData, media) {
+    const store = this.getStore(accountId);
+    const mediaPath = this.ensureMediaPath(accountId);
+
+    const buffer = Buffer.from(media.data, "base64");
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    const now = Date.now();
+
+    let file = store.index.files[hash];
+    if (!file) {
+      const named = path.extname(media.filename || "").toLowerCase();
+      const extension =
+        EXTENSIONS[media.mimetype] ||
+        (SAFE_EXTENSIONS.has(named) ? named : ".bin");
+      const fileName = hash + extension;
+
+      fs.writeFileSync(path.join(mediaPath, fileName), buffer, {
+        mode: 0o600,
+      });
+
+      file = {
+        hash: hash,
+        fileName: fileName,
+        mimetype: media.mimetype,
+        size: buffer.length,
+        created: now,
+      };
+      store.index.files[hash] = file;
+    }
+    file.lastUsed = now;
+
+    store.index.messages[messageData.id] = {
+      messageId: messageData.id,
+      chatId: messageData.chatId,
+      hash: hash,
+      filename: media.filename || messageData.filename || null,
+      mimetype: media.mimetype,
+      fromMe: messageData.fromMe,
+      timestamp: messageData.timestamp,
+    };
+
+    this.enforceQuota(accountId);
+    this.pruneAccount(accountId);
+    this.saveIndex(accountId);
+
+    return this.getMedia(accountId, messageData.id);
+  }
+
+  /**
+   * Describe a stored attachment, with a URL the renderer can load
+   */
+  getMedia(accountId, messageId) {
+    const store = this.getStore(accountId);
+    const entry = store.index.messages[messageId];
+    if (!entry) return null;
+
+    const file = store.index.files[entry.hash];
+    if (!file) return null;
+
+    const filePath = path.resolve(this.getMediaPath(accountId), file.fileName);
+
+    return {
+      ...entry,
+      size: file.size,
+      url: pathToFileURL(filePath).href,
+    };
+  }
+
+  /**
+   * Every stored attachment in a chat, newest first
+   */
+  getChatMedia(accountId, chatId) {
+    const store = this.getStore(accountId);
+
+    return Object.values(store.index.messages)
+      .filter((entry) => entry.chatId === chatId)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map((entry) => this.getMedia(accountId, entry.messageId))
+      .filter(Boolean);
+  }
+
+  getUsage(accountId) {
+    const store = this.getStore(accountId);
+    const files = Object.values(store.index.files);
+
+    return {
+      files: files.length,
+      attachments: Object.keys(store.index.messages).length,
+      bytes: files.reduce((total, file) => total + file.size, 0),
+    };
+  }
+
+  /**
+   * Drop least recently used files until the account is under quota
+   */
+  enforceQuota(accountId) {
+    const store = this.getStore(accountId);
+    const quotaBytes = store.settings.quotaMB * 1024 * 1024;
+    if (!quotaBytes) return;
+
+    let { bytes } = this.getUsage(accountId);
+    if (bytes <= quotaBytes) return;
+
+    const files = Object.values(store.index.files).sort(
+      (a, b) => (a.lastUsed || a.created) - (b.lastUsed || b.created)
+    );
+
+    for (const file of files) {
+      if (bytes <= quotaBytes) break;
+      bytes -= file.size;
+      this.deleteFile(accountId, file.hash);
+    }
+
+    console.log(`Media for account ${accountId} trimmed to quota`);
+  }
+
+  /**
+   * Remove attachments older than the retention window
+   */
+  pruneAccount(accountId, force = false) {
+    const store = this.getStore(accountId);
+    const { retentionDays } = store.settings;
+    if (!retentionDays) return;
+
+    const lastPrune = this.lastPrune.get(accountId) || 0;
+    if (!force && Date.now() - lastPrune < this.pruneInterval) return;
+    this.lastPrune.set(accountId, Date.now());
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const [messageId, entry] of Object.entries(store.index.messages)) {
+      if (entry.timestamp < cutoff) {
+        delete store.index.messages[messageId];
+        removed++;
+      }
+    }
+
+    // Files no longer referenced by any message can go
+    const referenced = new Set(
+      Object.values(store.index.messages).map((entry) => entry.hash)
+    );
+    for (const hash of Object.keys(store.index.files)) {
+      if (!referenced.has(hash)) {
+        this.deleteFile(accountId, hash);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(
+        `Pruned ${removed} expired attachments for account ${accountId}`
+      );
+      this.saveIndex(accountId);
+    }
+  }
+
+  /**
+   * Delete a stored file and every message entry pointing at it
+   */
+  deleteFile(accountId, hash) {
+    const store = this.getStore(accountId);
+    const file = store.index.files[hash];
+    if (!file) return;
+
+    try {
+      fs.unlinkSync(path.join(this.getMediaPath(accountId), file.fileName));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to delete media file ${file.fileName}:`, error);
+      }
+    }
+
+    delete store.index.files[hash];
+    for (const [messageId, entry] of Object.entries(store.index.messages)) {
+      if (entry.hash === hash) {
+        delete store.index.messages[messageId];
+      }
+    }
+  }
+}
+
+module.exports = MediaManager;
@@ -0,0 +1,693 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Known plaintext used to check a passphrase without decrypting the archive
+const KEY_CHECK = "whatsapp-multi-archive";
+
+/**
+ * Encrypted, append-only message archive. While it's locked, records
+ * are sealed to the archive's public key and parked in a per-account
+ * pending log - readable only with the passphrase, and written into
+ * the archive on the next unlock.
+ */
+class MessageArchive {
+  constructor() {
+    this.accountsPath = "./data/accounts";
+    this.keyPath = path.join("./data", "archive-key.json");
+
+    this.key = null; // derived key - only held in memory while unlocked
+    this.sealKey = null; // public key for records that arrive while locked
+    this.indexes = new Map(); // accountId -> { messages: Map, chats: Map }
+    this.queued = new Map(); // accountId -> Set of records parked while locked
+
+    // Before a passphrase is set there's no key to seal with, so records
+    // wait in memory - up to a limit, and the user is told about the rest
+    this.pending = new Map(); // accountId -> [record]
+    this.maxPending = 5000;
+    this.droppedCount = 0;
+
+    this.loadSealKey();
+
+    console.log("MessageArchive initialized");
+  }
+
+  /**
+   * Drop what's held in memory for a removed account
+   */
+  forgetAccount(accountId) {
+    this.indexes.delete(accountId);
+    this.pending.delete(accountId);
+    this.queued.delete(accountId);
+  }
+
+  loadSealKey() {
+    try {
+      if (!fs.existsSync(this.keyPath)) return;
+
+      const keyInfo = JSON.parse(fs.readFileSync(this.keyPath, "utf8"));
+      if (keyInfo.publicKey) {
+        this.sealKey = crypto.createPublicKey(keyInfo.publicKey);
+      }
+    } catch (error) {
+      console.error("Failed to load archive public key:", error);
+    }
+  }
+
+  /**
+   * Archive status for the UI
+   */
+  getStatus() {
+    let pendingCount = 0;
+    for (const records of this.pending.values()) {
+      pendingCount += records.length;
+    }
+    for (const accountId of this.getPendingAccounts()) {
+      pendingCount += this.readPendingLines(accountId).length;
+    }
+
+    return {
+      initialized: fs.existsSync(this.keyPath),
+      unlocked: this.isUnlocked(),
+      pendingCount: pendingCount,
+      droppedCount: this.droppedCount,
+    };
+  }
+
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Unlock the archive with the user's passphrase
+   * The first unlock sets the passphrase for all accounts
+   */
+  async unlock(passphrase) {
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error("Archive passphrase must be at least 8 characters");
+    }
+
+    if (!fs.existsSync(this.keyPath)) {
+      await this.initializeKey(passphrase);
+    } else {
+      const keyInfo = JSON.parse(fs.readFileSync(this.keyPath, "utf8"));
+      const key = await this.deriveKey(passphrase, keyInfo);
+
+      let check = null;
+      try {
+        check = this.decrypt(keyInfo.check, key);
+      } catch (error) {
+        // GCM auth failure - wrong passphrase
+      }
+
+      if (check !== KEY_CHECK) {
+        throw new Error("Incorrect archive passphrase");
+      }
+
+      this.key = key;
+
+      // Archives from before sealed pending records get their key pair now
+      if (!keyInfo.privateKey) {
+        this.addSealKeys(keyInfo, key);
+        fs.writeFileSync(this.keyPath, JSON.stringify(keyInfo, null, 2), {
+          mode: 0o600,
+        });
+      }
+    }
+
+    this.loadAllAccounts();
+    this.flushPending();
+
+    console.log("Message archive unlocked");
+
+    // Reported once, with the unlock - then the count starts over
+    const status = this.getStatus();
+    this.droppedCount = 0;
+    return status;
+  }
+
+  /**
+   * Forget the key and drop decrypted data from memory
+   */
+  lock() {
+    this.key = null;
+    this.indexes.clear();
+    this.queued.clear();
+    console.log("Message archive locked");
+    return this.getStatus();
+  }
+
+  /**
+   * Create the key file for a new archive
+   */
+  async initializeKey(passphrase) {
+    const keyInfo = {
+      version: 1,
+      kdf: "scrypt",
+      salt: crypto.randomBytes(16).toString("base64"),
+      N: 32768,
+      r: 8,
+      p: 1,
+    };
+
+    const key = await this.deriveKey(passphrase, keyInfo);
+    keyInfo.check = this.encrypt(KEY_CHECK, key);
+    this.addSealKeys(keyInfo, key);
+
+    fs.writeFileSync(this.keyPath, JSON.stringify(keyInfo, null, 2), {
+      mode: 0o600,
+    });
+
+    this.key = key;
+    console.log("Message archive passphrase set");
+  }
+
+  /**
+   * A key pair for sealing records while locked: the public half is
+   * stored as is, the private half encrypted with the archive key
+   */
+  addSealKeys(keyInfo, key) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+
+    keyInfo.publicKey = publicKey.export({ type: "spki", format: "pem" });
+    keyInfo.privateKey = this.encrypt(
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      key
+    );
+    this.sealKey = publicKey;
+  }
+
+  /**
+   * Encrypt a record for the archive's key pair, without the passphrase:
+   * "ephemeralPublicKey.iv.tag.ciphertext"
+   */
+  seal(plaintext) {
+    const ephemeral = crypto.generateKeyPairSync("x25519");
+    const secret = crypto.diffieHellman({
+      privateKey: ephemeral.privateKey,
+      publicKey: this.sealKey,
+    });
+    const key = crypto.createHash("sha256").update(secret).digest();
+
+    const publicKey = ephemeral.publicKey
+      .export({ type: "spki", format: "der" })
+      .toString("base64");
+    return `${publicKey}.${this.encrypt(plaintext, key)}`;
+  }
+
+  unseal(payload, privateKey) {
+    const [publicKey, ...rest] = payload.split(".");
+    const secret = crypto.diffieHellman({
+      privateKey: privateKey,
+      publicKey: crypto.createPublicKey({
+        key: Buffer.from(publicKey, "base64"),
+        format: "der",
+        type: "spki",
+      }),
+    });
+    const key = crypto.createHash("sha256").update(secret).digest();
+
+    return this.decrypt(rest.join("."), key);
+  }
+
+  deriveKey(passphrase, keyInfo) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(
+        passphrase,
+        Buffer.from(keyInfo.salt, "base64"),
+        32,
+        { N: keyInfo.N, r: keyInfo.r, p: keyInfo.p, maxmem: 64 * 1024 * 1024 },
+        (error, key) => (error ? reject(error) : resolve(key))
+      );
+    });
+  }
+
+  /**
+   * Encrypt a string as "iv.tag.ciphertext" (base64 parts)
+   */
+  encrypt(plaintext, key = this.key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([
+      cipher.update(plaintext, "utf8"),
+      cipher.final(),
+    ]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, data].map((part) => part.toString("base64")).join(".");
+  }
+
+  decrypt(payload, key = this.key) {
+    const [iv, tag, data] = payload
+      .split(".")
+      .map((part) => Buffer.from(part, "base64"));
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+      "utf8"
+    );
+  }
+
+  getArchivePath(accountId) {
+    return path.join(this.accountsPath, accountId, "archive.log");
+  }
+
+  getPendingPath(accountId) {
+    return path.join(this.accountsPath, accountId, "pending.log");
+  }
+
+  /**
+   * Accounts with sealed records waiting for an unlock
+   */
+  getPendingAccounts() {
+    if (!fs.existsSync(this.accountsPath)) return [];
+
+    return fs
+      .readdirSync(this.accountsPath, { withFileTypes: true })
+      .filter(
+        (entry) =>
+          entry.isDirectory() && fs.existsSync(this.getPendingPath(entry.name))
+      )
+      .map((entry) => entry.name);
+  }
+
+  readPendingLines(accountId) {
+    try {
+      return fs
+        .readFileSync(this.getPendingPath(accountId), "utf8")
+        .split("\n")
+        .filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  getIndex(accountId) {
+    if (!this.indexes.has(accountId)) {
+      this.indexes.set(accountId, { messages: new Map(), chats: new Map() });
+    }
+    return this.indexes.get(accountId);
+  }
+
+  /**
+   * Decrypt every account's log into memory
+   */
+  loadAllAccounts() {
+    if (!fs.existsSync(this.accountsPath)) return;
+
+    for (const entry of fs.readdirSync(this.accountsPath, {
+      withFileTypes: true,
+    })) {
+      if (entry.isDirectory()) {
+        this.loadAccount(entry.name);
+      }
+    }
+  }
+
+  loadAccount(accountId) {
+    const archivePath = this.getArchivePath(accountId);
+    const index = this.getIndex(accountId);
+
+    if (!fs.existsSync(archivePath)) return;
+
+    const lines = fs.readFileSync(archivePath, "utf8").split("\n");
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line) continue;
+
+      try {
+        this.applyRecord(index, JSON.parse(this.decrypt(line)));
+      } catch (error) {
+        // A torn write at the end of the log, or a record from another key
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(
+        `Skipped ${skipped} unreadable archive records for account ${accountId}`
+      );
+    }
+
+    console.log(
+      `Loaded ${index.messages.size} archived messages for account ${accountId}`
+    );
+  }
+
+  /**
+   * Apply one log record to an in-memory index
+   */
+  applyRecord(index, record) {
+    switch (record.op) {
+      case "message":
+        index.messages.set(record.message.id, record.message);
+        break;
+
+      case "chat":
+        index.chats.set(record.chat.id, record.chat);
+        break;
+
+      case "update": {
+        const message = index.messages.get(record.id);
+        if (message) {
+          Object.assign(message, record.changes);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Append lines to one of an account's logs
+   */
+  appendLines(accountId, filePath, lines) {
+    const accountPath = path.join(this.accountsPath, accountId);
+    if (!fs.existsSync(accountPath)) {
+      fs.mkdirSync(accountPath, { recursive: true, mode: 0o700 });
+    }
+
+    fs.appendFileSync(filePath, lines.map((line) => line + "\n").join(""), {
+      mode: 0o600,
+    });
+  }
+
+  /**
+   * Whether a record would change the archive - repeats are skipped
+   */
+  isNewRecord(index, record) {
+    switch (record.op) {
+      case "message":
+        return !index.messages.has(record.message.id);
+
+      case "chat": {
+        const existing = index.chats.get(record.chat.id);
+        return !existing || existing.name !== record.chat.name;
+      }
+
+      case "update":
+        return index.messages.has(record.id);
+    }
+    return false;
+  }
+
+  /**
+   * Apply records to the index and append the ones that are new
+   */
+  commit(accountId, records) {
+    const index = this.getIndex(accountId);
+    const fresh = [];
+
+    for (const record of records) {
+      if (!this.isNewRecord(index, record)) continue;
+      this.applyRecord(index, record);
+      fresh.push(record);
+    }
+
+    if (fresh.length === 0) return;
+    this.appendLines(
+      accountId,
+      this.getArchivePath(accountId),
+      fresh.map((record) => this.encrypt(JSON.stringify(record)))
+    );
+  }
+
+  /**
+   * Park records until the next unlock - sealed on disk if the archive
+   * has a key pair, in memory otherwise
+   */
+  queue(accountId, records) {
+    if (!this.queued.has(accountId)) {
+      this.queued.set(accountId, new Set());
+    }
+    const queued = this.queued.get(accountId);
+
+    // The same history page or chat list is seen again and again
+    const fresh = records.filter((record) => {
+      const key = JSON.stringify(record);
+      if (queued.has(key)) return false;
+      queued.add(key);
+      return true;
+    });
+    if (fresh.length === 0) return;
+
+    if (this.sealKey) {
+      try {
+        this.appendLines(
+          accountId,
+          this.getPendingPath(accountId),
+          fresh.map((record) => this.seal(JSON.stringify(record)))
+        );
+        return;
+      } catch (error) {
+        console.error(`Failed to park records for ${accountId}:`, error);
+      }
+    }
+
+    if (!this.pending.has(accountId)) {
+      this.pending.set(accountId, []);
+    }
+    const pending = this.pending.get(accountId);
+    const room = Math.max(this.maxPending - pending.length, 0);
+    pending.push(...fresh.slice(0, room));
+
+    if (fresh.length > room) {
+      this.reportDropped(fresh.length - room);
+    }
+  }
+
+  reportDropped(count) {
+    const first = this.droppedCount === 0;
+    this.droppedCount += count;
+    console.warn(
+      `Message archive is locked and full - ${this.droppedCount} records not kept`
+    );
+
+    if (first && global.mainWindow) {
+      global.mainWindow.webContents.send("error:notification", {
+        message:
+          "New messages are no longer being archived - set the archive passphrase in Settings to keep them",
+        type: "warning",
+        timestamp: Date.now(),
+      });
+    }
+  }
+
+  /**
+   * Archive records now, or park them while the archive is locked
+   */
+  store(accountId, records, description) {
+    if (records.length === 0) return;
+
+    try {
+      if (this.isUnlocked()) {
+        this.commit(accountId, records);
+      } else {
+        this.queue(accountId, records);
+      }
+    } catch (error) {
+      console.error(
+        `Failed to archive ${description} for ${accountId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Archive one or more messages for an account
+   */
+  record(accountId, messages) {
+    const list = Array.isArray(messages) ? messages : [messages];
+    this.store(
+      accountId,
+      list.map((message) => ({ op: "message", message: message })),
+      "messages"
+    );
+  }
+
+  /**
+   * Remember chat names so the chat list works offline
+   */
+  recordChats(accountId, chats) {
+    this.store(
+      accountId,
+      chats.map((chat) => ({
+        op: "chat",
+        chat: { id: chat.id, name: chat.name, isGroup: chat.isGroup },
+      })),
+      "chats"
+    );
+  }
+
+  /**
+   * Record changes to an archived message (e.g. delivery status)
+   */
+  updateMessage(accountId, messageId, changes) {
+    this.store(
+      accountId,
+      [{ op: "update", id: messageId, changes: changes }],
+      `message ${messageId}`
+    );
+  }
+
+  /**
+   * Write what arrived while the archive was locked: sealed records from
+   * disk, then anything held in memory
+   */
+  flushPending() {
+    const keyInfo = JSON.parse(fs.readFileSync(this.keyPath, "utf8"));
+    const privateKey = crypto.createPrivateKey(
+      this.decrypt(keyInfo.privateKey)
+    );
+
+    for (const accountId of this.getPendingAccounts()) {
+      const records = [];
+      let skipped = 0;
+
+      for (const line of this.readPendingLines(accountId)) {
+        try {
+          records.push(JSON.parse(this.unseal(line, privateKey)));
+        } catch (error) {
+          skipped++; // a torn write at the end of the file
+        }
+      }
+
+      try {
+        this.commit(accountId, records);
+        fs.unlinkSync(this.getPendingPath(accountId));
+        console.log(
+          `Archived ${records.length} records for ${accountId} from while locked` +
+            (skipped > 0 ? ` (${skipped} unreadable)` : "")
+        );
+      } catch (error) {
+        console.error(
+          `Failed to archive pending records for ${accountId}:`,
+          error
+        );
+      }
+    }
+
+    for (const [accountId, records] of this.pending) {
+      this.store(accountId, records, "pending records");
+    }
+    this.pending.clear();
+    this.queued.clear();
+  }
+
+  requireUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error("Message archive is locked");
+    }
+  }
+
+  /**
+   * Chats with archived messages, most recent first
+   */
+  getChats(accountId) {
+    this.requireUnlocked();
+
+    const index = this.getIndex(accountId);
+    const chats = new Map();
+
+    for (const message of index.messages.values()) {
+      const chat = chats.get(message.chatId);
+      if (!chat || chat.lastMessage.timestamp < message.timestamp) {
+        const info = index.chats.get(message.chatId) || {};
+        chats.set(message.chatId, {
+          id: message.chatId,
+          name: info.name || message.chatId,
+          isGroup: info.isGroup ?? message.chatId.endsWith("@g.us"),
+          lastMessage: { body: message.body, timestamp: message.timestamp },
+          unreadCount: 0,
+          accountId: accountId,
+          archived: true,
+        });
+      }
+    }
+
+    return Array.from(chats.values()).sort(
+      (a, b) => b.lastMessage.timestamp - a.lastMessage.timestamp
+    );
+  }
+
+  /**
+   * Page through a chat's archived messages, oldest page last
+   * Uses the same cursor shape as AccountManager.getMessageHistory
+   */
+  getMessages(accountId, chatId, options = {}) {
+    this.requireUnlocked();
+
+    const { before = null, limit = 50 } = options;
+    const index = this.getIndex(accountId);
+
+    let messages = Array.from(index.messages.values())
+      .filter((message) => message.chatId === chatId)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (before) {
+      const cursorIndex = messages.findIndex(
+        (message) => message.id === before
+      );
+      messages = cursorIndex === -1 ? [] : messages.slice(0, cursorIndex);
+    }
+
+    return {
+      chatId: chatId,
+      messages: messages.slice(-limit),
+      hasMore: messages.length > limit,
+    };
+  }
+
+  /**
+   * Full-text search across archived messages
+   * Every word in the query must appear in the message body
+   */
+  search(query, options = {}) {
+    this.requireUnlocked();
+
+    const { accountId = null, chatId = null, limit = 100 } = options;
+    const terms = this.tokenize(query);
+    if (terms.length === 0) return [];
+
+    const accountIds = accountId
+      ? [accountId]
+      : Array.from(this.indexes.keys());
+    const results = [];
+
+    for (const id of accountIds) {
+      const index = this.indexes.get(id);
+      if (!index) continue;
+
+      for (const message of index.messages.values()) {
+        if (chatId && message.chatId !== chatId) continue;
+        if (!message.body) continue;
+
+        const body = this.normalizeText(message.body);
+        if (terms.every((term) => body.includes(term))) {
+          const chat = index.chats.get(message.chatId);
+          results.push({ ...message, chatName: chat?.name || message.chatId });
+        }
+      }
+    }
+
+    results.sort((a, b) => b.timestamp - a.timestamp);
+    return results.slice(0, limit);
+  }
+
+  normalizeText(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  tokenize(query) {
+    return this.normalizeText(query || "")
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+}
+
+module.exports = MessageArchive;
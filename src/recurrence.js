@@ -0,0 +1,607 @@
+/**
+ * Recurrence rules for scheduled messages
+ *
+ * Rules are evaluated in an explicit IANA time zone. Calendar rules
+ * (daily, weekly, monthly, cron) keep their wall-clock time across DST
+ * changes; "every N hours" counts real elapsed time.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Safety limits for rule evaluation
+const MAX_DAYS_SCANNED = 366 * 50;
+const MAX_OCCURRENCES_SCANNED = 500000;
+
+const RULE_TYPES = [
+  "once",
+  "hourly",
+  "daily",
+  "weekdays",
+  "weekly",
+  "monthly",
+  "cron",
+];
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+function getZonedParts(timestamp, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(
+    new Date(timestamp)
+  )) {
+    if (type !== "literal") {
+      parts[type] = Number(value);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in ms
+ */
+function getOffset(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC timestamp
+ *
+ * - Times skipped by a DST jump move forward by the size of the gap
+ *   (02:30 on a spring-forward night becomes 03:30)
+ * - Times repeated by a DST fall-back resolve to the first occurrence
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const guess = Date.UTC(
+    local.year,
+    local.month - 1,
+    local.day,
+    local.hour,
+    local.minute,
+    0
+  );
+
+  // Offsets either side of any transition near this time
+  const before = getOffset(guess - DAY, timeZone);
+  const after = getOffset(guess + DAY, timeZone);
+
+  const candidates = [guess - before, guess - after].filter(
+    (timestamp) => getOffset(timestamp, timeZone) === guess - timestamp
+  );
+
+  if (candidates.length > 0) {
+    return Math.min(...candidates);
+  }
+
+  // In a DST gap - keep the pre-transition offset, which lands after it
+  return guess - before;
+}
+
+/**
+ * Plain calendar date helpers (no time zone involved)
+ */
+function toDayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY);
+}
+
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * DAY);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(), // 0 = Sunday
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Parse "YYYY-MM-DDTHH:mm" (or "YYYY-MM-DD") as wall-clock parts
+ */
+function parseLocalDateTime(value, label) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/.exec(
+    value || ""
+  );
+  if (!match) {
+    throw new Error(`${label} must look like YYYY-MM-DDTHH:mm`);
+  }
+
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: match[4] !== undefined ? Number(match[4]) : null,
+    minute: match[5] !== undefined ? Number(match[5]) : null,
+  };
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Parse one cron field ("*", "1-5", "*\/15", "1,15") into a sorted list
+ */
+function parseCronField(field, min, max, label) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${label}: "${field}"`);
+    }
+
+    let start = min;
+    let end = max;
+    if (match[1] !== "*") {
+      start = Number(match[2]);
+      end = match[3] !== undefined ? Number(match[3]) : start;
+      // "5/10" means starting at 5, every 10
+      if (match[4] !== undefined && match[3] === undefined) {
+        end = max;
+      }
+    }
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${label}: "${field}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return Array.from(values).sort((a, b) => a - b);
+}
+
+function parseCron(expression) {
+  const fields = (expression || "").trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(
+      "Cron expressions need 5 fields: minute hour day-of-month month day-of-week"
+    );
+  }
+
+  const daysOfWeek = parseCronField(fields[4], 0, 7, "day of week").map(
+    (day) => day % 7 // 7 is also Sunday
+  );
+
+  return {
+    minutes: parseCronField(fields[0], 0, 59, "minute"),
+    hours: parseCronField(fields[1], 0, 23, "hour"),
+    daysOfMonth: parseCronField(fields[2], 1, 31, "day of month"),
+    months: parseCronField(fields[3], 1, 12, "month"),
+    daysOfWeek: Array.from(new Set(daysOfWeek)),
+    // Standard cron: when both day fields are restricted, either may match
+    domRestricted: fields[2] !== "*",
+    dowRestricted: fields[4] !== "*",
+  };
+}
+
+class RecurrenceRule {
+  /**
+   * rule: {
+   *   type: once | hourly | daily | weekdays | weekly | monthly | cron,
+   *   start: "YYYY-MM-DDTHH:mm" wall-clock time in `timeZone`,
+   *   timeZone: IANA name, e.g. "Europe/London",
+   *   interval: every N hours/days/weeks/months (default 1),
+   *   daysOfWeek: [0-6] for weekly rules (0 = Sunday),
+   *   dayOfMonth: 1-31, or -1 for the last day, for monthly rules,
+   *   cron: "m h dom mon dow" for cron rules,
+   *   until: "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm" - no runs after this,
+   *   count: maximum number of runs
+   * }
+   */
+  constructor(rule) {
+    this.rule = RecurrenceRule.normalize(rule);
+
+    const { start, timeZone, until } = this.rule;
+    this.startLocal = parseLocalDateTime(start, "Start");
+    if (this.startLocal.hour === null) {
+      this.startLocal.hour = 0;
+      this.startLocal.minute = 0;
+    }
+    this.startTime = zonedTimeToUtc(this.startLocal, timeZone);
+
+    this.untilTime = null;
+    if (until) {
+      const untilLocal = parseLocalDateTime(until, "End date");
+      // A bare date includes the whole day
+      if (untilLocal.hour === null) {
+        untilLocal.hour = 23;
+        untilLocal.minute = 59;
+      }
+      this.untilTime = zonedTimeToUtc(untilLocal, timeZone);
+    }
+
+    if (this.rule.type === "cron") {
+      this.cron = parseCron(this.rule.cron);
+    }
+  }
+
+  /**
+   * Validate a rule and fill in defaults
+   */
+  static normalize(rule) {
+    if (!rule || typeof rule !== "object") {
+      throw new Error("Recurrence rule is required");
+    }
+
+    const type = rule.type || "once";
+    if (!RULE_TYPES.includes(type)) {
+      throw new Error(`Unknown recurrence type: ${type}`);
+    }
+
+    const timeZone =
+      rule.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+
+    const interval = Number(rule.interval || 1);
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error("Interval must be a whole number of 1 or more");
+    }
+
+    const normalized = {
+      type: type,
+      start: rule.start,
+      timeZone: timeZone,
+      interval: interval,
+      until: rule.until || null,
+      count: rule.count ? Number(rule.count) : null,
+    };
+
+    if (
+      normalized.count !== null &&
+      (!Number.isInteger(normalized.count) || normalized.count < 1)
+    ) {
+      throw new Error("Occurrence count must be a whole number of 1 or more");
+    }
+
+    if (type === "weekly") {
+      const days = (rule.daysOfWeek || []).map(Number);
+      if (days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error("Days of week must be numbers from 0 (Sun) to 6 (Sat)");
+      }
+      normalized.daysOfWeek = Array.from(new Set(days)).sort();
+    }
+
+    if (type === "monthly" && rule.dayOfMonth !== undefined) {
+      const dayOfMonth = Number(rule.dayOfMonth);
+      if (
+        !Number.isInteger(dayOfMonth) ||
+        dayOfMonth === 0 ||
+        dayOfMonth < -1 ||
+        dayOfMonth > 31
+      ) {
+        throw new Error("Day of month must be 1-31, or -1 for the last day");
+      }
+      normalized.dayOfMonth = dayOfMonth;
+    }
+
+    if (type === "cron") {
+      normalized.cron = rule.cron;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Build a rule from the original once/daily/weekly schedule fields
+   */
+  static fromLegacy(scheduleType, datetime, timeZone = null) {
+    const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const parts = getZonedParts(new Date(datetime).getTime(), zone);
+    const start = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(
+      parts.hour
+    )}:${pad(parts.minute)}`;
+
+    return RecurrenceRule.normalize({
+      type: ["daily", "weekly"].includes(scheduleType) ? scheduleType : "once",
+      start: start,
+      timeZone: zone,
+    });
+  }
+
+  toJSON() {
+    return { ...this.rule };
+  }
+
+  /**
+   * Wall-clock candidates for one calendar day, or [] if the day doesn't match
+   */
+  getDayTimes(dayNumber) {
+    const { type, interval } = this.rule;
+    const date = fromDayNumber(dayNumber);
+    const startDay = toDayNumber(
+      this.startLocal.year,
+      this.startLocal.month,
+      this.startLocal.day
+    );
+    const at = [{ hour: this.startLocal.hour, minute: this.startLocal.minute }];
+
+    switch (type) {
+      case "daily":
+        return (dayNumber - startDay) % interval === 0 ? at : [];
+
+      case "weekdays":
+        return date.weekday >= 1 && date.weekday <= 5 ? at : [];
+
+      case "weekly": {
+        const days =
+          this.rule.daysOfWeek.length > 0
+            ? this.rule.daysOfWeek
+            : [fromDayNumber(startDay).weekday];
+
+        // Weeks are counted from the Sunday on or before the start date
+        const startWeek = startDay - fromDayNumber(startDay).weekday;
+        const week = Math.floor((dayNumber - startWeek) / 7);
+
+        return week % interval === 0 && days.includes(date.weekday) ? at : [];
+      }
+
+      case "monthly": {
+        const months =
+          (date.year - this.startLocal.year) * 12 +
+          (date.month - this.startLocal.month);
+        if (months % interval !== 0) return [];
+
+        const wanted = this.rule.dayOfMonth ?? this.startLocal.day;
+        // Months without the requested day are skipped, like RRULE
+        const target =
+          wanted === -1 ? daysInMonth(date.year, date.month) : wanted;
+        return date.day === target ? at : [];
+      }
+
+      case "cron": {
+        const cron = this.cron;
+        if (!cron.months.includes(date.month)) return [];
+
+        const domMatch = cron.daysOfMonth.includes(date.day);
+        const dowMatch = cron.daysOfWeek.includes(date.weekday);
+        const dayMatches =
+          cron.domRestricted && cron.dowRestricted
+            ? domMatch || dowMatch
+            : domMatch && dowMatch;
+        if (!dayMatches) return [];
+
+        const times = [];
+        for (const hour of cron.hours) {
+          for (const minute of cron.minutes) {
+            times.push({ hour, minute });
+          }
+        }
+        return times;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Every occurrence in order, starting from the rule's start
+   * `skipTo` jumps close to a time first - only valid without a count limit
+   */
+  *occurrences(skipTo = null) {
+    const { type, timeZone, interval } = this.rule;
+
+    if (type === "once") {
+      yield this.startTime;
+      return;
+    }
+
+    if (type === "hourly") {
+      const step = interval * HOUR;
+      const first =
+        skipTo !== null && skipTo > this.startTime
+          ? Math.floor((skipTo - this.startTime) / step)
+          : 0;
+      for (let i = first; i < first + MAX_OCCURRENCES_SCANNED; i++) {
+        yield this.startTime + i * step;
+      }
+      return;
+    }
+
+    const startDay = toDayNumber(
+      this.startLocal.year,
+      this.startLocal.month,
+      this.startLocal.day
+    );
+
+    // Start a day early so time zone offsets can't skip a match
+    let firstDay = startDay;
+    if (skipTo !== null && skipTo > this.startTime) {
+      firstDay = Math.max(startDay, Math.floor(skipTo / DAY) - 1);
+    }
+
+    for (let offset = 0; offset < MAX_DAYS_SCANNED; offset++) {
+      const dayNumber = firstDay + offset;
+      const date = fromDayNumber(dayNumber);
+      let previous = null;
+
+      for (const time of this.getDayTimes(dayNumber)) {
+        const timestamp = zonedTimeToUtc({ ...date, ...time }, timeZone);
+
+        // Cron rules can't run before the start time; two wall-clock times
+        // in the same DST gap collapse to one instant
+        if (timestamp < this.startTime || timestamp === previous) continue;
+        previous = timestamp;
+
+        yield timestamp;
+      }
+    }
+  }
+
+  /**
+   * First run strictly after `after`, or null when the rule has ended
+   */
+  next(after = Date.now()) {
+    const afterTime = after instanceof Date ? after.getTime() : after;
+    let seen = 0;
+
+    // Counting runs means walking from the start; otherwise jump ahead
+    const skipTo = this.rule.count ? null : afterTime;
+
+    for (const timestamp of this.occurrences(skipTo)) {
+      seen++;
+      if (this.rule.count && seen > this.rule.count) return null;
+      if (this.untilTime !== null && timestamp > this.untilTime) return null;
+      if (timestamp > afterTime) return new Date(timestamp);
+    }
+
+    return null;
+  }
+
+  /**
+   * The next `count` run times after `after`
+   */
+  preview(count = 5, after = Date.now()) {
+    const runs = [];
+    let cursor = after instanceof Date ? after.getTime() : after;
+
+    while (runs.length < count) {
+      const run = this.next(cursor);
+      if (!run) break;
+      runs.push(run);
+      cursor = run.getTime();
+    }
+
+    return runs;
+  }
+
+  /**
+   * Format an instant as wall-clock time in the rule's zone
+   */
+  formatLocal(date) {
+    return new Date(date).toLocaleString("en-GB", {
+      timeZone: this.rule.timeZone,
+      weekday: "short",
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZoneName: "short",
+    });
+  }
+
+  /**
+   * Short human-readable summary, e.g. "Weekdays at 09:00 (Europe/London)"
+   */
+  describe() {
+    const { type, interval, timeZone, until, count } = this.rule;
+    const time = `${pad(this.startLocal.hour)}:${pad(this.startLocal.minute)}`;
+    const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+    const every = (unit) =>
+      interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+    let summary;
+    switch (type) {
+      case "once":
+        summary = `Once on ${this.rule.start.replace("T", " at ")}`;
+        break;
+      case "hourly":
+        summary = every("hour");
+        break;
+      case "daily":
+        summary = `${every("day")} at ${time}`;
+        break;
+      case "weekdays":
+        summary = `Weekdays at ${time}`;
+        break;
+      case "weekly": {
+        const days = (
+          this.rule.daysOfWeek.length > 0
+            ? this.rule.daysOfWeek
+            : [
+                fromDayNumber(
+                  toDayNumber(
+                    this.startLocal.year,
+                    this.startLocal.month,
+                    this.startLocal.day
+                  )
+                ).weekday,
+              ]
+        )
+          .map((day) => dayNames[day])
+          .join(", ");
+        summary = `${every("week")} on ${days} at ${time}`;
+        break;
+      }
+      case "monthly": {
+        const day = this.rule.dayOfMonth ?? this.startLocal.day;
+        summary = `${every("month")} on ${
+          day === -1 ? "the last day" : `day ${day}`
+        } at ${time}`;
+        break;
+      }
+      case "cron":
+        summary = `Cron "${this.rule.cron}"`;
+        break;
+    }
+
+    const limits = [];
+    if (until) limits.push(`until ${until.replace("T", " ")}`);
+    if (count) limits.push(`${count} times max`);
+
+    return `${summary}${
+      limits.length ? ", " + limits.join(", ") : ""
+    } (${timeZone})`;
+  }
+}
+
+module.exports = RecurrenceRule;
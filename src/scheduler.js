@@ -0,0 +1,228 @@
+/**
+ * Persistent job queue for scheduled messages
+ *
+ * Jobs live in a JSON file and are dispatched by a periodic tick, so a
+ * run months away never depends on one long setTimeout and survives a
+ * restart. A job is marked "running" on disk before its handler starts:
+ * if the app dies mid-send the job comes back as "interrupted" and is
+ * not sent again. Each job has an idempotency key; once a key has been
+ * run (or interrupted) it can't be queued a second time.
+ */
+
+const fs = require("fs");
+const { writeFileAtomic } = require("./file-utils");
+
+const DEFAULT_TICK_INTERVAL = 1000;
+const DEFAULT_CONCURRENCY = 1; // jobs running at once per account
+
+// Finished keys remembered for idempotency
+const MAX_FINISHED_KEYS = 5000;
+
+const systemClock = { now: () => Date.now() };
+
+class Scheduler {
+  /**
+   * options = {
+   *   storePath: where the queue is persisted (omit to keep it in memory),
+   *   run: async (job) => {} - called when a job is due,
+   *   clock: { now() } - defaults to the system clock,
+   *   tickInterval: ms between checks for due jobs,
+   *   concurrency: jobs allowed to run at once for one account
+   * }
+   */
+  constructor(options) {
+    this.storePath = options.storePath || null;
+    this.run = options.run;
+    this.clock = options.clock || systemClock;
+    this.tickInterval = options.tickInterval || DEFAULT_TICK_INTERVAL;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+
+    this.jobs = new Map(); // key -> job (pending or running)
+    this.finished = new Map(); // key -> { state, finishedAt, error }
+    this.running = new Map(); // accountId -> jobs in flight
+    this.timer = null;
+  }
+
+  /**
+   * Read the persisted queue. Jobs that were running when the app
+   * stopped are recorded as interrupted instead of being retried
+   */
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+
+      for (const [key, outcome] of data.finished || []) {
+        this.finished.set(key, outcome);
+      }
+
+      let interrupted = 0;
+      for (const job of data.jobs || []) {
+        if (job.state === "running") {
+          this.finish(job, "interrupted");
+          interrupted++;
+        } else {
+          this.jobs.set(job.key, job);
+        }
+      }
+
+      if (interrupted > 0) {
+        console.warn(`${interrupted} scheduled job(s) were interrupted`);
+        this.save();
+      }
+    } catch (error) {
+      console.error("Failed to load job queue:", error);
+    }
+  }
+
+  save() {
+    if (!this.storePath) return;
+
+    try {
+      writeFileAtomic(
+        this.storePath,
+        JSON.stringify(
+          {
+            jobs: Array.from(this.jobs.values()),
+            finished: Array.from(this.finished.entries()),
+          },
+          null,
+          2
+        )
+      );
+    } catch (error) {
+      console.error("Failed to save job queue:", error);
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a job: { key, accountId, runAt, ...anything the handler needs }
+   * Returns the queued job, or null if the key has already been run
+   */
+  enqueue({ key, accountId, runAt, ...fields }) {
+    if (this.finished.has(key)) {
+      return null;
+    }
+
+    const existing = this.jobs.get(key);
+    if (existing) {
+      return existing;
+    }
+
+    const job = {
+      ...fields,
+      key,
+      accountId,
+      runAt: new Date(runAt).getTime(),
+      state: "pending",
+      queuedAt: this.clock.now(),
+    };
+
+    this.jobs.set(key, job);
+    this.save();
+    return job;
+  }
+
+  /**
+   * Drop a schedule's pending jobs (the ones `filter` accepts) - a job
+   * already running is left alone
+   */
+  cancel(scheduleId, filter = () => true) {
+    let removed = 0;
+    for (const job of this.jobs.values()) {
+      if (
+        job.scheduleId === scheduleId &&
+        job.state === "pending" &&
+        filter(job)
+      ) {
+        this.jobs.delete(job.key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * How an already-run key ended: done, failed or interrupted
+   */
+  getOutcome(key) {
+    return this.finished.get(key) || null;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Start every due job the per-account limits allow
+   * Resolves once the jobs started by this tick have finished
+   */
+  tick() {
+    const now = this.clock.now();
+    const due = this.getJobs()
+      .filter((job) => job.state === "pending" && job.runAt <= now)
+      .sort((a, b) => a.runAt - b.runAt);
+
+    const started = [];
+    for (const job of due) {
+      if ((this.running.get(job.accountId) || 0) >= this.concurrency) {
+        continue;
+      }
+      started.push(this.dispatch(job));
+    }
+
+    return Promise.all(started);
+  }
+
+  async dispatch(job) {
+    job.state = "running";
+    job.startedAt = this.clock.now();
+    this.running.set(job.accountId, (this.running.get(job.accountId) || 0) + 1);
+
+    // On disk before the send, so a crash can't lead to a second send
+    this.save();
+
+    try {
+      await this.run(job);
+      this.finish(job, "done");
+    } catch (error) {
+      console.error(`Scheduled job ${job.key} failed:`, error);
+      this.finish(job, "failed", error.message);
+    } finally {
+      this.running.set(job.accountId, this.running.get(job.accountId) - 1);
+      this.save();
+    }
+  }
+
+  finish(job, state, error = null) {
+    this.jobs.delete(job.key);
+    this.finished.set(job.key, {
+      state,
+      runAt: job.runAt,
+      finishedAt: this.clock.now(),
+      ...(error ? { error } : {}),
+    });
+
+    // Oldest keys go first - they're far in the past by then
+    while (this.finished.size > MAX_FINISHED_KEYS) {
+      this.finished.delete(this.finished.keys().next().value);
+    }
+  }
+}
+
+module.exports = Scheduler;
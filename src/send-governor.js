@@ -0,0 +1,385 @@
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./file-utils");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Conservative defaults - a banned number can't be recovered
+// Any limit set to 0 is switched off
+const DEFAULT_SETTINGS = {
+  perMinute: 6,
+  perHour: 60,
+  perDay: 300,
+  newContactsPerDay: 20,
+  quietHours: { enabled: false, start: "22:00", end: "08:00" },
+  typing: true, // show "typing..." before automated sends
+};
+
+const WINDOWS = [
+  ["perMinute", MINUTE, "minute"],
+  ["perHour", HOUR, "hour"],
+  ["perDay", DAY, "day"],
+];
+
+// Simulated typing time, in ms
+const TYPING_MIN = 1500;
+const TYPING_MAX = 8000;
+
+class ThrottleError extends Error {
+  constructor(message, reason, retryAt) {
+    super(message);
+    this.name = "ThrottleError";
+    this.reason = reason; // minute | hour | day | new-contacts | quiet-hours
+    this.retryAt = retryAt;
+  }
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}" - use HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Sits between every sender and the WhatsApp client: per-account rate
+ * caps, a daily cap on first messages to new contacts, quiet hours and
+ * simulated typing. Sends over a limit are refused with a ThrottleError
+ * carrying the time the next one is allowed.
+ */
+class SendGovernor {
+  constructor() {
+    this.accountsPath = "./data/accounts";
+    this.states = new Map(); // accountId -> { settings, sends, newContacts }
+    this.throttled = new Map(); // accountId -> current throttle, if any
+
+    console.log("SendGovernor initialized");
+  }
+
+  /**
+   * Drop what's held in memory for a removed account
+   */
+  forgetAccount(accountId) {
+    this.states.delete(accountId);
+    this.throttled.delete(accountId);
+  }
+
+  getStatePath(accountId) {
+    return path.join(this.accountsPath, accountId, "governor.json");
+  }
+
+  getState(accountId) {
+    if (this.states.has(accountId)) {
+      return this.states.get(accountId);
+    }
+
+    const state = {
+      settings: this.copySettings(DEFAULT_SETTINGS),
+      sends: [], // timestamps of sends in the last day
+      newContacts: [], // { chatId, at } first messages in the last day
+    };
+
+    try {
+      const statePath = this.getStatePath(accountId);
+      if (fs.existsSync(statePath)) {
+        const saved = JSON.parse(fs.readFileSync(statePath, "utf8"));
+        state.settings = this.copySettings({
+          ...DEFAULT_SETTINGS,
+          ...saved.settings,
+        });
+        state.sends = saved.sends || [];
+        state.newContacts = saved.newContacts || [];
+      }
+    } catch (error) {
+      console.error(`Failed to load send limits for ${accountId}:`, error);
+    }
+
+    this.states.set(accountId, state);
+    return state;
+  }
+
+  saveState(accountId) {
+    const state = this.getState(accountId);
+    const accountPath = path.join(this.accountsPath, accountId);
+
+    try {
+      if (!fs.existsSync(accountPath)) {
+        fs.mkdirSync(accountPath, { recursive: true });
+      }
+      writeFileAtomic(
+        this.getStatePath(accountId),
+        JSON.stringify(state, null, 2),
+        0o600
+      );
+    } catch (error) {
+      console.error(`Failed to save send limits for ${accountId}:`, error);
+    }
+  }
+
+  copySettings(settings) {
+    return { ...settings, quietHours: { ...settings.quietHours } };
+  }
+
+  getSettings(accountId) {
+    return this.copySettings(this.getState(accountId).settings);
+  }
+
+  updateSettings(accountId, updates) {
+    const state = this.getState(accountId);
+    const settings = this.copySettings(state.settings);
+
+    for (const key of ["perMinute", "perHour", "perDay", "newContactsPerDay"]) {
+      if (updates[key] !== undefined) {
+        const value = Number(updates[key]);
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error(`${key} must be zero or a whole number`);
+        }
+        settings[key] = value;
+      }
+    }
+
+    if (updates.quietHours) {
+      const quietHours = { ...settings.quietHours, ...updates.quietHours };
+      parseClock(quietHours.start);
+      parseClock(quietHours.end);
+      quietHours.enabled = Boolean(quietHours.enabled);
+      settings.quietHours = quietHours;
+    }
+
+    if (updates.typing !== undefined) {
+      settings.typing = Boolean(updates.typing);
+    }
+
+    state.settings = settings;
+    this.saveState(accountId);
+    console.log(`Send limits updated for account ${accountId}`);
+
+    return this.getSettings(accountId);
+  }
+
+  /**
+   * Drop sends that have aged out of the longest window
+   */
+  prune(state, now) {
+    state.sends = state.sends.filter((time) => time > now - DAY);
+    state.newContacts = state.newContacts.filter(
+      (contact) => contact.at > now - DAY
+    );
+  }
+
+  /**
+   * When quiet hours end, or null if we're outside them
+   */
+  getQuietHoursEnd(settings, now) {
+    const { enabled, start, end } = settings.quietHours;
+    if (!enabled) return null;
+
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const startMinutes = parseClock(start);
+    const endMinutes = parseClock(end);
+
+    const inQuietHours =
+      startMinutes <= endMinutes
+        ? minutes >= startMinutes && minutes < endMinutes
+        : minutes >= startMinutes || minutes < endMinutes;
+    if (!inQuietHours) return null;
+
+    const endDate = new Date(now);
+    endDate.setHours(Math.floor(endMinutes / 60), endMinutes % 60, 0, 0);
+    if (endDate.getTime() <= now) {
+      endDate.setDate(endDate.getDate() + 1);
+    }
+    return endDate.getTime();
+  }
+
+  /**
+   * Check the limits for one send and count it if it's allowed
+   * Replies to an incoming message skip quiet hours - rate limits still
+   * apply. Throws a ThrottleError when the account has to wait; otherwise
+   * returns a ticket to hand to release() if the send then fails
+   */
+  acquire(accountId, { chatId, newContact = false, reply = false }) {
+    const now = Date.now();
+    const state = this.getState(accountId);
+    const { settings } = state;
+    this.prune(state, now);
+
+    const quietEnd = reply ? null : this.getQuietHoursEnd(settings, now);
+    if (quietEnd) {
+      this.throttle(
+        accountId,
+        new ThrottleError(
+          `Quiet hours until ${settings.quietHours.end}`,
+          "quiet-hours",
+          quietEnd
+        )
+      );
+    }
+
+    for (const [key, windowLength, label] of WINDOWS) {
+      const limit = settings[key];
+      if (!limit) continue;
+
+      const inWindow = state.sends.filter((time) => time > now - windowLength);
+      if (inWindow.length >= limit) {
+        this.throttle(
+          accountId,
+          new ThrottleError(
+            `Sending limit reached: ${limit} messages per ${label}`,
+            label,
+            inWindow[inWindow.length - limit] + windowLength
+          )
+        );
+      }
+    }
+
+    const isNewContact =
+      newContact &&
+      !state.newContacts.some((contact) => contact.chatId === chatId);
+    if (
+      isNewContact &&
+      settings.newContactsPerDay &&
+      state.newContacts.length >= settings.newContactsPerDay
+    ) {
+      this.throttle(
+        accountId,
+        new ThrottleError(
+          `New contact limit reached: ${settings.newContactsPerDay} per day`,
+          "new-contacts",
+          state.newContacts[
+            state.newContacts.length - settings.newContactsPerDay
+          ].at + DAY
+        )
+      );
+    }
+
+    state.sends.push(now);
+    if (isNewContact) {
+      state.newContacts.push({ chatId, at: now });
+    }
+    this.saveState(accountId);
+
+    if (this.throttled.has(accountId)) {
+      this.throttled.delete(accountId);
+      this.notifyThrottle(accountId, null);
+    }
+
+    return { at: now, chatId: chatId, newContact: isNewContact };
+  }
+
+  /**
+   * Un-count a send that didn't go out, so failures and their retries
+   * don't use up the account's limits
+   */
+  release(accountId, ticket) {
+    if (!ticket) return;
+
+    const state = this.getState(accountId);
+    const index = state.sends.lastIndexOf(ticket.at);
+    if (index !== -1) {
+      state.sends.splice(index, 1);
+    }
+    if (ticket.newContact) {
+      state.newContacts = state.newContacts.filter(
+        (contact) =>
+          contact.chatId !== ticket.chatId || contact.at !== ticket.at
+      );
+    }
+    this.saveState(accountId);
+  }
+
+  /**
+   * Remember and report the throttle, then refuse the send
+   */
+  throttle(accountId, error) {
+    const previous = this.throttled.get(accountId);
+    this.throttled.set(accountId, {
+      reason: error.reason,
+      message: error.message,
+      retryAt: error.retryAt,
+      since: previous?.since || Date.now(),
+    });
+
+    if (!previous || previous.reason !== error.reason) {
+      console.warn(`Account ${accountId} throttled: ${error.message}`);
+      this.notifyThrottle(accountId, this.throttled.get(accountId));
+    }
+
+    throw error;
+  }
+
+  notifyThrottle(accountId, throttle) {
+    if (global.mainWindow) {
+      global.mainWindow.webContents.send("account:throttled", {
+        accountId: accountId,
+        throttled: Boolean(throttle),
+        ...(throttle || {}),
+      });
+    }
+  }
+
+  /**
+   * Current usage against each limit, for the settings screen
+   */
+  getStatus(accountId) {
+    const now = Date.now();
+    const state = this.getState(accountId);
+    this.prune(state, now);
+
+    const usage = {};
+    for (const [key, windowLength] of WINDOWS) {
+      usage[key] = state.sends.filter(
+        (time) => time > now - windowLength
+      ).length;
+    }
+    usage.newContactsPerDay = state.newContacts.length;
+
+    let throttled = this.throttled.get(accountId) || null;
+    if (throttled && throttled.retryAt <= now) {
+      throttled = null;
+    }
+
+    return {
+      settings: this.getSettings(accountId),
+      usage: usage,
+      throttled: throttled,
+      quietHours: this.getQuietHoursEnd(state.settings, now) !== null,
+    };
+  }
+
+  /**
+   * A human-ish typing time: longer messages take longer, with jitter
+   */
+  getTypingDelay(text) {
+    const perCharacter = 40 + Math.random() * 40;
+    const delay = 800 + (text || "").length * perCharacter;
+    return Math.round(Math.min(Math.max(delay, TYPING_MIN), TYPING_MAX));
+  }
+
+  /**
+   * Show "typing..." in the chat for a moment before an automated send
+   * Never fails the send - typing is cosmetic
+   */
+  async simulateTyping(accountId, chat, text) {
+    if (!chat || !this.getState(accountId).settings.typing) return;
+
+    try {
+      await chat.sendStateTyping();
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.getTypingDelay(text))
+      );
+      await chat.clearState();
+    } catch (error) {
+      console.warn(`Typing simulation failed: ${error.message}`);
+    }
+  }
+}
+
+SendGovernor.ThrottleError = ThrottleError;
+SendGovernor.parseClock = parseClock;
+
+module.exports = SendGovernor;
@@ -0,0 +1,791 @@
+/**
+ * Message template language
+ *
+ *   {first_name}                  variable (missing variables render empty)
+ *   {name|upper}                  filters, chained with |
+ *   {nickname|default:"there"}    fallback text, or another variable
+ *   {date+3d|format:"D MMM"}      date math (m h d w M y) and formatting
+ *   {#if tier == "gold"}..{else}..{/if}, {#unless x}..{/unless}
+ *   {#each items}{this}{/each}    loops, with {@index} {@number} {@first} {@last}
+ *   {{Hi|Hello|Hey}}              spintax - one option picked per message
+ *   \{ \}                         literal braces
+ */
+
+const DATE_VARIABLES = ["date", "time", "now", "today"];
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: (value) =>
+    toText(value)
+      .toLowerCase()
+      .replace(/(^|\s)\S/g, (char) => char.toUpperCase()),
+  first: (value) => toText(value).trim().split(/\s+/)[0] || "",
+  default: (value, fallback = "") => (isEmpty(value) ? fallback : value),
+  truncate: (value, length = 20, ending = "…") => {
+    const text = toText(value);
+    const max = Number(length);
+    return text.length > max ? text.slice(0, max) + ending : text;
+  },
+  number: (value, decimals) => {
+    const number = Number(value);
+    if (isEmpty(value) || !Number.isFinite(number)) return value;
+    const digits = decimals === undefined ? undefined : Number(decimals);
+    return number.toLocaleString(undefined, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits ?? 20,
+    });
+  },
+  format: (value, pattern = "YYYY-MM-DD") => {
+    const date = toDate(value);
+    return date ? formatDate(date, pattern) : value;
+  },
+};
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function toText(value) {
+  if (isEmpty(value)) return "";
+  if (Array.isArray(value)) return value.map(toText).join(", ");
+  return String(value);
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (isEmpty(value)) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, "0");
+}
+
+/**
+ * Format a date with Moment-style tokens, e.g. "ddd D MMM YYYY, HH:mm"
+ * Text in [brackets] is left as-is
+ */
+function formatDate(date, pattern) {
+  const hours12 = date.getHours() % 12 || 12;
+  const tokens = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MMMM: MONTHS[date.getMonth()],
+    MMM: MONTHS[date.getMonth()].slice(0, 3),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate(),
+    dddd: WEEKDAYS[date.getDay()],
+    ddd: WEEKDAYS[date.getDay()].slice(0, 3),
+    HH: pad(date.getHours()),
+    H: date.getHours(),
+    hh: pad(hours12),
+    h: hours12,
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    A: date.getHours() < 12 ? "AM" : "PM",
+  };
+
+  return pattern.replace(
+    /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match])
+  );
+}
+
+function addToDate(date, sign, amount, unit) {
+  const result = new Date(date.getTime());
+  const delta = sign === "-" ? -amount : amount;
+
+  if (unit === "M") {
+    result.setMonth(result.getMonth() + delta);
+  } else if (unit === "y") {
+    result.setFullYear(result.getFullYear() + delta);
+  } else if (unit === "d" || unit === "w") {
+    // Calendar days, so DST changes don't shift the time of day
+    result.setDate(result.getDate() + delta * (unit === "w" ? 7 : 1));
+  } else {
+    result.setTime(result.getTime() + delta * UNIT_MS[unit]);
+  }
+
+  return result;
+}
+
+/**
+ * Split on a separator, ignoring separators inside quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+class TemplateError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at ${position + 1})`);
+    this.name = "TemplateError";
+    this.position = position;
+  }
+}
+
+class TemplateEngine {
+  constructor() {
+    this.cache = new Map(); // template text -> parsed nodes
+  }
+
+  /**
+   * Render a template
+   * Options: now (Date), random (() => number) for spintax
+   */
+  render(template, variables = {}, options = {}) {
+    const nodes = this.parse(template);
+    const context = {
+      scopes: [this.withContactFields(variables)],
+      now: options.now ? new Date(options.now) : new Date(),
+      random: options.random || Math.random,
+    };
+
+    return this.renderNodes(nodes, context);
+  }
+
+  /**
+   * Check a template's syntax and list the variables it uses
+   */
+  validate(template) {
+    try {
+      const nodes = this.parse(template);
+      const variables = new Set();
+      this.collectVariables(nodes, variables);
+
+      return { valid: true, errors: [], variables: Array.from(variables) };
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      return { valid: false, errors: [error.message], variables: [] };
+    }
+  }
+
+  /**
+   * Throw if a template has syntax errors
+   */
+  assertValid(template) {
+    const result = this.validate(template);
+    if (!result.valid) {
+      throw new Error(`Invalid template: ${result.errors.join("; ")}`);
+    }
+    return result;
+  }
+
+  /**
+   * Fill in first/last name from a full name when they're not given
+   */
+  withContactFields(variables) {
+    const context = { ...variables };
+    const name = toText(context.name).trim();
+
+    if (name) {
+      const parts = name.split(/\s+/);
+      if (isEmpty(context.first_name)) context.first_name = parts[0];
+      if (isEmpty(context.last_name) && parts.length > 1) {
+        context.last_name = parts.slice(1).join(" ");
+      }
+    }
+
+    return context;
+  }
+
+  parse(template) {
+    const text = String(template ?? "");
+    if (this.cache.has(text)) return this.cache.get(text);
+
+    const tokens = this.tokenize(text);
+    const nodes = this.buildTree(tokens);
+
+    if (this.cache.size > 200) this.cache.clear();
+    this.cache.set(text, nodes);
+    return nodes;
+  }
+
+  /**
+   * Break template text into text, tag and spintax tokens
+   */
+  tokenize(text, offset = 0) {
+    const tokens = [];
+    let buffer = "";
+    let i = 0;
+
+    const flush = () => {
+      if (buffer) tokens.push({ type: "text", value: buffer });
+      buffer = "";
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === "\\" && (text[i + 1] === "{" || text[i + 1] === "}")) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+
+      if (char === "{" && text[i + 1] === "{") {
+        const end = this.findSpinEnd(text, i);
+        if (end === -1) {
+          throw new TemplateError("Unclosed {{ spintax", offset + i);
+        }
+
+        flush();
+        const body = text.slice(i + 2, end);
+        const options = this.splitSpinOptions(body).map((option) =>
+          this.buildTree(this.tokenize(option.text, offset + i + 2 + option.at))
+        );
+        tokens.push({ type: "spin", options: options, position: offset + i });
+        i = end + 2;
+        continue;
+      }
+
+      if (char === "{") {
+        const end = this.findTagEnd(text, i);
+        if (end === -1) {
+          throw new TemplateError("Unclosed {", offset + i);
+        }
+
+        flush();
+        tokens.push(this.parseTag(text.slice(i + 1, end).trim(), offset + i));
+        i = end + 1;
+        continue;
+      }
+
+      if (char === "}") {
+        throw new TemplateError("Unexpected }", offset + i);
+      }
+
+      buffer += char;
+      i++;
+    }
+
+    flush();
+    return tokens;
+  }
+
+  findTagEnd(text, start) {
+    let quote = null;
+
+    for (let i = start + 1; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "{") {
+        return -1;
+      } else if (char === "}") {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  // Matching }} for a {{ at `start`, allowing nested spintax and tags
+  findSpinEnd(text, start) {
+    let depth = 0;
+
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === "\\") {
+        i++;
+      } else if (text.startsWith("{{", i)) {
+        depth++;
+        i++;
+      } else if (text.startsWith("}}", i)) {
+        depth--;
+        if (depth === 0) return i;
+        i++;
+      } else if (text[i] === "{") {
+        const end = this.findTagEnd(text, i);
+        if (end === -1) return -1;
+        i = end;
+      }
+    }
+
+    return -1;
+  }
+
+  // Top-level | separators inside spintax
+  splitSpinOptions(body) {
+    const options = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] === "\\") {
+        i++;
+      } else if (body.startsWith("{{", i)) {
+        depth++;
+        i++;
+      } else if (body.startsWith("}}", i)) {
+        depth--;
+        i++;
+      } else if (body[i] === "{") {
+        i = Math.max(this.findTagEnd(body, i), i);
+      } else if (body[i] === "|" && depth === 0) {
+        options.push({ text: body.slice(start, i), at: start });
+        start = i + 1;
+      }
+    }
+
+    options.push({ text: body.slice(start), at: start });
+    return options;
+  }
+
+  parseTag(content, position) {
+    if (!content) {
+      throw new TemplateError("Empty {}", position);
+    }
+
+    const block = content.match(/^#(if|unless|each)\s+(.+)$/);
+    if (block) {
+      return {
+        type: "open",
+        block: block[1],
+        expression:
+          block[1] === "each"
+            ? this.parseExpression(block[2], position)
+            : this.parseCondition(block[2], position),
+        position: position,
+      };
+    }
+
+    if (/^#(if|unless|each)$/.test(content)) {
+      throw new TemplateError(`{${content}} needs a variable`, position);
+    }
+
+    const close = content.match(/^\/(if|unless|each)$/);
+    if (close) {
+      return { type: "close", block: close[1], position: position };
+    }
+
+    if (content === "else") {
+      return { type: "else", position: position };
+    }
+
+    if (/^[#/]/.test(content)) {
+      throw new TemplateError(`Unknown block {${content}}`, position);
+    }
+
+    return {
+      type: "output",
+      expression: this.parseExpression(content, position),
+      position: position,
+    };
+  }
+
+  /**
+   * "path+3d|filter:arg|filter"
+   */
+  parseExpression(source, position) {
+    const [head, ...filterParts] = splitOutsideQuotes(source, "|");
+    const match = head
+      .trim()
+      .match(/^(@?[A-Za-z_][\w.]*)(?:\s*([+-])\s*(\d+)\s*([mhdwMy]))?$/);
+
+    if (!match) {
+      throw new TemplateError(`Invalid variable "${head.trim()}"`, position);
+    }
+
+    const filters = filterParts.map((part) => {
+      const [name, ...argParts] = splitOutsideQuotes(part.trim(), ":");
+      const filterName = name.trim();
+      if (!FILTERS[filterName]) {
+        throw new TemplateError(`Unknown filter "${filterName}"`, position);
+      }
+
+      const args = argParts.length
+        ? splitOutsideQuotes(argParts.join(":"), ",").map((arg) =>
+            this.parseValue(arg.trim(), position)
+          )
+        : [];
+
+      return { name: filterName, args: args };
+    });
+
+    return {
+      path: match[1],
+      math: match[2]
+        ? { sign: match[2], amount: Number(match[3]), unit: match[4] }
+        : null,
+      filters: filters,
+    };
+  }
+
+  /**
+   * Condition for #if/#unless: "x", "not x", "x == 'gold'", "count > 2"
+   */
+  parseCondition(source, position) {
+    const negated = /^not\s+/.test(source);
+    const body = negated ? source.replace(/^not\s+/, "") : source;
+    const parts = body.match(/^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/);
+
+    if (!parts) {
+      return {
+        negated: negated,
+        left: this.parseExpression(body, position),
+        operator: null,
+      };
+    }
+
+    return {
+      negated: negated,
+      left: this.parseExpression(parts[1], position),
+      operator: parts[2],
+      right: this.parseValue(parts[3].trim(), position),
+    };
+  }
+
+  parseValue(source, position) {
+    const quoted = source.match(/^(["'])(.*)\1$/s);
+    if (quoted) return { literal: quoted[2] };
+
+    if (/^-?\d+(\.\d+)?$/.test(source)) return { literal: Number(source) };
+    if (source === "true" || source === "false") {
+      return { literal: source === "true" };
+    }
+
+    return { expression: this.parseExpression(source, position) };
+  }
+
+  /**
+   * Nest block tokens into if/unless/each nodes
+   */
+  buildTree(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+
+    for (const token of tokens) {
+      const current = stack[stack.length - 1];
+      const target = current.inElse ? current.otherwise : current.children;
+
+      if (token.type === "open") {
+        const node = {
+          type: token.block,
+          expression: token.expression,
+          children: [],
+          otherwise: [],
+          position: token.position,
+        };
+        target.push(node);
+        stack.push(node);
+      } else if (token.type === "else") {
+        if (stack.length === 1 || current.inElse) {
+          throw new TemplateError(
+            "{else} without an open block",
+            token.position
+          );
+        }
+        current.inElse = true;
+      } else if (token.type === "close") {
+        if (stack.length === 1 || current.type !== token.block) {
+          throw new TemplateError(
+            `{/${token.block}} doesn't match an open {#${token.block}}`,
+            token.position
+          );
+        }
+        delete current.inElse;
+        stack.pop();
+      } else {
+        target.push(token);
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new TemplateError(`{#${open.type}} is never closed`, open.position);
+    }
+
+    return root.children;
+  }
+
+  collectVariables(nodes, variables) {
+    const add = (expression) => {
+      const name = expression.path.split(".")[0];
+      if (!name.startsWith("@") && name !== "this") variables.add(name);
+      for (const filter of expression.filters) {
+        for (const arg of filter.args) {
+          if (arg.expression) add(arg.expression);
+        }
+      }
+    };
+
+    for (const node of nodes) {
+      if (node.type === "output") add(node.expression);
+      if (node.type === "spin") {
+        node.options.forEach((option) =>
+          this.collectVariables(option, variables)
+        );
+      }
+      if (node.children) {
+        add(node.type === "each" ? node.expression : node.expression.left);
+        if (node.expression.right?.expression) {
+          add(node.expression.right.expression);
+        }
+        this.collectVariables(node.children, variables);
+        this.collectVariables(node.otherwise, variables);
+      }
+    }
+  }
+
+  renderNodes(nodes, context) {
+    let output = "";
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case "text":
+          output += node.value;
+          break;
+
+        case "output":
+          output += this.formatValue(
+            this.evaluate(node.expression, context),
+            node.expression
+          );
+          break;
+
+        case "spin": {
+          const index = Math.floor(context.random() * node.options.length);
+          output += this.renderNodes(
+            node.options[Math.min(index, node.options.length - 1)],
+            context
+          );
+          break;
+        }
+
+        case "if":
+        case "unless": {
+          let result = this.test(node.expression, context);
+          if (node.type === "unless") result = !result;
+          output += this.renderNodes(
+            result ? node.children : node.otherwise,
+            context
+          );
+          break;
+        }
+
+        case "each":
+          output += this.renderEach(node, context);
+          break;
+      }
+    }
+
+    return output;
+  }
+
+  renderEach(node, context) {
+    let items = this.evaluate(node.expression, context);
+
+    // Contact list columns hold lists as "a; b; c" or "a, b, c"
+    if (typeof items === "string") {
+      items = items
+        .split(items.includes(";") ? ";" : ",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return this.renderNodes(node.otherwise, context);
+    }
+
+    return items
+      .map((item, index) => {
+        const scope = {
+          ...(item && typeof item === "object" ? item : {}),
+          this: item,
+          "@index": index,
+          "@number": index + 1,
+          "@first": index === 0,
+          "@last": index === items.length - 1,
+        };
+
+        return this.renderNodes(node.children, {
+          ...context,
+          scopes: [scope, ...context.scopes],
+        });
+      })
+      .join("");
+  }
+
+  lookup(path, context) {
+    const [name, ...rest] = path.split(".");
+    let value;
+
+    // Own properties only - {constructor} must not reach the prototype
+    const scope = context.scopes.find((item) => hasOwn(item, name));
+    if (scope) {
+      value = scope[name];
+    } else if (DATE_VARIABLES.includes(name)) {
+      value = context.now;
+    }
+
+    for (const key of rest) {
+      if (value === null || value === undefined) return undefined;
+      if (!hasOwn(Object(value), key)) return undefined;
+      value = value[key];
+    }
+
+    return value;
+  }
+
+  evaluate(expression, context) {
+    let value = this.lookup(expression.path, context);
+
+    if (expression.math) {
+      const date = toDate(value);
+      value = date
+        ? addToDate(
+            date,
+            expression.math.sign,
+            expression.math.amount,
+            expression.math.unit
+          )
+        : value;
+    }
+
+    for (const filter of expression.filters) {
+      const args = filter.args.map((arg) =>
+        arg.expression ? this.evaluate(arg.expression, context) : arg.literal
+      );
+      value = FILTERS[filter.name](value, ...args);
+    }
+
+    return value;
+  }
+
+  test(condition, context) {
+    const left = this.evaluate(condition.left, context);
+    let result;
+
+    if (!condition.operator) {
+      result = !isEmpty(left) && left !== false && left !== "0";
+    } else {
+      const right = condition.right.expression
+        ? this.evaluate(condition.right.expression, context)
+        : condition.right.literal;
+      const numeric =
+        !isEmpty(left) &&
+        !isEmpty(right) &&
+        Number.isFinite(Number(left)) &&
+        Number.isFinite(Number(right));
+      const a = numeric ? Number(left) : toText(left).toLowerCase();
+      const b = numeric ? Number(right) : toText(right).toLowerCase();
+
+      switch (condition.operator) {
+        case "==":
+          result = a === b;
+          break;
+        case "!=":
+          result = a !== b;
+          break;
+        case ">":
+          result = a > b;
+          break;
+        case "<":
+          result = a < b;
+          break;
+        case ">=":
+          result = a >= b;
+          break;
+        case "<=":
+          result = a <= b;
+          break;
+      }
+    }
+
+    return condition.negated ? !result : result;
+  }
+
+  /**
+   * Dates without a format filter use the locale's own style
+   */
+  formatValue(value, expression) {
+    if (value instanceof Date) {
+      const name = expression.path;
+      if (name === "time") {
+        return value.toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+        });
+      }
+      if (name === "now") return value.toLocaleString();
+      return value.toLocaleDateString();
+    }
+
+    return toText(value);
+  }
+}
+
+TemplateEngine.TemplateError = TemplateError;
+
+module.exports = TemplateEngine;